@@ -1,30 +1,15 @@
-import { config } from "./src/config.js";
-import { ShardingManager } from "discord.js";
-import Logger from "./src/structures/Logger.js";
-const logger = new Logger({
-  displayTimestamp: true,
-  displayDate: true,
-});
-const manager = new ShardingManager("./src/index.js", {
-  respawn: true,
-  autoSpawn: true,
-  token: config.token,
-  totalShards: 1,
-  shardList: "auto",
-});
+/**
+ * Sharder - Sharded Multi-Bot Cluster
+ *
+ * Shards every bot in config.bots, one process per shard, with the same
+ * cross-bot routing, command locks and load balancing as the orchestrator.
+ * Shard counts come from BOT{n}_SHARDS per bot, or TOTAL_SHARDS for all bots
+ * ("auto" uses Discord's recommended count).
+ *
+ * Usage: node sharder.js (same as node src/orchestrator.js --sharded)
+ */
+if (!process.argv.includes("--sharded")) {
+  process.argv.push("--sharded");
+}
 
-manager.spawn({ amount: manager.totalShards, delay: null, timeout: -1 }).then((shards) => {
-    logger.start(`[CLIENT] ${shards.size} shard(s) spawned.`);
-  }).catch((err) => {
-    logger.error("[CLIENT] An error has occurred :", err);
-  });
-
-manager.on("shardCreate", (shard) => {
-  shard.on("ready", () => {
-    logger.start(`[CLIENT] Shard ${shard.id} connected to Discord's Gateway.`);
-  });
-});
-
-manager.on("error", (error) => {
-    logger.error(`[SHARD MANAGER] An error occurred: ${error.message}`);
-});
\ No newline at end of file
+await import("./src/orchestrator.js");
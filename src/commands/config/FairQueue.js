@@ -0,0 +1,116 @@
+import Command from "../../structures/Command.js";
+import { ContainerBuilder, TextDisplayBuilder, MessageFlags, ApplicationCommandOptionType } from "discord.js";
+import QueueSettings from "../../schemas/QueueSettings.js";
+import { formatDuration } from "../../managers/LavalinkHandler.js";
+import emojis from '../../emojis.js';
+
+export default class FairQueue extends Command {
+    constructor(client) {
+        super(client, {
+            name: 'fairqueue',
+            description: {
+                content: 'Play the tracks of different members in turn, and limit what one member can queue',
+                usage: '[on|off] [max tracks per member] [max minutes per member]',
+                examples: ['fairqueue', 'fairqueue on', 'fairqueue on 10 60', 'fairqueue off 0 0'],
+            },
+            aliases: ['fq', 'fair'],
+            category: 'config',
+            cooldown: 3,
+            args: false,
+            permissions: {
+                dev: false,
+                client: ['SendMessages', 'ViewChannel', 'EmbedLinks'],
+                user: ['ManageGuild'],
+            },
+            slashCommand: true,
+            options: [
+                {
+                    name: 'enabled',
+                    description: 'Play the tracks of different members round-robin',
+                    type: ApplicationCommandOptionType.Boolean,
+                    required: false,
+                },
+                {
+                    name: 'max_tracks',
+                    description: 'Max tracks one member can have in the queue (0 = no limit)',
+                    type: ApplicationCommandOptionType.Integer,
+                    required: false,
+                    min_value: 0,
+                    max_value: 1000,
+                },
+                {
+                    name: 'max_minutes',
+                    description: 'Max minutes of music one member can have in the queue (0 = no limit)',
+                    type: ApplicationCommandOptionType.Integer,
+                    required: false,
+                    min_value: 0,
+                    max_value: 1440,
+                },
+            ],
+        });
+    }
+
+    _buildContainer(title, message) {
+        const container = new ContainerBuilder();
+        container.addTextDisplayComponents(
+            new TextDisplayBuilder().setContent(`### ${title}\n${message}`)
+        );
+        return container;
+    }
+
+    async run(ctx, args) {
+        let enabled, maxTracks, maxMinutes;
+
+        if (ctx.isInteraction) {
+            enabled = ctx.interaction.options.getBoolean('enabled');
+            maxTracks = ctx.interaction.options.getInteger('max_tracks');
+            maxMinutes = ctx.interaction.options.getInteger('max_minutes');
+        } else {
+            const toggle = args[0]?.toLowerCase();
+            enabled = ['on', 'true', 'yes', 'enable'].includes(toggle) ? true
+                : ['off', 'false', 'no', 'disable'].includes(toggle) ? false
+                : null;
+
+            if (toggle && enabled === null) {
+                return ctx.sendMessage({
+                    components: [this._buildContainer(`${emojis.status.error} Error`, `Usage: \`fairqueue ${this.description.usage}\``)],
+                    flags: MessageFlags.IsComponentsV2
+                });
+            }
+
+            maxTracks = args[1] !== undefined ? parseInt(args[1]) : null;
+            maxMinutes = args[2] !== undefined ? parseInt(args[2]) : null;
+
+            if ([maxTracks, maxMinutes].some(value => value !== null && (isNaN(value) || value < 0))) {
+                return ctx.sendMessage({
+                    components: [this._buildContainer(`${emojis.status.error} Error`, 'The limits must be positive numbers (0 = no limit).')],
+                    flags: MessageFlags.IsComponentsV2
+                });
+            }
+        }
+
+        const settings = await QueueSettings.getOrCreate(ctx.guild.id);
+        const changed = enabled !== null || maxTracks !== null || maxMinutes !== null;
+
+        if (enabled !== null) settings.fairQueue = enabled;
+        if (maxTracks !== null) settings.maxTracksPerUser = Math.min(maxTracks, 1000);
+        if (maxMinutes !== null) settings.maxDurationPerUser = Math.min(maxMinutes, 1440) * 60 * 1000;
+
+        if (changed) {
+            await settings.save();
+        }
+
+        const tracksLimit = settings.maxTracksPerUser ? `${settings.maxTracksPerUser} tracks` : 'No limit';
+        const durationLimit = settings.maxDurationPerUser ? formatDuration(settings.maxDurationPerUser) : 'No limit';
+
+        return ctx.sendMessage({
+            components: [this._buildContainer(
+                `${changed ? emojis.status.success : emojis.misc.settings} Fair Queue${changed ? ' Updated' : ''}`,
+                `**Mode:** ${settings.fairQueue ? 'On — members take turns' : 'Off — tracks play in the order they were added'}\n` +
+                `**Max tracks per member:** ${tracksLimit}\n` +
+                `**Max duration per member:** ${durationLimit}`
+            )],
+            flags: MessageFlags.IsComponentsV2
+        });
+    }
+}
@@ -0,0 +1,348 @@
+import Command from "../../structures/Command.js";
+import { ContainerBuilder, TextDisplayBuilder, SeparatorBuilder, MessageFlags, ApplicationCommandOptionType } from "discord.js";
+import MusicPermissions from "../../schemas/MusicPermissions.js";
+import { PLAYER_BUTTONS, DJ_BUTTONS } from "../../managers/MusicPermissions.js";
+import emojis from '../../emojis.js';
+
+const SUBCOMMANDS = ['view', 'dj-role', 'alone-dj', 'requester-skip', 'vote', 'restrict', 'unrestrict'];
+
+export default class Permissions extends Command {
+    constructor(client) {
+        super(client, {
+            name: 'permissions',
+            description: {
+                content: 'Configure who can control the music',
+                usage: '[view | dj-role <role|none> | alone-dj <on|off> | requester-skip <on|off> | vote <on|off> [percent] | restrict <command|button> <role> | unrestrict <command|button> [role]]',
+                examples: ['permissions', 'permissions dj-role @DJ', 'permissions vote on 60', 'permissions restrict volume @Mods', 'permissions unrestrict player_stop'],
+            },
+            aliases: ['perms'],
+            category: 'config',
+            cooldown: 3,
+            args: false,
+            permissions: {
+                dev: false,
+                client: ['SendMessages', 'ViewChannel', 'EmbedLinks'],
+                user: ['ManageGuild'],
+            },
+            slashCommand: true,
+            options: [
+                {
+                    name: 'view',
+                    description: 'Show the music permissions of this server',
+                    type: ApplicationCommandOptionType.Subcommand,
+                },
+                {
+                    name: 'dj-role',
+                    description: 'Set the DJ role, or leave empty to remove it',
+                    type: ApplicationCommandOptionType.Subcommand,
+                    options: [
+                        {
+                            name: 'role',
+                            description: 'DJ role',
+                            type: ApplicationCommandOptionType.Role,
+                            required: false,
+                        },
+                    ],
+                },
+                {
+                    name: 'alone-dj',
+                    description: 'Whether a member alone with the bot counts as a DJ',
+                    type: ApplicationCommandOptionType.Subcommand,
+                    options: [
+                        {
+                            name: 'enabled',
+                            description: 'Alone in the channel counts as DJ',
+                            type: ApplicationCommandOptionType.Boolean,
+                            required: true,
+                        },
+                    ],
+                },
+                {
+                    name: 'requester-skip',
+                    description: 'Whether members can skip the tracks they requested',
+                    type: ApplicationCommandOptionType.Subcommand,
+                    options: [
+                        {
+                            name: 'enabled',
+                            description: 'Requesters can skip their own tracks',
+                            type: ApplicationCommandOptionType.Boolean,
+                            required: true,
+                        },
+                    ],
+                },
+                {
+                    name: 'vote',
+                    description: 'Whether skip, stop and clear need votes from the listeners',
+                    type: ApplicationCommandOptionType.Subcommand,
+                    options: [
+                        {
+                            name: 'enabled',
+                            description: 'Vote mode on or off',
+                            type: ApplicationCommandOptionType.Boolean,
+                            required: true,
+                        },
+                        {
+                            name: 'percent',
+                            description: 'Share of the listeners that must vote (default 50)',
+                            type: ApplicationCommandOptionType.Integer,
+                            required: false,
+                            min_value: 10,
+                            max_value: 100,
+                        },
+                    ],
+                },
+                {
+                    name: 'restrict',
+                    description: 'Restrict a music command or now playing button to a role',
+                    type: ApplicationCommandOptionType.Subcommand,
+                    options: [
+                        {
+                            name: 'target',
+                            description: 'Command or now playing button',
+                            type: ApplicationCommandOptionType.String,
+                            required: true,
+                            autocomplete: true,
+                        },
+                        {
+                            name: 'role',
+                            description: 'Role that may use it',
+                            type: ApplicationCommandOptionType.Role,
+                            required: true,
+                        },
+                    ],
+                },
+                {
+                    name: 'unrestrict',
+                    description: 'Remove a role from a restriction, or the whole restriction',
+                    type: ApplicationCommandOptionType.Subcommand,
+                    options: [
+                        {
+                            name: 'target',
+                            description: 'Command or now playing button',
+                            type: ApplicationCommandOptionType.String,
+                            required: true,
+                            autocomplete: true,
+                        },
+                        {
+                            name: 'role',
+                            description: 'Role to remove (all roles when empty)',
+                            type: ApplicationCommandOptionType.Role,
+                            required: false,
+                        },
+                    ],
+                },
+            ],
+        });
+    }
+
+    _buildContainer(title, message) {
+        const container = new ContainerBuilder();
+        container.addTextDisplayComponents(
+            new TextDisplayBuilder().setContent(`### ${title}\n${message}`)
+        );
+        return container;
+    }
+
+    _error(ctx, message) {
+        return ctx.sendMessage({
+            components: [this._buildContainer(`${emojis.status.error} Error`, message)],
+            flags: MessageFlags.IsComponentsV2
+        });
+    }
+
+    _success(ctx, message) {
+        return ctx.sendMessage({
+            components: [this._buildContainer(`${emojis.status.success} Permissions Updated`, message)],
+            flags: MessageFlags.IsComponentsV2
+        });
+    }
+
+    /**
+     * Music commands and now playing buttons that can be restricted
+     * @private
+     */
+    _getTargets() {
+        const commands = this.client.commands
+            .filter(cmd => cmd.category === 'music' && !cmd.subcommands)
+            .map(cmd => ({ key: cmd.name, label: `/${cmd.name}`, djOnly: cmd.preconditions.includes('djOnly') }));
+
+        const buttons = Object.entries(PLAYER_BUTTONS)
+            .map(([key, name]) => ({ key, label: `${name} button`, djOnly: DJ_BUTTONS.includes(key) }));
+
+        return [...commands, ...buttons];
+    }
+
+    /**
+     * Resolve a command name, alias or button ID to a restriction key
+     * @private
+     */
+    _resolveTarget(input) {
+        const name = input?.toLowerCase();
+        const key = this.client.commands.has(name) ? name : this.client.aliases.get(name) || name;
+        return this._getTargets().find(target => target.key === key) || null;
+    }
+
+    async autocomplete(interaction) {
+        const focused = interaction.options.getFocused().toLowerCase();
+
+        const choices = this._getTargets()
+            .filter(target => target.key.includes(focused) || target.label.toLowerCase().includes(focused))
+            .slice(0, 25)
+            .map(target => ({ name: target.label, value: target.key }));
+
+        await interaction.respond(choices);
+    }
+
+    async run(ctx, args) {
+        let subcommand, role, enabled, target, percent;
+
+        if (ctx.isInteraction) {
+            const options = ctx.interaction.options;
+            subcommand = options.getSubcommand();
+            role = options.getRole('role');
+            enabled = options.getBoolean('enabled');
+            target = options.getString('target');
+            percent = options.getInteger('percent');
+        } else {
+            subcommand = SUBCOMMANDS.includes(args[0]?.toLowerCase()) ? args.shift().toLowerCase() : 'view';
+            target = ['restrict', 'unrestrict'].includes(subcommand) ? args.shift() : null;
+
+            const value = args[0]?.toLowerCase();
+            role = value ? ctx.guild.roles.cache.get(value.replace(/\D/g, '')) || null : null;
+            enabled = ['on', 'true', 'yes', 'enable'].includes(value) ? true
+                : ['off', 'false', 'no', 'disable'].includes(value) ? false
+                : null;
+
+            if (subcommand === 'dj-role' && value && value !== 'none' && !role) {
+                return this._error(ctx, 'Please mention a role, give its ID, or use `none` to remove the DJ role.');
+            }
+            if (['alone-dj', 'requester-skip', 'vote'].includes(subcommand) && enabled === null) {
+                return this._error(ctx, `Usage: \`permissions ${subcommand} <on|off>${subcommand === 'vote' ? ' [percent]' : ''}\``);
+            }
+
+            percent = subcommand === 'vote' && args[1] ? parseInt(args[1].replace('%', '')) : null;
+            if (percent !== null && (isNaN(percent) || percent < 10 || percent > 100)) {
+                return this._error(ctx, 'The vote share must be a percentage between 10 and 100.');
+            }
+            if (subcommand === 'restrict' && !role) {
+                return this._error(ctx, 'Usage: `permissions restrict <command|button> <role>`');
+            }
+        }
+
+        if (subcommand === 'view') {
+            const settings = await MusicPermissions.findById(ctx.guild.id).lean();
+            return ctx.sendMessage({
+                components: [this._buildViewContainer(settings)],
+                flags: MessageFlags.IsComponentsV2
+            });
+        }
+
+        const settings = await MusicPermissions.getOrCreate(ctx.guild.id);
+
+        switch (subcommand) {
+            case 'dj-role': {
+                settings.djRoleId = role?.id || null;
+                await settings.save();
+                return this._success(ctx, role
+                    ? `DJ only controls are now limited to <@&${role.id}>.`
+                    : 'Removed the DJ role, DJ only controls are open to everyone.');
+            }
+
+            case 'alone-dj': {
+                settings.aloneIsDj = enabled;
+                await settings.save();
+                return this._success(ctx, `Members alone with the bot ${enabled ? 'now count' : 'no longer count'} as DJs.`);
+            }
+
+            case 'requester-skip': {
+                settings.requesterCanSkip = enabled;
+                await settings.save();
+                return this._success(ctx, `Members ${enabled ? 'can now' : 'can no longer'} skip the tracks they requested.`);
+            }
+
+            case 'vote': {
+                settings.voteMode = enabled;
+                if (percent) {
+                    settings.voteRatio = percent / 100;
+                }
+                await settings.save();
+                return this._success(ctx, enabled
+                    ? `Skip, stop and clear now need votes from **${Math.round(settings.voteRatio * 100)}%** of the listeners. DJs and the requester skip the vote.`
+                    : 'Vote mode is off, skip, stop and clear go through right away.');
+            }
+
+            case 'restrict': {
+                const resolved = this._resolveTarget(target);
+                if (!resolved) {
+                    return this._error(ctx, `\`${target}\` is not a music command or now playing button.`);
+                }
+
+                await settings.addRestriction(resolved.key, role.id);
+                return this._success(ctx, `**${resolved.label}** can now be used by <@&${role.id}>${this._formatRoles(settings, resolved.key, role.id)} and DJs.`);
+            }
+
+            case 'unrestrict': {
+                const resolved = this._resolveTarget(target);
+                if (!resolved || !settings.restrictions.has(resolved.key)) {
+                    return this._error(ctx, `\`${target}\` is not restricted.`);
+                }
+
+                await settings.removeRestriction(resolved.key, role?.id || null);
+                return this._success(ctx, settings.restrictions.has(resolved.key)
+                    ? `Removed <@&${role.id}> from **${resolved.label}**.`
+                    : `**${resolved.label}** is no longer restricted.`);
+            }
+        }
+    }
+
+    /**
+     * Other roles allowed to use a restricted command or button
+     * @private
+     */
+    _formatRoles(settings, key, exclude) {
+        const others = settings.restrictions.get(key).filter(id => id !== exclude);
+        return others.map(id => `, <@&${id}>`).join('');
+    }
+
+    _buildViewContainer(settings) {
+        const container = new ContainerBuilder();
+
+        container.addTextDisplayComponents(
+            new TextDisplayBuilder().setContent(`### ${emojis.misc.settings} Music Permissions`)
+        );
+
+        container.addSeparatorComponents(new SeparatorBuilder().setDivider(true));
+
+        const djRole = settings?.djRoleId ? `<@&${settings.djRoleId}>` : 'None (DJ only controls are open to everyone)';
+        container.addTextDisplayComponents(
+            new TextDisplayBuilder().setContent([
+                `**DJ Role:** ${djRole}`,
+                `**Alone in channel counts as DJ:** ${settings?.aloneIsDj === false ? 'No' : 'Yes'}`,
+                `**Requester can skip own track:** ${settings?.requesterCanSkip === false ? 'No' : 'Yes'}`,
+                `**Vote mode:** ${settings?.voteMode ? `On (${Math.round((settings.voteRatio || 0.5) * 100)}% of the listeners)` : 'Off'}`,
+            ].join('\n'))
+        );
+
+        container.addSeparatorComponents(new SeparatorBuilder().setDivider(true));
+
+        const targets = this._getTargets();
+        const restrictions = Object.entries(settings?.restrictions || {}).map(([key, roles]) => {
+            const label = targets.find(target => target.key === key)?.label || key;
+            return `**${label}** — ${roles.map(id => `<@&${id}>`).join(', ')}`;
+        });
+        const djOnly = targets.filter(target => target.djOnly).map(target => `\`${target.label}\``).join(', ');
+
+        container.addTextDisplayComponents(
+            new TextDisplayBuilder().setContent(
+                `**Restricted:**\n${restrictions.length ? restrictions.join('\n') : 'Nothing'}\n\n**DJ only:** ${djOnly}`
+            )
+        );
+
+        container.addSeparatorComponents(new SeparatorBuilder().setDivider(true));
+        container.addTextDisplayComponents(
+            new TextDisplayBuilder().setContent('-# Members with Manage Server can always use every control')
+        );
+
+        return container;
+    }
+}
@@ -0,0 +1,316 @@
+import Command from "../../structures/Command.js";
+import { ContainerBuilder, TextDisplayBuilder, SeparatorBuilder, ActionRowBuilder, StringSelectMenuBuilder, ChannelSelectMenuBuilder, ButtonBuilder, ButtonStyle, ModalBuilder, TextInputBuilder, TextInputStyle, ChannelType, PermissionFlagsBits, MessageFlags } from "discord.js";
+import { getGuildSettings, updateGuildSettings, resetGuildSettings, resolveDefaultVolume, formatDelay, SEARCH_SOURCES, NOW_PLAYING_STYLES, LANGUAGES } from "../../managers/GuildSettings.js";
+import emojis from '../../emojis.js';
+
+export default class Settings extends Command {
+    constructor(client) {
+        super(client, {
+            name: 'settings',
+            description: {
+                content: 'Change the volume, auto-leave, announce channel, search source, now playing style and language of the bot in this server',
+                usage: '',
+                examples: ['settings'],
+            },
+            aliases: ['serversettings'],
+            category: 'config',
+            cooldown: 3,
+            args: false,
+            permissions: {
+                dev: false,
+                client: ['SendMessages', 'ViewChannel', 'EmbedLinks'],
+                user: ['ManageGuild'],
+            },
+            slashCommand: true,
+            options: [],
+        });
+    }
+
+    _buildContainer(title, message) {
+        const container = new ContainerBuilder();
+        container.addTextDisplayComponents(
+            new TextDisplayBuilder().setContent(`### ${title}\n${message}`)
+        );
+        return container;
+    }
+
+    async run(ctx) {
+        const state = { settings: await getGuildSettings(ctx.guild.id) };
+
+        const message = await ctx.sendMessage({
+            components: [this._buildPanel(state.settings)],
+            flags: MessageFlags.IsComponentsV2
+        });
+
+        if (!message) return;
+
+        const collector = message.createMessageComponentCollector({
+            filter: (i) => i.customId.startsWith('settings_') && i.user.id === ctx.author.id,
+            time: 300000, // 5 minutes
+        });
+
+        collector.on('collect', async (interaction) => {
+            try {
+                await this._handleComponent(interaction, state);
+            } catch (error) {
+                this.client.logger.error(`[Settings] Component error: ${error.message}`);
+                if (!interaction.replied && !interaction.deferred) {
+                    await interaction.reply({ content: `\`${emojis.status.error}\` An error occurred!`, ephemeral: true });
+                }
+            }
+        });
+
+        collector.on('end', async () => {
+            try {
+                await message.edit({
+                    components: [this._buildPanel(state.settings, true)],
+                    flags: MessageFlags.IsComponentsV2
+                });
+            } catch (error) {
+                // Message may be deleted
+            }
+        });
+    }
+
+    /**
+     * @private
+     */
+    async _handleComponent(interaction, state) {
+        const guildId = interaction.guild.id;
+
+        switch (interaction.customId) {
+            case 'settings_announce': {
+                const channel = interaction.channels.first() || null;
+                const permissions = channel?.permissionsFor(interaction.guild.members.me);
+
+                if (channel && !permissions?.has([PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages])) {
+                    return interaction.reply({
+                        components: [this._buildContainer(`${emojis.status.error} Error`, `I can't send messages in ${channel}!`)],
+                        flags: MessageFlags.IsComponentsV2,
+                        ephemeral: true
+                    });
+                }
+
+                return this._update(interaction, state, { announceChannelId: channel?.id || null });
+            }
+
+            case 'settings_source': {
+                const source = interaction.values[0];
+                return this._update(interaction, state, { searchSource: SEARCH_SOURCES[source] ? source : null });
+            }
+
+            case 'settings_style':
+                return this._update(interaction, state, { nowPlayingStyle: interaction.values[0] });
+
+            case 'settings_language': {
+                const language = interaction.values[0];
+                return this._update(interaction, state, { language: LANGUAGES[language] ? language : null });
+            }
+
+            case 'settings_delete':
+                return this._update(interaction, state, { deleteNowPlaying: !state.settings.deleteNowPlaying });
+
+            case 'settings_numbers':
+                return this._editNumbers(interaction, state);
+
+            case 'settings_reset':
+                state.settings = await resetGuildSettings(guildId);
+                return interaction.update({ components: [this._buildPanel(state.settings)], flags: MessageFlags.IsComponentsV2 });
+        }
+    }
+
+    /**
+     * Save changes and show them on the panel
+     * @private
+     */
+    async _update(interaction, state, changes) {
+        state.settings = await updateGuildSettings(interaction.guild.id, changes);
+        return interaction.update({ components: [this._buildPanel(state.settings)], flags: MessageFlags.IsComponentsV2 });
+    }
+
+    /**
+     * Edit the default volume, max volume and auto-leave delay in a modal
+     * @private
+     */
+    async _editNumbers(interaction, state) {
+        const { settings } = state;
+        const modalId = `settings_numbers_${interaction.id}`;
+
+        const input = (id, label, value) => {
+            const textInput = new TextInputBuilder()
+                .setCustomId(id)
+                .setLabel(label)
+                .setStyle(TextInputStyle.Short)
+                .setRequired(false)
+                .setMaxLength(4);
+            if (value !== null) textInput.setValue(String(value));
+            return new ActionRowBuilder().addComponents(textInput);
+        };
+
+        const modal = new ModalBuilder()
+            .setCustomId(modalId)
+            .setTitle('Volume & Auto-leave')
+            .addComponents(
+                input('default_volume', 'Default volume (0-150, empty = bot default)', settings.defaultVolume),
+                input('max_volume', 'Max volume (1-150)', settings.maxVolume),
+                input('auto_leave', 'Auto-leave delay in seconds (0-3600)', Math.round(settings.autoLeaveDelay / 1000)),
+            );
+
+        await interaction.showModal(modal);
+
+        const submit = await interaction.awaitModalSubmit({
+            filter: (i) => i.customId === modalId && i.user.id === interaction.user.id,
+            time: 120000,
+        }).catch(() => null);
+
+        // Closed without saving
+        if (!submit) return;
+
+        const defaultVolume = this._parseNumber(submit.fields.getTextInputValue('default_volume'), 0, 150);
+        const maxVolume = this._parseNumber(submit.fields.getTextInputValue('max_volume'), 1, 150) ?? 150;
+        const autoLeave = this._parseNumber(submit.fields.getTextInputValue('auto_leave'), 0, 3600) ?? 30;
+
+        let error = null;
+        if ([defaultVolume, maxVolume, autoLeave].some(Number.isNaN)) {
+            error = 'Volumes must be numbers from 0 to 150, and the auto-leave delay from 0 to 3600 seconds.';
+        } else if (defaultVolume !== null && defaultVolume > maxVolume) {
+            error = 'The default volume can\'t be higher than the max volume.';
+        }
+
+        if (error) {
+            return submit.reply({
+                components: [this._buildContainer(`${emojis.status.error} Error`, error)],
+                flags: MessageFlags.IsComponentsV2,
+                ephemeral: true
+            });
+        }
+
+        state.settings = await updateGuildSettings(interaction.guild.id, {
+            defaultVolume,
+            maxVolume,
+            autoLeaveDelay: autoLeave * 1000,
+        });
+
+        return submit.update({ components: [this._buildPanel(state.settings)], flags: MessageFlags.IsComponentsV2 });
+    }
+
+    /**
+     * Whole number in a range, null when empty, NaN when invalid
+     * @private
+     */
+    _parseNumber(value, min, max) {
+        if (!value.trim()) return null;
+
+        const number = Number(value.trim());
+        return Number.isInteger(number) && number >= min && number <= max ? number : NaN;
+    }
+
+    /**
+     * @private
+     */
+    _buildPanel(settings, disabled = false) {
+        const container = new ContainerBuilder();
+        const config = this.client.config;
+
+        const volume = settings.defaultVolume === null
+            ? `${resolveDefaultVolume(settings, config)}% (bot default)`
+            : `${settings.defaultVolume}%`;
+        const autoLeave = settings.autoLeaveDelay ? `After ${formatDelay(settings.autoLeaveDelay)}` : 'Right away';
+        const announce = settings.announceChannelId ? `<#${settings.announceChannelId}>` : 'The channel music is started from';
+        const source = SEARCH_SOURCES[settings.searchSource] || `Bot default (${config.lavalink?.defaultSearchPlatform || 'youtube'})`;
+        const language = LANGUAGES[settings.language] || 'Each member\'s Discord language';
+
+        container.addTextDisplayComponents(
+            new TextDisplayBuilder().setContent(
+                `### ${emojis.misc.settings} Server Settings\n` +
+                `**Default volume:** ${volume}\n` +
+                `**Max volume:** ${settings.maxVolume}%\n` +
+                `**Auto-leave:** ${autoLeave}\n` +
+                `**Announce channel:** ${announce}\n` +
+                `**Search source:** ${source}\n` +
+                `**Now playing:** ${NOW_PLAYING_STYLES[settings.nowPlayingStyle]}, ${settings.deleteNowPlaying ? 'deleted' : 'kept'} when the track ends\n` +
+                `**Language:** ${language}`
+            )
+        );
+        container.addSeparatorComponents(new SeparatorBuilder().setDivider(true));
+
+        const announceMenu = new ChannelSelectMenuBuilder()
+            .setCustomId('settings_announce')
+            .setPlaceholder('Announce channel (none = where music is started)')
+            .setChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+            .setMinValues(0)
+            .setMaxValues(1)
+            .setDisabled(disabled);
+        if (settings.announceChannelId) {
+            announceMenu.setDefaultChannels(settings.announceChannelId);
+        }
+
+        const sourceMenu = new StringSelectMenuBuilder()
+            .setCustomId('settings_source')
+            .setPlaceholder('Search source')
+            .setDisabled(disabled)
+            .addOptions(
+                { label: 'Bot default', value: 'default', default: !settings.searchSource },
+                ...Object.entries(SEARCH_SOURCES).map(([value, label]) => ({
+                    label: `Search ${label}`,
+                    value,
+                    default: settings.searchSource === value,
+                })),
+            );
+
+        const styleMenu = new StringSelectMenuBuilder()
+            .setCustomId('settings_style')
+            .setPlaceholder('Now playing style')
+            .setDisabled(disabled)
+            .addOptions(Object.entries(NOW_PLAYING_STYLES).map(([value, description]) => {
+                const [label, detail] = description.split(' - ');
+                return { label: `${label} now playing`, description: detail, value, default: settings.nowPlayingStyle === value };
+            }));
+
+        const languageMenu = new StringSelectMenuBuilder()
+            .setCustomId('settings_language')
+            .setPlaceholder('Language')
+            .setDisabled(disabled)
+            .addOptions(
+                { label: 'Each member\'s Discord language', value: 'auto', default: !settings.language },
+                ...Object.entries(LANGUAGES).map(([value, label]) => ({
+                    label,
+                    value,
+                    default: settings.language === value,
+                })),
+            );
+
+        container.addActionRowComponents(new ActionRowBuilder().addComponents(announceMenu));
+        container.addActionRowComponents(new ActionRowBuilder().addComponents(sourceMenu));
+        container.addActionRowComponents(new ActionRowBuilder().addComponents(styleMenu));
+        container.addActionRowComponents(new ActionRowBuilder().addComponents(languageMenu));
+        container.addActionRowComponents(
+            new ActionRowBuilder().addComponents(
+                new ButtonBuilder()
+                    .setCustomId('settings_numbers')
+                    .setLabel('Volume & Auto-leave')
+                    .setEmoji(emojis.player.volume)
+                    .setStyle(ButtonStyle.Primary)
+                    .setDisabled(disabled),
+                new ButtonBuilder()
+                    .setCustomId('settings_delete')
+                    .setLabel(settings.deleteNowPlaying ? 'Keep Old Now Playing' : 'Delete Old Now Playing')
+                    .setEmoji(emojis.misc.trash)
+                    .setStyle(ButtonStyle.Secondary)
+                    .setDisabled(disabled),
+                new ButtonBuilder()
+                    .setCustomId('settings_reset')
+                    .setLabel('Reset')
+                    .setStyle(ButtonStyle.Danger)
+                    .setDisabled(disabled),
+            )
+        );
+
+        container.addSeparatorComponents(new SeparatorBuilder().setDivider(true));
+        container.addTextDisplayComponents(
+            new TextDisplayBuilder().setContent('-# The default volume and announce channel apply to the next player, now playing changes to the next track')
+        );
+
+        return container;
+    }
+}
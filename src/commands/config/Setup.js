@@ -0,0 +1,136 @@
+import Command from "../../structures/Command.js";
+import { ContainerBuilder, TextDisplayBuilder, MessageFlags, ApplicationCommandOptionType, ChannelType, PermissionFlagsBits } from "discord.js";
+import { getGuildSettings } from "../../managers/GuildSettings.js";
+import emojis from '../../emojis.js';
+
+/**
+ * Permissions the bot needs in the request channel (reading requests, deleting them, the panel)
+ */
+const CHANNEL_PERMISSIONS = [
+    PermissionFlagsBits.ViewChannel,
+    PermissionFlagsBits.SendMessages,
+    PermissionFlagsBits.ManageMessages,
+    PermissionFlagsBits.ReadMessageHistory,
+];
+
+export default class Setup extends Command {
+    constructor(client) {
+        super(client, {
+            name: 'setup',
+            description: {
+                content: 'Set up a song request channel: every message sent in it is played, and a player panel shows what\'s playing',
+                usage: '[#channel | off]',
+                examples: ['setup', 'setup #music', 'setup off'],
+            },
+            aliases: ['requestchannel'],
+            category: 'config',
+            cooldown: 5,
+            args: false,
+            permissions: {
+                dev: false,
+                client: ['SendMessages', 'ViewChannel', 'EmbedLinks'],
+                user: ['ManageGuild'],
+            },
+            slashCommand: true,
+            options: [
+                {
+                    name: 'channel',
+                    description: 'Existing channel to use (a new one is created when empty)',
+                    type: ApplicationCommandOptionType.Channel,
+                    channel_types: [ChannelType.GuildText],
+                    required: false,
+                },
+                {
+                    name: 'remove',
+                    description: 'Turn the song request channel back into a normal channel',
+                    type: ApplicationCommandOptionType.Boolean,
+                    required: false,
+                },
+            ],
+        });
+    }
+
+    _buildContainer(title, message) {
+        const container = new ContainerBuilder();
+        container.addTextDisplayComponents(
+            new TextDisplayBuilder().setContent(`### ${title}\n${message}`)
+        );
+        return container;
+    }
+
+    async run(ctx, args) {
+        let channel, remove;
+
+        if (ctx.isInteraction) {
+            channel = ctx.interaction.options.getChannel('channel');
+            remove = ctx.interaction.options.getBoolean('remove') || false;
+        } else {
+            remove = ['off', 'remove', 'disable'].includes(args[0]?.toLowerCase());
+            channel = !remove && args[0]
+                ? ctx.message.mentions.channels.first() || ctx.guild.channels.cache.get(args[0])
+                : null;
+
+            if (args[0] && !remove && channel?.type !== ChannelType.GuildText) {
+                return ctx.sendMessage({
+                    components: [this._buildContainer(`${emojis.status.error} Error`, `Usage: \`setup ${this.description.usage}\``)],
+                    flags: MessageFlags.IsComponentsV2
+                });
+            }
+        }
+
+        if (remove) {
+            const { requestChannelId } = await getGuildSettings(ctx.guild.id);
+            if (!requestChannelId) {
+                return ctx.sendMessage({
+                    components: [this._buildContainer(`${emojis.status.error} Error`, 'This server has no song request channel.')],
+                    flags: MessageFlags.IsComponentsV2
+                });
+            }
+
+            await this.client.requestChannel.remove(ctx.guild.id);
+            return ctx.sendMessage({
+                components: [this._buildContainer(`${emojis.status.success} Song Requests Removed`, `<#${requestChannelId}> is a normal channel again.`)],
+                flags: MessageFlags.IsComponentsV2
+            });
+        }
+
+        if (!channel) {
+            if (!ctx.guild.members.me.permissions.has(PermissionFlagsBits.ManageChannels)) {
+                return ctx.sendMessage({
+                    components: [this._buildContainer(`${emojis.status.error} Error`, 'I need the **Manage Channels** permission to create the channel. You can also pick an existing one.')],
+                    flags: MessageFlags.IsComponentsV2
+                });
+            }
+
+            channel = await ctx.guild.channels.create({
+                name: 'song-requests',
+                type: ChannelType.GuildText,
+                topic: 'Send a song name or link to play it',
+                reason: `Song request channel set up by ${ctx.author.tag}`,
+            });
+        }
+
+        if (!channel.permissionsFor(ctx.guild.members.me).has(CHANNEL_PERMISSIONS)) {
+            return ctx.sendMessage({
+                components: [this._buildContainer(`${emojis.status.error} Error`, `I need the **View Channel**, **Send Messages**, **Manage Messages** and **Read Message History** permissions in ${channel}.`)],
+                flags: MessageFlags.IsComponentsV2
+            });
+        }
+
+        const panel = await this.client.requestChannel.setup(ctx.guild, channel);
+        if (!panel) {
+            return ctx.sendMessage({
+                components: [this._buildContainer(`${emojis.status.error} Error`, `Failed to post the player panel in ${channel}.`)],
+                flags: MessageFlags.IsComponentsV2
+            });
+        }
+
+        return ctx.sendMessage({
+            components: [this._buildContainer(
+                `${emojis.status.success} Song Requests Set Up`,
+                `Every message sent in ${channel} is now played, and the panel there shows what's playing.`
+            )],
+            flags: MessageFlags.IsComponentsV2
+        });
+    }
+}
@@ -0,0 +1,240 @@
+/**
+ * Bot Command
+ *
+ * Manage the bots in the cluster at runtime without restarting the others:
+ * start a bot from config, drain it, or shut it down.
+ * Developer only command.
+ */
+
+import { ApplicationCommandOptionType, PermissionFlagsBits, ContainerBuilder, TextDisplayBuilder, SeparatorBuilder, MessageFlags } from 'discord.js';
+import Command from '../../structures/Command.js';
+import emojis from '../../emojis.js';
+
+const ACTIONS = ['add', 'drain', 'undrain', 'remove'];
+
+export default class Bot extends Command {
+    constructor(client, file) {
+        super(client, {
+            name: 'bot',
+            description: {
+                content: 'Add, drain or remove bots in the running cluster',
+                usage: 'bot <add|drain|undrain|remove> <bot-id> [force]',
+                examples: ['bot add bot-4', 'bot drain bot-2', 'bot undrain bot-2', 'bot remove bot-3 force'],
+            },
+            category: 'dev',
+            aliases: ['botctl'],
+            cooldown: 10,
+            args: true,
+            permissions: {
+                dev: true,
+                client: [PermissionFlagsBits.SendMessages, PermissionFlagsBits.EmbedLinks],
+                user: [],
+            },
+            slashCommand: true,
+            options: [
+                {
+                    name: 'add',
+                    description: 'Start a bot from the configuration (.env is re-read)',
+                    type: ApplicationCommandOptionType.Subcommand,
+                    options: [
+                        {
+                            name: 'bot',
+                            description: 'Bot ID to start (e.g., bot-4)',
+                            type: ApplicationCommandOptionType.String,
+                            required: true,
+                            autocomplete: true,
+                        },
+                    ],
+                },
+                {
+                    name: 'drain',
+                    description: 'Stop assigning new guilds to a bot, letting current sessions finish',
+                    type: ApplicationCommandOptionType.Subcommand,
+                    options: [
+                        {
+                            name: 'bot',
+                            description: 'Bot ID to drain',
+                            type: ApplicationCommandOptionType.String,
+                            required: true,
+                            autocomplete: true,
+                        },
+                    ],
+                },
+                {
+                    name: 'undrain',
+                    description: 'Let a draining bot take new guilds again',
+                    type: ApplicationCommandOptionType.Subcommand,
+                    options: [
+                        {
+                            name: 'bot',
+                            description: 'Bot ID to undrain',
+                            type: ApplicationCommandOptionType.String,
+                            required: true,
+                            autocomplete: true,
+                        },
+                    ],
+                },
+                {
+                    name: 'remove',
+                    description: 'Shut a bot down and remove it from the cluster',
+                    type: ApplicationCommandOptionType.Subcommand,
+                    options: [
+                        {
+                            name: 'bot',
+                            description: 'Bot ID to remove',
+                            type: ApplicationCommandOptionType.String,
+                            required: true,
+                            autocomplete: true,
+                        },
+                        {
+                            name: 'force',
+                            description: 'Remove even if the bot still has active players',
+                            type: ApplicationCommandOptionType.Boolean,
+                            required: false,
+                        },
+                    ],
+                },
+            ],
+        });
+
+        this.file = file;
+    }
+
+    _buildContainer(title, message) {
+        const container = new ContainerBuilder();
+        container.addTextDisplayComponents(
+            new TextDisplayBuilder().setContent(`### ${title}\n${message}`)
+        );
+        return container;
+    }
+
+    async run(ctx, args) {
+        const action = ctx.isInteraction
+            ? ctx.interaction.options.getSubcommand()
+            : args[0]?.toLowerCase();
+
+        const botId = ctx.isInteraction
+            ? ctx.interaction.options.getString('bot')
+            : args[1];
+
+        const force = ctx.isInteraction
+            ? ctx.interaction.options.getBoolean('force') || false
+            : args[2]?.toLowerCase() === 'force';
+
+        if (!ACTIONS.includes(action) || !botId) {
+            return ctx.sendMessage({
+                components: [this._buildContainer(`${emojis.status.error} Invalid Usage`, `Usage: \`${this.description.usage}\`\n\n**Cluster Bots:**\n${this._listBots(await this._getBots())}`)],
+                flags: MessageFlags.IsComponentsV2
+            });
+        }
+
+        const orchestrator = global.orchestrator;
+
+        // Starting or stopping a bot can take a while
+        await ctx.sendDeferMessage({ content: `\`${emojis.status.loading}\` Updating cluster...` });
+
+        try {
+            let result;
+            switch (action) {
+                case 'add':
+                    result = await orchestrator.addBot(botId);
+                    break;
+                case 'drain':
+                    result = await orchestrator.drainBot(botId, true);
+                    break;
+                case 'undrain':
+                    result = await orchestrator.drainBot(botId, false);
+                    break;
+                case 'remove':
+                    result = await orchestrator.removeBot(botId, force);
+                    break;
+            }
+
+            const title = result.success
+                ? `${emojis.status.success} Cluster Updated`
+                : `${emojis.status.error} Action Failed`;
+
+            const container = this._buildContainer(title, result.message);
+            container.addSeparatorComponents(new SeparatorBuilder().setDivider(true));
+            container.addTextDisplayComponents(
+                new TextDisplayBuilder().setContent(`**${emojis.misc.bot} Cluster Bots**\n${this._listBots(await this._getBots())}`)
+            );
+            container.addSeparatorComponents(new SeparatorBuilder().setDivider(true));
+            container.addTextDisplayComponents(
+                new TextDisplayBuilder().setContent(`-# Requested by ${ctx.author.tag}`)
+            );
+
+            return ctx.editMessage({
+                content: null,
+                components: [container],
+                flags: MessageFlags.IsComponentsV2
+            });
+        } catch (error) {
+            this.client.logger.error(`[Bot] Error: ${error.message}`);
+
+            return ctx.editMessage({
+                content: null,
+                components: [this._buildContainer(`${emojis.status.error} Error`, `An error occurred while updating the cluster.\n\`\`\`${error.message}\`\`\``)],
+                flags: MessageFlags.IsComponentsV2
+            });
+        }
+    }
+
+    /**
+     * Get status snapshots of all bots in the cluster
+     * @private
+     */
+    async _getBots() {
+        try {
+            return await global.orchestrator?.getClusterStatus?.() || [];
+        } catch (error) {
+            this.client.logger.error(`[Bot] Failed to get cluster status: ${error.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * List cluster bots with their state
+     * @private
+     */
+    _listBots(bots) {
+        const lines = [];
+        for (const bot of bots) {
+            const status = bot.online ? emojis.status.success : emojis.status.error;
+            const main = bot.isMain ? ' (Main)' : '';
+            const draining = bot.draining ? ' `[DRAINING]`' : '';
+            lines.push(`${status} \`${bot.id}\` - ${bot.name}${main}${draining} | Players: ${bot.players || 0}`);
+        }
+        return lines.join('\n') || 'No bots running';
+    }
+
+    /**
+     * Handle autocomplete for bot selection
+     * "add" suggests configured bots that are not running, the rest suggest running bots
+     */
+    async autocomplete(interaction) {
+        const focusedValue = interaction.options.getFocused().toLowerCase();
+        const running = await this._getBots();
+
+        const choices = [];
+        if (interaction.options.getSubcommand() === 'add') {
+            for (const bot of this.client.config.bots) {
+                if (running.some(status => status.id === bot.id)) continue;
+                choices.push({ name: `${bot.name} - ${bot.id}`, value: bot.id });
+            }
+        } else {
+            for (const bot of running) {
+                const status = bot.online ? '🟢' : '🔴';
+                const draining = bot.draining ? ' [draining]' : '';
+                choices.push({ name: `${status} ${bot.name}${draining} - ${bot.id}`, value: bot.id });
+            }
+        }
+
+        const filtered = choices.filter(choice =>
+            choice.name.toLowerCase().includes(focusedValue) ||
+            choice.value.toLowerCase().includes(focusedValue)
+        );
+
+        await interaction.respond(filtered.slice(0, 25));
+    }
+}
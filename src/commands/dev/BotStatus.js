@@ -69,6 +69,7 @@ export default class BotStatusCommand extends Command {
 
                 const statusEmoji = this._getStatusEmoji(bot.status, isOnline);
                 const mainTag = bot.isMain ? ' `[MAIN]`' : '';
+                const drainingTag = bot.draining ? ' `[DRAINING]`' : '';
                 const lavalinkStatus = bot.lavalinkConnected ? '✓' : '✗';
 
                 const uptimeStr = this._formatUptime(bot.uptime);
@@ -76,7 +77,7 @@ export default class BotStatusCommand extends Command {
 
                 container.addTextDisplayComponents(
                     new TextDisplayBuilder().setContent(
-                        `### ${statusEmoji} ${bot.name}${mainTag}\n` +
+                        `### ${statusEmoji} ${bot.name}${mainTag}${drainingTag}\n` +
                         `**Status:** ${bot.status}\n` +
                         `**Players:** ${bot.playerCount || 0} | **Guilds:** ${bot.guildCount || 0}\n` +
                         `**Lavalink:** ${lavalinkStatus} | **Ping:** ${bot.ping || 0}ms\n` +
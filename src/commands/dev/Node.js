@@ -0,0 +1,397 @@
+/**
+ * Node Command
+ *
+ * Manage the cluster's Lavalink nodes at runtime: add, remove, disable
+ * and list them. Changes are stored and applied to every bot's Lavalink
+ * manager without a restart.
+ * Developer only command.
+ */
+
+import { ApplicationCommandOptionType, PermissionFlagsBits, ContainerBuilder, TextDisplayBuilder, SeparatorBuilder, MessageFlags } from 'discord.js';
+import Command from '../../structures/Command.js';
+import LavalinkNode from '../../schemas/LavalinkNode.js';
+import emojis from '../../emojis.js';
+
+const ACTIONS = ['add', 'remove', 'disable', 'enable', 'list'];
+
+const NODE_ID_PATTERN = /^[\w-]{1,32}$/;
+
+export default class Node extends Command {
+    constructor(client, file) {
+        super(client, {
+            name: 'node',
+            description: {
+                content: 'Add, remove, disable or list Lavalink nodes on every bot',
+                usage: 'node <add|remove|disable|enable|list> [node-id] [host] [port] [password] [secure]',
+                examples: ['node list', 'node add node-3 lavalink.example.com 443 youshallnotpass true', 'node disable node-1', 'node remove node-3'],
+            },
+            category: 'dev',
+            aliases: ['nodes', 'lavalink'],
+            cooldown: 5,
+            args: true,
+            permissions: {
+                dev: true,
+                client: [PermissionFlagsBits.SendMessages, PermissionFlagsBits.EmbedLinks],
+                user: [],
+            },
+            slashCommand: true,
+            options: [
+                {
+                    name: 'add',
+                    description: 'Add a Lavalink node, or update an existing one',
+                    type: ApplicationCommandOptionType.Subcommand,
+                    options: [
+                        {
+                            name: 'id',
+                            description: 'Node ID (e.g., node-3)',
+                            type: ApplicationCommandOptionType.String,
+                            required: true,
+                        },
+                        {
+                            name: 'host',
+                            description: 'Node host',
+                            type: ApplicationCommandOptionType.String,
+                            required: true,
+                        },
+                        {
+                            name: 'port',
+                            description: 'Node port (default 2333)',
+                            type: ApplicationCommandOptionType.Integer,
+                            required: false,
+                            min_value: 1,
+                            max_value: 65535,
+                        },
+                        {
+                            name: 'password',
+                            description: 'Node password (default youshallnotpass)',
+                            type: ApplicationCommandOptionType.String,
+                            required: false,
+                        },
+                        {
+                            name: 'secure',
+                            description: 'Connect over SSL',
+                            type: ApplicationCommandOptionType.Boolean,
+                            required: false,
+                        },
+                    ],
+                },
+                {
+                    name: 'remove',
+                    description: 'Remove a node, moving its players to the other nodes',
+                    type: ApplicationCommandOptionType.Subcommand,
+                    options: [
+                        {
+                            name: 'node',
+                            description: 'Node ID to remove',
+                            type: ApplicationCommandOptionType.String,
+                            required: true,
+                            autocomplete: true,
+                        },
+                    ],
+                },
+                {
+                    name: 'disable',
+                    description: 'Stop using a node but keep it in the list',
+                    type: ApplicationCommandOptionType.Subcommand,
+                    options: [
+                        {
+                            name: 'node',
+                            description: 'Node ID to disable',
+                            type: ApplicationCommandOptionType.String,
+                            required: true,
+                            autocomplete: true,
+                        },
+                    ],
+                },
+                {
+                    name: 'enable',
+                    description: 'Use a disabled node again',
+                    type: ApplicationCommandOptionType.Subcommand,
+                    options: [
+                        {
+                            name: 'node',
+                            description: 'Node ID to enable',
+                            type: ApplicationCommandOptionType.String,
+                            required: true,
+                            autocomplete: true,
+                        },
+                    ],
+                },
+                {
+                    name: 'list',
+                    description: 'List nodes with their players, stats and uptime',
+                    type: ApplicationCommandOptionType.Subcommand,
+                },
+            ],
+        });
+
+        this.file = file;
+    }
+
+    _buildContainer(title, message) {
+        const container = new ContainerBuilder();
+        container.addTextDisplayComponents(
+            new TextDisplayBuilder().setContent(`### ${title}\n${message}`)
+        );
+        return container;
+    }
+
+    async run(ctx, args) {
+        const action = ctx.isInteraction
+            ? ctx.interaction.options.getSubcommand()
+            : args[0]?.toLowerCase();
+
+        const nodeId = ctx.isInteraction
+            ? ctx.interaction.options.getString('id') || ctx.interaction.options.getString('node')
+            : args[1];
+
+        if (!ACTIONS.includes(action) || (action !== 'list' && !nodeId)) {
+            return ctx.sendMessage({
+                components: [this._buildContainer(`${emojis.status.error} Invalid Usage`, `Usage: \`${this.description.usage}\``)],
+                flags: MessageFlags.IsComponentsV2
+            });
+        }
+
+        // Applying a change waits on every bot, which may move players first
+        await ctx.sendDeferMessage({ content: `\`${emojis.status.loading}\` ${action === 'list' ? 'Gathering node statistics' : 'Updating Lavalink nodes'}...` });
+
+        try {
+            let result = null;
+            switch (action) {
+                case 'add':
+                    result = await this._add(ctx, args, nodeId);
+                    break;
+                case 'remove':
+                    result = await this._remove(ctx, nodeId);
+                    break;
+                case 'disable':
+                    result = await this._setDisabled(ctx, nodeId, true);
+                    break;
+                case 'enable':
+                    result = await this._setDisabled(ctx, nodeId, false);
+                    break;
+            }
+
+            const container = result
+                ? this._buildContainer(result.success ? `${emojis.status.success} Nodes Updated` : `${emojis.status.error} Action Failed`, result.message)
+                : this._buildContainer(`${emojis.misc.server} Lavalink Nodes`, '');
+
+            if (!result || result.success) {
+                container.addSeparatorComponents(new SeparatorBuilder().setDivider(true));
+                container.addTextDisplayComponents(
+                    new TextDisplayBuilder().setContent(await this._listNodes())
+                );
+            }
+
+            container.addSeparatorComponents(new SeparatorBuilder().setDivider(true));
+            container.addTextDisplayComponents(
+                new TextDisplayBuilder().setContent(`-# Requested by ${ctx.author.tag}`)
+            );
+
+            return ctx.editMessage({
+                content: null,
+                components: [container],
+                flags: MessageFlags.IsComponentsV2
+            });
+        } catch (error) {
+            this.client.logger.error(`[Node] Error: ${error.message}`);
+
+            return ctx.editMessage({
+                content: null,
+                components: [this._buildContainer(`${emojis.status.error} Error`, `An error occurred while updating the nodes.\n\`\`\`${error.message}\`\`\``)],
+                flags: MessageFlags.IsComponentsV2
+            });
+        }
+    }
+
+    /**
+     * Add or update a node
+     * @private
+     */
+    async _add(ctx, args, nodeId) {
+        const host = ctx.isInteraction ? ctx.interaction.options.getString('host') : args[2];
+        const port = ctx.isInteraction ? ctx.interaction.options.getInteger('port') : parseInt(args[3], 10);
+        const password = ctx.isInteraction ? ctx.interaction.options.getString('password') : args[4];
+        const secure = ctx.isInteraction
+            ? ctx.interaction.options.getBoolean('secure') || false
+            : args[5]?.toLowerCase() === 'true';
+
+        if (!NODE_ID_PATTERN.test(nodeId)) {
+            return { success: false, message: 'Node IDs may only contain letters, numbers, `-` and `_` (up to 32 characters)' };
+        }
+
+        if (!host) {
+            return { success: false, message: `Usage: \`node add <node-id> <host> [port] [password] [secure]\`` };
+        }
+
+        if (port && (port < 1 || port > 65535)) {
+            return { success: false, message: 'Port must be between 1 and 65535' };
+        }
+
+        const existing = await LavalinkNode.findOne({ _id: nodeId, removed: false });
+
+        await LavalinkNode.addNode(nodeId, {
+            host,
+            port: port || 2333,
+            authorization: password || 'youshallnotpass',
+            secure,
+        }, ctx.author.id);
+
+        return this._apply(`${existing ? 'Updated' : 'Added'} node \`${nodeId}\` (\`${host}:${port || 2333}\`)`);
+    }
+
+    /**
+     * Remove a node from the list
+     * @private
+     */
+    async _remove(ctx, nodeId) {
+        const node = await LavalinkNode.findOne({ _id: nodeId, removed: false });
+        if (!node) {
+            return { success: false, message: `Node \`${nodeId}\` not found` };
+        }
+
+        if (!node.disabled && await this._isLastEnabled(nodeId)) {
+            return { success: false, message: `\`${nodeId}\` is the last enabled node. Add another node first` };
+        }
+
+        await LavalinkNode.removeNode(nodeId, ctx.author.id);
+        return this._apply(`Removed node \`${nodeId}\``);
+    }
+
+    /**
+     * Disable or re-enable a node
+     * @private
+     */
+    async _setDisabled(ctx, nodeId, disabled) {
+        const node = await LavalinkNode.findOne({ _id: nodeId, removed: false });
+        if (!node) {
+            return { success: false, message: `Node \`${nodeId}\` not found` };
+        }
+
+        if (node.disabled === disabled) {
+            return { success: false, message: `Node \`${nodeId}\` is already ${disabled ? 'disabled' : 'enabled'}` };
+        }
+
+        if (disabled && await this._isLastEnabled(nodeId)) {
+            return { success: false, message: `\`${nodeId}\` is the last enabled node. Add or enable another node first` };
+        }
+
+        await LavalinkNode.setDisabled(nodeId, disabled, ctx.author.id);
+        return this._apply(`${disabled ? 'Disabled' : 'Enabled'} node \`${nodeId}\``);
+    }
+
+    /**
+     * Whether a node is the only enabled one
+     * @private
+     */
+    async _isLastEnabled(nodeId) {
+        const enabled = await LavalinkNode.findEnabled();
+        return enabled.length === 1 && enabled[0]._id === nodeId;
+    }
+
+    /**
+     * Make every bot apply the stored node list
+     * @private
+     */
+    async _apply(message) {
+        const results = await global.orchestrator.syncLavalinkNodes();
+        const left = results.reduce((count, result) => count + result.removed.length, 0);
+
+        const details = [`Applied on ${results.length} bot${results.length === 1 ? '' : 's'}`];
+        if (left > 0) {
+            details.push('players on the old node were moved to the remaining nodes');
+        }
+
+        return { success: true, message: `${message}\n-# ${details.join(', ')}` };
+    }
+
+    /**
+     * List the stored nodes with every bot's connection, players and node stats
+     * @private
+     */
+    async _listNodes() {
+        const [nodes, reports] = await Promise.all([
+            LavalinkNode.findListed(),
+            global.orchestrator.getLavalinkNodes().catch(() => []),
+        ]);
+
+        if (nodes.length === 0) {
+            return 'No Lavalink nodes stored';
+        }
+
+        const lines = [];
+        for (const node of nodes) {
+            const views = reports.flatMap(report => report.nodes.filter(view => view.id === node._id));
+            const connected = views.filter(view => view.connected).length;
+            const stats = views.find(view => view.stats)?.stats;
+            const clusterPlayers = views.reduce((count, view) => count + view.players, 0);
+            const source = node.source === 'env' ? ' (env)' : '';
+
+            let status;
+            if (node.disabled) {
+                status = emojis.status.warning;
+            } else if (connected > 0) {
+                status = emojis.status.success;
+            } else {
+                status = emojis.status.error;
+            }
+
+            lines.push(`${status} **${node._id}**${source} \`${node.host}:${node.port}\`${node.secure ? ' (SSL)' : ''}`);
+
+            if (node.disabled) {
+                lines.push('-# Disabled');
+                continue;
+            }
+
+            const details = [`Connected on ${connected}/${reports.length} bot(s)`, `Players: ${clusterPlayers}`];
+            if (stats) {
+                details.push(
+                    `Node Players: ${stats.players} (${stats.playingPlayers} playing)`,
+                    `CPU: ${(stats.cpu * 100).toFixed(1)}%`,
+                    `Memory: ${Math.round(stats.memoryUsed / 1024 / 1024)} MB`,
+                    `Uptime: ${this._formatUptime(stats.uptime)}`
+                );
+            }
+            lines.push(`-# ${details.join(' | ')}`);
+        }
+
+        return lines.join('\n');
+    }
+
+    _formatUptime(ms) {
+        if (!ms) return '0s';
+
+        const seconds = Math.floor(ms / 1000);
+        const minutes = Math.floor(seconds / 60);
+        const hours = Math.floor(minutes / 60);
+        const days = Math.floor(hours / 24);
+
+        if (days > 0) return `${days}d ${hours % 24}h ${minutes % 60}m`;
+        if (hours > 0) return `${hours}h ${minutes % 60}m ${seconds % 60}s`;
+        if (minutes > 0) return `${minutes}m ${seconds % 60}s`;
+        return `${seconds}s`;
+    }
+
+    /**
+     * Handle autocomplete for node selection
+     * "enable" suggests disabled nodes, the rest suggest every stored node
+     */
+    async autocomplete(interaction) {
+        const focusedValue = interaction.options.getFocused().toLowerCase();
+        const subcommand = interaction.options.getSubcommand();
+        const nodes = await LavalinkNode.findListed();
+
+        const choices = nodes
+            .filter(node => subcommand !== 'enable' || node.disabled)
+            .map(node => ({
+                name: `${node.disabled ? '[disabled] ' : ''}${node._id} - ${node.host}:${node.port}`,
+                value: node._id,
+            }))
+            .filter(choice =>
+                choice.name.toLowerCase().includes(focusedValue) ||
+                choice.value.toLowerCase().includes(focusedValue)
+            );
+
+        await interaction.respond(choices.slice(0, 25));
+    }
+}
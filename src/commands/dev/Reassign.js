@@ -2,17 +2,17 @@
  * Reassign Command
  * 
  * Allows bot owners to manually reassign a guild to a different bot.
+ * An active player is moved to the new bot along with its queue and settings.
  * Useful for load balancing or troubleshooting.
  */
 
 import { ApplicationCommandOptionType, PermissionFlagsBits, ContainerBuilder, TextDisplayBuilder, SeparatorBuilder, MessageFlags } from 'discord.js';
 import Command from '../../structures/Command.js';
-import { botCluster, loadBalancer } from '../../orchestrator.js';
 import emojis from '../../emojis.js';
 
 export default class Reassign extends Command {
     constructor(client, file) {
-        super(client, file, {
+        super(client, {
             name: 'reassign',
             description: {
                 content: 'Reassign a guild to a different bot in the cluster',
@@ -45,6 +45,7 @@ export default class Reassign extends Command {
                 },
             ],
         });
+        this.file = file;
     }
 
     _buildContainer(title, message) {
@@ -64,44 +65,65 @@ export default class Reassign extends Command {
             ? ctx.interaction.options.getString('guild') || ctx.guild.id
             : args[1] || ctx.guild.id;
 
+        // Bot snapshots come from the orchestrator (over IPC in worker mode)
+        const orchestrator = global.orchestrator;
+        const bots = await this._getBots();
+
         if (!targetBotId) {
             return ctx.sendMessage({
-                components: [this._buildContainer(`${emojis.status.error} Missing Argument`, `Please specify a target bot ID.\n\n**Available Bots:**\n${this._listBots()}`)],
+                components: [this._buildContainer(`${emojis.status.error} Missing Argument`, `Please specify a target bot ID.\n\n**Available Bots:**\n${this._listBots(bots)}`)],
                 flags: MessageFlags.IsComponentsV2
             });
         }
 
         // Validate bot exists
-        const targetClient = botCluster.get(targetBotId);
-        if (!targetClient) {
+        const targetBot = bots.find(bot => bot.id === targetBotId);
+        if (!targetBot) {
             return ctx.sendMessage({
-                components: [this._buildContainer(`${emojis.status.error} Bot Not Found`, `Bot \`${targetBotId}\` does not exist.\n\n**Available Bots:**\n${this._listBots()}`)],
+                components: [this._buildContainer(`${emojis.status.error} Bot Not Found`, `Bot \`${targetBotId}\` does not exist.\n\n**Available Bots:**\n${this._listBots(bots)}`)],
                 flags: MessageFlags.IsComponentsV2
             });
         }
 
         // Check if bot is online
-        if (!targetClient.isReady()) {
+        if (!targetBot.online) {
             return ctx.sendMessage({
-                components: [this._buildContainer(`${emojis.status.error} Bot Offline`, `Bot \`${targetBotId}\` (${targetClient.botName}) is currently offline.`)],
+                components: [this._buildContainer(`${emojis.status.error} Bot Offline`, `Bot \`${targetBotId}\` (${targetBot.name}) is currently offline.`)],
                 flags: MessageFlags.IsComponentsV2
             });
         }
 
         // Check if bot has Lavalink connected
-        if (!targetClient.lavalink?.nodeManager?.nodes?.size) {
+        if (!targetBot.lavalinkConnected) {
             return ctx.sendMessage({
-                components: [this._buildContainer(`${emojis.status.warning} Warning`, `Bot \`${targetBotId}\` (${targetClient.botName}) has no Lavalink connection.\nMusic features may not work.`)],
+                components: [this._buildContainer(`${emojis.status.warning} Warning`, `Bot \`${targetBotId}\` (${targetBot.name}) has no Lavalink connection.\nMusic features may not work.`)],
                 flags: MessageFlags.IsComponentsV2
             });
         }
 
+        // Moving a player can take a while
+        await ctx.sendDeferMessage({ content: `\`${emojis.status.loading}\` Reassigning guild...` });
+
         try {
-            // Perform reassignment
-            const result = await loadBalancer.forceAssign(guildId, targetBotId);
+            // Move a live player over first - this also reassigns the guild
+            const migration = await orchestrator.migratePlayer(guildId, targetBotId);
+
+            if (!migration.success) {
+                return ctx.editMessage({
+                    content: null,
+                    components: [this._buildContainer(`${emojis.status.error} Player Migration Failed`, `${migration.message}\nThe player was left on its current bot and the guild was not reassigned.`)],
+                    flags: MessageFlags.IsComponentsV2
+                });
+            }
+
+            // No player to move, just reassign
+            const result = migration.migrated
+                ? migration
+                : await orchestrator.forceAssign(guildId, targetBotId);
 
             if (!result.success) {
-                return ctx.sendMessage({
+                return ctx.editMessage({
+                    content: null,
                     components: [this._buildContainer(`${emojis.status.error} Reassignment Failed`, result.message)],
                     flags: MessageFlags.IsComponentsV2
                 });
@@ -116,7 +138,7 @@ export default class Reassign extends Command {
             container.addTextDisplayComponents(
                 new TextDisplayBuilder().setContent(
                     `**Guild:** \`${guildId}\`\n` +
-                    `**Assigned To:** ${targetClient.botName} (\`${targetBotId}\`)\n\n` +
+                    `**Assigned To:** ${targetBot.name} (\`${targetBotId}\`)\n\n` +
                     `${emojis.status.info} The guild will now use this bot for music commands.`
                 )
             );
@@ -124,22 +146,23 @@ export default class Reassign extends Command {
             container.addTextDisplayComponents(
                 new TextDisplayBuilder().setContent(
                     `**${emojis.misc.bot} Target Bot Status**\n` +
-                    `**Status:** ${targetClient.isReady() ? `${emojis.status.success} Online` : `${emojis.status.error} Offline`}\n` +
-                    `**Players:** ${targetClient.lavalink?.players?.size || 0}\n` +
-                    `**Lavalink:** ${targetClient.lavalink?.nodeManager?.nodes?.size ? `${emojis.status.check} Connected` : `${emojis.status.error} Disconnected`}`
+                    `**Status:** ${targetBot.online ? `${emojis.status.success} Online` : `${emojis.status.error} Offline`}\n` +
+                    `**Players:** ${targetBot.players || 0}\n` +
+                    `**Lavalink:** ${targetBot.lavalinkConnected ? `${emojis.status.check} Connected` : `${emojis.status.error} Disconnected`}`
                 )
             );
 
-            // Note about active player
-            const currentPlayer = this.client.lavalink?.getPlayer(guildId);
-            if (currentPlayer) {
+            // Note about the moved player
+            if (migration.migrated) {
                 container.addSeparatorComponents(new SeparatorBuilder().setDivider(true));
                 container.addTextDisplayComponents(
                     new TextDisplayBuilder().setContent(
-                        `**${emojis.status.warning} Active Player**\n` +
-                        `There's an active player in this guild.\n` +
-                        `The player will continue on the current bot until stopped.\n` +
-                        `New music commands will be handled by the new bot.`
+                        `**${emojis.status.success} Player Moved**\n` +
+                        `The active player was moved from \`${migration.sourceBotId}\` to ${targetBot.name}.\n` +
+                        `**Tracks:** ${migration.tracks || 0}\n` +
+                        (migration.filterLost
+                            ? `Queue, position, volume and loop mode were kept.\n${emojis.status.warning} The **${migration.filterLost}** filter could not be restored, use \`filter ${migration.filterLost}\` to apply it again.`
+                            : `Queue, position, volume, loop mode and filters were kept.`)
                     )
                 );
             }
@@ -149,7 +172,8 @@ export default class Reassign extends Command {
                 new TextDisplayBuilder().setContent(`-# Requested by ${ctx.author.tag}`)
             );
 
-            return ctx.sendMessage({ 
+            return ctx.editMessage({
+                content: null,
                 components: [container],
                 flags: MessageFlags.IsComponentsV2
             });
@@ -157,23 +181,37 @@ export default class Reassign extends Command {
         } catch (error) {
             this.client.logger.error(`[Reassign] Error: ${error.message}`);
             
-            return ctx.sendMessage({
+            return ctx.editMessage({
+                content: null,
                 components: [this._buildContainer(`${emojis.status.error} Error`, `An error occurred while reassigning the guild.\n\`\`\`${error.message}\`\`\``)],
                 flags: MessageFlags.IsComponentsV2
             });
         }
     }
 
+    /**
+     * Get status snapshots of all bots in the cluster
+     * @private
+     */
+    async _getBots() {
+        try {
+            return await global.orchestrator?.getClusterStatus?.() || [];
+        } catch (error) {
+            this.client.logger.error(`[Reassign] Failed to get cluster status: ${error.message}`);
+            return [];
+        }
+    }
+
     /**
      * List available bots
      * @private
      */
-    _listBots() {
+    _listBots(bots) {
         const lines = [];
-        for (const [botId, client] of botCluster) {
-            const status = client.isReady() ? emojis.status.success : emojis.status.error;
-            const main = client.isMainBot ? ' (Main)' : '';
-            lines.push(`${status} \`${botId}\` - ${client.botName}${main}`);
+        for (const bot of bots) {
+            const status = bot.online ? emojis.status.success : emojis.status.error;
+            const main = bot.isMain ? ' (Main)' : '';
+            lines.push(`${status} \`${bot.id}\` - ${bot.name}${main}`);
         }
         return lines.join('\n') || 'No bots available';
     }
@@ -185,12 +223,12 @@ export default class Reassign extends Command {
         const focusedValue = interaction.options.getFocused().toLowerCase();
         
         const choices = [];
-        for (const [botId, client] of botCluster) {
-            const status = client.isReady() ? '🟢' : '🔴';
-            const main = client.isMainBot ? ' (Main)' : '';
+        for (const bot of await this._getBots()) {
+            const status = bot.online ? '🟢' : '🔴';
+            const main = bot.isMain ? ' (Main)' : '';
             choices.push({
-                name: `${status} ${client.botName}${main} - ${botId}`,
-                value: botId,
+                name: `${status} ${bot.name}${main} - ${bot.id}`,
+                value: bot.id,
             });
         }
 
@@ -29,6 +29,7 @@ export default class TwentyFourSeven extends Command {
             },
             slashCommand: true,
             options: [],
+            preconditions: ['inVoice', 'playerRequired', 'sameVoice', 'djOnly'],
             category: 'music',
         });
 
@@ -47,29 +48,8 @@ export default class TwentyFourSeven extends Command {
         const member = ctx.member;
         const voiceChannel = member.voice?.channel;
 
-        if (!voiceChannel) {
-            return ctx.sendMessage({
-                components: [this._buildContainer(`${emojis.status.error} Error`, 'You need to be in a voice channel!')],
-                flags: MessageFlags.IsComponentsV2
-            });
-        }
-
         const player = this.client.lavalink?.players.get(ctx.guild.id);
 
-        if (!player) {
-            return ctx.sendMessage({
-                components: [this._buildContainer(`${emojis.status.error} Error`, 'Nothing is playing right now! Start playing music first.')],
-                flags: MessageFlags.IsComponentsV2
-            });
-        }
-
-        if (player.voiceChannelId !== voiceChannel.id) {
-            return ctx.sendMessage({
-                components: [this._buildContainer(`${emojis.status.error} Error`, 'You need to be in the same voice channel as me!')],
-                flags: MessageFlags.IsComponentsV2
-            });
-        }
-
         try {
             const current247 = player.get('twentyFourSeven') || false;
             const new247 = !current247;
@@ -25,29 +25,15 @@ export default class Back extends Command {
             },
             slashCommand: true,
             options: [],
+            preconditions: ['inVoice', 'playerRequired', 'sameVoice', 'queueNotEmpty'],
             category: 'music',
         });
         this.file = file;
     }
 
     async run(ctx) {
-        const member = ctx.member;
-        const voiceChannel = member.voice?.channel;
-
-        if (!voiceChannel) {
-            return ctx.sendMessage({ content: `\`${emojis.status.error}\` You need to be in a voice channel!` });
-        }
-
         const player = this.client.lavalink?.players.get(ctx.guild.id);
 
-        if (!player || !player.queue.current) {
-            return ctx.sendMessage({ content: `\`${emojis.status.error}\` Nothing is playing right now!` });
-        }
-
-        if (player.voiceChannelId !== voiceChannel.id) {
-            return ctx.sendMessage({ content: `\`${emojis.status.error}\` You need to be in the same voice channel as me!` });
-        }
-
         const previousTracks = player.queue.previous;
         if (!previousTracks || previousTracks.length === 0) {
             return ctx.sendMessage({ content: `\`${emojis.status.error}\` No previous track to play!` });
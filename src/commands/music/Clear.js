@@ -7,6 +7,7 @@
 import Command from '../../structures/Command.js';
 import { ContainerBuilder, TextDisplayBuilder, MessageFlags } from 'discord.js';
 import { savePlayerState } from '../../managers/LavalinkHandler.js';
+import { getVoteRatio } from '../../managers/MusicPermissions.js';
 import emojis from '../../emojis.js';
 
 export default class Clear extends Command {
@@ -28,6 +29,7 @@ export default class Clear extends Command {
             },
             slashCommand: true,
             options: [],
+            preconditions: ['inVoice', 'playerRequired', 'sameVoice', 'djOnly'],
             category: 'music',
         });
 
@@ -43,32 +45,8 @@ export default class Clear extends Command {
     }
 
     async run(ctx, args) {
-        const member = ctx.member;
-        const voiceChannel = member.voice?.channel;
-
-        if (!voiceChannel) {
-            return ctx.sendMessage({
-                components: [this._buildContainer(`${emojis.status.error} Error`, 'You need to be in a voice channel!')],
-                flags: MessageFlags.IsComponentsV2
-            });
-        }
-
         const player = this.client.lavalink?.players.get(ctx.guild.id);
 
-        if (!player) {
-            return ctx.sendMessage({
-                components: [this._buildContainer(`${emojis.status.error} Error`, 'Nothing is playing right now!')],
-                flags: MessageFlags.IsComponentsV2
-            });
-        }
-
-        if (player.voiceChannelId !== voiceChannel.id) {
-            return ctx.sendMessage({
-                components: [this._buildContainer(`${emojis.status.error} Error`, 'You need to be in the same voice channel as me!')],
-                flags: MessageFlags.IsComponentsV2
-            });
-        }
-
         if (player.queue.tracks.length === 0) {
             return ctx.sendMessage({
                 components: [this._buildContainer(`${emojis.status.error} Error`, 'The queue is already empty!')],
@@ -76,6 +54,18 @@ export default class Clear extends Command {
             });
         }
 
+        // Vote mode: the clear goes through once enough listeners voted
+        const ratio = await getVoteRatio(ctx.member, this.name, player);
+        if (ratio) {
+            const { passed, alreadyVoted, count, required } = await this.client.votes.vote(player, 'clear', ctx.member, ratio);
+            if (!passed) {
+                return ctx.sendMessage({
+                    components: [this._buildContainer(`${emojis.status.info} Vote to clear`, `${alreadyVoted ? 'You already voted.' : 'Your vote was counted.'} **${count}/${required}** votes needed.`)],
+                    flags: MessageFlags.IsComponentsV2
+                });
+            }
+        }
+
         try {
             const clearedCount = player.queue.tracks.length;
             player.queue.tracks = [];
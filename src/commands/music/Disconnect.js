@@ -25,29 +25,15 @@ export default class Disconnect extends Command {
             },
             slashCommand: true,
             options: [],
+            preconditions: ['inVoice', 'playerRequired', 'sameVoice', 'djOnly'],
             category: 'music',
         });
         this.file = file;
     }
 
     async run(ctx) {
-        const member = ctx.member;
-        const voiceChannel = member.voice?.channel;
-
-        if (!voiceChannel) {
-            return ctx.sendMessage({ content: `\`${emojis.status.error}\` You need to be in a voice channel!` });
-        }
-
         const player = this.client.lavalink?.players.get(ctx.guild.id);
 
-        if (!player) {
-            return ctx.sendMessage({ content: `\`${emojis.status.error}\` I'm not in a voice channel!` });
-        }
-
-        if (player.voiceChannelId !== voiceChannel.id) {
-            return ctx.sendMessage({ content: `\`${emojis.status.error}\` You need to be in the same voice channel as me!` });
-        }
-
         const playerVoiceChannel = ctx.guild.channels.cache.get(player.voiceChannelId);
         await player.destroy();
 
@@ -0,0 +1,60 @@
+/**
+ * Favorite Command
+ * Groups the favorite-* commands under /favorite
+ */
+
+import Command from '../../structures/Command.js';
+import { ContainerBuilder, TextDisplayBuilder, SeparatorBuilder, MessageFlags } from 'discord.js';
+import emojis from '../../emojis.js';
+
+export default class Favorite extends Command {
+    constructor(client, file) {
+        super(client, {
+            name: 'favorite',
+            description: {
+                content: 'Manage your favorite tracks',
+                usage: 'favorite <subcommand> [arguments]',
+                examples: ['favorite add', 'favorite list', 'favorite play 3'],
+            },
+            aliases: ['favourite'],
+            cooldown: 3,
+            args: false,
+            permissions: {
+                dev: false,
+                client: ['SendMessages', 'ViewChannel'],
+                user: [],
+            },
+            slashCommand: true,
+            options: [],
+            subcommands: {
+                add: 'favorite-add',
+                remove: 'favorite-remove',
+                list: 'favorite-list',
+                play: 'favorite-play',
+            },
+            category: 'music',
+        });
+        this.file = file;
+    }
+
+    // Only reached through a prefix command without a valid subcommand
+    async run(ctx) {
+        const subcommands = Object.entries(this.subcommands)
+            .map(([name, target]) => `\`favorite ${name}\` — ${this.client.commands.get(target)?.description.content}`)
+            .join('\n');
+
+        const container = new ContainerBuilder();
+
+        container.addTextDisplayComponents(
+            new TextDisplayBuilder().setContent(`### ${emojis.player.favorite} Favorite Commands`)
+        );
+
+        container.addSeparatorComponents(new SeparatorBuilder().setDivider(true));
+
+        container.addTextDisplayComponents(
+            new TextDisplayBuilder().setContent(subcommands)
+        );
+
+        return ctx.sendMessage({ components: [container], flags: MessageFlags.IsComponentsV2 });
+    }
+}
@@ -28,6 +28,7 @@ export default class FavoriteAdd extends Command {
             },
             slashCommand: true,
             options: [],
+            preconditions: ['inVoice', 'playerRequired', 'sameVoice', 'queueNotEmpty'],
             category: 'music',
         });
 
@@ -35,30 +36,9 @@ export default class FavoriteAdd extends Command {
     }
 
     async run(ctx) {
-        const member = ctx.member;
-        const voiceChannel = member.voice?.channel;
-
-        if (!voiceChannel) {
-            return ctx.sendMessage({
-                content: `\`${emojis.status.error}\` You need to be in a voice channel!`,
-            });
-        }
-
         // Get player
         const player = this.client.lavalink?.players.get(ctx.guild.id);
 
-        if (!player || !player.queue.current) {
-            return ctx.sendMessage({
-                content: `\`${emojis.status.error}\` Nothing is playing right now!`,
-            });
-        }
-
-        if (player.voiceChannelId !== voiceChannel.id) {
-            return ctx.sendMessage({
-                content: `\`${emojis.status.error}\` You need to be in the same voice channel as me!`,
-            });
-        }
-
         const track = player.queue.current;
         
         // Get or create user favorites
@@ -70,7 +50,8 @@ export default class FavoriteAdd extends Command {
             author: track.info.author,
             uri: track.info.uri,
             duration: track.info.duration,
-            artworkUrl: track.info.artworkUrl
+            artworkUrl: track.info.artworkUrl,
+            encoded: track.encoded
         });
 
         const container = new ContainerBuilder();
@@ -7,7 +7,9 @@
 import Command from '../../structures/Command.js';
 import { ContainerBuilder, TextDisplayBuilder, MessageFlags } from 'discord.js';
 import Favorite from '../../schemas/Favorite.js';
-import { getPlayerOptions } from '../../managers/LavalinkHandler.js';
+import { getPlayerOptions, resolveStoredTracks } from '../../managers/LavalinkHandler.js';
+import { addTracks } from '../../managers/FairQueue.js';
+import { getGuildSettings } from '../../managers/GuildSettings.js';
 import emojis from '../../emojis.js';
 
 export default class FavoritePlay extends Command {
@@ -36,6 +38,7 @@ export default class FavoritePlay extends Command {
                     required: false,
                 },
             ],
+            preconditions: ['nodeAvailable', 'inVoice', 'sameVoice'],
             category: 'music',
         });
 
@@ -43,15 +46,7 @@ export default class FavoritePlay extends Command {
     }
 
     async run(ctx, args) {
-        // Check if user is in a voice channel
-        const member = ctx.guild.members.cache.get(ctx.author.id);
-        const voiceChannel = member?.voice?.channel;
-
-        if (!voiceChannel) {
-            return ctx.sendMessage({
-                content: `\`${emojis.status.error}\` You need to be in a voice channel!`,
-            });
-        }
+        const voiceChannel = ctx.member.voice.channel;
 
         // Get user favorites
         const favorites = await Favorite.getOrCreate(ctx.author.id);
@@ -94,35 +89,41 @@ export default class FavoritePlay extends Command {
         // Get or create player
         let player = this.client.lavalink?.players.get(ctx.guild.id);
 
-        if (player && player.voiceChannelId !== voiceChannel.id) {
-            return ctx.sendMessage({
-                content: `\`${emojis.status.error}\` You need to be in the same voice channel as me!`,
-            });
-        }
-
         if (!player) {
             const playerOptions = getPlayerOptions({
                 guildId: ctx.guild.id,
                 voiceChannelId: voiceChannel.id,
                 textChannelId: ctx.channel.id,
-            }, this.client.config);
+            }, this.client.config, await getGuildSettings(ctx.guild.id));
 
             player = await this.client.lavalink.createPlayer(playerOptions);
             await player.connect();
         }
 
-        // Search and add tracks
-        let addedCount = 0;
-        for (const track of tracksToPlay) {
-            try {
-                const result = await player.search({ query: track.uri }, ctx.author);
-                if (result.tracks.length > 0) {
-                    await player.queue.add(result.tracks[0]);
-                    addedCount++;
-                }
-            } catch (error) {
-                this.client.logger.error(`[FavoritePlay] Failed to add track: ${error.message}`);
-            }
+        // Decode stored tracks (searching the ones saved without an encoded track) and add them
+        const resolved = await resolveStoredTracks(
+            player,
+            tracksToPlay.map(track => ({
+                encoded: track.encoded,
+                info: { title: track.title, author: track.author, uri: track.uri },
+            })),
+            ctx.author
+        );
+
+        const loadedTracks = resolved.map(({ track }) => track).filter(Boolean);
+        const { added, limitMessage } = loadedTracks.length > 0
+            ? await addTracks(player, loadedTracks, ctx.author.id)
+            : { added: [], limitMessage: null };
+        const addedCount = added.length;
+
+        // Keep the encoded tracks of searched entries so the next load skips the search
+        const backfill = resolved
+            .map(({ track, searched }, i) => searched ? { uri: tracksToPlay[i].uri, encoded: track.encoded } : null)
+            .filter(Boolean);
+        if (backfill.length > 0) {
+            await favorites.backfillEncoded(backfill).catch((error) => {
+                this.client.logger.warn(`[FavoritePlay] Failed to store encoded tracks: ${error.message}`);
+            });
         }
 
         // Start playing if not already
@@ -133,9 +134,10 @@ export default class FavoritePlay extends Command {
         const container = new ContainerBuilder();
         container.addTextDisplayComponents(
             new TextDisplayBuilder().setContent(
-                addedCount > 0 
+                (addedCount > 0 
                     ? message 
-                    : `\`${emojis.status.error}\` Failed to add any tracks to the queue.`
+                    : `\`${emojis.status.error}\` Failed to add any tracks to the queue.`) +
+                (limitMessage ? `\n-# ${limitMessage}` : '')
             )
         );
 
@@ -7,6 +7,7 @@
 import Command from '../../structures/Command.js';
 import { ContainerBuilder, TextDisplayBuilder, MessageFlags } from 'discord.js';
 import Favorite from '../../schemas/Favorite.js';
+import { suggestFavorites } from '../../managers/Autocomplete.js';
 import emojis from '../../emojis.js';
 
 export default class FavoriteRemove extends Command {
@@ -33,6 +34,7 @@ export default class FavoriteRemove extends Command {
                     description: 'Track number to remove (use favorite-list to see numbers)',
                     type: 4, // Integer
                     required: true,
+                    autocomplete: true,
                 },
             ],
             category: 'music',
@@ -86,4 +88,11 @@ export default class FavoriteRemove extends Command {
             flags: MessageFlags.IsComponentsV2
         });
     }
+
+    /**
+     * Handle autocomplete for favorite numbers
+     */
+    async autocomplete(interaction) {
+        await interaction.respond(await suggestFavorites(interaction.user.id, interaction.options.getFocused()));
+    }
 }
@@ -4,6 +4,7 @@
 
 import Command from '../../structures/Command.js';
 import { ContainerBuilder, TextDisplayBuilder, SeparatorBuilder, MessageFlags } from 'discord.js';
+import { applyFilter } from '../../managers/LavalinkHandler.js';
 import emojis from '../../emojis.js';
 
 const FILTERS = {
@@ -59,6 +60,7 @@ export default class Filter extends Command {
                     ],
                 },
             ],
+            preconditions: ['inVoice', 'playerRequired', 'sameVoice', 'queueNotEmpty', 'djOnly'],
             category: 'music',
         });
         this.file = file;
@@ -89,48 +91,27 @@ export default class Filter extends Command {
             return ctx.sendMessage({ components: [container], flags: MessageFlags.IsComponentsV2 });
         }
 
-        const member = ctx.member;
-        const voiceChannel = member.voice?.channel;
-
-        if (!voiceChannel) {
-            return ctx.sendMessage({ content: `\`${emojis.status.error}\` You need to be in a voice channel!` });
-        }
-
         const player = this.client.lavalink?.players.get(ctx.guild.id);
 
-        if (!player || !player.queue.current) {
-            return ctx.sendMessage({ content: `\`${emojis.status.error}\` Nothing is playing right now!` });
-        }
-
-        if (player.voiceChannelId !== voiceChannel.id) {
-            return ctx.sendMessage({ content: `\`${emojis.status.error}\` You need to be in the same voice channel as me!` });
-        }
-
-        // Turn off filters
-        if (filterName === 'off') {
-            await player.setFilters({});
-            player.set('currentFilter', null);
-            
-            const container = new ContainerBuilder();
-            container.addTextDisplayComponents(
-                new TextDisplayBuilder().setContent(`### ${emojis.misc.filter} Filters Disabled\nAll audio filters have been removed.`)
-            );
-            return ctx.sendMessage({ components: [container], flags: MessageFlags.IsComponentsV2 });
-        }
-
-        // Apply filter
-        const filter = FILTERS[filterName];
-        if (!filter) {
+        // Turn off filters, or apply one
+        const filter = filterName === 'off' ? null : FILTERS[filterName];
+        if (filterName !== 'off' && !filter) {
             return ctx.sendMessage({ content: `\`${emojis.status.error}\` Unknown filter! Use \`filter list\` to see available filters.` });
         }
 
-        await player.setFilters(filter);
-        player.set('currentFilter', filterName);
+        try {
+            await applyFilter(player, filter ? filterName : null, filter);
+        } catch (error) {
+            this.client.logger.error(`[Filter] Error: ${error.message}`);
+            return ctx.sendMessage({ content: `\`${emojis.status.error}\` Failed to apply the filter: ${error.message}` });
+        }
+        this.client.nowPlaying.refresh(player);
 
         const container = new ContainerBuilder();
         container.addTextDisplayComponents(
-            new TextDisplayBuilder().setContent(
-                `### ${emojis.misc.filter} Filter Applied\n**${filterName}** filter is now active!\n\n-# Use \`filter off\` to disable.`
+            new TextDisplayBuilder().setContent(filter
+                ? `### ${emojis.misc.filter} Filter Applied\n**${filterName}** filter is now active!\n\n-# Use \`filter off\` to disable.`
+                : `### ${emojis.misc.filter} Filters Disabled\nAll audio filters have been removed.`
             )
         );
         return ctx.sendMessage({ components: [container], flags: MessageFlags.IsComponentsV2 });
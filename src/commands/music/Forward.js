@@ -33,29 +33,15 @@ export default class Forward extends Command {
                     required: false,
                 },
             ],
+            preconditions: ['inVoice', 'playerRequired', 'sameVoice', 'queueNotEmpty'],
             category: 'music',
         });
         this.file = file;
     }
 
     async run(ctx, args) {
-        const member = ctx.member;
-        const voiceChannel = member.voice?.channel;
-
-        if (!voiceChannel) {
-            return ctx.sendMessage({ content: `\`${emojis.status.error}\` You need to be in a voice channel!` });
-        }
-
         const player = this.client.lavalink?.players.get(ctx.guild.id);
 
-        if (!player || !player.queue.current) {
-            return ctx.sendMessage({ content: `\`${emojis.status.error}\` Nothing is playing right now!` });
-        }
-
-        if (player.voiceChannelId !== voiceChannel.id) {
-            return ctx.sendMessage({ content: `\`${emojis.status.error}\` You need to be in the same voice channel as me!` });
-        }
-
         if (player.queue.current.info.isStream) {
             return ctx.sendMessage({ content: `\`${emojis.status.error}\` Cannot seek in a live stream!` });
         }
@@ -66,6 +52,8 @@ export default class Forward extends Command {
 
         const newPosition = Math.min(player.position + (seconds * 1000), player.queue.current.info.duration);
         await player.seek(newPosition);
+        this.client.syncedLyrics.resync(player);
+        this.client.nowPlaying.refresh(player);
 
         const container = new ContainerBuilder();
         container.addTextDisplayComponents(
@@ -5,6 +5,7 @@
 import Command from '../../structures/Command.js';
 import { ContainerBuilder, TextDisplayBuilder, MessageFlags } from 'discord.js';
 import { getPlayerOptions } from '../../managers/LavalinkHandler.js';
+import { getGuildSettings } from '../../managers/GuildSettings.js';
 import emojis from '../../emojis.js';
 
 export default class Join extends Command {
@@ -26,18 +27,14 @@ export default class Join extends Command {
             },
             slashCommand: true,
             options: [],
+            preconditions: ['nodeAvailable', 'inVoice'],
             category: 'music',
         });
         this.file = file;
     }
 
     async run(ctx) {
-        const member = ctx.guild.members.cache.get(ctx.author.id);
-        const voiceChannel = member?.voice?.channel;
-
-        if (!voiceChannel) {
-            return ctx.sendMessage({ content: `\`${emojis.status.error}\` You need to be in a voice channel!` });
-        }
+        const voiceChannel = ctx.member.voice.channel;
 
         let player = this.client.lavalink?.players.get(ctx.guild.id);
 
@@ -64,7 +61,7 @@ export default class Join extends Command {
             guildId: ctx.guild.id,
             voiceChannelId: voiceChannel.id,
             textChannelId: ctx.channel.id,
-        }, this.client.config);
+        }, this.client.config, await getGuildSettings(ctx.guild.id));
 
         player = await this.client.lavalink.createPlayer(playerOptions);
         await player.connect();
@@ -40,6 +40,7 @@ export default class Loop extends Command {
                     ],
                 },
             ],
+            preconditions: ['inVoice', 'playerRequired', 'sameVoice'],
             category: 'music',
         });
 
@@ -55,32 +56,8 @@ export default class Loop extends Command {
     }
 
     async run(ctx, args) {
-        const member = ctx.member;
-        const voiceChannel = member.voice?.channel;
-
-        if (!voiceChannel) {
-            return ctx.sendMessage({
-                components: [this._buildContainer(`${emojis.status.error} Error`, 'You need to be in a voice channel!')],
-                flags: MessageFlags.IsComponentsV2
-            });
-        }
-
         const player = this.client.lavalink?.players.get(ctx.guild.id);
 
-        if (!player) {
-            return ctx.sendMessage({
-                components: [this._buildContainer(`${emojis.status.error} Error`, 'Nothing is playing right now!')],
-                flags: MessageFlags.IsComponentsV2
-            });
-        }
-
-        if (player.voiceChannelId !== voiceChannel.id) {
-            return ctx.sendMessage({
-                components: [this._buildContainer(`${emojis.status.error} Error`, 'You need to be in the same voice channel as me!')],
-                flags: MessageFlags.IsComponentsV2
-            });
-        }
-
         let mode = ctx.isInteraction 
             ? ctx.interaction.options.getString('mode')
             : args[0]?.toLowerCase();
@@ -100,6 +77,7 @@ export default class Loop extends Command {
 
         try {
             await player.setRepeatMode(mode);
+            this.client.nowPlaying.refresh(player);
             await savePlayerState(player, this.client);
 
             const modeInfo = {
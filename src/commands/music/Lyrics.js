@@ -3,7 +3,8 @@
  */
 
 import Command from '../../structures/Command.js';
-import { ContainerBuilder, TextDisplayBuilder, SeparatorBuilder, MessageFlags } from 'discord.js';
+import { ContainerBuilder, TextDisplayBuilder, SeparatorBuilder, ButtonBuilder, ButtonStyle, MessageFlags } from 'discord.js';
+import { paginateLyrics } from '../../managers/Lyrics.js';
 import emojis from '../../emojis.js';
 
 export default class Lyrics extends Command {
@@ -47,27 +48,128 @@ export default class Lyrics extends Command {
         }
 
         // If no query, use current track
+        let player = null;
         if (!query) {
-            const player = this.client.lavalink?.players.get(ctx.guild.id);
+            player = this.client.lavalink?.players.get(ctx.guild.id);
             if (!player || !player.queue.current) {
                 return ctx.sendMessage({ content: `\`${emojis.status.error}\` Nothing is playing! Provide a song name to search.` });
             }
-            query = `${player.queue.current.info.title} ${player.queue.current.info.author}`;
         }
 
+        const track = player?.queue.current || null;
+        const searchLabel = track ? track.info.title : query;
+
+        await ctx.sendDeferMessage({ content: `\`${emojis.status.loading}\` Searching lyrics for **${searchLabel}**...` });
+
+        let lyrics = null;
+        try {
+            lyrics = await this.client.lyrics.get({ track, player, query });
+        } catch (error) {
+            this.client.logger.error(`[Lyrics] Error: ${error.message}`);
+        }
+
+        const pages = lyrics ? paginateLyrics(lyrics.lines) : [];
+
+        if (pages.length === 0) {
+            const container = new ContainerBuilder();
+            container.addTextDisplayComponents(
+                new TextDisplayBuilder().setContent(`### ${emojis.player.lyrics} Lyrics`)
+            );
+            container.addSeparatorComponents(new SeparatorBuilder().setDivider(true));
+            container.addTextDisplayComponents(
+                new TextDisplayBuilder().setContent(`\`${emojis.status.error}\` No lyrics found for **${searchLabel}**.`)
+            );
+
+            return ctx.editMessage({ content: null, components: [container], flags: MessageFlags.IsComponentsV2 });
+        }
+
+        let page = 1;
+
+        const message = await ctx.editMessage({
+            content: null,
+            components: [this._buildLyricsContainer(lyrics, pages, page)],
+            flags: MessageFlags.IsComponentsV2
+        });
+
+        // Set up button collector if pagination exists
+        if (pages.length > 1 && message) {
+            const collector = message.createMessageComponentCollector({
+                filter: (i) => i.customId.startsWith('lyrics_') && i.user.id === ctx.author.id,
+                time: 300000, // 5 minutes
+            });
+
+            collector.on('collect', async (interaction) => {
+                if (interaction.customId === 'lyrics_prev') {
+                    page = Math.max(1, page - 1);
+                } else if (interaction.customId === 'lyrics_next') {
+                    page = Math.min(pages.length, page + 1);
+                }
+
+                await interaction.update({
+                    components: [this._buildLyricsContainer(lyrics, pages, page)],
+                    flags: MessageFlags.IsComponentsV2
+                });
+            });
+
+            collector.on('end', async () => {
+                try {
+                    // Rebuild with disabled buttons
+                    await message.edit({
+                        components: [this._buildLyricsContainer(lyrics, pages, page, true)],
+                        flags: MessageFlags.IsComponentsV2
+                    });
+                } catch (error) {
+                    // Message may be deleted
+                }
+            });
+        }
+    }
+
+    /**
+     * Build one page of lyrics
+     * @private
+     */
+    _buildLyricsContainer(lyrics, pages, page, disabled = false) {
         const container = new ContainerBuilder();
+
+        const heading = lyrics.artist ? `${lyrics.title} - ${lyrics.artist}` : lyrics.title;
         container.addTextDisplayComponents(
-            new TextDisplayBuilder().setContent(`### ${emojis.player.lyrics} Lyrics`)
+            new TextDisplayBuilder().setContent(`### ${emojis.player.lyrics} Lyrics\n**${heading}**`)
         );
         container.addSeparatorComponents(new SeparatorBuilder().setDivider(true));
+
+        container.addTextDisplayComponents(
+            new TextDisplayBuilder().setContent(pages[page - 1])
+        );
+
+        // Pagination buttons inside container
+        if (pages.length > 1) {
+            container.addSeparatorComponents(new SeparatorBuilder().setDivider(true));
+            container.addActionRowComponents(row =>
+                row.addComponents(
+                    new ButtonBuilder()
+                        .setCustomId('lyrics_prev')
+                        .setEmoji(emojis.navigation.previous)
+                        .setStyle(ButtonStyle.Secondary)
+                        .setDisabled(disabled || page === 1),
+                    new ButtonBuilder()
+                        .setCustomId('lyrics_next')
+                        .setEmoji(emojis.navigation.next)
+                        .setStyle(ButtonStyle.Secondary)
+                        .setDisabled(disabled || page === pages.length)
+                )
+            );
+        }
+
+        container.addSeparatorComponents(new SeparatorBuilder().setDivider(true));
+
+        // Footer with source and page info
         container.addTextDisplayComponents(
             new TextDisplayBuilder().setContent(
-                `**${query}**\n\n` +
-                `Lyrics feature coming soon!\n\n` +
-                `-# This feature will be available in a future update.`
+                `-# Source: ${lyrics.provider || 'Unknown'}${lyrics.synced ? ' · Synced' : ''} · Page ${page}/${pages.length}`
             )
         );
 
-        return ctx.sendMessage({ components: [container], flags: MessageFlags.IsComponentsV2 });
+        return container;
     }
 }
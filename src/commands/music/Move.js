@@ -4,6 +4,7 @@
 
 import Command from '../../structures/Command.js';
 import { ContainerBuilder, TextDisplayBuilder, MessageFlags } from 'discord.js';
+import { suggestQueue } from '../../managers/Autocomplete.js';
 import emojis from '../../emojis.js';
 
 export default class Move extends Command {
@@ -30,37 +31,25 @@ export default class Move extends Command {
                     description: 'Current position of the track',
                     type: 4,
                     required: true,
+                    autocomplete: true,
                 },
                 {
                     name: 'to',
                     description: 'New position for the track',
                     type: 4,
                     required: true,
+                    autocomplete: true,
                 },
             ],
+            preconditions: ['inVoice', 'playerRequired', 'sameVoice', 'queueNotEmpty'],
             category: 'music',
         });
         this.file = file;
     }
 
     async run(ctx, args) {
-        const member = ctx.member;
-        const voiceChannel = member.voice?.channel;
-
-        if (!voiceChannel) {
-            return ctx.sendMessage({ content: `\`${emojis.status.error}\` You need to be in a voice channel!` });
-        }
-
         const player = this.client.lavalink?.players.get(ctx.guild.id);
 
-        if (!player || !player.queue.current) {
-            return ctx.sendMessage({ content: `\`${emojis.status.error}\` Nothing is playing right now!` });
-        }
-
-        if (player.voiceChannelId !== voiceChannel.id) {
-            return ctx.sendMessage({ content: `\`${emojis.status.error}\` You need to be in the same voice channel as me!` });
-        }
-
         let from, to;
         if (ctx.isInteraction) {
             from = ctx.interaction.options.getInteger('from');
@@ -96,4 +85,12 @@ export default class Move extends Command {
         );
         return ctx.sendMessage({ components: [container], flags: MessageFlags.IsComponentsV2 });
     }
+
+    /**
+     * Handle autocomplete for queue positions
+     */
+    async autocomplete(interaction) {
+        const player = this.client.lavalink?.players.get(interaction.guildId);
+        await interaction.respond(suggestQueue(player, interaction.options.getFocused()));
+    }
 }
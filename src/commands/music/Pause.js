@@ -27,6 +27,7 @@ export default class Pause extends Command {
             },
             slashCommand: true,
             options: [],
+            preconditions: ['inVoice', 'playerRequired', 'sameVoice'],
             category: 'music',
         });
 
@@ -42,32 +43,8 @@ export default class Pause extends Command {
     }
 
     async run(ctx, args) {
-        const member = ctx.member;
-        const voiceChannel = member.voice?.channel;
-
-        if (!voiceChannel) {
-            return ctx.sendMessage({
-                components: [this._buildContainer(`${emojis.status.error} Error`, 'You need to be in a voice channel!')],
-                flags: MessageFlags.IsComponentsV2
-            });
-        }
-
         const player = this.client.lavalink?.players.get(ctx.guild.id);
 
-        if (!player) {
-            return ctx.sendMessage({
-                components: [this._buildContainer(`${emojis.status.error} Error`, 'Nothing is playing right now!')],
-                flags: MessageFlags.IsComponentsV2
-            });
-        }
-
-        if (player.voiceChannelId !== voiceChannel.id) {
-            return ctx.sendMessage({
-                components: [this._buildContainer(`${emojis.status.error} Error`, 'You need to be in the same voice channel as me!')],
-                flags: MessageFlags.IsComponentsV2
-            });
-        }
-
         if (player.paused) {
             return ctx.sendMessage({
                 components: [this._buildContainer(`${emojis.player.pause} Already Paused`, 'Use `resume` to continue playback.')],
@@ -77,6 +54,7 @@ export default class Pause extends Command {
 
         try {
             await player.pause();
+            this.client.nowPlaying.refresh(player);
 
             return ctx.sendMessage({
                 components: [this._buildContainer(`${emojis.player.pause} Paused`, 'Playback paused. Use `resume` to continue.')],
@@ -7,8 +7,10 @@
 
 import Command from '../../structures/Command.js';
 import { ApplicationCommandOptionType, PermissionFlagsBits, ContainerBuilder, TextDisplayBuilder, SeparatorBuilder, MessageFlags } from 'discord.js';
-import GuildAssignment from '../../schemas/GuildAssignment.js';
-import { getPlayerOptions, formatDuration } from '../../managers/LavalinkHandler.js';
+import { createGuildPlayer, formatDuration } from '../../managers/LavalinkHandler.js';
+import { suggestSearch } from '../../managers/Autocomplete.js';
+import { addTracks } from '../../managers/FairQueue.js';
+import { getGuildSettings, resolveSearchSource } from '../../managers/GuildSettings.js';
 import emojis from '../../emojis.js';
 
 export default class Play extends Command {
@@ -35,8 +37,10 @@ export default class Play extends Command {
                     description: 'Song name or URL to play',
                     type: ApplicationCommandOptionType.String,
                     required: true,
+                    autocomplete: true,
                 },
             ],
+            preconditions: ['nodeAvailable', 'inVoice', 'sameVoice'],
             category: 'music',
         });
 
@@ -64,16 +68,7 @@ export default class Play extends Command {
             });
         }
 
-        // Check if user is in a voice channel
-        const member = ctx.member;
-        const voiceChannel = member.voice?.channel;
-
-        if (!voiceChannel) {
-            return ctx.sendMessage({
-                components: [this._buildContainer(`${emojis.status.error} Error`, 'You need to be in a voice channel to play music!')],
-                flags: MessageFlags.IsComponentsV2
-            });
-        }
+        const voiceChannel = ctx.member.voice.channel;
 
         // Check bot permissions in voice channel
         const permissions = voiceChannel.permissionsFor(this.client.user);
@@ -90,23 +85,6 @@ export default class Play extends Command {
             });
         }
 
-        // Check if Lavalink is available
-        if (!this.client.lavalink) {
-            return ctx.sendMessage({
-                components: [this._buildContainer(`${emojis.status.error} Error`, 'Music system is not available right now. Please try again later.')],
-                flags: MessageFlags.IsComponentsV2
-            });
-        }
-
-        // Check if any Lavalink node is connected
-        const connectedNodes = this.client.lavalink.nodeManager.nodes.filter(n => n.connected);
-        if (!connectedNodes.size) {
-            return ctx.sendMessage({
-                components: [this._buildContainer(`${emojis.status.error} Error`, 'No music server is available right now. Please try again in a moment.')],
-                flags: MessageFlags.IsComponentsV2
-            });
-        }
-
         // Defer reply for longer processing
         const searchContainer = new ContainerBuilder();
         searchContainer.addTextDisplayComponents(
@@ -118,47 +96,22 @@ export default class Play extends Command {
         });
 
         try {
+            const settings = await getGuildSettings(ctx.guild.id);
+
             // Get or create player
             let player = this.client.lavalink.players.get(ctx.guild.id);
 
             if (!player) {
-                // Create new player
-                const playerOptions = getPlayerOptions({
+                // Create new player on the least loaded node and claim the guild
+                player = await createGuildPlayer(this.client, {
                     guildId: ctx.guild.id,
                     voiceChannelId: voiceChannel.id,
                     textChannelId: ctx.channel.id,
-                }, this.client.config);
-
-                player = await this.client.lavalink.createPlayer(playerOptions);
-
-                // Connect to voice
-                await player.connect();
-
-                // Create/update guild assignment
-                await GuildAssignment.getOrCreateAssignment(
-                    ctx.guild.id,
-                    this.client.botId,
-                    this.client.botConfig.clientId,
-                    'auto'
-                );
-
-                // Activate assignment
-                const assignment = await GuildAssignment.findById(ctx.guild.id);
-                if (assignment) {
-                    await assignment.activate(voiceChannel.id, ctx.channel.id);
-                }
-            } else {
-                // Check if user is in the same voice channel
-                if (player.voiceChannelId !== voiceChannel.id) {
-                    return ctx.editMessage({
-                        components: [this._buildContainer(`${emojis.status.error} Error`, 'You need to be in the same voice channel as me!')],
-                        flags: MessageFlags.IsComponentsV2
-                    });
-                }
+                }, settings);
             }
 
-            // Search for tracks
-            const result = await player.search({ query }, ctx.author);
+            // Search for tracks (URLs ignore the source)
+            const result = await player.search({ query, source: resolveSearchSource(settings, this.client.config) }, ctx.author);
 
             if (result.loadType === 'error') {
                 return ctx.editMessage({
@@ -176,11 +129,15 @@ export default class Play extends Command {
 
             // Handle different result types
             if (result.loadType === 'playlist') {
-                // Add all tracks from playlist
+                // Add all tracks from playlist (as far as the queue limits allow)
                 const playlist = result.playlist;
-                
-                for (const track of result.tracks) {
-                    await player.queue.add(track);
+                const { added, limitMessage } = await addTracks(player, result.tracks, ctx.author.id);
+
+                if (added.length === 0) {
+                    return ctx.editMessage({
+                        components: [this._buildContainer(`${emojis.status.error} Queue Limit`, limitMessage)],
+                        flags: MessageFlags.IsComponentsV2
+                    });
                 }
 
                 // Start playing if not already
@@ -188,7 +145,7 @@ export default class Play extends Command {
                     await player.play();
                 }
 
-                const totalDuration = result.tracks.reduce((acc, t) => acc + (t.info.duration || 0), 0);
+                const totalDuration = added.reduce((acc, t) => acc + (t.info.duration || 0), 0);
 
                 const playlistContainer = new ContainerBuilder();
                 playlistContainer.addTextDisplayComponents(
@@ -198,8 +155,9 @@ export default class Play extends Command {
                 playlistContainer.addTextDisplayComponents(
                     new TextDisplayBuilder().setContent(
                         `**${playlist.name}**\n` +
-                        `${emojis.player.music} **Tracks:** ${result.tracks.length}\n` +
-                        `${emojis.misc.clock} **Duration:** ${formatDuration(totalDuration)}`
+                        `${emojis.player.music} **Tracks:** ${added.length}\n` +
+                        `${emojis.misc.clock} **Duration:** ${formatDuration(totalDuration)}` +
+                        (limitMessage ? `\n-# Added ${added.length} of ${result.tracks.length} tracks. ${limitMessage}` : '')
                     )
                 );
 
@@ -210,7 +168,14 @@ export default class Play extends Command {
             } else {
                 // Add single track
                 const track = result.tracks[0];
-                await player.queue.add(track);
+                const { added, position, limitMessage } = await addTracks(player, [track], ctx.author.id);
+
+                if (added.length === 0) {
+                    return ctx.editMessage({
+                        components: [this._buildContainer(`${emojis.status.error} Queue Limit`, limitMessage)],
+                        flags: MessageFlags.IsComponentsV2
+                    });
+                }
 
                 // Start playing if not already
                 if (!player.playing && !player.paused) {
@@ -234,8 +199,6 @@ export default class Play extends Command {
                         flags: MessageFlags.IsComponentsV2
                     });
                 } else {
-                    const position = player.queue.tracks.length;
-
                     const queuedContainer = new ContainerBuilder();
                     queuedContainer.addTextDisplayComponents(
                         new TextDisplayBuilder().setContent(`### ${emojis.player.queue} Added to Queue`)
@@ -264,4 +227,12 @@ export default class Play extends Command {
             });
         }
     }
+
+    /**
+     * Handle autocomplete for the song query
+     */
+    async autocomplete(interaction) {
+        const settings = await getGuildSettings(interaction.guildId);
+        await interaction.respond(await suggestSearch(this.client, interaction.options.getFocused(), resolveSearchSource(settings, this.client.config)));
+    }
 }
@@ -0,0 +1,74 @@
+/**
+ * Playlist Command
+ * Groups the playlist-* commands under /playlist
+ */
+
+import Command from '../../structures/Command.js';
+import { ContainerBuilder, TextDisplayBuilder, SeparatorBuilder, MessageFlags } from 'discord.js';
+import emojis from '../../emojis.js';
+
+export default class Playlist extends Command {
+    constructor(client, file) {
+        super(client, {
+            name: 'playlist',
+            description: {
+                content: 'Manage your playlists',
+                usage: 'playlist <subcommand> [arguments]',
+                examples: ['playlist create Chill', 'playlist load Chill', 'playlist track add Chill never gonna give you up'],
+            },
+            aliases: ['pl'],
+            cooldown: 3,
+            args: false,
+            permissions: {
+                dev: false,
+                client: ['SendMessages', 'ViewChannel'],
+                user: [],
+            },
+            slashCommand: true,
+            options: [],
+            subcommands: {
+                create: 'playlist-create',
+                delete: 'playlist-delete',
+                rename: 'playlist-rename',
+                list: 'playlist-list',
+                load: 'playlist-load',
+                save: 'playlist-save',
+                share: 'playlist-share',
+                import: 'playlist-import',
+                append: 'playlist-append',
+                track: {
+                    description: 'Manage the tracks of a playlist',
+                    subcommands: {
+                        add: 'playlist-track-add',
+                        remove: 'playlist-track-remove',
+                        list: 'playlist-track-list',
+                    },
+                },
+            },
+            category: 'music',
+        });
+        this.file = file;
+    }
+
+    // Only reached through a prefix command without a valid subcommand
+    async run(ctx) {
+        const subcommands = Object.entries(this.subcommands).flatMap(([name, entry]) => typeof entry === 'string'
+            ? [[name, entry]]
+            : Object.entries(entry.subcommands).map(([subcommand, target]) => [`${name} ${subcommand}`, target])
+        ).map(([name, target]) => `\`playlist ${name}\` — ${this.client.commands.get(target)?.description.content}`).join('\n');
+
+        const container = new ContainerBuilder();
+
+        container.addTextDisplayComponents(
+            new TextDisplayBuilder().setContent(`### ${emojis.player.playlist} Playlist Commands`)
+        );
+
+        container.addSeparatorComponents(new SeparatorBuilder().setDivider(true));
+
+        container.addTextDisplayComponents(
+            new TextDisplayBuilder().setContent(subcommands)
+        );
+
+        return ctx.sendMessage({ components: [container], flags: MessageFlags.IsComponentsV2 });
+    }
+}
@@ -34,29 +34,15 @@ export default class PlaylistAppend extends Command {
                     required: true,
                 },
             ],
+            preconditions: ['inVoice', 'playerRequired', 'sameVoice', 'queueNotEmpty'],
             category: 'music',
         });
         this.file = file;
     }
 
     async run(ctx, args) {
-        const member = ctx.member;
-        const voiceChannel = member.voice?.channel;
-
-        if (!voiceChannel) {
-            return ctx.sendMessage({ content: `\`${emojis.status.error}\` You need to be in a voice channel!` });
-        }
-
         const player = this.client.lavalink?.players.get(ctx.guild.id);
 
-        if (!player || !player.queue.current) {
-            return ctx.sendMessage({ content: `\`${emojis.status.error}\` Nothing is playing right now!` });
-        }
-
-        if (player.voiceChannelId !== voiceChannel.id) {
-            return ctx.sendMessage({ content: `\`${emojis.status.error}\` You need to be in the same voice channel as me!` });
-        }
-
         const name = ctx.isInteraction 
             ? ctx.interaction.options.getString('playlist')
             : args.join(' ');
@@ -73,7 +59,8 @@ export default class PlaylistAppend extends Command {
             author: track.info.author,
             uri: track.info.uri,
             duration: track.info.duration,
-            artworkUrl: track.info.artworkUrl
+            artworkUrl: track.info.artworkUrl,
+            encoded: track.encoded
         });
         
         const container = new ContainerBuilder();
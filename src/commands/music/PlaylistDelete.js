@@ -5,6 +5,7 @@
 import Command from '../../structures/Command.js';
 import { ContainerBuilder, TextDisplayBuilder, MessageFlags } from 'discord.js';
 import Playlist from '../../schemas/Playlist.js';
+import { suggestPlaylists } from '../../managers/Autocomplete.js';
 import emojis from '../../emojis.js';
 
 export default class PlaylistDelete extends Command {
@@ -31,6 +32,7 @@ export default class PlaylistDelete extends Command {
                     description: 'Name of the playlist to delete',
                     type: 3,
                     required: true,
+                    autocomplete: true,
                 },
             ],
             category: 'music',
@@ -60,4 +62,11 @@ export default class PlaylistDelete extends Command {
 
         return ctx.sendMessage({ components: [container], flags: MessageFlags.IsComponentsV2 });
     }
+
+    /**
+     * Handle autocomplete for playlist names
+     */
+    async autocomplete(interaction) {
+        await interaction.respond(await suggestPlaylists(interaction.user.id, interaction.options.getFocused()));
+    }
 }
@@ -71,7 +71,8 @@ export default class PlaylistImport extends Command {
                 author: track.author,
                 uri: track.uri,
                 duration: track.duration,
-                artworkUrl: track.artworkUrl
+                artworkUrl: track.artworkUrl,
+                encoded: track.encoded
             });
         }
         
@@ -5,7 +5,10 @@
 import Command from '../../structures/Command.js';
 import { ContainerBuilder, TextDisplayBuilder, MessageFlags } from 'discord.js';
 import Playlist from '../../schemas/Playlist.js';
-import { getPlayerOptions } from '../../managers/LavalinkHandler.js';
+import { getPlayerOptions, resolveStoredTracks } from '../../managers/LavalinkHandler.js';
+import { addTracks } from '../../managers/FairQueue.js';
+import { getGuildSettings } from '../../managers/GuildSettings.js';
+import { suggestPlaylists } from '../../managers/Autocomplete.js';
 import emojis from '../../emojis.js';
 
 export default class PlaylistLoad extends Command {
@@ -32,6 +35,7 @@ export default class PlaylistLoad extends Command {
                     description: 'Name of the playlist to load',
                     type: 3,
                     required: true,
+                    autocomplete: true,
                 },
                 {
                     name: 'shuffle',
@@ -40,18 +44,14 @@ export default class PlaylistLoad extends Command {
                     required: false,
                 },
             ],
+            preconditions: ['nodeAvailable', 'inVoice', 'sameVoice'],
             category: 'music',
         });
         this.file = file;
     }
 
     async run(ctx, args) {
-        const member = ctx.guild.members.cache.get(ctx.author.id);
-        const voiceChannel = member?.voice?.channel;
-
-        if (!voiceChannel) {
-            return ctx.sendMessage({ content: `\`${emojis.status.error}\` You need to be in a voice channel!` });
-        }
+        const voiceChannel = ctx.member.voice.channel;
 
         const name = ctx.isInteraction 
             ? ctx.interaction.options.getString('name')
@@ -74,16 +74,12 @@ export default class PlaylistLoad extends Command {
         // Get or create player
         let player = this.client.lavalink?.players.get(ctx.guild.id);
 
-        if (player && player.voiceChannelId !== voiceChannel.id) {
-            return ctx.sendMessage({ content: `\`${emojis.status.error}\` You need to be in the same voice channel as me!` });
-        }
-
         if (!player) {
             const playerOptions = getPlayerOptions({
                 guildId: ctx.guild.id,
                 voiceChannelId: voiceChannel.id,
                 textChannelId: ctx.channel.id,
-            }, this.client.config);
+            }, this.client.config, await getGuildSettings(ctx.guild.id));
 
             player = await this.client.lavalink.createPlayer(playerOptions);
             await player.connect();
@@ -95,18 +91,30 @@ export default class PlaylistLoad extends Command {
             tracks = tracks.sort(() => Math.random() - 0.5);
         }
 
-        // Search and add tracks
-        let addedCount = 0;
-        for (const track of tracks) {
-            try {
-                const result = await player.search({ query: track.uri }, ctx.author);
-                if (result.tracks.length > 0) {
-                    await player.queue.add(result.tracks[0]);
-                    addedCount++;
-                }
-            } catch (error) {
-                this.client.logger.error(`[PlaylistLoad] Failed to add track: ${error.message}`);
-            }
+        // Decode stored tracks (searching the ones saved without an encoded track) and add them
+        const resolved = await resolveStoredTracks(
+            player,
+            tracks.map(track => ({
+                encoded: track.encoded,
+                info: { title: track.title, author: track.author, uri: track.uri },
+            })),
+            ctx.author
+        );
+
+        const loadedTracks = resolved.map(({ track }) => track).filter(Boolean);
+        const { added, limitMessage } = loadedTracks.length > 0
+            ? await addTracks(player, loadedTracks, ctx.author.id)
+            : { added: [], limitMessage: null };
+        const addedCount = added.length;
+
+        // Keep the encoded tracks of searched entries so the next load skips the search
+        const backfill = resolved
+            .map(({ track, searched }, i) => searched ? { uri: tracks[i].uri, encoded: track.encoded } : null)
+            .filter(Boolean);
+        if (backfill.length > 0) {
+            await playlist.backfillEncoded(backfill).catch((error) => {
+                this.client.logger.warn(`[PlaylistLoad] Failed to store encoded tracks: ${error.message}`);
+            });
         }
 
         // Start playing if not already
@@ -118,10 +126,18 @@ export default class PlaylistLoad extends Command {
         container.addTextDisplayComponents(
             new TextDisplayBuilder().setContent(
                 `### ${emojis.player.playlist} Playlist Loaded\n**${playlist.name}**\n\n` +
-                `${shuffle ? `${emojis.player.shuffle} Shuffled and added` : 'Added'} **${addedCount}** tracks to queue!`
+                `${shuffle ? `${emojis.player.shuffle} Shuffled and added` : 'Added'} **${addedCount}** tracks to queue!` +
+                (limitMessage ? `\n-# ${limitMessage}` : '')
             )
         );
 
         return ctx.sendMessage({ components: [container], flags: MessageFlags.IsComponentsV2 });
     }
+
+    /**
+     * Handle autocomplete for playlist names
+     */
+    async autocomplete(interaction) {
+        await interaction.respond(await suggestPlaylists(interaction.user.id, interaction.options.getFocused()));
+    }
 }
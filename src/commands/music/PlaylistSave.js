@@ -34,29 +34,15 @@ export default class PlaylistSave extends Command {
                     required: true,
                 },
             ],
+            preconditions: ['inVoice', 'playerRequired', 'sameVoice', 'queueNotEmpty'],
             category: 'music',
         });
         this.file = file;
     }
 
     async run(ctx, args) {
-        const member = ctx.member;
-        const voiceChannel = member.voice?.channel;
-
-        if (!voiceChannel) {
-            return ctx.sendMessage({ content: `\`${emojis.status.error}\` You need to be in a voice channel!` });
-        }
-
         const player = this.client.lavalink?.players.get(ctx.guild.id);
 
-        if (!player || !player.queue.current) {
-            return ctx.sendMessage({ content: `\`${emojis.status.error}\` Nothing is playing right now!` });
-        }
-
-        if (player.voiceChannelId !== voiceChannel.id) {
-            return ctx.sendMessage({ content: `\`${emojis.status.error}\` You need to be in the same voice channel as me!` });
-        }
-
         const name = ctx.isInteraction 
             ? ctx.interaction.options.getString('name')
             : args.join(' ');
@@ -81,7 +67,8 @@ export default class PlaylistSave extends Command {
             author: current.info.author,
             uri: current.info.uri,
             duration: current.info.duration,
-            artworkUrl: current.info.artworkUrl
+            artworkUrl: current.info.artworkUrl,
+            encoded: current.encoded
         });
 
         // Add queue tracks
@@ -91,7 +78,8 @@ export default class PlaylistSave extends Command {
                 author: track.info.author,
                 uri: track.info.uri,
                 duration: track.info.duration,
-                artworkUrl: track.info.artworkUrl
+                artworkUrl: track.info.artworkUrl,
+                encoded: track.encoded
             });
         }
 
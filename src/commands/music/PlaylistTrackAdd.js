@@ -6,6 +6,8 @@
 import Command from '../../structures/Command.js';
 import { ContainerBuilder, TextDisplayBuilder, MessageFlags } from 'discord.js';
 import Playlist from '../../schemas/Playlist.js';
+import { suggestPlaylists, suggestSearch } from '../../managers/Autocomplete.js';
+import { getGuildSettings, resolveSearchSource } from '../../managers/GuildSettings.js';
 import emojis from '../../emojis.js';
 
 export default class PlaylistTrackAdd extends Command {
@@ -32,14 +34,17 @@ export default class PlaylistTrackAdd extends Command {
                     description: 'Name of the playlist',
                     type: 3,
                     required: true,
+                    autocomplete: true,
                 },
                 {
                     name: 'query',
                     description: 'Song name or URL to add',
                     type: 3,
                     required: true,
+                    autocomplete: true,
                 },
             ],
+            preconditions: ['nodeAvailable'],
             category: 'music',
         });
         this.file = file;
@@ -66,25 +71,9 @@ export default class PlaylistTrackAdd extends Command {
         }
 
         // Search for track
-        if (!this.client.lavalink) {
-            return ctx.sendMessage({ content: `\`${emojis.status.error}\` Music system is not available!` });
-        }
-
-        // Get any connected node to search
-        const nodes = this.client.lavalink.nodeManager.nodes;
-        let node = null;
-        if (typeof nodes.values === 'function') {
-            for (const n of nodes.values()) {
-                if (n.connected) { node = n; break; }
-            }
-        }
-
-        if (!node) {
-            return ctx.sendMessage({ content: `\`${emojis.status.error}\` No music server available!` });
-        }
-
         try {
-            const result = await this.client.lavalink.search({ query }, ctx.author);
+            const settings = await getGuildSettings(ctx.guild.id);
+            const result = await this.client.lavalink.search({ query, source: resolveSearchSource(settings, this.client.config) }, ctx.author);
             
             if (!result.tracks.length) {
                 return ctx.sendMessage({ content: `\`${emojis.status.error}\` No results found for: ${query}` });
@@ -96,7 +85,8 @@ export default class PlaylistTrackAdd extends Command {
                 author: track.info.author,
                 uri: track.info.uri,
                 duration: track.info.duration,
-                artworkUrl: track.info.artworkUrl
+                artworkUrl: track.info.artworkUrl,
+                encoded: track.encoded
             });
             
             const container = new ContainerBuilder();
@@ -113,4 +103,16 @@ export default class PlaylistTrackAdd extends Command {
             return ctx.sendMessage({ content: `\`${emojis.status.error}\` Error searching: ${error.message}` });
         }
     }
+
+    /**
+     * Handle autocomplete for the playlist name and the song query
+     */
+    async autocomplete(interaction) {
+        const focused = interaction.options.getFocused(true);
+        const choices = focused.name === 'playlist'
+            ? await suggestPlaylists(interaction.user.id, focused.value)
+            : await suggestSearch(this.client, focused.value, resolveSearchSource(await getGuildSettings(interaction.guildId), this.client.config));
+
+        await interaction.respond(choices);
+    }
 }
@@ -7,6 +7,7 @@
 import Command from '../../structures/Command.js';
 import { ContainerBuilder, TextDisplayBuilder, SeparatorBuilder, SectionBuilder, ThumbnailBuilder, ButtonBuilder, ButtonStyle, MessageFlags } from 'discord.js';
 import { formatDuration } from '../../managers/LavalinkHandler.js';
+import { getEstimatedStarts } from '../../managers/FairQueue.js';
 import emojis from '../../emojis.js';
 
 export default class Queue extends Command {
@@ -35,6 +36,7 @@ export default class Queue extends Command {
                     required: false,
                 },
             ],
+            preconditions: ['inVoice', 'playerRequired', 'sameVoice', 'queueNotEmpty'],
             category: 'music',
         });
 
@@ -42,30 +44,9 @@ export default class Queue extends Command {
     }
 
     async run(ctx, args) {
-        const member = ctx.member;
-        const voiceChannel = member.voice?.channel;
-
-        if (!voiceChannel) {
-            return ctx.sendMessage({
-                content: `\`${emojis.status.error}\` You need to be in a voice channel!`,
-            });
-        }
-
         // Get player
         const player = this.client.lavalink?.players.get(ctx.guild.id);
 
-        if (!player || !player.queue.current) {
-            return ctx.sendMessage({
-                content: `\`${emojis.status.error}\` Nothing is playing right now!`,
-            });
-        }
-
-        if (player.voiceChannelId !== voiceChannel.id) {
-            return ctx.sendMessage({
-                content: `\`${emojis.status.error}\` You need to be in the same voice channel as me!`,
-            });
-        }
-
         const queue = player.queue.tracks;
         const current = player.queue.current;
 
@@ -155,6 +136,7 @@ export default class Queue extends Command {
             const startIndex = (page - 1) * tracksPerPage;
             const endIndex = Math.min(startIndex + tracksPerPage, queue.length);
             const pageTracks = queue.slice(startIndex, endIndex);
+            const starts = getEstimatedStarts(player);
 
             pageTracks.forEach((track, index) => {
                 const position = startIndex + index + 1;
@@ -168,7 +150,8 @@ export default class Queue extends Command {
                 const trackSection = new SectionBuilder()
                     .addTextDisplayComponents(
                         new TextDisplayBuilder().setContent(
-                            `**${position}.** [${title}](${track.info.uri})\n\`${duration}\``
+                            `**${position}.** [${title}](${track.info.uri})\n\`${duration}\` · ${this._formatStart(starts[position - 1])}` +
+                            (track.requester?.id ? ` · <@${track.requester.id}>` : '')
                         )
                     )
                     .setThumbnailAccessory(
@@ -218,6 +201,14 @@ export default class Queue extends Command {
         return container;
     }
 
+    /**
+     * Estimated start of a queued track
+     * @private
+     */
+    _formatStart(start) {
+        return start === null ? 'starts after a live stream' : `starts in ~${formatDuration(start)}`;
+    }
+
     _buildQueueContainerDisabled(ctx, player, current, queue, page, tracksPerPage, totalPages) {
         const container = new ContainerBuilder();
 
@@ -245,6 +236,7 @@ export default class Queue extends Command {
             const startIndex = (page - 1) * tracksPerPage;
             const endIndex = Math.min(startIndex + tracksPerPage, queue.length);
             const pageTracks = queue.slice(startIndex, endIndex);
+            const starts = getEstimatedStarts(player);
 
             pageTracks.forEach((track, index) => {
                 const position = startIndex + index + 1;
@@ -258,7 +250,8 @@ export default class Queue extends Command {
                 const trackSection = new SectionBuilder()
                     .addTextDisplayComponents(
                         new TextDisplayBuilder().setContent(
-                            `**${position}.** [${title}](${track.info.uri})\n\`${duration}\``
+                            `**${position}.** [${title}](${track.info.uri})\n\`${duration}\` · ${this._formatStart(starts[position - 1])}` +
+                            (track.requester?.id ? ` · <@${track.requester.id}>` : '')
                         )
                     )
                     .setThumbnailAccessory(
@@ -4,6 +4,7 @@
 
 import Command from '../../structures/Command.js';
 import { ContainerBuilder, TextDisplayBuilder, MessageFlags } from 'discord.js';
+import { suggestQueue } from '../../managers/Autocomplete.js';
 import emojis from '../../emojis.js';
 
 export default class Remove extends Command {
@@ -30,31 +31,18 @@ export default class Remove extends Command {
                     description: 'Position of the track to remove',
                     type: 4,
                     required: true,
+                    autocomplete: true,
                 },
             ],
+            preconditions: ['inVoice', 'playerRequired', 'sameVoice', 'queueNotEmpty'],
             category: 'music',
         });
         this.file = file;
     }
 
     async run(ctx, args) {
-        const member = ctx.member;
-        const voiceChannel = member.voice?.channel;
-
-        if (!voiceChannel) {
-            return ctx.sendMessage({ content: `\`${emojis.status.error}\` You need to be in a voice channel!` });
-        }
-
         const player = this.client.lavalink?.players.get(ctx.guild.id);
 
-        if (!player || !player.queue.current) {
-            return ctx.sendMessage({ content: `\`${emojis.status.error}\` Nothing is playing right now!` });
-        }
-
-        if (player.voiceChannelId !== voiceChannel.id) {
-            return ctx.sendMessage({ content: `\`${emojis.status.error}\` You need to be in the same voice channel as me!` });
-        }
-
         const position = ctx.isInteraction 
             ? ctx.interaction.options.getInteger('position')
             : parseInt(args[0]);
@@ -77,4 +65,12 @@ export default class Remove extends Command {
         );
         return ctx.sendMessage({ components: [container], flags: MessageFlags.IsComponentsV2 });
     }
+
+    /**
+     * Handle autocomplete for queue positions
+     */
+    async autocomplete(interaction) {
+        const player = this.client.lavalink?.players.get(interaction.guildId);
+        await interaction.respond(suggestQueue(player, interaction.options.getFocused()));
+    }
 }
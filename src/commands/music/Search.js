@@ -0,0 +1,511 @@
+/**
+ * Search Command
+ *
+ * Search a source and pick which results to queue, play next,
+ * add to a playlist or add to favorites.
+ */
+
+import Command from '../../structures/Command.js';
+import Context from '../../structures/Context.js';
+import { runPreconditions, buildPreconditionError, getMessage } from '../../structures/Preconditions.js';
+import { ApplicationCommandOptionType, PermissionFlagsBits, ContainerBuilder, TextDisplayBuilder, SeparatorBuilder, StringSelectMenuBuilder, ButtonBuilder, ButtonStyle, ActionRowBuilder, MessageFlags } from 'discord.js';
+import GuildAssignment from '../../schemas/GuildAssignment.js';
+import Playlist from '../../schemas/Playlist.js';
+import Favorite from '../../schemas/Favorite.js';
+import { createGuildPlayer, selectNode, formatDuration } from '../../managers/LavalinkHandler.js';
+import { addTracks } from '../../managers/FairQueue.js';
+import { getGuildSettings, SEARCH_SOURCES as SOURCES } from '../../managers/GuildSettings.js';
+import emojis from '../../emojis.js';
+
+/**
+ * Source names accepted as the first prefix command argument
+ */
+const SOURCE_ALIASES = {
+    yt: 'ytsearch',
+    youtube: 'ytsearch',
+    ytm: 'ytmsearch',
+    ytmusic: 'ytmsearch',
+    sc: 'scsearch',
+    soundcloud: 'scsearch',
+};
+
+const MAX_RESULTS = 10;
+
+export default class Search extends Command {
+    constructor(client, file) {
+        super(client, {
+            name: 'search',
+            description: {
+                content: 'Search for a song and pick which results to play',
+                usage: 'search [yt|ytm|sc] <query>',
+                examples: ['search buwan', 'search ytm kathang isip', 'search sc mundo'],
+            },
+            aliases: ['find'],
+            cooldown: 5,
+            args: true,
+            permissions: {
+                dev: false,
+                client: ['SendMessages', 'ViewChannel', 'EmbedLinks', 'Connect', 'Speak'],
+                user: [],
+            },
+            slashCommand: true,
+            options: [
+                {
+                    name: 'query',
+                    description: 'Song name to search for',
+                    type: ApplicationCommandOptionType.String,
+                    required: true,
+                },
+                {
+                    name: 'source',
+                    description: 'Where to search (default: the server\'s search source)',
+                    type: ApplicationCommandOptionType.String,
+                    required: false,
+                    choices: Object.entries(SOURCES).map(([value, name]) => ({ name, value })),
+                },
+            ],
+            preconditions: ['nodeAvailable'],
+            category: 'music',
+        });
+
+        this.file = file;
+    }
+
+    _buildContainer(title, message) {
+        const container = new ContainerBuilder();
+        container.addTextDisplayComponents(
+            new TextDisplayBuilder().setContent(`### ${title}\n${message}`)
+        );
+        return container;
+    }
+
+    async run(ctx, args) {
+        const settings = await getGuildSettings(ctx.guild.id);
+
+        let query;
+        let source = settings.searchSource || 'ytsearch';
+
+        if (ctx.isInteraction) {
+            query = ctx.interaction.options.getString('query');
+            source = ctx.interaction.options.getString('source') || source;
+        } else {
+            const alias = SOURCE_ALIASES[args[0]?.toLowerCase()];
+            if (alias && args.length > 1) {
+                source = alias;
+                args = args.slice(1);
+            }
+            query = args.join(' ');
+        }
+
+        if (!query) {
+            return ctx.sendMessage({
+                components: [this._buildContainer(`${emojis.status.error} Error`, 'Please provide a song name to search for!')],
+                flags: MessageFlags.IsComponentsV2
+            });
+        }
+
+        // Search on the guild's node, or the least loaded one
+        const node = this.client.lavalink.players.get(ctx.guild.id)?.node || selectNode(this.client.lavalink);
+
+        await ctx.sendDeferMessage({
+            components: [this._buildContainer(`${emojis.status.loading} Searching...`, `Looking for **${query}** on ${SOURCES[source]}`)],
+            flags: MessageFlags.IsComponentsV2
+        });
+
+        let tracks;
+        try {
+            const result = await node.search({ query, source }, ctx.author);
+            tracks = (result?.tracks || []).slice(0, MAX_RESULTS);
+        } catch (error) {
+            this.client.logger.error(`[Search] Error: ${error.message}`);
+            return ctx.editMessage({
+                content: null,
+                components: [this._buildContainer(`${emojis.status.error} Error`, `An error occurred while searching: ${error.message}`)],
+                flags: MessageFlags.IsComponentsV2
+            });
+        }
+
+        if (tracks.length === 0) {
+            return ctx.editMessage({
+                content: null,
+                components: [this._buildContainer(`${emojis.status.error} Error`, `No results found for: **${query}**`)],
+                flags: MessageFlags.IsComponentsV2
+            });
+        }
+
+        const state = { query, source, tracks, selected: [], view: 'results', playlists: [] };
+
+        const message = await ctx.editMessage({
+            content: null,
+            components: [this._buildResultsContainer(state)],
+            flags: MessageFlags.IsComponentsV2
+        });
+
+        if (!message) return;
+
+        const collector = message.createMessageComponentCollector({
+            filter: (i) => i.customId.startsWith('search_') && i.user.id === ctx.author.id,
+            time: 120000, // 2 minutes
+        });
+
+        collector.on('collect', async (interaction) => {
+            try {
+                await this._handleComponent(interaction, state);
+            } catch (error) {
+                this.client.logger.error(`[Search] Component error: ${error.message}`);
+                if (!interaction.replied && !interaction.deferred) {
+                    await interaction.reply({ content: `\`${emojis.status.error}\` An error occurred!`, ephemeral: true });
+                }
+            }
+        });
+
+        collector.on('end', async () => {
+            try {
+                state.view = 'results';
+                await message.edit({
+                    components: [this._buildResultsContainer(state, true)],
+                    flags: MessageFlags.IsComponentsV2
+                });
+            } catch (error) {
+                // Message may be deleted
+            }
+        });
+    }
+
+    /**
+     * @private
+     */
+    async _handleComponent(interaction, state) {
+        const selectedTracks = () => state.selected.map(i => state.tracks[i]);
+
+        switch (interaction.customId) {
+            case 'search_select':
+                state.selected = interaction.values.map(Number);
+                return interaction.update({ components: [this._buildResultsContainer(state)], flags: MessageFlags.IsComponentsV2 });
+
+            case 'search_queue':
+            case 'search_next':
+                return this._queueTracks(interaction, selectedTracks(), interaction.customId === 'search_next');
+
+            case 'search_favorite':
+                return this._addToFavorites(interaction, selectedTracks());
+
+            case 'search_playlist': {
+                state.playlists = (await Playlist.getUserPlaylists(interaction.user.id)).slice(0, 25);
+                if (state.playlists.length === 0) {
+                    return interaction.reply({
+                        components: [this._buildContainer(`${emojis.status.error} No Playlists`, `You don't have any playlists! Use \`playlist-create\` to make one.`)],
+                        flags: MessageFlags.IsComponentsV2,
+                        ephemeral: true
+                    });
+                }
+                state.view = 'playlist';
+                return interaction.update({ components: [this._buildPlaylistContainer(state)], flags: MessageFlags.IsComponentsV2 });
+            }
+
+            case 'search_playlist_pick': {
+                state.view = 'results';
+                await interaction.update({ components: [this._buildResultsContainer(state)], flags: MessageFlags.IsComponentsV2 });
+                return this._addToPlaylist(interaction, interaction.values[0], selectedTracks());
+            }
+
+            case 'search_back':
+                state.view = 'results';
+                return interaction.update({ components: [this._buildResultsContainer(state)], flags: MessageFlags.IsComponentsV2 });
+        }
+    }
+
+    /**
+     * Add tracks to the queue (or to the front of it), creating the player if needed
+     * The buttons work long after the command ran, so they go through the play command's
+     * checks again, and only start music if no other bot took the guild meanwhile
+     * @private
+     */
+    async _queueTracks(interaction, tracks, playNext) {
+        const ctx = new Context(interaction, []);
+        const failedPrecondition = await runPreconditions(this.client.commands.get('play'), ctx);
+        if (failedPrecondition) {
+            return this._replyError(interaction, failedPrecondition);
+        }
+
+        const voiceChannel = ctx.member.voice.channel;
+        let player = this.client.lavalink.players.get(interaction.guild.id);
+
+        if (!player) {
+            const permissions = voiceChannel.permissionsFor(this.client.user);
+            if (!permissions.has(PermissionFlagsBits.Connect) || !permissions.has(PermissionFlagsBits.Speak)) {
+                return interaction.reply({
+                    components: [this._buildContainer(`${emojis.status.error} Error`, "I don't have permission to join and speak in your voice channel!")],
+                    flags: MessageFlags.IsComponentsV2,
+                    ephemeral: true
+                });
+            }
+
+            const settings = await getGuildSettings(interaction.guild.id);
+            if (!(await this._canStartMusic(interaction.guild.id))) {
+                return this._replyError(interaction, getMessage('assigned', ctx, settings.language));
+            }
+
+            player = await createGuildPlayer(this.client, {
+                guildId: interaction.guild.id,
+                voiceChannelId: voiceChannel.id,
+                textChannelId: interaction.channel.id,
+            }, settings);
+        }
+
+        const { added, playedNext, limitMessage } = await addTracks(player, tracks, interaction.user.id, { playNext });
+
+        if (added.length === 0) {
+            return interaction.reply({
+                components: [this._buildContainer(`${emojis.status.error} Queue Limit`, limitMessage)],
+                flags: MessageFlags.IsComponentsV2,
+                ephemeral: true
+            });
+        }
+
+        // Start playing if not already
+        if (!player.playing && !player.paused) {
+            await player.play();
+        }
+
+        const list = added.map(track => `[${track.info.title}](${track.info.uri})`).join('\n');
+        const notes = [
+            playNext && !playedNext ? 'Fair queue is on, so the tracks wait for their turn.' : null,
+            limitMessage,
+        ].filter(Boolean).map(note => `\n-# ${note}`).join('');
+        return interaction.reply({
+            components: [this._buildContainer(
+                `${playedNext ? emojis.player.skip : emojis.player.queue} ${playedNext ? 'Playing Next' : 'Added to Queue'}`,
+                list + notes
+            )],
+            flags: MessageFlags.IsComponentsV2,
+            ephemeral: true
+        });
+    }
+
+    /**
+     * Whether this bot may start music in the guild: the guild isn't playing on another bot
+     * and no other bot is running a command there (command lock)
+     * @private
+     */
+    async _canStartMusic(guildId) {
+        const assignment = await GuildAssignment.findById(guildId);
+        if (assignment?.isActive && assignment.assignedBotId !== this.client.botId) return false;
+
+        const orchestrator = global.orchestrator;
+        if (!orchestrator?.acquireCommandLock) return true;
+        return (await orchestrator.acquireCommandLock(guildId, this.client.botId)) !== null;
+    }
+
+    /**
+     * Reply to a button with an error, in the style of the precondition errors
+     * @private
+     */
+    _replyError(interaction, message) {
+        return interaction.reply({
+            components: [buildPreconditionError(message)],
+            flags: MessageFlags.IsComponentsV2,
+            ephemeral: true
+        });
+    }
+
+    /**
+     * @private
+     */
+    async _addToFavorites(interaction, tracks) {
+        const favorites = await Favorite.getOrCreate(interaction.user.id);
+        const { added, failure } = await this._addTracks(favorites, tracks);
+
+        return interaction.reply({
+            components: [this._buildContainer(
+                added > 0 ? `${emojis.player.favorite} Added to Favorites` : `${emojis.status.error} Not Added`,
+                this._describeAdded(added, tracks.length, failure)
+            )],
+            flags: MessageFlags.IsComponentsV2,
+            ephemeral: true
+        });
+    }
+
+    /**
+     * @private
+     */
+    async _addToPlaylist(interaction, playlistId, tracks) {
+        const playlist = await Playlist.findOne({ _id: playlistId, userId: interaction.user.id });
+        if (!playlist) {
+            return interaction.followUp({
+                components: [this._buildContainer(`${emojis.status.error} Error`, 'That playlist no longer exists!')],
+                flags: MessageFlags.IsComponentsV2,
+                ephemeral: true
+            });
+        }
+
+        const { added, failure } = await this._addTracks(playlist, tracks);
+
+        return interaction.followUp({
+            components: [this._buildContainer(
+                added > 0 ? `${emojis.player.playlist} Added to ${playlist.name}` : `${emojis.status.error} Not Added`,
+                this._describeAdded(added, tracks.length, failure)
+            )],
+            flags: MessageFlags.IsComponentsV2,
+            ephemeral: true
+        });
+    }
+
+    /**
+     * Add tracks to a playlist or favorites document
+     * @private
+     */
+    async _addTracks(document, tracks) {
+        let added = 0;
+        let failure = null;
+
+        for (const track of tracks) {
+            const result = await document.addTrack({
+                title: track.info.title,
+                author: track.info.author,
+                uri: track.info.uri,
+                duration: track.info.duration,
+                artworkUrl: track.info.artworkUrl,
+                encoded: track.encoded
+            });
+
+            if (result.success) {
+                added++;
+            } else {
+                failure = result.message;
+            }
+        }
+
+        return { added, failure };
+    }
+
+    /**
+     * @private
+     */
+    _describeAdded(added, total, failure) {
+        const summary = `Added **${added}** of **${total}** track${total !== 1 ? 's' : ''}.`;
+        return failure ? `${summary}\n-# ${failure}` : summary;
+    }
+
+    /**
+     * @private
+     */
+    _buildResultsContainer(state, disabled = false) {
+        const { query, source, tracks, selected } = state;
+        const container = new ContainerBuilder();
+
+        container.addTextDisplayComponents(
+            new TextDisplayBuilder().setContent(`### ${emojis.player.music} Search Results\n**${query}** · ${SOURCES[source]}`)
+        );
+        container.addSeparatorComponents(new SeparatorBuilder().setDivider(true));
+
+        const list = tracks.map((track, i) => {
+            const title = track.info.title.length > 60 ? track.info.title.substring(0, 60) + '...' : track.info.title;
+            return `**${i + 1}.** [${title}](${track.info.uri})\n-# ${track.info.author} · ${this._formatLength(track)}`;
+        }).join('\n');
+
+        container.addTextDisplayComponents(new TextDisplayBuilder().setContent(list));
+        container.addSeparatorComponents(new SeparatorBuilder().setDivider(true));
+
+        const selectMenu = new StringSelectMenuBuilder()
+            .setCustomId('search_select')
+            .setPlaceholder(`${emojis.player.music} Select one or more results...`)
+            .setMinValues(1)
+            .setMaxValues(tracks.length)
+            .setDisabled(disabled)
+            .addOptions(tracks.map((track, i) => ({
+                label: `${i + 1}. ${track.info.title}`.substring(0, 100),
+                description: `${track.info.author} · ${this._formatLength(track)}`.substring(0, 100),
+                value: String(i),
+                default: selected.includes(i),
+            })));
+
+        container.addActionRowComponents(new ActionRowBuilder().addComponents(selectMenu));
+
+        const noSelection = disabled || selected.length === 0;
+        container.addActionRowComponents(
+            new ActionRowBuilder().addComponents(
+                new ButtonBuilder()
+                    .setCustomId('search_queue')
+                    .setLabel('Queue')
+                    .setEmoji(emojis.player.queue)
+                    .setStyle(ButtonStyle.Primary)
+                    .setDisabled(noSelection),
+                new ButtonBuilder()
+                    .setCustomId('search_next')
+                    .setLabel('Play Next')
+                    .setEmoji(emojis.player.skip)
+                    .setStyle(ButtonStyle.Secondary)
+                    .setDisabled(noSelection),
+                new ButtonBuilder()
+                    .setCustomId('search_playlist')
+                    .setLabel('Playlist')
+                    .setEmoji(emojis.player.playlist)
+                    .setStyle(ButtonStyle.Secondary)
+                    .setDisabled(noSelection),
+                new ButtonBuilder()
+                    .setCustomId('search_favorite')
+                    .setLabel('Favorite')
+                    .setEmoji(emojis.player.favorite)
+                    .setStyle(ButtonStyle.Secondary)
+                    .setDisabled(noSelection),
+            )
+        );
+
+        container.addSeparatorComponents(new SeparatorBuilder().setDivider(true));
+
+        container.addTextDisplayComponents(
+            new TextDisplayBuilder().setContent(
+                selected.length > 0
+                    ? `-# ${selected.length} selected`
+                    : '-# Select results, then choose what to do with them'
+            )
+        );
+
+        return container;
+    }
+
+    /**
+     * @private
+     */
+    _buildPlaylistContainer(state) {
+        const container = new ContainerBuilder();
+
+        container.addTextDisplayComponents(
+            new TextDisplayBuilder().setContent(
+                `### ${emojis.player.playlist} Add to Playlist\n` +
+                `Adding **${state.selected.length}** track${state.selected.length !== 1 ? 's' : ''} - pick a playlist.`
+            )
+        );
+        container.addSeparatorComponents(new SeparatorBuilder().setDivider(true));
+
+        const selectMenu = new StringSelectMenuBuilder()
+            .setCustomId('search_playlist_pick')
+            .setPlaceholder(`${emojis.player.playlist} Select a playlist...`)
+            .addOptions(state.playlists.map(playlist => ({
+                label: playlist.name.substring(0, 100),
+                description: `${playlist.tracks.length} tracks`,
+                value: playlist._id,
+            })));
+
+        container.addActionRowComponents(new ActionRowBuilder().addComponents(selectMenu));
+        container.addActionRowComponents(
+            new ActionRowBuilder().addComponents(
+                new ButtonBuilder()
+                    .setCustomId('search_back')
+                    .setLabel('Back')
+                    .setEmoji(emojis.navigation.previous)
+                    .setStyle(ButtonStyle.Secondary),
+            )
+        );
+
+        return container;
+    }
+
+    /**
+     * @private
+     */
+    _formatLength(track) {
+        return track.info.isStream ? 'LIVE' : formatDuration(track.info.duration);
+    }
+}
@@ -35,6 +35,7 @@ export default class Seek extends Command {
                     required: true,
                 },
             ],
+            preconditions: ['inVoice', 'playerRequired', 'sameVoice', 'queueNotEmpty'],
             category: 'music',
         });
 
@@ -50,32 +51,8 @@ export default class Seek extends Command {
     }
 
     async run(ctx, args) {
-        const member = ctx.member;
-        const voiceChannel = member.voice?.channel;
-
-        if (!voiceChannel) {
-            return ctx.sendMessage({
-                components: [this._buildContainer(`${emojis.status.error} Error`, 'You need to be in a voice channel!')],
-                flags: MessageFlags.IsComponentsV2
-            });
-        }
-
         const player = this.client.lavalink?.players.get(ctx.guild.id);
 
-        if (!player || !player.queue.current) {
-            return ctx.sendMessage({
-                components: [this._buildContainer(`${emojis.status.error} Error`, 'Nothing is playing right now!')],
-                flags: MessageFlags.IsComponentsV2
-            });
-        }
-
-        if (player.voiceChannelId !== voiceChannel.id) {
-            return ctx.sendMessage({
-                components: [this._buildContainer(`${emojis.status.error} Error`, 'You need to be in the same voice channel as me!')],
-                flags: MessageFlags.IsComponentsV2
-            });
-        }
-
         const track = player.queue.current;
         if (track.info.isStream) {
             return ctx.sendMessage({
@@ -112,6 +89,8 @@ export default class Seek extends Command {
 
         try {
             await player.seek(position);
+            this.client.syncedLyrics.resync(player);
+            this.client.nowPlaying.refresh(player);
 
             return ctx.sendMessage({
                 components: [this._buildContainer(`${emojis.player.forward} Seeked`, `Jumped to **${formatDuration(position)}**`)],
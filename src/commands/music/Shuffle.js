@@ -28,6 +28,7 @@ export default class Shuffle extends Command {
             },
             slashCommand: true,
             options: [],
+            preconditions: ['inVoice', 'playerRequired', 'sameVoice'],
             category: 'music',
         });
 
@@ -43,32 +44,8 @@ export default class Shuffle extends Command {
     }
 
     async run(ctx, args) {
-        const member = ctx.member;
-        const voiceChannel = member.voice?.channel;
-
-        if (!voiceChannel) {
-            return ctx.sendMessage({
-                components: [this._buildContainer(`${emojis.status.error} Error`, 'You need to be in a voice channel!')],
-                flags: MessageFlags.IsComponentsV2
-            });
-        }
-
         const player = this.client.lavalink?.players.get(ctx.guild.id);
 
-        if (!player) {
-            return ctx.sendMessage({
-                components: [this._buildContainer(`${emojis.status.error} Error`, 'Nothing is playing right now!')],
-                flags: MessageFlags.IsComponentsV2
-            });
-        }
-
-        if (player.voiceChannelId !== voiceChannel.id) {
-            return ctx.sendMessage({
-                components: [this._buildContainer(`${emojis.status.error} Error`, 'You need to be in the same voice channel as me!')],
-                flags: MessageFlags.IsComponentsV2
-            });
-        }
-
         if (player.queue.tracks.length < 2) {
             return ctx.sendMessage({
                 components: [this._buildContainer(`${emojis.status.error} Error`, 'Need at least 2 tracks in the queue to shuffle!')],
@@ -79,6 +56,7 @@ export default class Shuffle extends Command {
         try {
             await player.queue.shuffle();
             await savePlayerState(player, this.client);
+            this.client.nowPlaying.refresh(player);
 
             return ctx.sendMessage({
                 components: [this._buildContainer(`${emojis.player.shuffle} Shuffled`, `Shuffled **${player.queue.tracks.length}** tracks in the queue!`)],
@@ -8,6 +8,7 @@ import Command from '../../structures/Command.js';
 import { ContainerBuilder, TextDisplayBuilder, MessageFlags } from 'discord.js';
 import GuildAssignment from '../../schemas/GuildAssignment.js';
 import PlayerSchema from '../../schemas/Player.js';
+import { getVoteRatio } from '../../managers/MusicPermissions.js';
 import emojis from '../../emojis.js';
 
 export default class Stop extends Command {
@@ -29,6 +30,7 @@ export default class Stop extends Command {
             },
             slashCommand: true,
             options: [],
+            preconditions: ['inVoice', 'playerRequired', 'sameVoice', 'djOnly'],
             category: 'music',
         });
 
@@ -44,30 +46,18 @@ export default class Stop extends Command {
     }
 
     async run(ctx, args) {
-        const member = ctx.member;
-        const voiceChannel = member.voice?.channel;
-
-        if (!voiceChannel) {
-            return ctx.sendMessage({
-                components: [this._buildContainer(`${emojis.status.error} Error`, 'You need to be in a voice channel!')],
-                flags: MessageFlags.IsComponentsV2
-            });
-        }
-
         const player = this.client.lavalink?.players.get(ctx.guild.id);
 
-        if (!player) {
-            return ctx.sendMessage({
-                components: [this._buildContainer(`${emojis.status.error} Error`, 'Nothing is playing right now!')],
-                flags: MessageFlags.IsComponentsV2
-            });
-        }
-
-        if (player.voiceChannelId !== voiceChannel.id) {
-            return ctx.sendMessage({
-                components: [this._buildContainer(`${emojis.status.error} Error`, 'You need to be in the same voice channel as me!')],
-                flags: MessageFlags.IsComponentsV2
-            });
+        // Vote mode: the stop goes through once enough listeners voted
+        const ratio = await getVoteRatio(ctx.member, this.name, player);
+        if (ratio) {
+            const { passed, alreadyVoted, count, required } = await this.client.votes.vote(player, 'stop', ctx.member, ratio);
+            if (!passed) {
+                return ctx.sendMessage({
+                    components: [this._buildContainer(`${emojis.status.info} Vote to stop`, `${alreadyVoted ? 'You already voted.' : 'Your vote was counted.'} **${count}/${required}** votes needed.`)],
+                    flags: MessageFlags.IsComponentsV2
+                });
+            }
         }
 
         try {
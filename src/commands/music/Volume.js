@@ -7,6 +7,7 @@
 import Command from '../../structures/Command.js';
 import { ContainerBuilder, TextDisplayBuilder, SeparatorBuilder, MessageFlags } from 'discord.js';
 import { savePlayerState } from '../../managers/LavalinkHandler.js';
+import { getGuildSettings } from '../../managers/GuildSettings.js';
 import emojis from '../../emojis.js';
 
 export default class Volume extends Command {
@@ -14,7 +15,7 @@ export default class Volume extends Command {
         super(client, {
             name: 'volume',
             description: {
-                content: 'Adjust the player volume (0-150)',
+                content: 'Adjust the player volume (0-150, or up to the server\'s max volume)',
                 usage: 'volume <0-150>',
                 examples: ['volume 80', 'volume 50'],
             },
@@ -37,6 +38,7 @@ export default class Volume extends Command {
                     max_value: 150,
                 },
             ],
+            preconditions: ['inVoice', 'playerRequired', 'sameVoice', 'djOnly'],
             category: 'music',
         });
 
@@ -67,32 +69,8 @@ export default class Volume extends Command {
     }
 
     async run(ctx, args) {
-        const member = ctx.member;
-        const voiceChannel = member.voice?.channel;
-
-        if (!voiceChannel) {
-            return ctx.sendMessage({
-                components: [this._buildContainer(`${emojis.status.error} Error`, 'You need to be in a voice channel!')],
-                flags: MessageFlags.IsComponentsV2
-            });
-        }
-
         const player = this.client.lavalink?.players.get(ctx.guild.id);
 
-        if (!player) {
-            return ctx.sendMessage({
-                components: [this._buildContainer(`${emojis.status.error} Error`, 'Nothing is playing right now!')],
-                flags: MessageFlags.IsComponentsV2
-            });
-        }
-
-        if (player.voiceChannelId !== voiceChannel.id) {
-            return ctx.sendMessage({
-                components: [this._buildContainer(`${emojis.status.error} Error`, 'You need to be in the same voice channel as me!')],
-                flags: MessageFlags.IsComponentsV2
-            });
-        }
-
         const volumeArg = ctx.isInteraction 
             ? ctx.interaction.options.getInteger('level')
             : parseInt(args[0]);
@@ -104,15 +82,18 @@ export default class Volume extends Command {
             });
         }
 
-        if (volumeArg < 0 || volumeArg > 150) {
+        const { maxVolume } = await getGuildSettings(ctx.guild.id);
+
+        if (volumeArg < 0 || volumeArg > maxVolume) {
             return ctx.sendMessage({
-                components: [this._buildContainer(`${emojis.status.error} Error`, 'Volume must be between 0 and 150!')],
+                components: [this._buildContainer(`${emojis.status.error} Error`, `Volume must be between 0 and ${maxVolume}!`)],
                 flags: MessageFlags.IsComponentsV2
             });
         }
 
         try {
             await player.setVolume(volumeArg);
+            this.client.nowPlaying.refresh(player);
             await savePlayerState(player, this.client);
 
             return ctx.sendMessage({
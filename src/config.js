@@ -23,6 +23,7 @@ function parseBotConfigs() {
         clientId,
         name,
         isMain: i === 1, // First bot is always the main bot
+        shards: process.env[`BOT${i}_SHARDS`] || null, // Shard count in sharded mode (null = cluster default)
       });
     }
     i++;
@@ -36,12 +37,32 @@ function parseBotConfigs() {
       clientId: process.env.CLIENT_ID || '',
       name: process.env.BOT_NAME || 'MusicBot',
       isMain: true,
+      shards: null,
     });
   }
   
   return bots;
 }
 
+/**
+ * Helper function to parse per-bot load balancing weights
+ * Format: LOAD_BALANCING_WEIGHTS="bot-1:3,bot-2:1"
+ * @returns {Object} Map of bot ID to weight
+ */
+function parseBotWeights() {
+  const weights = {};
+  const raw = process.env.LOAD_BALANCING_WEIGHTS || "";
+  
+  for (const entry of raw.split(",")) {
+    const [botId, weight] = entry.split(":").map(part => part?.trim());
+    if (botId && weight && !isNaN(parseFloat(weight))) {
+      weights[botId] = parseFloat(weight);
+    }
+  }
+  
+  return weights;
+}
+
 /**
  * Helper function to parse Lavalink node configurations
  * Supports LAVALINK_HOST_1, LAVALINK_PORT_1, etc.
@@ -81,6 +102,16 @@ function parseLavalinkNodes() {
   return nodes;
 }
 
+/**
+ * Re-read .env and refresh config.bots, so bots added while running can be started
+ * @returns {Array} Updated array of bot configurations
+ */
+export function reloadBotConfigs() {
+  dotenv.config({ override: true });
+  config.bots = parseBotConfigs();
+  return config.bots;
+}
+
 export const config = {
   // Legacy single-bot config (kept for backward compatibility)
   token: process.env.TOKEN || "",
@@ -145,6 +176,8 @@ export const config = {
       enabled: process.env.LAVALINK_RESUME_ENABLED !== "false", // Default true
       timeout: parseInt(process.env.LAVALINK_RESUME_TIMEOUT || "60000", 10), // 60 seconds
       key: process.env.LAVALINK_RESUME_KEY || null, // Auto-generated if null
+      // Sessions saved on shutdown older than this are dropped instead of resumed (in ms)
+      maxSessionAge: parseInt(process.env.LAVALINK_SESSION_MAX_AGE || "600000", 10), // 10 minutes
     },
     // Player default settings
     playerDefaults: {
@@ -152,19 +185,98 @@ export const config = {
       autoPlay: process.env.AUTO_PLAY === "true",
       selfDeaf: true,
     },
+    // Move players off nodes that disconnect or keep erroring
+    nodeFailover: {
+      enabled: process.env.LAVALINK_NODE_FAILOVER !== "false", // Default true
+      // Errors within errorWindow (in ms) before a connected node is treated as unhealthy
+      errorThreshold: parseInt(process.env.LAVALINK_NODE_ERROR_THRESHOLD || "3", 10),
+      errorWindow: parseInt(process.env.LAVALINK_NODE_ERROR_WINDOW || "60000", 10),
+    },
+  },
+
+  // Lyrics Configuration
+  lyrics: {
+    // Providers tried in order: "lavalink" (LavaLyrics plugin on the node)
+    // and "lrcDirectory" (local .lrc/.txt files, see managers/LyricsProviders.js)
+    providers: (process.env.LYRICS_PROVIDERS || "lavalink,lrcDirectory").split(",").map(p => p.trim()).filter(Boolean),
+    // Directory of "Artist - Title.lrc" files for the lrcDirectory provider
+    lrcDirectory: process.env.LYRICS_LRC_DIRECTORY || "./lyrics",
+    // How long found lyrics stay cached in MongoDB (in ms)
+    cacheTtl: parseInt(process.env.LYRICS_CACHE_TTL || "604800000", 10), // 7 days
+    // How long a song without lyrics is remembered before asking the providers again (in ms)
+    missTtl: parseInt(process.env.LYRICS_MISS_TTL || "3600000", 10), // 1 hour
+    // Current and next line of timed lyrics in the now playing message
+    nowPlaying: {
+      enabled: process.env.LYRICS_NOW_PLAYING !== "false", // Default true
+    },
+  },
+
+  // Now Playing Message
+  nowPlaying: {
+    // Progress bar, volume, loop mode, filter and next track in the now playing message
+    progress: process.env.NOW_PLAYING_PROGRESS !== "false", // Default true
+    // How often the progress bar moves while a track plays (in ms)
+    updateInterval: parseInt(process.env.NOW_PLAYING_UPDATE_INTERVAL || "15000", 10),
+    // Minimum time between two edits of the message, for any change it shows (in ms)
+    editInterval: parseInt(process.env.NOW_PLAYING_EDIT_INTERVAL || "2000", 10),
   },
 
   // Load Balancing Configuration
   loadBalancing: {
     enabled: process.env.LOAD_BALANCING_ENABLED !== "false", // Default true
-    // Strategy: "priority" (Main Bot first) or "roundRobin"
+    // Strategy: "priority" (Main Bot first), "roundRobin", "leastPlayers",
+    // "leastCpu", "leastMemory" or "weighted" (see managers/LoadBalancingStrategy.js)
+    // leastCpu / leastMemory compare process usage, so they need bots running as workers
     strategy: process.env.LOAD_BALANCING_STRATEGY || "priority",
+    // Per-bot weights for the "weighted" strategy (bots default to 1, 0 excludes a bot)
+    weights: parseBotWeights(),
     // How often to check bot status (in ms)
     heartbeatInterval: parseInt(process.env.HEARTBEAT_INTERVAL || "30000", 10),
     // Max players per bot before failover
     maxPlayersPerBot: parseInt(process.env.MAX_PLAYERS_PER_BOT || "100", 10),
   },
 
+  // Cluster Process Configuration
+  cluster: {
+    // Mode: "process" (all bots in one process), "worker" (one child process per bot)
+    // or "sharded" (one child process per shard of every bot)
+    mode: process.env.CLUSTER_MODE || "process",
+    // Shards per bot in sharded mode: "auto" (Discord's recommendation) or a number
+    // BOT{n}_SHARDS overrides this per bot
+    totalShards: process.env.TOTAL_SHARDS || "auto",
+    // Delay between spawning two shards of the same bot (in ms)
+    shardSpawnDelay: parseInt(process.env.SHARD_SPAWN_DELAY || "5500", 10),
+    // First restart delay for a crashed worker, doubled on each crash (in ms)
+    restartDelay: parseInt(process.env.WORKER_RESTART_DELAY || "1000", 10),
+    // Upper bound for the restart delay (in ms)
+    maxRestartDelay: parseInt(process.env.WORKER_MAX_RESTART_DELAY || "60000", 10),
+    // Uptime after which a worker's crash counter resets (in ms)
+    stableAfter: parseInt(process.env.WORKER_STABLE_AFTER || "60000", 10),
+    // How long to wait for a worker to report ready (in ms)
+    startTimeout: parseInt(process.env.WORKER_START_TIMEOUT || "120000", 10),
+    // How long to wait for a worker to exit before killing it (in ms)
+    shutdownTimeout: parseInt(process.env.WORKER_SHUTDOWN_TIMEOUT || "15000", 10),
+    // Timeout for requests between orchestrator and workers (in ms)
+    ipcTimeout: parseInt(process.env.IPC_TIMEOUT || "5000", 10),
+  },
+
+  // Health and Prometheus metrics HTTP server (served by the orchestrator)
+  metrics: {
+    enabled: process.env.METRICS_ENABLED !== "false", // Default true
+    // Bind address - keep it local and let the monitoring agent scrape it
+    host: process.env.METRICS_HOST || "127.0.0.1",
+    port: parseInt(process.env.METRICS_PORT || "9464", 10),
+  },
+
+  // Guild Command Lock Configuration
+  commandLocks: {
+    // Backend: "memory" (single host) or "mongo" (bots on separate hosts)
+    // While MongoDB is unreachable, "mongo" falls back to in-process locks
+    backend: process.env.COMMAND_LOCK_BACKEND || "memory",
+    // Lock lifetime before it can be taken over (in ms)
+    timeout: parseInt(process.env.COMMAND_LOCK_TIMEOUT || "10000", 10),
+  },
+
   // Links
   links: {
     support: process.env.SUPPORT_SERVER || "https://discord.gg/yourserver",
@@ -1,7 +1,9 @@
 import Event from "../../structures/Event.js";
 import Context from "../../structures/Context.js";
-import { InteractionType, Collection, PermissionFlagsBits, CommandInteraction } from "discord.js";
+import { InteractionType, Collection, PermissionFlagsBits, CommandInteraction, MessageFlags } from "discord.js";
 import GuildAssignment from "../../schemas/GuildAssignment.js";
+import { runPreconditions, buildPreconditionError } from "../../structures/Preconditions.js";
+import { routeComponent } from "../../structures/ComponentRouter.js";
 
 // Music command names for routing
 const MUSIC_COMMANDS = [
@@ -13,7 +15,7 @@ const MUSIC_COMMANDS = [
 
 /**
  * Check if this bot should handle a command for this guild
- * Uses global locking to prevent race conditions between bots
+ * Uses shared command locks (memory or MongoDB) to prevent race conditions between bots
  * 
  * Routing Logic:
  * 1. Main Bot handles ALL commands by default
@@ -22,15 +24,28 @@ const MUSIC_COMMANDS = [
  * 3. Failover bots respond in PRIORITY ORDER (bot-2 before bot-3, etc.):
  *    - Only if Main Bot is busy AND this bot is the FIRST available failover
  * 
+ * With load balancing enabled, a music command in a guild no bot plays in goes to
+ * the bot the orchestrator places it on (load balancing strategy) instead
+ * 
  * @param {import('../../structures/Client.js').BotClient} client - Current bot client
  * @param {string} guildId - Guild ID
  * @param {boolean} isMusicCommand - Whether this is a music command
  * @param {string|null} userVoiceChannelId - User's current voice channel ID
- * @returns {Promise<boolean>}
+ * @returns {Promise<number|boolean>} False if another bot handles it; otherwise the command
+ *   lock token this bot holds (check it with holdsCommandLock before running), or true without one
  */
 async function shouldHandleCommand(client, guildId, isMusicCommand, userVoiceChannelId = null) {
     const orchestrator = global.orchestrator;
     
+    // First session in the guild - placed by the load balancing strategy
+    if (isMusicCommand && userVoiceChannelId && orchestrator?.placeSession) {
+        const placedBotId = await orchestrator.placeSession(guildId, userVoiceChannelId);
+        if (placedBotId) {
+            if (placedBotId !== client.botId) return false;
+            return takeCommandLock(client, guildId);
+        }
+    }
+    
     // Main bot logic
     if (client.isMainBot) {
         // For music commands, check if we're busy in a different voice channel
@@ -47,6 +62,12 @@ async function shouldHandleCommand(client, guildId, isMusicCommand, userVoiceCha
             }
         }
         
+        // A draining main bot finishes its current session but starts no new ones
+        if (isMusicCommand && client.draining && !client.lavalink?.players?.get(guildId)?.voiceChannelId) {
+            client.logger.debug(`[${client.botId}] Draining - deferring new session in guild ${guildId} to failover`);
+            return false;
+        }
+        
         // Also check if guild is assigned to another bot for music commands
         if (isMusicCommand) {
             const assignment = await GuildAssignment.findById(guildId);
@@ -57,10 +78,7 @@ async function shouldHandleCommand(client, guildId, isMusicCommand, userVoiceCha
         }
         
         // Main bot handles - acquire lock if music command
-        if (isMusicCommand && orchestrator?.acquireCommandLock) {
-            orchestrator.acquireCommandLock(guildId, client.botId);
-        }
-        return true;
+        return isMusicCommand ? takeCommandLock(client, guildId) : true;
     }
     
     // ==========================================
@@ -74,16 +92,16 @@ async function shouldHandleCommand(client, guildId, isMusicCommand, userVoiceCha
     
     // Check if another bot already has the lock
     if (orchestrator?.hasCommandLock) {
-        if (!orchestrator.hasCommandLock(guildId, client.botId)) {
+        if (!(await orchestrator.hasCommandLock(guildId, client.botId))) {
             // Check if any bot has the lock
-            const lockExists = orchestrator.acquireCommandLock(guildId, client.botId);
-            if (!lockExists) {
+            const lockToken = await orchestrator.acquireCommandLock(guildId, client.botId);
+            if (!lockToken) {
                 // Another bot got the lock first
                 client.logger.debug(`[${client.botId}] Another bot has command lock for guild ${guildId} - skipping`);
                 return false;
             }
             // We got the lock, but release it for now - we'll re-acquire if we should handle
-            orchestrator.releaseCommandLock(guildId, client.botId);
+            await orchestrator.releaseCommandLock(guildId, client.botId, lockToken);
         }
     }
     
@@ -97,48 +115,43 @@ async function shouldHandleCommand(client, guildId, isMusicCommand, userVoiceCha
                 return false;
             }
             // This bot already has a player in the SAME VC - handle it
-            if (orchestrator?.acquireCommandLock) {
-                orchestrator.acquireCommandLock(guildId, client.botId);
-            }
-            return true;
+            return takeCommandLock(client, guildId);
         }
     }
     
     // Check assignment - if assigned to this bot, handle it
     const assignment = await GuildAssignment.findById(guildId);
     if (assignment?.isActive && assignment.assignedBotId === client.botId) {
-        if (orchestrator?.acquireCommandLock) {
-            orchestrator.acquireCommandLock(guildId, client.botId);
-        }
-        return true;
+        return takeCommandLock(client, guildId);
     }
     
     // Check if we should take over from Main Bot
-    if (!orchestrator || !userVoiceChannelId) {
+    if (!orchestrator?.getGuildPlayers || !userVoiceChannelId) {
         return false;
     }
     
-    // Find Main Bot and check if it's busy
-    let mainBotClient = null;
-    for (const [botId, botClient] of orchestrator.bots) {
-        if (botClient.isMainBot) {
-            mainBotClient = botClient;
-            break;
-        }
+    // Player state of every bot in this guild (over IPC in worker mode)
+    let guildPlayers;
+    try {
+        guildPlayers = await orchestrator.getGuildPlayers(guildId);
+    } catch (error) {
+        client.logger.debug(`[${client.botId}] Failed to look up cluster players for guild ${guildId}: ${error.message}`);
+        return false;
     }
     
-    if (!mainBotClient?.lavalink) {
+    // Find Main Bot and check if it's busy
+    const mainBot = guildPlayers.find(bot => bot.isMain);
+    
+    if (!mainBot?.lavalink) {
         return false;
     }
     
-    const mainBotPlayer = mainBotClient.lavalink.players?.get(guildId);
-    
-    // Main Bot must be busy in a DIFFERENT VC for failover to activate
-    if (!mainBotPlayer || !mainBotPlayer.voiceChannelId) {
+    // Main Bot must be busy in a DIFFERENT VC (or draining) for failover to activate
+    if (!mainBot.voiceChannelId && !mainBot.draining) {
         return false; // Main bot not busy, it should handle
     }
     
-    if (mainBotPlayer.voiceChannelId === userVoiceChannelId) {
+    if (mainBot.voiceChannelId === userVoiceChannelId) {
         return false; // Main bot is in the same VC, let it handle
     }
     
@@ -146,41 +159,34 @@ async function shouldHandleCommand(client, guildId, isMusicCommand, userVoiceCha
     // Priority: bot-2 first, then bot-3, then bot-4, etc.
     
     // Get all failover bots sorted by priority (bot-2, bot-3, ...)
-    const failoverBots = [];
-    for (const [botId, botClient] of orchestrator.bots) {
-        if (!botClient.isMainBot) {
-            failoverBots.push({ id: botId, client: botClient });
-        }
-    }
-    
-    // Sort by bot ID (bot-2 before bot-3, etc.)
-    failoverBots.sort((a, b) => a.id.localeCompare(b.id));
+    const failoverBots = guildPlayers
+        .filter(bot => !bot.isMain)
+        .sort((a, b) => a.botId.localeCompare(b.botId));
     
     // Find the FIRST available failover bot
     for (const failover of failoverBots) {
-        const failoverPlayer = failover.client.lavalink?.players?.get(guildId);
-        
-        // Check if this failover bot is available (no player OR player in same VC)
-        const isAvailable = !failoverPlayer || 
-            !failoverPlayer.voiceChannelId || 
-            failoverPlayer.voiceChannelId === userVoiceChannelId;
+        // Check if this failover bot is available (no player and not draining, OR player in same VC)
+        const isAvailable = failover.voiceChannelId
+            ? failover.voiceChannelId === userVoiceChannelId
+            : !failover.draining;
         
         if (isAvailable) {
             // This is the first available failover bot
-            if (failover.client.botId === client.botId) {
+            if (failover.botId === client.botId) {
                 // It's THIS bot! Try to acquire the lock
+                let lockToken = true;
                 if (orchestrator.acquireCommandLock) {
-                    const gotLock = orchestrator.acquireCommandLock(guildId, client.botId);
-                    if (!gotLock) {
+                    lockToken = await orchestrator.acquireCommandLock(guildId, client.botId);
+                    if (!lockToken) {
                         client.logger.debug(`[${client.botId}] Failed to acquire lock for guild ${guildId} - another bot got it`);
                         return false;
                     }
                 }
                 client.logger.info(`[${client.botId}] First available failover - Main Bot busy, taking over`);
-                return true;
+                return lockToken;
             } else {
                 // Another failover bot has higher priority - don't handle
-                client.logger.debug(`[${client.botId}] Higher priority failover ${failover.id} is available - skipping`);
+                client.logger.debug(`[${client.botId}] Higher priority failover ${failover.botId} is available - skipping`);
                 return false;
             }
         }
@@ -190,6 +196,55 @@ async function shouldHandleCommand(client, guildId, isMusicCommand, userVoiceCha
     return false;
 }
 
+/**
+ * Acquire the guild's command lock for a command this bot handles
+ * A bot that keeps answering without the lock (another bot holds it for another
+ * voice channel) gets true instead of a token
+ * @param {import('../../structures/Client.js').BotClient} client - Current bot client
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<number|boolean>} Lock token, or true
+ */
+async function takeCommandLock(client, guildId) {
+    const lockToken = await global.orchestrator?.acquireCommandLock?.(guildId, client.botId);
+    return lockToken ?? true;
+}
+
+/**
+ * Check that a routed command's lock token still holds the guild's lock right before
+ * the command changes anything - routing and checks take long enough for the lock
+ * to expire and go to another bot, which then answers the command instead
+ * @param {string} guildId - Guild ID
+ * @param {number|boolean} route - Result of shouldHandleCommand
+ * @returns {Promise<boolean>}
+ */
+async function holdsCommandLock(guildId, route) {
+    if (typeof route !== 'number' || !global.orchestrator?.isCommandLockCurrent) return true;
+    return global.orchestrator.isCommandLockCurrent(guildId, route);
+}
+
+/**
+ * Resolve the command an interaction runs, following subcommands (e.g. /playlist track add)
+ * @param {import('../../structures/Client.js').BotClient} client
+ * @param {CommandInteraction} interaction
+ * @returns {{ cmd: Object|undefined, options: Array<Object> }} The command and its own options
+ */
+function resolveCommand(client, interaction) {
+    let cmd = client.commands.get(interaction.commandName);
+    let options = interaction.options.data;
+    
+    if (cmd?.subcommands) {
+        const group = interaction.options.getSubcommandGroup(false);
+        const subcommand = interaction.options.getSubcommand(false);
+        cmd = client.commands.get(cmd.getSubcommand(group, subcommand));
+        
+        // Subcommand options are nested under the group and subcommand options
+        if (group) options = options[0]?.options || [];
+        options = options[0]?.options || [];
+    }
+    
+    return { cmd, options };
+}
+
 export default class InteractionCreate extends Event {
     constructor(...args) {
         super(...args, {
@@ -201,23 +256,47 @@ export default class InteractionCreate extends Event {
      * @param {CommandInteraction} interaction
      */
     async run(interaction) {
+        if (interaction.type === InteractionType.ApplicationCommandAutocomplete) {
+            const { cmd } = resolveCommand(this.client, interaction);
+            if (!cmd || !cmd.slashCommand) return;
+            
+            // Don't reveal dev command data (bots, nodes) to other users
+            if (cmd.permissions.dev && this.client.config.ownerID && !this.client.config.ownerID.includes(interaction.user.id)) {
+                return await interaction.respond([]).catch(() => { });
+            }
+            
+            try {
+                await cmd.autocomplete(interaction);
+            } catch (error) {
+                this.client.logger.debug(`[${this.client.botName}] Autocomplete for ${cmd.name} failed: ${error.message}`);
+                if (!interaction.responded) {
+                    await interaction.respond([]).catch(() => { });
+                }
+            }
+            return;
+        }
+        
+        // Routed components (player controls), other components belong to command collectors
+        if (interaction.isMessageComponent() && await routeComponent(this.client, interaction)) return;
+        
         if (interaction.type === InteractionType.ApplicationCommand) {
             const { commandName } = interaction;
             if (!commandName) return await interaction.reply({ content: 'Unknown interaction!' }).catch(() => { });
             
-            const cmd = this.client.commands.get(interaction.commandName);
+            const { cmd, options } = resolveCommand(this.client, interaction);
             if (!cmd || !cmd.slashCommand) return;
             
             const command = cmd.name.toLowerCase();
-            const ctx = new Context(interaction, interaction.options.data);
+            const ctx = new Context(interaction, options);
             
             // Check if this bot should handle commands for this guild
             const isMusicCommand = MUSIC_COMMANDS.includes(command) || cmd.category === 'music';
             
+            let shouldHandle = true;
             if (interaction.guildId) {
                 // Get user's voice channel for music command routing
                 const userVoiceChannelId = interaction.member?.voice?.channelId || null;
-                const shouldHandle = await shouldHandleCommand(this.client, interaction.guildId, isMusicCommand, userVoiceChannelId);
+                shouldHandle = await shouldHandleCommand(this.client, interaction.guildId, isMusicCommand, userVoiceChannelId);
                 
                 if (!shouldHandle) {
                     // This bot should not respond - let main bot or assigned bot handle it
@@ -263,13 +342,21 @@ export default class InteractionCreate extends Event {
                 }
             }
 
+            const failedPrecondition = await runPreconditions(cmd, ctx);
+            if (failedPrecondition) {
+                return await interaction.reply({
+                    components: [buildPreconditionError(failedPrecondition)],
+                    flags: MessageFlags.IsComponentsV2 | MessageFlags.Ephemeral
+                }).catch(() => { });
+            }
+
             // Cooldown handling
-            if (!this.client.cooldowns.has(commandName)) {
-                this.client.cooldowns.set(commandName, new Collection());
+            if (!this.client.cooldowns.has(command)) {
+                this.client.cooldowns.set(command, new Collection());
             }
             
             const now = Date.now();
-            const timestamps = this.client.cooldowns.get(commandName);
+            const timestamps = this.client.cooldowns.get(command);
             const cooldownAmount = Math.floor(cmd.cooldown || 5) * 1000;
             
             if (!timestamps.has(interaction.user.id)) {
@@ -280,7 +367,7 @@ export default class InteractionCreate extends Event {
                 const timeLeft = (expirationTime - now) / 1000;
                 if (now < expirationTime && timeLeft > 0.9) {
                     return interaction.reply({ 
-                        content: `Please wait ${timeLeft.toFixed(1)} more second(s) before reusing the \`${commandName}\` command.`,
+                        content: `Please wait ${timeLeft.toFixed(1)} more second(s) before reusing the \`${command}\` command.`,
                         ephemeral: true
                     });
                 }
@@ -288,14 +375,24 @@ export default class InteractionCreate extends Event {
                 setTimeout(() => timestamps.delete(interaction.user.id), cooldownAmount);
             }
             
+            if (!(await holdsCommandLock(interaction.guildId, shouldHandle))) {
+                this.client.logger.debug(`[${this.client.botId}] Lost command lock for guild ${interaction.guildId} - dropping ${command}`);
+                return;
+            }
+            
+            const startedAt = Date.now();
+            let success = true;
             try {
                 return await cmd.run(ctx, ctx.args);
             } catch (error) {
+                success = false;
                 console.error(error);
                 await interaction.reply({
                     ephemeral: true,
                     content: 'An unexpected error occurred, the developers have been notified.',
                 }).catch(() => { });
+            } finally {
+                this.client.commandMetrics.record(cmd.name, Date.now() - startedAt, success);
             }
         }
     }
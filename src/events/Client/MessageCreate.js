@@ -1,8 +1,10 @@
 import Event from "../../structures/Event.js";
 import Context from "../../structures/Context.js";
-import { Message, ChannelType, PermissionFlagsBits, Collection } from "discord.js";
+import { Message, ChannelType, PermissionFlagsBits, Collection, MessageFlags } from "discord.js";
 import PrefixSchema from "../../schemas/prefix.js";
 import GuildAssignment from "../../schemas/GuildAssignment.js";
+import { runPreconditions, buildPreconditionError } from "../../structures/Preconditions.js";
+import { getGuildSettings } from "../../managers/GuildSettings.js";
 
 async function getPrefix(guildId, client) {
     const data = await PrefixSchema.findOne({ _id: guildId });
@@ -11,7 +13,7 @@ async function getPrefix(guildId, client) {
 
 /**
  * Check if this bot should handle a command for this guild
- * Uses global locking to prevent race conditions between bots
+ * Uses shared command locks (memory or MongoDB) to prevent race conditions between bots
  * 
  * Routing Logic:
  * 1. Main Bot handles ALL commands by default
@@ -20,15 +22,28 @@ async function getPrefix(guildId, client) {
  * 3. Failover bots respond in PRIORITY ORDER (bot-2 before bot-3, etc.):
  *    - Only if Main Bot is busy AND this bot is the FIRST available failover
  * 
+ * With load balancing enabled, a music command in a guild no bot plays in goes to
+ * the bot the orchestrator places it on (load balancing strategy) instead
+ * 
  * @param {import('../../structures/Client.js').BotClient} client - Current bot client
  * @param {string} guildId - Guild ID
  * @param {boolean} isMusicCommand - Whether this is a music command
  * @param {string|null} userVoiceChannelId - User's current voice channel ID
- * @returns {Promise<boolean>}
+ * @returns {Promise<number|boolean>} False if another bot handles it; otherwise the command
+ *   lock token this bot holds (check it with holdsCommandLock before running), or true without one
  */
 async function shouldHandleCommand(client, guildId, isMusicCommand, userVoiceChannelId = null) {
     const orchestrator = global.orchestrator;
     
+    // First session in the guild - placed by the load balancing strategy
+    if (isMusicCommand && userVoiceChannelId && orchestrator?.placeSession) {
+        const placedBotId = await orchestrator.placeSession(guildId, userVoiceChannelId);
+        if (placedBotId) {
+            if (placedBotId !== client.botId) return false;
+            return takeCommandLock(client, guildId);
+        }
+    }
+    
     // Main bot logic
     if (client.isMainBot) {
         // For music commands, check if we're busy in a different voice channel
@@ -45,6 +60,12 @@ async function shouldHandleCommand(client, guildId, isMusicCommand, userVoiceCha
             }
         }
         
+        // A draining main bot finishes its current session but starts no new ones
+        if (isMusicCommand && client.draining && !client.lavalink?.players?.get(guildId)?.voiceChannelId) {
+            client.logger.debug(`[${client.botId}] Draining - deferring new session in guild ${guildId} to failover`);
+            return false;
+        }
+        
         // Also check if guild is assigned to another bot for music commands
         if (isMusicCommand) {
             const assignment = await GuildAssignment.findById(guildId);
@@ -55,10 +76,7 @@ async function shouldHandleCommand(client, guildId, isMusicCommand, userVoiceCha
         }
         
         // Main bot handles - acquire lock if music command
-        if (isMusicCommand && orchestrator?.acquireCommandLock) {
-            orchestrator.acquireCommandLock(guildId, client.botId);
-        }
-        return true;
+        return isMusicCommand ? takeCommandLock(client, guildId) : true;
     }
     
     // ==========================================
@@ -72,16 +90,16 @@ async function shouldHandleCommand(client, guildId, isMusicCommand, userVoiceCha
     
     // Check if another bot already has the lock
     if (orchestrator?.hasCommandLock) {
-        if (!orchestrator.hasCommandLock(guildId, client.botId)) {
+        if (!(await orchestrator.hasCommandLock(guildId, client.botId))) {
             // Check if any bot has the lock
-            const lockExists = orchestrator.acquireCommandLock(guildId, client.botId);
-            if (!lockExists) {
+            const lockToken = await orchestrator.acquireCommandLock(guildId, client.botId);
+            if (!lockToken) {
                 // Another bot got the lock first
                 client.logger.debug(`[${client.botId}] Another bot has command lock for guild ${guildId} - skipping`);
                 return false;
             }
             // We got the lock, but release it for now - we'll re-acquire if we should handle
-            orchestrator.releaseCommandLock(guildId, client.botId);
+            await orchestrator.releaseCommandLock(guildId, client.botId, lockToken);
         }
     }
     
@@ -95,48 +113,43 @@ async function shouldHandleCommand(client, guildId, isMusicCommand, userVoiceCha
                 return false;
             }
             // This bot already has a player in the SAME VC - handle it
-            if (orchestrator?.acquireCommandLock) {
-                orchestrator.acquireCommandLock(guildId, client.botId);
-            }
-            return true;
+            return takeCommandLock(client, guildId);
         }
     }
     
     // Check assignment - if assigned to this bot, handle it
     const assignment = await GuildAssignment.findById(guildId);
     if (assignment?.isActive && assignment.assignedBotId === client.botId) {
-        if (orchestrator?.acquireCommandLock) {
-            orchestrator.acquireCommandLock(guildId, client.botId);
-        }
-        return true;
+        return takeCommandLock(client, guildId);
     }
     
     // Check if we should take over from Main Bot
-    if (!orchestrator || !userVoiceChannelId) {
+    if (!orchestrator?.getGuildPlayers || !userVoiceChannelId) {
         return false;
     }
     
-    // Find Main Bot and check if it's busy
-    let mainBotClient = null;
-    for (const [botId, botClient] of orchestrator.bots) {
-        if (botClient.isMainBot) {
-            mainBotClient = botClient;
-            break;
-        }
+    // Player state of every bot in this guild (over IPC in worker mode)
+    let guildPlayers;
+    try {
+        guildPlayers = await orchestrator.getGuildPlayers(guildId);
+    } catch (error) {
+        client.logger.debug(`[${client.botId}] Failed to look up cluster players for guild ${guildId}: ${error.message}`);
+        return false;
     }
     
-    if (!mainBotClient?.lavalink) {
+    // Find Main Bot and check if it's busy
+    const mainBot = guildPlayers.find(bot => bot.isMain);
+    
+    if (!mainBot?.lavalink) {
         return false;
     }
     
-    const mainBotPlayer = mainBotClient.lavalink.players?.get(guildId);
-    
-    // Main Bot must be busy in a DIFFERENT VC for failover to activate
-    if (!mainBotPlayer || !mainBotPlayer.voiceChannelId) {
+    // Main Bot must be busy in a DIFFERENT VC (or draining) for failover to activate
+    if (!mainBot.voiceChannelId && !mainBot.draining) {
         return false; // Main bot not busy, it should handle
     }
     
-    if (mainBotPlayer.voiceChannelId === userVoiceChannelId) {
+    if (mainBot.voiceChannelId === userVoiceChannelId) {
         return false; // Main bot is in the same VC, let it handle
     }
     
@@ -144,41 +157,34 @@ async function shouldHandleCommand(client, guildId, isMusicCommand, userVoiceCha
     // Priority: bot-2 first, then bot-3, then bot-4, etc.
     
     // Get all failover bots sorted by priority (bot-2, bot-3, ...)
-    const failoverBots = [];
-    for (const [botId, botClient] of orchestrator.bots) {
-        if (!botClient.isMainBot) {
-            failoverBots.push({ id: botId, client: botClient });
-        }
-    }
-    
-    // Sort by bot ID (bot-2 before bot-3, etc.)
-    failoverBots.sort((a, b) => a.id.localeCompare(b.id));
+    const failoverBots = guildPlayers
+        .filter(bot => !bot.isMain)
+        .sort((a, b) => a.botId.localeCompare(b.botId));
     
     // Find the FIRST available failover bot
     for (const failover of failoverBots) {
-        const failoverPlayer = failover.client.lavalink?.players?.get(guildId);
-        
-        // Check if this failover bot is available (no player OR player in same VC)
-        const isAvailable = !failoverPlayer || 
-            !failoverPlayer.voiceChannelId || 
-            failoverPlayer.voiceChannelId === userVoiceChannelId;
+        // Check if this failover bot is available (no player and not draining, OR player in same VC)
+        const isAvailable = failover.voiceChannelId
+            ? failover.voiceChannelId === userVoiceChannelId
+            : !failover.draining;
         
         if (isAvailable) {
             // This is the first available failover bot
-            if (failover.client.botId === client.botId) {
+            if (failover.botId === client.botId) {
                 // It's THIS bot! Try to acquire the lock
+                let lockToken = true;
                 if (orchestrator.acquireCommandLock) {
-                    const gotLock = orchestrator.acquireCommandLock(guildId, client.botId);
-                    if (!gotLock) {
+                    lockToken = await orchestrator.acquireCommandLock(guildId, client.botId);
+                    if (!lockToken) {
                         client.logger.debug(`[${client.botId}] Failed to acquire lock for guild ${guildId} - another bot got it`);
                         return false;
                     }
                 }
                 client.logger.info(`[${client.botId}] First available failover - Main Bot busy, taking over`);
-                return true;
+                return lockToken;
             } else {
                 // Another failover bot has higher priority - don't handle
-                client.logger.debug(`[${client.botId}] Higher priority failover ${failover.id} is available - skipping`);
+                client.logger.debug(`[${client.botId}] Higher priority failover ${failover.botId} is available - skipping`);
                 return false;
             }
         }
@@ -188,6 +194,32 @@ async function shouldHandleCommand(client, guildId, isMusicCommand, userVoiceCha
     return false;
 }
 
+/**
+ * Acquire the guild's command lock for a command this bot handles
+ * A bot that keeps answering without the lock (another bot holds it for another
+ * voice channel) gets true instead of a token
+ * @param {import('../../structures/Client.js').BotClient} client - Current bot client
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<number|boolean>} Lock token, or true
+ */
+async function takeCommandLock(client, guildId) {
+    const lockToken = await global.orchestrator?.acquireCommandLock?.(guildId, client.botId);
+    return lockToken ?? true;
+}
+
+/**
+ * Check that a routed command's lock token still holds the guild's lock right before
+ * the command changes anything - routing and checks take long enough for the lock
+ * to expire and go to another bot, which then answers the command instead
+ * @param {string} guildId - Guild ID
+ * @param {number|boolean} route - Result of shouldHandleCommand
+ * @returns {Promise<boolean>}
+ */
+async function holdsCommandLock(guildId, route) {
+    if (typeof route !== 'number' || !global.orchestrator?.isCommandLockCurrent) return true;
+    return global.orchestrator.isCommandLockCurrent(guildId, route);
+}
+
 // Music command categories/names for routing
 const MUSIC_COMMANDS = [
     'play', 'p', 'skip', 's', 'stop', 'pause', 'resume', 'queue', 'q',
@@ -197,6 +229,56 @@ const MUSIC_COMMANDS = [
     'nightcore', 'vaporwave', 'lyrics'
 ];
 
+// How long replies to song requests stay, the request panel shows the rest
+const REQUEST_REPLY_LIFETIME = 10000;
+
+/**
+ * Play a message sent in the song request channel, then delete it
+ * The message (or its attachment) is the query, as in the play command
+ * @param {import('../../structures/Client.js').BotClient} client - Current bot client
+ * @param {Message} message
+ */
+async function handleSongRequest(client, message) {
+    const userVoiceChannelId = message.member?.voice?.channelId || null;
+    const route = await shouldHandleCommand(client, message.guild.id, true, userVoiceChannelId);
+    if (!route || !(await holdsCommandLock(message.guild.id, route))) return;
+    
+    const query = message.content.trim() || message.attachments.first()?.url;
+    const command = client.commands.get('play');
+    const ctx = new Context(message);
+    ctx.setArgs(query ? query.split(/ +/g) : []);
+    
+    if (query && command) {
+        client.logger.cmd('%s requested by %s from %s', command.name, ctx.author.id, ctx.guild.id);
+        
+        const startedAt = Date.now();
+        let success = true;
+        try {
+            const failedPrecondition = await runPreconditions(command, ctx);
+            if (failedPrecondition) {
+                await ctx.sendMessage({
+                    components: [buildPreconditionError(failedPrecondition)],
+                    flags: MessageFlags.IsComponentsV2
+                });
+            } else {
+                await command.run(ctx, ctx.args);
+            }
+        } catch (error) {
+            success = false;
+            client.logger.error(`[${client.botName}] Song request failed: ${error.message}`);
+        } finally {
+            client.commandMetrics.record(command.name, Date.now() - startedAt, success);
+        }
+    }
+    
+    await message.delete().catch(() => { });
+    
+    const reply = await Promise.resolve(ctx.msg).catch(() => null);
+    if (reply) {
+        setTimeout(() => reply.delete().catch(() => { }), REQUEST_REPLY_LIFETIME);
+    }
+}
+
 export default class MessageCreate extends Event {
     constructor(...args) {
         super(...args, {
@@ -210,6 +292,12 @@ export default class MessageCreate extends Event {
         if (message.author.bot || message.channel.type === ChannelType.DM) return;
         if (message.partial) await message.fetch();
         
+        // Everything sent in the song request channel is a song request
+        const settings = await getGuildSettings(message.guild.id);
+        if (message.channelId === settings.requestChannelId) {
+            return await handleSongRequest(this.client, message);
+        }
+        
         const ctx = new Context(message);
         const prefix = await getPrefix(message.guild.id, this.client);
         
@@ -230,7 +318,17 @@ export default class MessageCreate extends Event {
 
         const args = message.content.slice(matchedPrefix.length).trim().split(/ +/g);
         const commandName = args.shift().toLowerCase();
-        const command = this.client.commands.get(commandName) || this.client.commands.get(this.client.aliases.get(commandName));
+        let command = this.client.commands.get(commandName) || this.client.commands.get(this.client.aliases.get(commandName));
+
+        // "playlist track add ..." runs the command behind the subcommand, with the remaining args
+        if (command?.subcommands && args.length) {
+            const group = command.subcommands[args[0].toLowerCase()]?.subcommands ? args[0].toLowerCase() : null;
+            const target = this.client.commands.get(command.getSubcommand(group, args[group ? 1 : 0]?.toLowerCase()));
+            if (target) {
+                args.splice(0, group ? 2 : 1);
+                command = target;
+            }
+        }
 
         ctx.setArgs(args);
 
@@ -287,6 +385,14 @@ export default class MessageCreate extends Event {
             }
         }
         
+        const failedPrecondition = await runPreconditions(command, ctx);
+        if (failedPrecondition) {
+            return await ctx.sendMessage({
+                components: [buildPreconditionError(failedPrecondition)],
+                flags: MessageFlags.IsComponentsV2
+            }).catch(() => { });
+        }
+        
         if (!this.client.cooldowns.has(commandName)) {
             this.client.cooldowns.set(commandName, new Collection());
         }
@@ -308,11 +414,21 @@ export default class MessageCreate extends Event {
             setTimeout(() => timestamps.delete(message.author.id), cooldownAmount);
         }
         
+        if (!(await holdsCommandLock(message.guild.id, shouldHandle))) {
+            this.client.logger.debug(`[${this.client.botId}] Lost command lock for guild ${message.guild.id} - dropping ${commandName}`);
+            return;
+        }
+        
+        const startedAt = Date.now();
+        let success = true;
         try {
             return await command.run(ctx, ctx.args);
         } catch (error) {
+            success = false;
             await message.channel.send({ content: 'An unexpected error occurred, the developers have been notified!' }).catch(() => { });
             console.error(error);
+        } finally {
+            this.client.commandMetrics.record(command.name, Date.now() - startedAt, success);
         }
     }
 }
\ No newline at end of file
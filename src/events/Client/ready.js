@@ -20,5 +20,10 @@ export default class ClientReady extends Event {
             ],
             status: 'online',
         });
+        
+        // Bring song request panels back after a restart
+        await this.client.requestChannel.restore().catch((error) => {
+            this.client.logger.error(`Failed to restore request panels: ${error.message}`);
+        });
     }
 }
\ No newline at end of file
@@ -11,6 +11,7 @@
 import Event from '../../structures/Event.js';
 import GuildAssignment from '../../schemas/GuildAssignment.js';
 import PlayerSchema from '../../schemas/Player.js';
+import { getGuildSettings } from '../../managers/GuildSettings.js';
 
 export default class VoiceStateUpdate extends Event {
     constructor(...args) {
@@ -123,6 +124,7 @@ export default class VoiceStateUpdate extends Event {
                 // 24/7 mode - stay in channel but pause
                 if (player.playing && !player.paused) {
                     await player.pause();
+                    this.client.nowPlaying.refresh(player);
                     
                     // Send notification
                     try {
@@ -137,7 +139,8 @@ export default class VoiceStateUpdate extends Event {
                     }
                 }
             } else {
-                // Not 24/7 - start disconnect timer
+                // Not 24/7 - start disconnect timer (the guild's auto-leave delay)
+                const { autoLeaveDelay } = await getGuildSettings(oldState.guild.id);
                 const timeout = setTimeout(async () => {
                     // Re-check if still alone
                     const currentChannel = oldState.guild.channels.cache.get(player.voiceChannelId);
@@ -160,7 +163,7 @@ export default class VoiceStateUpdate extends Event {
                             await this._destroyPlayer(player, oldState.guild.id);
                         }
                     }
-                }, 30000); // 30 seconds timeout
+                }, autoLeaveDelay);
                 
                 // Store timeout reference for cancellation
                 player.set('disconnectTimeout', timeout);
@@ -176,6 +179,7 @@ export default class VoiceStateUpdate extends Event {
             // Resume if paused and members joined back
             if (player.paused && player.get('pausedDueToEmpty')) {
                 await player.resume();
+                this.client.nowPlaying.refresh(player);
                 player.set('pausedDueToEmpty', false);
             }
         }
@@ -197,12 +201,13 @@ export default class VoiceStateUpdate extends Event {
     
     /**
      * Deactivate guild assignment
+     * Skipped if the guild has been handed to another bot (e.g. a player migration)
      * @private
      */
     async _deactivateAssignment(guildId) {
         try {
             const assignment = await GuildAssignment.findById(guildId);
-            if (assignment) {
+            if (assignment && assignment.assignedBotId === this.client.botId) {
                 await assignment.deactivate();
             }
         } catch (error) {
@@ -2,10 +2,11 @@
  * Node Disconnect Event
  * 
  * Fires when a Lavalink node disconnects.
- * Handles player migration to other nodes if available.
+ * Moves the node's players to the least loaded connected node.
  */
 
 import Event from '../../structures/Event.js';
+import { moveNodePlayers } from '../../managers/LavalinkHandler.js';
 
 export default class NodeDisconnect extends Event {
     constructor(...args) {
@@ -16,10 +17,21 @@ export default class NodeDisconnect extends Event {
     
     /**
      * @param {Object} node - Lavalink node
-     * @param {string} reason - Disconnect reason
+     * @param {Object} reason - Disconnect reason ({ code, reason })
      */
     async run(node, reason) {
-        this.client.logger.warn(`[${this.client.botName}] Lavalink node ${node.id} disconnected: ${reason || 'Unknown reason'}`);
+        this.client.logger.warn(`[${this.client.botName}] Lavalink node ${node.id} disconnected: ${reason?.reason || reason?.code || 'Unknown reason'}`);
+        
+        // Move this node's players to the remaining nodes
+        let stranded = [...this.client.lavalink.players.values()].filter(player => player.node?.id === node.id);
+        if (this.client.config.lavalink.nodeFailover?.enabled && stranded.length > 0) {
+            const { moved, failed } = await moveNodePlayers(this.client, node);
+            stranded = failed;
+            
+            if (moved > 0) {
+                this.client.logger.success(`[${this.client.botName}] Moved ${moved} player(s) off node ${node.id}`);
+            }
+        }
         
         // Check if any other nodes are available
         const connectedNodes = this.client.lavalink?.nodeManager?.nodes?.filter(n => n.connected) || [];
@@ -36,22 +48,20 @@ export default class NodeDisconnect extends Event {
             this.client.logger.error(`[${this.client.botName}] Failed to update node status: ${error.message}`);
         }
         
-        // If no nodes available, notify active players
-        if (!hasActiveNodes) {
-            for (const [guildId, player] of this.client.lavalink.players) {
-                try {
-                    const guild = this.client.guilds.cache.get(guildId);
-                    if (!guild) continue;
-                    
-                    const textChannel = guild.channels.cache.get(player.textChannelId);
-                    if (textChannel) {
-                        await textChannel.send({
-                            content: `\`⚠️\` Lost connection to the music server. Playback may be interrupted. Attempting to reconnect...`,
-                        });
-                    }
-                } catch (error) {
-                    // Ignore message errors
+        // Notify players that could not be moved to another node
+        for (const player of stranded) {
+            try {
+                const guild = this.client.guilds.cache.get(player.guildId);
+                if (!guild) continue;
+                
+                const textChannel = guild.channels.cache.get(player.textChannelId);
+                if (textChannel) {
+                    await textChannel.send({
+                        content: `\`⚠️\` Lost connection to the music server. Playback may be interrupted. Attempting to reconnect...`,
+                    });
                 }
+            } catch (error) {
+                // Ignore message errors
             }
         }
     }
@@ -2,15 +2,23 @@
  * Node Error Event
  * 
  * Fires when a Lavalink node encounters an error.
+ * A node that keeps erroring has its players moved to a healthier node.
  */
 
 import Event from '../../structures/Event.js';
+import { moveNodePlayers } from '../../managers/LavalinkHandler.js';
 
 export default class NodeError extends Event {
     constructor(...args) {
         super(...args, {
             name: 'nodeError',
         });
+        
+        /**
+         * Recent error timestamps per node ID
+         * @type {Map<string, Array<number>>}
+         */
+        this.recentErrors = new Map();
     }
     
     /**
@@ -18,15 +26,34 @@ export default class NodeError extends Event {
      * @param {Error} error - Error that occurred
      */
     async run(node, error) {
-        this.client.logger.error(`[${this.client.botName}] Lavalink node ${node.id} error: ${error.message}`);
+        this.client.logger.error(`[${this.client.botName}] Lavalink node ${node.id} error: ${error?.message || error}`);
         
         // Update bot status with error
         try {
             await this.client.updateStatus('Error', {
-                errorMessage: `Node ${node.id} error: ${error.message}`,
+                errorMessage: `Node ${node.id} error: ${error?.message || error}`,
             });
         } catch (updateError) {
             this.client.logger.error(`[${this.client.botName}] Failed to update error status: ${updateError.message}`);
         }
+        
+        const failover = this.client.config.lavalink.nodeFailover;
+        if (!failover?.enabled) return;
+        
+        // Count errors inside the window
+        const now = Date.now();
+        const errors = (this.recentErrors.get(node.id) || []).filter(time => now - time < failover.errorWindow);
+        errors.push(now);
+        this.recentErrors.set(node.id, errors);
+        
+        // Disconnected nodes are handled by nodeDisconnect
+        if (!node.connected || errors.length < failover.errorThreshold) return;
+        
+        this.recentErrors.delete(node.id);
+        
+        const { moved, failed } = await moveNodePlayers(this.client, node);
+        if (moved > 0 || failed.length > 0) {
+            this.client.logger.warn(`[${this.client.botName}] Node ${node.id} is unhealthy (${errors.length} errors), moved ${moved} player(s), ${failed.length} left on it`);
+        }
     }
 }
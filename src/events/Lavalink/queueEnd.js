@@ -2,12 +2,13 @@
  * Queue End Event
  * 
  * Fires when the queue is empty and no more tracks to play.
- * Handles disconnect logic based on 24/7 mode.
+ * Handles disconnect logic based on 24/7 mode and the guild's auto-leave delay.
  */
 
 import Event from '../../structures/Event.js';
 import PlayerSchema from '../../schemas/Player.js';
 import GuildAssignment from '../../schemas/GuildAssignment.js';
+import { getGuildSettings, formatDelay } from '../../managers/GuildSettings.js';
 
 export default class QueueEnd extends Event {
     constructor(...args) {
@@ -29,10 +30,11 @@ export default class QueueEnd extends Event {
         
         // Check if 24/7 mode is enabled
         const is247 = player.get('twentyFourSeven');
+        const settings = await getGuildSettings(player.guildId);
         
-        // Delete the now playing message
+        // Delete the now playing message (unless the guild keeps them)
         const messageId = player.get('nowPlayingMessageId');
-        if (messageId && textChannel) {
+        if (messageId && textChannel && settings.deleteNowPlaying) {
             try {
                 const message = await textChannel.messages.fetch(messageId);
                 if (message) {
@@ -41,14 +43,18 @@ export default class QueueEnd extends Event {
             } catch (error) {
                 // Message already deleted or not found
             }
-            player.set('nowPlayingMessageId', null);
         }
+        player.set('nowPlayingMessageId', null);
+        
+        // The request panel shows the queue ended, messages would clutter its channel
+        this.client.requestChannel.update(player.guildId, player);
+        const announceChannel = textChannel?.id === settings.requestChannelId ? null : textChannel;
         
         if (is247) {
             // 24/7 mode - stay in channel
-            if (textChannel) {
+            if (announceChannel) {
                 try {
-                    await textChannel.send({
+                    await announceChannel.send({
                         content: `\`📜\` Queue finished! I'll stay in the voice channel (24/7 mode). Add more tracks to continue!`,
                     });
                 } catch (error) {
@@ -74,14 +80,14 @@ export default class QueueEnd extends Event {
                 this.client.logger.error(`[${this.client.botName}] Failed to save 24/7 state: ${error.message}`);
             }
         } else {
-            // Not 24/7 - schedule disconnect
-            const disconnectTimeout = setTimeout(async () => {
+            // Not 24/7 - disconnect after the guild's auto-leave delay
+            const disconnect = async () => {
                 // Check if still no tracks
                 const currentPlayer = this.client.lavalink?.players?.get(player.guildId);
                 if (currentPlayer && currentPlayer.queue.tracks.length === 0 && !currentPlayer.queue.current) {
                     try {
-                        if (textChannel) {
-                            await textChannel.send({
+                        if (announceChannel) {
+                            await announceChannel.send({
                                 content: `\`👋\` Queue finished! Disconnecting from the voice channel. Thanks for listening!`,
                             });
                         }
@@ -103,16 +109,21 @@ export default class QueueEnd extends Event {
                     
                     this.client.logger.info(`[${this.client.botName}] Player destroyed after queue end in ${guild.name}`);
                 }
-            }, 30000); // 30 seconds timeout
+            };
+            
+            if (!settings.autoLeaveDelay) {
+                await disconnect();
+                return;
+            }
             
             // Store timeout reference
-            player.set('queueEndTimeout', disconnectTimeout);
+            player.set('queueEndTimeout', setTimeout(disconnect, settings.autoLeaveDelay));
             
             // Send temporary message
-            if (textChannel) {
+            if (announceChannel) {
                 try {
-                    await textChannel.send({
-                        content: `\`📜\` Queue finished! Add more tracks within 30 seconds or I'll disconnect.`,
+                    await announceChannel.send({
+                        content: `\`📜\` Queue finished! Add more tracks within ${formatDelay(settings.autoLeaveDelay)} or I'll disconnect.`,
                     });
                 } catch (error) {
                     // Ignore message errors
@@ -8,6 +8,7 @@
 import Event from '../../structures/Event.js';
 import { savePlayerState } from '../../managers/LavalinkHandler.js';
 import UserStats from '../../schemas/UserStats.js';
+import { getGuildSettings } from '../../managers/GuildSettings.js';
 
 export default class TrackEnd extends Event {
     constructor(...args) {
@@ -24,6 +25,9 @@ export default class TrackEnd extends Event {
     async run(player, track, reason) {
         if (!track) return;
         
+        // Player was handed to another bot, which carries on with this track
+        if (player.get('migrating')) return;
+        
         const guild = this.client.guilds.cache.get(player.guildId);
         if (!guild) return;
         
@@ -35,10 +39,11 @@ export default class TrackEnd extends Event {
         // Save player state after track ends
         await savePlayerState(player, this.client);
         
-        // Delete the now playing message if track finished normally
+        // Delete the now playing message if track finished normally (unless the guild keeps them)
         if (reason === 'finished' || reason === 'loadFailed') {
             const messageId = player.get('nowPlayingMessageId');
-            if (messageId) {
+            const { deleteNowPlaying } = await getGuildSettings(player.guildId);
+            if (messageId && deleteNowPlaying) {
                 try {
                     const textChannel = guild.channels.cache.get(player.textChannelId);
                     if (textChannel) {
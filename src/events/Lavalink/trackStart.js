@@ -2,12 +2,19 @@
  * Track Start Event
  * 
  * Fires when a track starts playing.
- * Sends "Now Playing" container with track information and controls.
+ * Sends "Now Playing" container with track information and controls,
+ * in the guild's now playing style (see managers/GuildSettings.js).
+ * Guilds with a song request channel get its panel updated instead (see managers/RequestChannel.js).
+ * Button clicks come in through the component router (see structures/ComponentRouter.js).
  */
 
 import Event from '../../structures/Event.js';
 import { ActionRowBuilder, ButtonBuilder, ButtonStyle, ContainerBuilder, TextDisplayBuilder, SeparatorBuilder, MediaGalleryBuilder, MediaGalleryItemBuilder, MessageFlags } from 'discord.js';
 import { formatDuration, savePlayerState } from '../../managers/LavalinkHandler.js';
+import { paginateLyrics } from '../../managers/Lyrics.js';
+import { hasMusicPermission, getVoteRatio, DJ_BUTTONS } from '../../managers/MusicPermissions.js';
+import { getGuildSettings } from '../../managers/GuildSettings.js';
+import { buildComponentId } from '../../structures/ComponentRouter.js';
 import Favorite from '../../schemas/Favorite.js';
 import emojis from '../../emojis.js';
 
@@ -28,25 +35,48 @@ export default class TrackStart extends Event {
         const guild = this.client.guilds.cache.get(player.guildId);
         if (!guild) return;
         
-        const textChannel = guild.channels.cache.get(player.textChannelId);
-        if (!textChannel) return;
-        
         this.client.logger.info(`[${this.client.botName}] Now playing: ${track.info.title} in ${guild.name}`);
         
         // Update player state in database
         await savePlayerState(player, this.client);
         
+        // Kept on the player so every re-render uses the style the message was sent with
+        const settings = await getGuildSettings(player.guildId);
+        const previousStyle = player.get('nowPlayingStyle') || 'full';
+        player.set('nowPlayingStyle', settings.nowPlayingStyle);
+        
+        // Guilds with a song request channel see the track on its panel instead
+        if (settings.requestChannelId) {
+            const panel = await this.client.requestChannel.update(player.guildId, player);
+            if (panel) {
+                // The panel shows votes, but no progress or lyrics
+                this.client.votes.start(player, track);
+                this.client.syncedLyrics.stop(player.guildId);
+                this.client.nowPlaying.start(player, track, panel, () => this.client.requestChannel.build(player), { progress: false });
+                return;
+            }
+        }
+        
+        const textChannel = guild.channels.cache.get(player.textChannelId);
+        if (!textChannel) return;
+        
         // Build Now Playing container with buttons inside
         const components = this._buildNowPlayingComponents(track, player);
         
         try {
-            // Delete previous now playing message
+            // Delete previous now playing message, or disable its controls if the guild keeps them
             const previousMessageId = player.get('nowPlayingMessageId');
+            const previousTrack = player.queue.previous?.[0];
             if (previousMessageId) {
                 try {
                     const previousMessage = await textChannel.messages.fetch(previousMessageId);
-                    if (previousMessage) {
+                    if (settings.deleteNowPlaying) {
                         await previousMessage.delete();
+                    } else if (previousTrack && previousStyle !== 'minimal') {
+                        await previousMessage.edit({
+                            components: [this._buildDisabledContainer(previousTrack, previousStyle, player.guildId)],
+                            flags: MessageFlags.IsComponentsV2
+                        });
                     }
                 } catch (error) {
                     // Message already deleted or not found
@@ -62,8 +92,14 @@ export default class TrackStart extends Event {
             // Store message ID for later deletion
             player.set('nowPlayingMessageId', message.id);
             
-            // Set up button collector
-            this._setupButtonCollector(message, player, guild);
+            // Renders every edit of the message - the progress bar, lyrics lines and votes
+            this.client.nowPlaying.start(player, track, message, () => this._buildNowPlayingComponents(track, player));
+            
+            // Votes start over with every track and show up in the message
+            this.client.votes.start(player, track);
+            
+            // Follow timed lyrics in the message (no-op if the track has none)
+            this.client.syncedLyrics.start(player, track);
             
         } catch (error) {
             this.client.logger.error(`[${this.client.botName}] Failed to send now playing: ${error.message}`);
@@ -76,9 +112,11 @@ export default class TrackStart extends Event {
      */
     _buildNowPlayingComponents(track, player) {
         const container = new ContainerBuilder();
+        const style = player.get('nowPlayingStyle') || 'full';
+        const id = (action) => this._controlId(player.guildId, action);
 
         // Media Gallery with track artwork
-        if (track.info.artworkUrl || track.info.thumbnail) {
+        if (style === 'full' && (track.info.artworkUrl || track.info.thumbnail)) {
             const mediaGallery = new MediaGalleryBuilder()
                 .addItems(
                     new MediaGalleryItemBuilder()
@@ -96,6 +134,40 @@ export default class TrackStart extends Event {
             )
         );
 
+        // Progress bar, then volume, loop mode, filter and next track
+        const display = this.client.nowPlaying.getDisplay(player);
+        if (display) {
+            container.addTextDisplayComponents(
+                new TextDisplayBuilder().setContent(`${display.progress}\n-# ${display.status}`)
+            );
+        }
+
+        // Synced lyrics: current line, next line below
+        const lyrics = this.client.syncedLyrics.getDisplay(player);
+        if (lyrics) {
+            container.addTextDisplayComponents(
+                new TextDisplayBuilder().setContent(
+                    `${emojis.player.lyrics} **${lyrics.current}**` +
+                    (lyrics.next ? `\n-# ${lyrics.next}` : '')
+                )
+            );
+        }
+
+        // Running votes (vote mode)
+        const votes = this.client.votes.getDisplay(player);
+        if (votes.length > 0) {
+            const voteEmojis = { skip: emojis.player.skip, stop: emojis.player.stop, clear: emojis.misc.trash };
+            container.addTextDisplayComponents(
+                new TextDisplayBuilder().setContent(
+                    votes.map(({ action, count, required }) => `-# ${voteEmojis[action]} Vote to ${action}: **${count}/${required}**`).join('\n')
+                )
+            );
+        }
+
+        if (style === 'minimal') {
+            return [container];
+        }
+
         // Separator before buttons
         container.addSeparatorComponents(new SeparatorBuilder().setDivider(true));
 
@@ -103,29 +175,35 @@ export default class TrackStart extends Event {
         const row1 = new ActionRowBuilder()
             .addComponents(
                 new ButtonBuilder()
-                    .setCustomId('player_pause')
+                    .setCustomId(id('pause'))
                     .setEmoji(player.paused ? emojis.player.play : emojis.player.pause)
                     .setStyle(ButtonStyle.Secondary),
                 new ButtonBuilder()
-                    .setCustomId('player_skip')
+                    .setCustomId(id('skip'))
                     .setEmoji(emojis.player.skip)
                     .setStyle(ButtonStyle.Secondary),
                 new ButtonBuilder()
-                    .setCustomId('player_stop')
+                    .setCustomId(id('stop'))
                     .setEmoji(emojis.player.stop)
                     .setStyle(ButtonStyle.Secondary),
                 new ButtonBuilder()
-                    .setCustomId('player_loop')
+                    .setCustomId(id('loop'))
                     .setEmoji(emojis.player.loop)
                     .setStyle(ButtonStyle.Secondary),
             );
         container.addActionRowComponents(row1);
 
+        // Compact messages only have the main controls
+        if (style === 'compact') {
+            container.addSeparatorComponents(new SeparatorBuilder().setDivider(true));
+            return [container];
+        }
+
         // Row 2: Autoplay
         const row2 = new ActionRowBuilder()
             .addComponents(
                 new ButtonBuilder()
-                    .setCustomId('player_autoplay')
+                    .setCustomId(id('autoplay'))
                     .setEmoji(emojis.player.autoplay)
                     .setStyle(ButtonStyle.Secondary),
             );
@@ -135,19 +213,19 @@ export default class TrackStart extends Event {
         const row3 = new ActionRowBuilder()
             .addComponents(
                 new ButtonBuilder()
-                    .setCustomId('player_queue')
+                    .setCustomId(id('queue'))
                     .setEmoji(emojis.player.queue)
                     .setStyle(ButtonStyle.Secondary),
                 new ButtonBuilder()
-                    .setCustomId('player_lyrics')
+                    .setCustomId(id('lyrics'))
                     .setEmoji(emojis.player.lyrics)
                     .setStyle(ButtonStyle.Secondary),
                 new ButtonBuilder()
-                    .setCustomId('player_shuffle')
+                    .setCustomId(id('shuffle'))
                     .setEmoji(emojis.player.shuffle)
                     .setStyle(ButtonStyle.Primary),
                 new ButtonBuilder()
-                    .setCustomId('player_volume')
+                    .setCustomId(id('volume'))
                     .setEmoji(emojis.player.volume)
                     .setStyle(ButtonStyle.Secondary),
             );
@@ -157,7 +235,7 @@ export default class TrackStart extends Event {
         const row4 = new ActionRowBuilder()
             .addComponents(
                 new ButtonBuilder()
-                    .setCustomId('player_favorite')
+                    .setCustomId(id('favorite'))
                     .setEmoji(emojis.player.favorite)
                     .setStyle(ButtonStyle.Secondary),
             );
@@ -170,82 +248,79 @@ export default class TrackStart extends Event {
     }
     
     /**
-     * Set up button collector for player controls
-     * @private
+     * Run a player control button, on a now playing message or a request panel
+     * @param {import('discord.js').ButtonInteraction} interaction
+     * @param {Object} player - Lavalink player
+     * @param {string} action - Control, e.g. 'pause'
+     * @param {Function} [render] - Builds the components of the message the button is on
      */
-    _setupButtonCollector(message, player, guild) {
-        const collector = message.createMessageComponentCollector({
-            filter: (i) => i.customId.startsWith('player_'),
-            time: 600000,
-        });
+    async handleControl(interaction, player, action, render = () => this._buildNowPlayingComponents(player.queue.current, player)) {
+        const control = `player_${action}`;
+        const member = await interaction.guild.members.fetch(interaction.user.id).catch(() => null);
+        if (!member?.voice?.channelId || member.voice.channelId !== player.voiceChannelId) {
+            return interaction.reply({
+                content: `\`❌\` You must be in the same voice channel to use these controls!`,
+                ephemeral: true,
+            });
+        }
         
-        collector.on('collect', async (interaction) => {
-            const member = await guild.members.fetch(interaction.user.id).catch(() => null);
-            if (!member?.voice?.channelId || member.voice.channelId !== player.voiceChannelId) {
-                return interaction.reply({
-                    content: `\`❌\` You must be in the same voice channel to use these controls!`,
-                    ephemeral: true,
-                });
-            }
-            
-            try {
-                switch (interaction.customId) {
-                    case 'player_pause':
-                        await this._handlePause(interaction, player);
-                        break;
-                    case 'player_stop':
-                        await this._handleStop(interaction, player);
-                        break;
-                    case 'player_skip':
-                        await this._handleSkip(interaction, player);
-                        break;
-                    case 'player_loop':
-                        await this._handleLoop(interaction, player);
-                        break;
-                    case 'player_autoplay':
-                        await this._handleAutoplay(interaction, player);
-                        break;
-                    case 'player_queue':
-                        await this._handleQueue(interaction, player);
-                        break;
-                    case 'player_shuffle':
-                        await this._handleShuffle(interaction, player);
-                        break;
-                    case 'player_volume':
-                        await this._handleVolume(interaction, player);
-                        break;
-                    case 'player_lyrics':
-                        await this._handleLyrics(interaction, player);
-                        break;
-                    case 'player_favorite':
-                        await this._handleFavorite(interaction, player);
-                        break;
-                }
-            } catch (error) {
-                this.client.logger.error(`[${this.client.botName}] Button handler error: ${error.message}`);
-                if (!interaction.replied && !interaction.deferred) {
-                    await interaction.reply({ content: `\`❌\` An error occurred!`, ephemeral: true });
-                }
-            }
+        const allowed = await hasMusicPermission(member, control, {
+            player,
+            djOnly: DJ_BUTTONS.includes(control),
         });
+        if (!allowed) {
+            return interaction.reply({
+                content: `\`❌\` You don't have permission to use this control!`,
+                ephemeral: true,
+            });
+        }
         
-        collector.on('end', async () => {
-            try {
-                const track = player.queue?.current;
-                if (!track) return;
-
-                const container = this._buildDisabledContainer(track);
-                await message.edit({ components: [container], flags: MessageFlags.IsComponentsV2 });
-            } catch (error) {
-                // Message may be deleted
+        try {
+            switch (action) {
+                case 'pause':
+                    await this._handlePause(interaction, player, render);
+                    break;
+                case 'stop':
+                    await this._handleStop(interaction, player);
+                    break;
+                case 'skip':
+                    await this._handleSkip(interaction, player);
+                    break;
+                case 'loop':
+                    await this._handleLoop(interaction, player);
+                    break;
+                case 'autoplay':
+                    await this._handleAutoplay(interaction, player);
+                    break;
+                case 'queue':
+                    await this._handleQueue(interaction, player);
+                    break;
+                case 'shuffle':
+                    await this._handleShuffle(interaction, player);
+                    break;
+                case 'volume':
+                    await this._handleVolume(interaction, player);
+                    break;
+                case 'lyrics':
+                    await this._handleLyrics(interaction, player);
+                    break;
+                case 'favorite':
+                    await this._handleFavorite(interaction, player);
+                    break;
             }
-        });
+        } catch (error) {
+            this.client.logger.error(`[${this.client.botName}] Button handler error: ${error.message}`);
+            if (!interaction.replied && !interaction.deferred) {
+                await interaction.reply({ content: `\`❌\` An error occurred!`, ephemeral: true });
+            }
+        }
     }
-
-    _buildDisabledContainer(track) {
+    
+    _buildDisabledContainer(track, style, guildId) {
         const container = new ContainerBuilder();
+        const id = (action) => this._controlId(guildId, action);
 
-        if (track.info.artworkUrl || track.info.thumbnail) {
+        if (style === 'full' && (track.info.artworkUrl || track.info.thumbnail)) {
             const mediaGallery = new MediaGalleryBuilder()
                 .addItems(
                     new MediaGalleryItemBuilder()
@@ -263,28 +338,33 @@ export default class TrackStart extends Event {
         container.addSeparatorComponents(new SeparatorBuilder().setDivider(true));
 
         const row1 = new ActionRowBuilder().addComponents(
-            new ButtonBuilder().setCustomId('player_pause').setEmoji(emojis.player.pause).setStyle(ButtonStyle.Secondary).setDisabled(true),
-            new ButtonBuilder().setCustomId('player_skip').setEmoji(emojis.player.skip).setStyle(ButtonStyle.Secondary).setDisabled(true),
-            new ButtonBuilder().setCustomId('player_stop').setEmoji(emojis.player.stop).setStyle(ButtonStyle.Secondary).setDisabled(true),
-            new ButtonBuilder().setCustomId('player_loop').setEmoji(emojis.player.loop).setStyle(ButtonStyle.Secondary).setDisabled(true),
+            new ButtonBuilder().setCustomId(id('pause')).setEmoji(emojis.player.pause).setStyle(ButtonStyle.Secondary).setDisabled(true),
+            new ButtonBuilder().setCustomId(id('skip')).setEmoji(emojis.player.skip).setStyle(ButtonStyle.Secondary).setDisabled(true),
+            new ButtonBuilder().setCustomId(id('stop')).setEmoji(emojis.player.stop).setStyle(ButtonStyle.Secondary).setDisabled(true),
+            new ButtonBuilder().setCustomId(id('loop')).setEmoji(emojis.player.loop).setStyle(ButtonStyle.Secondary).setDisabled(true),
         );
         container.addActionRowComponents(row1);
 
+        if (style === 'compact') {
+            container.addSeparatorComponents(new SeparatorBuilder().setDivider(true));
+            return container;
+        }
+
         const row2 = new ActionRowBuilder().addComponents(
-            new ButtonBuilder().setCustomId('player_autoplay').setEmoji(emojis.player.autoplay).setStyle(ButtonStyle.Secondary).setDisabled(true),
+            new ButtonBuilder().setCustomId(id('autoplay')).setEmoji(emojis.player.autoplay).setStyle(ButtonStyle.Secondary).setDisabled(true),
         );
         container.addActionRowComponents(row2);
 
         const row3 = new ActionRowBuilder().addComponents(
-            new ButtonBuilder().setCustomId('player_queue').setEmoji(emojis.player.queue).setStyle(ButtonStyle.Secondary).setDisabled(true),
-            new ButtonBuilder().setCustomId('player_lyrics').setEmoji(emojis.player.lyrics).setStyle(ButtonStyle.Secondary).setDisabled(true),
-            new ButtonBuilder().setCustomId('player_shuffle').setEmoji(emojis.player.shuffle).setStyle(ButtonStyle.Primary).setDisabled(true),
-            new ButtonBuilder().setCustomId('player_volume').setEmoji(emojis.player.volume).setStyle(ButtonStyle.Secondary).setDisabled(true),
+            new ButtonBuilder().setCustomId(id('queue')).setEmoji(emojis.player.queue).setStyle(ButtonStyle.Secondary).setDisabled(true),
+            new ButtonBuilder().setCustomId(id('lyrics')).setEmoji(emojis.player.lyrics).setStyle(ButtonStyle.Secondary).setDisabled(true),
+            new ButtonBuilder().setCustomId(id('shuffle')).setEmoji(emojis.player.shuffle).setStyle(ButtonStyle.Primary).setDisabled(true),
+            new ButtonBuilder().setCustomId(id('volume')).setEmoji(emojis.player.volume).setStyle(ButtonStyle.Secondary).setDisabled(true),
         );
         container.addActionRowComponents(row3);
 
         const row4 = new ActionRowBuilder().addComponents(
-            new ButtonBuilder().setCustomId('player_favorite').setEmoji(emojis.player.favorite).setStyle(ButtonStyle.Secondary).setDisabled(true),
+            new ButtonBuilder().setCustomId(id('favorite')).setEmoji(emojis.player.favorite).setStyle(ButtonStyle.Secondary).setDisabled(true),
         );
         container.addActionRowComponents(row4);
 
@@ -292,6 +372,14 @@ export default class TrackStart extends Event {
         return container;
     }
     
+    /**
+     * Routed custom ID of a control button
+     * @private
+     */
+    _controlId(guildId, action) {
+        return buildComponentId('player', action, { guildId, botId: this.client.botId });
+    }
+    
     _buildResponseContainer(emoji, title, description) {
         const container = new ContainerBuilder();
         container.addTextDisplayComponents(
@@ -300,29 +388,30 @@ export default class TrackStart extends Event {
         return container;
     }
 
-    async _handlePause(interaction, player) {
-        const track = player.queue.current;
-        
+    async _handlePause(interaction, player, render) {
         if (player.paused) {
             await player.resume();
-            // Update the now playing message with play emoji (since it's now playing)
-            const updatedComponents = this._buildNowPlayingComponents(track, player);
-            await interaction.update({ components: updatedComponents, flags: MessageFlags.IsComponentsV2 });
+            // Update the message with play emoji (since it's now playing)
+            await interaction.update({ components: render(), flags: MessageFlags.IsComponentsV2 });
+            this.client.syncedLyrics.resync(player);
         } else {
             await player.pause();
-            // Update the now playing message with pause emoji (since it's paused)
-            const updatedComponents = this._buildNowPlayingComponents(track, player);
-            await interaction.update({ components: updatedComponents, flags: MessageFlags.IsComponentsV2 });
+            // Update the message with pause emoji (since it's paused)
+            await interaction.update({ components: render(), flags: MessageFlags.IsComponentsV2 });
         }
     }
     
     async _handleStop(interaction, player) {
+        if (!(await this._passVote(interaction, player, 'stop'))) return;
+        
         await player.destroy();
         const container = this._buildResponseContainer(emojis.player.stop, 'Stopped', 'Playback stopped and queue cleared.');
         await interaction.reply({ components: [container], flags: MessageFlags.IsComponentsV2, ephemeral: true });
     }
     
     async _handleSkip(interaction, player) {
+        if (!(await this._passVote(interaction, player, 'skip'))) return;
+        
         const nextTrack = player.queue.tracks[0];
         await player.skip();
         const container = this._buildResponseContainer(emojis.player.skip, 'Skipped', 
@@ -330,11 +419,30 @@ export default class TrackStart extends Event {
         await interaction.reply({ components: [container], flags: MessageFlags.IsComponentsV2, ephemeral: true });
     }
     
+    /**
+     * Count the member's vote in vote mode
+     * @returns {Promise<boolean>} Whether the action goes through (vote passed or not needed)
+     * @private
+     */
+    async _passVote(interaction, player, action) {
+        const ratio = await getVoteRatio(interaction.member, `player_${action}`, player);
+        if (!ratio) return true;
+        
+        const { passed, alreadyVoted, count, required } = await this.client.votes.vote(player, action, interaction.member, ratio);
+        if (passed) return true;
+        
+        const container = this._buildResponseContainer(emojis.status.info, `Vote to ${action}`,
+            `${alreadyVoted ? 'You already voted.' : 'Your vote was counted.'} **${count}/${required}** votes needed.`);
+        await interaction.reply({ components: [container], flags: MessageFlags.IsComponentsV2, ephemeral: true });
+        return false;
+    }
+    
     async _handleLoop(interaction, player) {
         const modes = ['off', 'track', 'queue'];
         const currentIndex = modes.indexOf(player.repeatMode || 'off');
         const nextMode = modes[(currentIndex + 1) % modes.length];
         await player.setRepeatMode(nextMode);
+        this.client.nowPlaying.refresh(player);
         const modeInfo = { 
             off: { emoji: '➡️', text: 'Loop disabled' }, 
             track: { emoji: emojis.player.loopTrack, text: 'Looping current track' }, 
@@ -383,7 +491,8 @@ export default class TrackStart extends Event {
             const container = this._buildResponseContainer(emojis.status.error, 'Cannot Shuffle', 'Not enough tracks in queue to shuffle.');
             return interaction.reply({ components: [container], flags: MessageFlags.IsComponentsV2, ephemeral: true });
         }
-        player.queue.shuffle();
+        await player.queue.shuffle();
+        this.client.nowPlaying.refresh(player);
         const container = this._buildResponseContainer(emojis.player.shuffle, 'Shuffled', `Queue has been shuffled! (${player.queue.tracks.length} tracks)`);
         await interaction.reply({ components: [container], flags: MessageFlags.IsComponentsV2, ephemeral: true });
     }
@@ -401,13 +510,21 @@ export default class TrackStart extends Event {
 
     async _handleLyrics(interaction, player) {
         const track = player.queue.current;
+        await interaction.deferReply({ ephemeral: true });
+        
+        const lyrics = await this.client.lyrics.get({ track, player });
+        const pages = lyrics ? paginateLyrics(lyrics.lines) : [];
+        
         const container = new ContainerBuilder();
         container.addTextDisplayComponents(
             new TextDisplayBuilder().setContent(
-                `### ${emojis.player.lyrics} Lyrics\n**${track.info.title}**\n\nLyrics feature coming soon!`
+                pages.length > 0
+                    ? `### ${emojis.player.lyrics} Lyrics\n**${track.info.title}**\n\n${pages[0]}` +
+                      (pages.length > 1 ? `\n\n-# Use \`/lyrics\` to read all ${pages.length} pages` : '')
+                    : `### ${emojis.player.lyrics} Lyrics\n**${track.info.title}**\n\nNo lyrics found for this track.`
             )
         );
-        await interaction.reply({ components: [container], flags: MessageFlags.IsComponentsV2, ephemeral: true });
+        await interaction.editReply({ components: [container], flags: MessageFlags.IsComponentsV2 });
     }
 
     async _handleFavorite(interaction, player) {
@@ -419,7 +536,8 @@ export default class TrackStart extends Event {
             author: track.info.author,
             uri: track.info.uri,
             duration: track.info.duration,
-            artworkUrl: track.info.artworkUrl
+            artworkUrl: track.info.artworkUrl,
+            encoded: track.encoded
         });
 
         const container = new ContainerBuilder();
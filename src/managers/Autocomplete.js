@@ -0,0 +1,155 @@
+/**
+ * Autocomplete Suggestions
+ *
+ * Choice builders shared by the commands' autocomplete() handlers.
+ * Every builder resolves to at most 25 { name, value } choices,
+ * matching what interaction.respond() accepts.
+ */
+
+import Playlist from '../schemas/Playlist.js';
+import Favorite from '../schemas/Favorite.js';
+import { selectNode, formatDuration } from './LavalinkHandler.js';
+
+const MAX_CHOICES = 25;
+
+/**
+ * Search suggestions by normalized query, shared by every user of the bot
+ * @type {Map<string, { choices: Array<Object>, expiresAt: number }>}
+ */
+const searchCache = new Map();
+const SEARCH_CACHE_TTL = 5 * 60 * 1000;
+const SEARCH_CACHE_SIZE = 500;
+
+/**
+ * Autocomplete must be answered within 3 seconds
+ */
+const SEARCH_TIMEOUT = 2000;
+
+/**
+ * The user's playlists, by name
+ * @param {string} userId
+ * @param {string} focused - What the user typed so far
+ * @returns {Promise<Array<{ name: string, value: string }>>}
+ */
+export async function suggestPlaylists(userId, focused) {
+    const search = focused.toLowerCase();
+    const playlists = await Playlist.getUserPlaylists(userId);
+
+    return playlists
+        .filter(playlist => playlist.name.toLowerCase().includes(search))
+        .slice(0, MAX_CHOICES)
+        .map(playlist => ({
+            name: truncate(`${playlist.name} (${playlist.tracks.length} tracks)`),
+            value: playlist.name,
+        }));
+}
+
+/**
+ * The user's favorites, by number
+ * @param {string} userId
+ * @param {string} focused - What the user typed so far
+ * @returns {Promise<Array<{ name: string, value: number }>>}
+ */
+export async function suggestFavorites(userId, focused) {
+    const favorites = await Favorite.findById(userId);
+    if (!favorites) return [];
+
+    return filterNumbered(favorites.tracks.map((track, i) => ({
+        position: i + 1,
+        label: `${track.title} - ${track.author || 'Unknown'}`,
+    })), focused);
+}
+
+/**
+ * Tracks in the player's queue, by position
+ * @param {Object|undefined} player - Lavalink player
+ * @param {string} focused - What the user typed so far
+ * @returns {Array<{ name: string, value: number }>}
+ */
+export function suggestQueue(player, focused) {
+    if (!player) return [];
+
+    return filterNumbered(player.queue.tracks.map((track, i) => ({
+        position: i + 1,
+        label: `${track.info.title} - ${track.info.author} [${track.info.isStream ? 'LIVE' : formatDuration(track.info.duration)}]`,
+    })), focused);
+}
+
+/**
+ * Search results for a query, cached for a few minutes
+ * The typed query itself is always the first choice
+ * @param {import('../structures/Client.js').BotClient} client
+ * @param {string} focused - What the user typed so far
+ * @param {string} [source] - Search source (defaults to the manager's platform)
+ * @returns {Promise<Array<{ name: string, value: string }>>}
+ */
+export async function suggestSearch(client, focused, source = null) {
+    const query = focused.trim();
+    if (!query) return [];
+
+    const typed = { name: truncate(query), value: truncate(query) };
+
+    // URLs are played as is, and short queries are not worth a search
+    if (/^https?:\/\//i.test(query) || query.length < 3) return [typed];
+
+    const key = `${source || ''}:${query.toLowerCase().replace(/\s+/g, ' ')}`;
+    const cached = searchCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+        return [typed, ...cached.choices];
+    }
+
+    const node = selectNode(client.lavalink);
+    if (!node) return [typed];
+
+    let result;
+    let timer;
+    try {
+        result = await Promise.race([
+            node.search(source ? { query, source } : { query }, null),
+            new Promise((_, reject) => {
+                timer = setTimeout(() => reject(new Error('Search timed out')), SEARCH_TIMEOUT);
+            }),
+        ]);
+    } catch (error) {
+        return [typed];
+    } finally {
+        clearTimeout(timer);
+    }
+
+    const choices = (result?.tracks || [])
+        .slice(0, MAX_CHOICES - 1)
+        .map(track => ({
+            name: truncate(`${track.info.title} - ${track.info.author}`),
+            // Choice values are limited to 100 characters
+            value: track.info.uri?.length <= 100 ? track.info.uri : truncate(`${track.info.title} ${track.info.author}`),
+        }));
+
+    // Drop the oldest entry when full (Maps keep insertion order)
+    if (searchCache.size >= SEARCH_CACHE_SIZE) {
+        searchCache.delete(searchCache.keys().next().value);
+    }
+    searchCache.set(key, { choices, expiresAt: Date.now() + SEARCH_CACHE_TTL });
+
+    return [typed, ...choices];
+}
+
+/**
+ * Filter numbered entries by position or label
+ * @private
+ */
+function filterNumbered(entries, focused) {
+    const search = String(focused).toLowerCase().trim();
+
+    return entries
+        .filter(({ position, label }) => !search || String(position).startsWith(search) || label.toLowerCase().includes(search))
+        .slice(0, MAX_CHOICES)
+        .map(({ position, label }) => ({ name: truncate(`${position}. ${label}`), value: position }));
+}
+
+/**
+ * Choice names and values are limited to 100 characters
+ * @private
+ */
+function truncate(text) {
+    return text.length > 100 ? `${text.substring(0, 97)}...` : text;
+}
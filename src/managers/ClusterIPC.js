@@ -0,0 +1,206 @@
+/**
+ * Cluster IPC
+ *
+ * Request/response messaging between the orchestrator and its bot
+ * worker processes, plus the serializable bot/player snapshots that
+ * are exchanged instead of sharing BotClient instances.
+ *
+ * Message format:
+ * - Request/notify: { _cluster: true, id?, type, data }
+ * - Reply:          { _cluster: true, replyTo, data?, error? }
+ */
+
+/**
+ * Default time to wait for a reply (in ms)
+ */
+const DEFAULT_TIMEOUT = 5000;
+
+export class IPCChannel {
+    /**
+     * @param {NodeJS.Process|import('child_process').ChildProcess} target - Process to talk to
+     * @param {Object} options
+     * @param {number} options.timeout - Default request timeout in milliseconds
+     */
+    constructor(target, options = {}) {
+        this.target = target;
+        this.timeout = options.timeout || DEFAULT_TIMEOUT;
+
+        /**
+         * Request handlers by message type
+         * @type {Map<string, Function>}
+         */
+        this.handlers = new Map();
+
+        /**
+         * Pending requests by message ID
+         * @type {Map<number, { resolve: Function, reject: Function, timer: NodeJS.Timeout }>}
+         */
+        this.pending = new Map();
+
+        this.nextId = 1;
+
+        this._onMessage = this._onMessage.bind(this);
+        this.target.on('message', this._onMessage);
+    }
+
+    /**
+     * Register a handler for a message type
+     * The handler's return value (or resolved value) is sent back as the reply
+     * @param {string} type
+     * @param {Function} handler
+     */
+    handle(type, handler) {
+        this.handlers.set(type, handler);
+        return this;
+    }
+
+    /**
+     * Send a request and wait for the reply
+     * @param {string} type
+     * @param {*} data
+     * @param {number} timeout
+     * @returns {Promise<*>}
+     */
+    request(type, data = null, timeout = this.timeout) {
+        return new Promise((resolve, reject) => {
+            if (!this.target.connected) {
+                return reject(new Error('IPC channel is closed'));
+            }
+
+            const id = this.nextId++;
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                reject(new Error(`IPC request "${type}" timed out after ${timeout}ms`));
+            }, timeout);
+
+            this.pending.set(id, { resolve, reject, timer });
+            this._send({ _cluster: true, id, type, data });
+        });
+    }
+
+    /**
+     * Send a message without waiting for a reply
+     * @param {string} type
+     * @param {*} data
+     */
+    notify(type, data = null) {
+        if (!this.target.connected) return;
+        this._send({ _cluster: true, type, data });
+    }
+
+    /**
+     * Stop listening and reject all pending requests
+     */
+    dispose() {
+        this.target.off('message', this._onMessage);
+
+        for (const [id, pending] of this.pending) {
+            clearTimeout(pending.timer);
+            pending.reject(new Error('IPC channel disposed'));
+        }
+        this.pending.clear();
+    }
+
+    /**
+     * @private
+     */
+    _send(message) {
+        try {
+            this.target.send(message);
+        } catch (error) {
+            // Channel closed between the connected check and send
+            if (message.id && this.pending.has(message.id)) {
+                const pending = this.pending.get(message.id);
+                clearTimeout(pending.timer);
+                this.pending.delete(message.id);
+                pending.reject(error);
+            }
+        }
+    }
+
+    /**
+     * @private
+     */
+    async _onMessage(message) {
+        if (!message || !message._cluster) return;
+
+        // Reply to one of our requests
+        if (message.replyTo) {
+            const pending = this.pending.get(message.replyTo);
+            if (!pending) return;
+
+            clearTimeout(pending.timer);
+            this.pending.delete(message.replyTo);
+
+            if (message.error) {
+                pending.reject(new Error(message.error));
+            } else {
+                pending.resolve(message.data);
+            }
+            return;
+        }
+
+        const handler = this.handlers.get(message.type);
+
+        if (!handler) {
+            if (message.id) {
+                this._send({ _cluster: true, replyTo: message.id, error: `No handler for "${message.type}"` });
+            }
+            return;
+        }
+
+        try {
+            const result = await handler(message.data);
+            if (message.id) {
+                this._send({ _cluster: true, replyTo: message.id, data: result ?? null });
+            }
+        } catch (error) {
+            if (message.id) {
+                this._send({ _cluster: true, replyTo: message.id, error: error.message });
+            }
+        }
+    }
+}
+
+/**
+ * Serializable snapshot of a bot for status reporting
+ * @param {import('../structures/Client.js').BotClient} client
+ * @returns {Object}
+ */
+export function describeBot(client) {
+    return {
+        id: client.botId,
+        name: client.botName,
+        isMain: client.isMainBot,
+        online: client.isReady(),
+        guilds: client.guilds.cache.size,
+        players: client.lavalink?.players?.size || 0,
+        ping: client.ws.ping,
+        uptime: client.uptime || 0,
+        memoryUsage: Math.round(process.memoryUsage().heapUsed / 1024 / 1024),
+        lavalink: !!client.lavalink,
+        lavalinkConnected: !!client.lavalink?.nodeManager?.nodes?.size,
+        draining: !!client.draining,
+        pid: process.pid,
+    };
+}
+
+/**
+ * Serializable snapshot of a bot's player in a guild, used for command routing
+ * @param {import('../structures/Client.js').BotClient} client
+ * @param {string} guildId
+ * @returns {{ botId: string, isMain: boolean, online: boolean, lavalink: boolean, draining: boolean, inGuild: boolean, voiceChannelId: string|null }}
+ */
+export function describeGuildPlayer(client, guildId) {
+    const player = client.lavalink?.players?.get(guildId);
+
+    return {
+        botId: client.botId,
+        isMain: client.isMainBot,
+        online: client.isReady(),
+        lavalink: !!client.lavalink,
+        draining: !!client.draining,
+        inGuild: client.guilds.cache.has(guildId),
+        voiceChannelId: player?.voiceChannelId || null,
+    };
+}
@@ -0,0 +1,166 @@
+/**
+ * Command Lock Manager
+ *
+ * Guild command locks decide which bot answers a command when several
+ * bots could. Every backend implements the same async interface:
+ * - acquire(guildId, botId) → fencing token, or null if another bot holds it
+ * - release(guildId, botId, token?)
+ * - has(guildId, botId) → boolean
+ * - isCurrent(guildId, token) → whether a token is still the live holder
+ *
+ * Command routing keeps the token it acquired and checks isCurrent right before
+ * running the command, so a bot whose lock expired meanwhile doesn't run it too.
+ *
+ * Backends:
+ * - memory: in-process Map, only valid when every bot shares one process
+ * - mongo: shared through MongoDB, works across hosts. While MongoDB fails the
+ *   orchestrator uses in-process locks instead, so only bots on the same host agree
+ */
+
+import CommandLockSchema from '../schemas/CommandLock.js';
+
+/**
+ * Registered lock backends by name
+ * @type {Map<string, Function>}
+ */
+const backends = new Map();
+
+/**
+ * In-memory lock backend (single host)
+ */
+export class MemoryLockBackend {
+    /**
+     * @param {Object} options
+     * @param {number} options.timeout - Lock lifetime in milliseconds
+     */
+    constructor(options = {}) {
+        this.name = 'memory';
+        this.timeout = options.timeout || 10000;
+
+        /**
+         * Map<guildId, { botId: string, token: number, expiresAt: number }>
+         * @type {Map<string, { botId: string, token: number, expiresAt: number }>}
+         */
+        this.locks = new Map();
+
+        /**
+         * Last issued token per guild (kept after release for fencing)
+         * @type {Map<string, number>}
+         */
+        this.tokens = new Map();
+    }
+
+    async acquire(guildId, botId) {
+        const now = Date.now();
+        const existing = this.locks.get(guildId);
+
+        if (existing && existing.expiresAt > now) {
+            if (existing.botId !== botId) return null;
+
+            // Already ours - extend it
+            existing.expiresAt = now + this.timeout;
+            return existing.token;
+        }
+
+        const token = (this.tokens.get(guildId) || 0) + 1;
+        this.tokens.set(guildId, token);
+        this.locks.set(guildId, { botId, token, expiresAt: now + this.timeout });
+        return token;
+    }
+
+    async release(guildId, botId, token = null) {
+        const existing = this.locks.get(guildId);
+        if (!existing || existing.botId !== botId) return;
+        if (token !== null && token !== undefined && existing.token !== token) return;
+
+        this.locks.delete(guildId);
+    }
+
+    async has(guildId, botId) {
+        const existing = this._getHeld(guildId);
+        return !!existing && existing.botId === botId;
+    }
+
+    async isCurrent(guildId, token) {
+        const existing = this._getHeld(guildId);
+        return !!existing && existing.token === token;
+    }
+
+    /**
+     * Get the unexpired lock for a guild, dropping it if expired
+     * @private
+     */
+    _getHeld(guildId) {
+        const existing = this.locks.get(guildId);
+        if (!existing) return null;
+
+        if (existing.expiresAt <= Date.now()) {
+            this.locks.delete(guildId);
+            return null;
+        }
+
+        return existing;
+    }
+}
+
+/**
+ * MongoDB lock backend (multi host)
+ */
+export class MongoLockBackend {
+    /**
+     * @param {Object} options
+     * @param {number} options.timeout - Lock lifetime in milliseconds
+     */
+    constructor(options = {}) {
+        this.name = 'mongo';
+        this.timeout = options.timeout || 10000;
+    }
+
+    async acquire(guildId, botId) {
+        return CommandLockSchema.acquire(guildId, botId, this.timeout);
+    }
+
+    async release(guildId, botId, token = null) {
+        await CommandLockSchema.release(guildId, botId, token);
+    }
+
+    async has(guildId, botId) {
+        const lock = await CommandLockSchema.findHeld(guildId);
+        return !!lock && lock.botId === botId;
+    }
+
+    async isCurrent(guildId, token) {
+        const lock = await CommandLockSchema.findHeld(guildId);
+        return !!lock && lock.token === token;
+    }
+}
+
+/**
+ * Register a lock backend under a name
+ * @param {string} name - Backend name used in config.commandLocks.backend
+ * @param {Function} Backend - Class constructed with the lock options
+ */
+export function registerLockBackend(name, Backend) {
+    backends.set(name, Backend);
+}
+
+/**
+ * Create the configured lock backend
+ * @param {Object} options - config.commandLocks
+ * @param {string} options.backend - Backend name
+ * @param {number} options.timeout - Lock lifetime in milliseconds
+ * @returns {MemoryLockBackend|MongoLockBackend}
+ */
+export function createLockBackend(options = {}) {
+    const name = options.backend || 'memory';
+    const Backend = backends.get(name);
+
+    if (!Backend) {
+        throw new Error(`Unknown command lock backend "${name}"`);
+    }
+
+    return new Backend(options);
+}
+
+registerLockBackend('memory', MemoryLockBackend);
+registerLockBackend('mongo', MongoLockBackend);
@@ -0,0 +1,161 @@
+/**
+ * Fair Queue
+ *
+ * Adds tracks to a guild's queue following its queue settings (schemas/QueueSettings.js):
+ * - per-user limits: tracks past a member's track count or total duration limit are not added
+ *   (the member's playing track counts towards them, with the time it has left)
+ * - fair queue mode: tracks are interleaved round-robin by requester. A requester's n-th
+ *   upcoming track (the playing track counts as their first) goes after every other
+ *   requester's n-th track, so one long playlist doesn't hold up everyone else.
+ *   The order of the tracks already queued is kept, and "play next" can't skip the
+ *   other requesters - those tracks take their fair position too.
+ */
+
+import QueueSettings from '../schemas/QueueSettings.js';
+import { formatDuration } from './LavalinkHandler.js';
+
+/**
+ * Add tracks to a player's queue
+ * @param {Object} player - Lavalink player
+ * @param {Array<Object>} tracks - Tracks to add, in order
+ * @param {string} userId - Member adding the tracks (the limits apply to them)
+ * @param {Object} [options]
+ * @param {boolean} [options.playNext] - Add to the front of the queue instead (limits still apply,
+ *   ignored in fair queue mode)
+ * @returns {Promise<{ added: Array<Object>, position: number|null, playedNext: boolean, limitMessage: string|null }>}
+ *   The tracks added, the queue position of the first one, whether they went to the front
+ *   and why the rest was not added
+ */
+export async function addTracks(player, tracks, userId, { playNext = false } = {}) {
+    // The queue works without its settings, unlimited and in order
+    const settings = await QueueSettings.findById(player.guildId).lean().catch(() => null);
+    const { allowed, limit } = applyLimits(player, tracks, userId, settings);
+
+    if (allowed.length === 0) {
+        return { added: [], position: null, playedNext: false, limitMessage: describeLimit(limit, settings) };
+    }
+
+    const playedNext = playNext && !settings?.fairQueue;
+    if (playedNext) {
+        await player.queue.add(allowed, 0);
+    } else if (settings?.fairQueue) {
+        for (const track of allowed) {
+            await player.queue.add(track, getFairIndex(player, track.requester?.id ?? userId));
+        }
+    } else {
+        await player.queue.add(allowed);
+    }
+
+    return {
+        added: allowed,
+        position: player.queue.tracks.indexOf(allowed[0]) + 1,
+        playedNext,
+        limitMessage: describeLimit(limit, settings),
+    };
+}
+
+/**
+ * Estimated time until each queued track starts
+ * @param {Object} player - Lavalink player
+ * @returns {Array<number|null>} Milliseconds per queued track, null after a live stream
+ */
+export function getEstimatedStarts(player) {
+    const current = player.queue.current;
+    let elapsed = current && !current.info.isStream
+        ? Math.max(0, current.info.duration - player.position)
+        : null;
+
+    return player.queue.tracks.map(track => {
+        const start = elapsed;
+        if (elapsed !== null) {
+            elapsed = track.info.isStream ? null : elapsed + (track.info.duration || 0);
+        }
+        return start;
+    });
+}
+
+/**
+ * Queue index for a requester's next track in fair mode:
+ * before the first track of a later round than theirs
+ * @param {Object} player - Lavalink player
+ * @param {string} requesterId
+ * @returns {number}
+ */
+export function getFairIndex(player, requesterId) {
+    const current = player.queue.current?.requester?.id;
+    const tracks = player.queue.tracks;
+
+    const rounds = new Map(current ? [[current, 1]] : []);
+    const round = (current === requesterId ? 1 : 0)
+        + tracks.filter(track => track.requester?.id === requesterId).length
+        + 1;
+
+    for (let i = 0; i < tracks.length; i++) {
+        const id = tracks[i].requester?.id;
+        const trackRound = (rounds.get(id) || 0) + 1;
+        rounds.set(id, trackRound);
+
+        if (trackRound > round) return i;
+    }
+
+    return tracks.length;
+}
+
+/**
+ * Tracks that fit in the member's limits
+ * @param {Object} player - Lavalink player
+ * @param {Array<Object>} tracks - Tracks to add, in order
+ * @param {string} userId - Member adding the tracks
+ * @param {?Object} settings - Guild queue settings
+ * @returns {{ allowed: Array<Object>, limit: 'tracks'|'duration'|null }} The tracks that fit and the limit hit
+ */
+export function applyLimits(player, tracks, userId, settings) {
+    const maxTracks = settings?.maxTracksPerUser || 0;
+    const maxDuration = settings?.maxDurationPerUser || 0;
+    if (!maxTracks && !maxDuration) return { allowed: tracks, limit: null };
+
+    const queued = player.queue.tracks.filter(track => track.requester?.id === userId);
+    let count = queued.length;
+    let duration = queued.reduce((total, track) => total + getDuration(track), 0);
+
+    // The member's playing track counts too, with the time it has left
+    const current = player.queue.current;
+    if (current && current.requester?.id === userId) {
+        count++;
+        duration += Math.max(0, getDuration(current) - (player.position || 0));
+    }
+
+    const allowed = [];
+    for (const track of tracks) {
+        if (maxTracks && count >= maxTracks) return { allowed, limit: 'tracks' };
+        if (maxDuration && duration + getDuration(track) > maxDuration) return { allowed, limit: 'duration' };
+
+        allowed.push(track);
+        count++;
+        duration += getDuration(track);
+    }
+
+    return { allowed, limit: null };
+}
+
+/**
+ * Why tracks were not added
+ * @private
+ */
+function describeLimit(limit, settings) {
+    if (limit === 'tracks') {
+        return `You can have at most ${settings.maxTracksPerUser} tracks in the queue.`;
+    }
+    if (limit === 'duration') {
+        return `You can have at most ${formatDuration(settings.maxDurationPerUser)} of music in the queue.`;
+    }
+    return null;
+}
+
+/**
+ * Duration that counts towards the limits (live streams don't)
+ * @private
+ */
+function getDuration(track) {
+    return track.info.isStream ? 0 : track.info.duration || 0;
+}
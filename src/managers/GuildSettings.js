@@ -0,0 +1,152 @@
+/**
+ * Guild Settings
+ *
+ * Cached access to the per-guild settings (schemas/GuildSettings.js, edited with /settings):
+ * - settings are read once a minute per guild at most, since players and commands read them often
+ * - updates made here refresh the cache right away, other bots see them once their cache expires
+ * - guilds without settings, and failed reads, get the schema defaults
+ *
+ * Settings left at null fall back to the bot's config (see the resolve helpers below).
+ */
+
+import GuildSettings from '../schemas/GuildSettings.js';
+
+/**
+ * Search sources a guild can pick, by search prefix
+ */
+export const SEARCH_SOURCES = {
+    ytsearch: 'YouTube',
+    ytmsearch: 'YouTube Music',
+    scsearch: 'SoundCloud',
+};
+
+/**
+ * Now playing message styles
+ */
+export const NOW_PLAYING_STYLES = {
+    full: 'Full - artwork and every control',
+    compact: 'Compact - main controls, no artwork',
+    minimal: 'Minimal - track info only',
+};
+
+/**
+ * Languages a guild can pick, by locale (see structures/Preconditions.js for the messages)
+ */
+export const LANGUAGES = {
+    'en-US': 'English',
+    fil: 'Filipino',
+};
+
+/**
+ * Settings set with /setup rather than the /settings panel, so a reset keeps them
+ */
+const KEPT_ON_RESET = ['_id', 'requestChannelId', 'requestMessageId'];
+
+/**
+ * How long settings stay cached
+ */
+const CACHE_TTL = 60 * 1000;
+
+/**
+ * Cached settings by guild
+ * @type {Map<string, { settings: Object, expires: number }>}
+ */
+const cache = new Map();
+
+/**
+ * A guild's settings
+ * @param {?string} guildId
+ * @param {Object} [options]
+ * @param {boolean} [options.fresh] - Skip the cache, for settings other bots change too
+ * @returns {Promise<Object>} Settings (lean, read only)
+ */
+export async function getGuildSettings(guildId, { fresh = false } = {}) {
+    if (!guildId) return getDefaults(null);
+
+    const cached = cache.get(guildId);
+    if (!fresh && cached && cached.expires > Date.now()) return cached.settings;
+
+    try {
+        const settings = await GuildSettings.findById(guildId).lean() || getDefaults(guildId);
+        cache.set(guildId, { settings, expires: Date.now() + CACHE_TTL });
+        return settings;
+    } catch (error) {
+        // Not cached, so the next read tries the database again
+        return getDefaults(guildId);
+    }
+}
+
+/**
+ * Change a guild's settings
+ * @param {string} guildId
+ * @param {Object} changes - Settings to change
+ * @returns {Promise<Object>} The updated settings
+ */
+export async function updateGuildSettings(guildId, changes) {
+    const settings = await GuildSettings.findByIdAndUpdate(
+        guildId,
+        { $set: changes },
+        { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    ).lean();
+
+    cache.set(guildId, { settings, expires: Date.now() + CACHE_TTL });
+    return settings;
+}
+
+/**
+ * Put the settings the /settings panel edits back on their defaults
+ * The song request channel (set with /setup) is kept
+ * @param {string} guildId
+ * @returns {Promise<Object>} The updated settings
+ */
+export async function resetGuildSettings(guildId) {
+    const defaults = Object.fromEntries(
+        Object.entries(getDefaults(guildId)).filter(([key]) => !KEPT_ON_RESET.includes(key))
+    );
+    return updateGuildSettings(guildId, defaults);
+}
+
+/**
+ * Volume new players start at
+ * @param {Object} settings - Guild settings
+ * @param {Object} config - Configuration
+ * @returns {number}
+ */
+export function resolveDefaultVolume(settings, config) {
+    const volume = settings?.defaultVolume ?? config.lavalink?.playerDefaults?.volume ?? 80;
+    return Math.min(volume, settings?.maxVolume ?? 150);
+}
+
+/**
+ * Search source for plain-text queries
+ * @param {Object} settings - Guild settings
+ * @param {Object} config - Configuration
+ * @returns {string}
+ */
+export function resolveSearchSource(settings, config) {
+    return settings?.searchSource || config.lavalink?.defaultSearchPlatform || 'youtube';
+}
+
+/**
+ * Auto-leave delay in words, e.g. "2 minutes 30 seconds"
+ * @param {number} ms
+ * @returns {string}
+ */
+export function formatDelay(ms) {
+    const minutes = Math.floor(ms / 60000);
+    const seconds = Math.round((ms % 60000) / 1000);
+    const parts = [];
+
+    if (minutes) parts.push(`${minutes} minute${minutes !== 1 ? 's' : ''}`);
+    if (seconds || !minutes) parts.push(`${seconds} second${seconds !== 1 ? 's' : ''}`);
+
+    return parts.join(' ');
+}
+
+/**
+ * Default settings of a guild, from the schema
+ * @private
+ */
+function getDefaults(guildId) {
+    return new GuildSettings({ _id: guildId }).toObject();
+}
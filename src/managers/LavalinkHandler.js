@@ -5,8 +5,11 @@
  * Uses lavalink-client by tomato6966 for Lavalink v4 support.
  */
 
-import { LavalinkManager } from 'lavalink-client';
+import { LavalinkManager, FilterManager } from 'lavalink-client';
 import PlayerSchema from '../schemas/Player.js';
+import GuildAssignment from '../schemas/GuildAssignment.js';
+import LavalinkNodeSchema from '../schemas/LavalinkNode.js';
+import { resolveDefaultVolume } from './GuildSettings.js';
 
 /**
  * Initialize Lavalink manager for a bot client
@@ -21,7 +24,12 @@ export async function initializeLavalink(client, config) {
     }
     
     // Build node configuration for lavalink-client
-    const nodes = config.lavalink.nodes.map(node => ({
+    const nodeConfigs = await loadNodeConfigs(client, config);
+    if (nodeConfigs.length === 0) {
+        client.logger.warn(`[${client.botName}] Every Lavalink node is disabled`);
+    }
+    
+    const nodes = nodeConfigs.map(node => ({
         id: node.id,
         host: node.host,
         port: node.port,
@@ -52,7 +60,8 @@ export async function initializeLavalink(client, config) {
                 destroyPlayer: false,
             },
             onEmptyQueue: {
-                destroyAfterMs: config.lavalink.playerDefaults?.autoPlay ? -1 : 30000, // 30s timeout if no autoplay
+                // The queueEnd event leaves after the guild's auto-leave delay
+                destroyAfterMs: -1,
                 autoPlayFunction: config.lavalink.playerDefaults?.autoPlay ? autoPlayFunction : null,
             },
             volumeDecrementer: 0.75, // Reduces volume by 25% to prevent clipping
@@ -62,6 +71,10 @@ export async function initializeLavalink(client, config) {
             },
             onPlayerDestroy: async (player) => {
                 client.logger.debug(`[${client.botName}] Player destroyed for guild ${player.guildId}`);
+                // Migrated players live on in another bot - keep their saved state
+                if (player.get('migrating')) return;
+                // Show the request panel as idle
+                client.requestChannel.update(player.guildId, null);
                 // Mark player as destroyed in database
                 try {
                     await PlayerSchema.markDestroyed(player.guildId);
@@ -72,6 +85,12 @@ export async function initializeLavalink(client, config) {
         },
         queueOptions: {
             maxPreviousTracks: 50,
+            // Keep the queue preview of request panels up to date
+            queueChangesWatcher: {
+                tracksAdd: (guildId) => client.requestChannel.refresh(guildId),
+                tracksRemoved: (guildId) => client.requestChannel.refresh(guildId),
+                shuffled: (guildId) => client.requestChannel.refresh(guildId),
+            },
         },
     });
     
@@ -160,6 +179,29 @@ export async function initializeLavalink(client, config) {
     return lavalinkManager;
 }
 
+/**
+ * Node list a bot should connect to at startup
+ * Seeds the env nodes into the stored list (see managers/LavalinkNodes.js),
+ * then uses the enabled stored nodes. Falls back to config.lavalink.nodes without a database.
+ * @param {BotClient} client - Bot client
+ * @param {Object} config - Full configuration object
+ * @returns {Promise<Array<Object>>}
+ */
+async function loadNodeConfigs(client, config) {
+    if (LavalinkNodeSchema.db.readyState !== 1) {
+        return config.lavalink.nodes;
+    }
+    
+    try {
+        await LavalinkNodeSchema.seedFromConfig(config.lavalink.nodes);
+        const nodes = await LavalinkNodeSchema.findEnabled();
+        return nodes.map(node => node.toNodeOptions());
+    } catch (error) {
+        client.logger.error(`[${client.botName}] Failed to load stored Lavalink nodes, using configured nodes: ${error.message}`);
+        return config.lavalink.nodes;
+    }
+}
+
 /**
  * Transform requester data for storage
  * @param {Object} requester - Discord user object
@@ -231,122 +273,12 @@ async function resumePlayers(client, lavalink) {
                     continue;
                 }
                 
-                const voiceChannel = guild.channels.cache.get(savedPlayer.voiceChannelId);
-                const textChannel = guild.channels.cache.get(savedPlayer.textChannelId);
+                // Already brought back (e.g. by a migration or failover)
+                if (lavalink.players.has(savedPlayer._id)) continue;
                 
-                if (!voiceChannel || !textChannel) {
-                    client.logger.warn(`[${client.botName}] Channels not found for ${guild.name}, marking destroyed`);
+                const player = await restorePlayer(client, lavalink, savedPlayer);
+                if (!player) {
                     await PlayerSchema.markDestroyed(savedPlayer._id);
-                    continue;
-                }
-                
-                // Create player
-                const player = await lavalink.createPlayer({
-                    guildId: savedPlayer._id,
-                    voiceChannelId: savedPlayer.voiceChannelId,
-                    textChannelId: savedPlayer.textChannelId,
-                    selfDeaf: true,
-                    volume: savedPlayer.volume,
-                });
-                
-                // Connect to voice
-                await player.connect();
-                
-                // Restore settings
-                player.setVolume(savedPlayer.volume);
-                
-                if (savedPlayer.loopMode !== 'off') {
-                    player.setRepeatMode(savedPlayer.loopMode);
-                }
-                
-                // Restore 24/7 and autoplay settings
-                if (savedPlayer.twentyFourSeven) {
-                    player.set('twentyFourSeven', true);
-                }
-                if (savedPlayer.autoPlay) {
-                    player.set('autoplay', true);
-                }
-                
-                // Restore queue - load all tracks in parallel for better performance
-                if (savedPlayer.currentTrack || savedPlayer.queue.length > 0) {
-                    const tracksToLoad = [];
-                    
-                    // Add current track first
-                    if (savedPlayer.currentTrack) {
-                        tracksToLoad.push({
-                            query: savedPlayer.currentTrack.info?.uri || savedPlayer.currentTrack.info?.title,
-                            requester: savedPlayer.currentTrack.requester,
-                            isCurrent: true
-                        });
-                    }
-                    
-                    // Add queue tracks
-                    for (const track of savedPlayer.queue) {
-                        tracksToLoad.push({
-                            query: track.info?.uri || track.info?.title,
-                            requester: track.requester,
-                            isCurrent: false
-                        });
-                    }
-                    
-                    // Search for all tracks in parallel (batch of 5 for rate limiting)
-                    const batchSize = 5;
-                    const loadedTracks = [];
-                    
-                    for (let i = 0; i < tracksToLoad.length; i += batchSize) {
-                        const batch = tracksToLoad.slice(i, i + batchSize);
-                        const results = await Promise.allSettled(
-                            batch.map(async (trackInfo) => {
-                                const result = await player.search({ query: trackInfo.query }, trackInfo.requester);
-                                if (result.tracks.length > 0) {
-                                    return { track: result.tracks[0], isCurrent: trackInfo.isCurrent };
-                                }
-                                return null;
-                            })
-                        );
-                        
-                        for (const result of results) {
-                            if (result.status === 'fulfilled' && result.value) {
-                                loadedTracks.push(result.value);
-                            }
-                        }
-                    }
-                    
-                    if (loadedTracks.length > 0) {
-                        // Add all tracks to queue
-                        for (const { track } of loadedTracks) {
-                            await player.queue.add(track);
-                        }
-                        
-                        // Start playing
-                        await player.play();
-                        
-                        // Seek to saved position (only if we had a current track)
-                        if (savedPlayer.currentTrack && savedPlayer.position > 0) {
-                            // Small delay to ensure track is playing before seeking
-                            await new Promise(resolve => setTimeout(resolve, 500));
-                            await player.seek(savedPlayer.position);
-                        }
-                        
-                        // Apply pause state
-                        if (savedPlayer.paused) {
-                            await player.pause();
-                        }
-                        
-                        client.logger.success(`[${client.botName}] Resumed player in ${guild.name} with ${loadedTracks.length} track(s)`);
-                    } else {
-                        client.logger.warn(`[${client.botName}] No tracks could be loaded for ${guild.name}`);
-                        await player.destroy();
-                        await PlayerSchema.markDestroyed(savedPlayer._id);
-                    }
-                } else {
-                    // No tracks to resume, just keep player connected if 24/7
-                    if (!savedPlayer.twentyFourSeven) {
-                        await player.destroy();
-                        await PlayerSchema.markDestroyed(savedPlayer._id);
-                    } else {
-                        client.logger.info(`[${client.botName}] 24/7 player connected in ${guild.name} (no tracks)`);
-                    }
                 }
             } catch (error) {
                 client.logger.error(`[${client.botName}] Failed to resume player: ${error.message}`);
@@ -358,15 +290,324 @@ async function resumePlayers(client, lavalink) {
     }
 }
 
+/**
+ * Rebuild a player from saved state (a Player document or a serializePlayer snapshot)
+ * Joins the voice channel, restores settings, queue, position and filters
+ * @param {BotClient} client - Bot client
+ * @param {LavalinkManager} lavalink - Lavalink manager
+ * @param {Object} state - Saved player state
+ * @returns {Promise<Object|null>} The restored player, or null if nothing could be restored
+ */
+export async function restorePlayer(client, lavalink, state) {
+    const guildId = state.guildId || state._id;
+    const guild = client.guilds.cache.get(guildId);
+    if (!guild) {
+        client.logger.warn(`[${client.botName}] Guild ${guildId} not found, cannot restore player`);
+        return null;
+    }
+    
+    const voiceChannel = guild.channels.cache.get(state.voiceChannelId);
+    const textChannel = guild.channels.cache.get(state.textChannelId);
+    
+    if (!voiceChannel || !textChannel) {
+        client.logger.warn(`[${client.botName}] Channels not found for ${guild.name}, cannot restore player`);
+        return null;
+    }
+    
+    // Create player
+    const player = await lavalink.createPlayer({
+        guildId,
+        voiceChannelId: state.voiceChannelId,
+        textChannelId: state.textChannelId,
+        selfDeaf: true,
+        volume: state.volume,
+    });
+    
+    // Connect to voice
+    await player.connect();
+    
+    // Restore settings
+    player.setVolume(state.volume);
+    
+    if (state.loopMode && state.loopMode !== 'off') {
+        player.setRepeatMode(state.loopMode);
+    }
+    
+    // Restore 24/7 and autoplay settings
+    if (state.twentyFourSeven) {
+        player.set('twentyFourSeven', true);
+    }
+    if (state.autoPlay) {
+        player.set('autoplay', true);
+    }
+    
+    // Restore queue
+    if (state.currentTrack || state.queue?.length > 0) {
+        const tracksToLoad = [];
+        
+        // Add current track first
+        if (state.currentTrack) {
+            tracksToLoad.push({ ...state.currentTrack, isCurrent: true });
+        }
+        
+        // Add queue tracks
+        for (const track of state.queue || []) {
+            tracksToLoad.push({ ...track, isCurrent: false });
+        }
+        
+        // Resolve all tracks (decoded when stored encoded, searched otherwise)
+        const resolved = await resolveStoredTracks(player, tracksToLoad);
+        const loadedTracks = resolved
+            .map(({ track }, i) => track ? { track, isCurrent: tracksToLoad[i].isCurrent } : null)
+            .filter(Boolean);
+        
+        if (loadedTracks.length > 0) {
+            // Add all tracks to queue
+            for (const { track } of loadedTracks) {
+                await player.queue.add(track);
+            }
+            
+            // Start playing
+            await player.play();
+            
+            // Seek to saved position (only if we had a current track)
+            if (state.currentTrack && state.position > 0) {
+                // Small delay to ensure track is playing before seeking
+                await new Promise(resolve => setTimeout(resolve, 500));
+                await player.seek(state.position);
+            }
+            
+            // Apply pause state
+            if (state.paused) {
+                await player.pause();
+            }
+            
+            await restoreFilter(client, player, state);
+            
+            client.logger.success(`[${client.botName}] Restored player in ${guild.name} with ${loadedTracks.length} track(s)`);
+            return player;
+        }
+        
+        client.logger.warn(`[${client.botName}] No tracks could be loaded for ${guild.name}`);
+        await player.destroy();
+        return null;
+    }
+    
+    // No tracks to restore, just keep player connected if 24/7
+    if (!state.twentyFourSeven) {
+        await player.destroy();
+        return null;
+    }
+    
+    await restoreFilter(client, player, state);
+    
+    client.logger.info(`[${client.botName}] 24/7 player connected in ${guild.name} (no tracks)`);
+    return player;
+}
+
+/**
+ * Apply an audio filter through the player's filter manager, replacing the active one
+ * The filter is kept on the player, so it's saved and carried over to other bots
+ * @param {Object} player - Lavalink player
+ * @param {?string} name - Filter name, null turns filters off
+ * @param {?Object} data - Lavalink filter data, e.g. { timescale: {...}, equalizer: [...] }
+ * @returns {Promise<void>}
+ */
+export async function applyFilter(player, name, data) {
+    const manager = player.filterManager;
+    const { equalizer = [], ...filters } = data || {};
+    
+    // Lavalink replaces the whole filter set on every update, so start from neutral values
+    manager.data = { ...new FilterManager(player).data, ...structuredClone(filters) };
+    manager.equalizerBands = equalizer.map(({ band, gain }) => ({ band, gain }));
+    await manager.applyPlayerFilters();
+    
+    player.set('currentFilter', data ? name : null);
+    player.set('filterData', data || null);
+}
+
+/**
+ * Put a saved filter back on a restored player
+ * A failure is logged and leaves the player without filter (see restoreSnapshot in PlayerMigration.js)
+ * @private
+ */
+async function restoreFilter(client, player, state) {
+    if (!state.filters?.data || Object.keys(state.filters.data).length === 0) return;
+    
+    try {
+        await applyFilter(player, state.filters.name || null, state.filters.data);
+    } catch (error) {
+        client.logger.warn(`[${client.botName}] Failed to restore the ${state.filters.name || 'custom'} filter in guild ${player.guildId}: ${error.message}`);
+    }
+}
+
+/**
+ * Turn stored tracks back into playable tracks
+ * Encoded tracks are decoded by the player's node in one request. Tracks
+ * without an encoded blob, or whose blob the node rejects, are searched
+ * by URI/title instead (in batches of 5 for rate limiting)
+ * @param {Object} player - Lavalink player
+ * @param {Array<Object>} storedTracks - { encoded?, info, requester? }
+ * @param {Object} requester - Requester for tracks that don't store one
+ * @returns {Promise<Array<{ track: Object|null, searched: boolean }>>} In the order of storedTracks
+ */
+export async function resolveStoredTracks(player, storedTracks, requester = null) {
+    const results = storedTracks.map(() => ({ track: null, searched: false }));
+    const toDecode = [];
+    const toSearch = [];
+    
+    storedTracks.forEach((storedTrack, i) => (storedTrack.encoded ? toDecode : toSearch).push(i));
+    
+    if (toDecode.length > 0) {
+        try {
+            const decoded = await player.node.decode.multipleTracks(
+                toDecode.map(i => storedTracks[i].encoded),
+                requester
+            );
+            toDecode.forEach((index, i) => {
+                results[index].track = decoded[i] || null;
+            });
+        } catch (error) {
+            // A single rejected blob fails the whole request, so decode one by one
+            for (const index of toDecode) {
+                try {
+                    results[index].track = await player.node.decode.singleTrack(storedTracks[index].encoded, requester);
+                } catch (error) {
+                    // Searched below
+                }
+            }
+        }
+        
+        toSearch.push(...toDecode.filter(index => !results[index].track));
+    }
+    
+    toSearch.sort((a, b) => a - b);
+    
+    const batchSize = 5;
+    for (let i = 0; i < toSearch.length; i += batchSize) {
+        await Promise.allSettled(toSearch.slice(i, i + batchSize).map(async (index) => {
+            const query = storedTracks[index].info?.uri || storedTracks[index].info?.title;
+            if (!query) return;
+            
+            const result = await player.search({ query }, storedTracks[index].requester || requester);
+            if (result.tracks.length > 0) {
+                results[index] = { track: result.tracks[0], searched: true };
+            }
+        }));
+    }
+    
+    // Decoded tracks take the requester that was stored with them
+    results.forEach(({ track, searched }, i) => {
+        if (track && !searched && storedTracks[i].requester) {
+            track.requester = storedTracks[i].requester;
+        }
+    });
+    
+    return results;
+}
+
+/**
+ * Serialize a live player into the same shape as a saved Player document
+ * Tracks keep their encoded data so they can be rebuilt on any bot
+ * @param {Object} player - Lavalink player
+ * @returns {Object}
+ */
+export function serializePlayer(player) {
+    const serializeTrack = (track) => ({
+        encoded: track.encoded,
+        info: track.info,
+        pluginInfo: track.pluginInfo || {},
+        requester: track.requester,
+    });
+    
+    const currentTrack = player.queue.current;
+    
+    return {
+        guildId: player.guildId,
+        voiceChannelId: player.voiceChannelId,
+        textChannelId: player.textChannelId,
+        volume: player.volume,
+        loopMode: player.repeatMode || 'off',
+        paused: player.paused,
+        twentyFourSeven: player.get('twentyFourSeven') || false,
+        autoPlay: player.get('autoplay') || false,
+        position: player.position,
+        filters: {
+            name: player.get('currentFilter') || null,
+            data: player.get('filterData') || {},
+        },
+        currentTrack: currentTrack ? serializeTrack(currentTrack) : null,
+        queue: player.queue.tracks.map(serializeTrack),
+    };
+}
+
+/**
+ * Save a player's whole session before shutting down, so it can be resumed on
+ * any bot after the restart (see resumeSuspendedSessions in orchestrator.js)
+ * The player can be destroyed afterwards without losing the saved state
+ * @param {BotClient} client - Bot client
+ * @param {Object} player - Lavalink player
+ * @returns {Promise<boolean>} Whether the session was saved
+ */
+export async function suspendPlayer(client, player) {
+    try {
+        const { guildId, ...state } = serializePlayer(player);
+        
+        await PlayerSchema.saveState(guildId, {
+            ...state,
+            botId: client.botId,
+            nodeId: player.node?.id,
+            destroyed: false,
+            suspended: true,
+        });
+        
+        // Destroying the player must not mark the saved session destroyed
+        player.set('migrating', true);
+        return true;
+    } catch (error) {
+        client.logger.error(`[${client.botName}] Failed to save session in guild ${player.guildId}: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Wait until the manager has a connected node
+ * @param {LavalinkManager} lavalink - Lavalink manager
+ * @param {number} timeout - Max wait in ms
+ * @returns {Promise<boolean>} False if no node connected in time
+ */
+export function waitForNode(lavalink, timeout = 30000) {
+    if ([...lavalink.nodeManager.nodes.values()].some(node => node.connected)) {
+        return Promise.resolve(true);
+    }
+    
+    return new Promise((resolve) => {
+        const onConnect = () => {
+            clearTimeout(timer);
+            resolve(true);
+        };
+        const timer = setTimeout(() => {
+            lavalink.nodeManager.off('connect', onConnect);
+            resolve(false);
+        }, timeout);
+        
+        lavalink.nodeManager.once('connect', onConnect);
+    });
+}
+
 /**
  * Save player state to database
  * @param {Object} player - Lavalink player
  * @param {BotClient} client - Bot client
  */
 export async function savePlayerState(player, client) {
+    // Player is being handed to another bot, which now owns the saved state
+    if (player.get('migrating')) return;
+    
     try {
         const currentTrack = player.queue.current;
         const queueTracks = player.queue.tracks.map(t => ({
+            encoded: t.encoded,
             info: t.info,
             requester: t.requester,
         }));
@@ -379,37 +620,153 @@ export async function savePlayerState(player, client) {
             loopMode: player.repeatMode || 'off',
             paused: player.paused,
             twentyFourSeven: player.get('twentyFourSeven') || false,
-            autoPlay: player.get('autoPlay') || false,
+            autoPlay: player.get('autoplay') || false,
             position: player.position,
             currentTrack: currentTrack ? {
+                encoded: currentTrack.encoded,
                 info: currentTrack.info,
                 requester: currentTrack.requester,
             } : null,
             queue: queueTracks,
+            filters: {
+                name: player.get('currentFilter') || null,
+                data: player.get('filterData') || {},
+            },
             nodeId: player.node?.id,
             destroyed: false,
+            suspended: false,
         });
     } catch (error) {
         client.logger.error(`[${client.botName}] Failed to save player state: ${error.message}`);
     }
 }
 
+/**
+ * Penalty score of a Lavalink node, lower is better
+ * Same weighting as Lavalink's own load balancer: playing players,
+ * CPU load, and frame deficit/nulled frames when the node reports them
+ * @param {Object} node - Lavalink node
+ * @param {number} pendingPlayers - Players about to be added to the node
+ * @returns {number}
+ */
+export function getNodePenalty(node, pendingPlayers = 0) {
+    const stats = node.stats;
+    const playerPenalty = (stats?.playingPlayers || 0) + pendingPlayers;
+    if (!stats) return playerPenalty;
+
+    const cpuPenalty = Math.pow(1.05, 100 * (stats.cpu?.systemLoad || 0)) * 10 - 10;
+
+    let frameDeficitPenalty = 0;
+    let nullFramePenalty = 0;
+    if (stats.frameStats) {
+        frameDeficitPenalty = Math.pow(1.03, 500 * ((stats.frameStats.deficit || 0) / 3000)) * 600 - 600;
+        nullFramePenalty = (Math.pow(1.03, 500 * ((stats.frameStats.nulled || 0) / 3000)) * 300 - 300) * 2;
+    }
+
+    return playerPenalty + cpuPenalty + frameDeficitPenalty + nullFramePenalty;
+}
+
+/**
+ * Pick the least loaded connected node
+ * @param {LavalinkManager} lavalink - Lavalink manager
+ * @param {Object} options
+ * @param {Array<string>} options.exclude - Node IDs to skip
+ * @param {Map<string, number>} options.pending - Players already headed to each node
+ * @returns {Object|null} Lavalink node, or null if none is connected
+ */
+export function selectNode(lavalink, { exclude = [], pending = null } = {}) {
+    const nodes = [...(lavalink?.nodeManager?.nodes?.values() || [])]
+        .filter(node => node.connected && !exclude.includes(node.id));
+
+    const penalty = (node) => getNodePenalty(node, pending?.get(node.id) || 0);
+    return nodes.sort((a, b) => penalty(a) - penalty(b))[0] || null;
+}
+
+/**
+ * Move every player off a node that went down, to the least loaded healthy nodes
+ * The players keep their track, position, volume and filters
+ * @param {BotClient} client - Bot client
+ * @param {Object} node - Lavalink node to empty
+ * @returns {Promise<{moved: number, failed: Array<Object>}>} Players that could not be moved are returned
+ */
+export async function moveNodePlayers(client, node) {
+    const players = [...client.lavalink.players.values()].filter(player => player.node?.id === node.id);
+    const pending = new Map();
+    const result = { moved: 0, failed: [] };
+
+    for (const player of players) {
+        const target = selectNode(client.lavalink, { exclude: [node.id], pending });
+        if (!target) {
+            result.failed.push(player);
+            continue;
+        }
+
+        try {
+            await player.changeNode(target);
+            pending.set(target.id, (pending.get(target.id) || 0) + 1);
+            await savePlayerState(player, client);
+            result.moved++;
+            client.logger.info(`[${client.botName}] Moved player in guild ${player.guildId} from node ${node.id} to ${target.id}`);
+        } catch (error) {
+            client.logger.error(`[${client.botName}] Failed to move player in guild ${player.guildId} to node ${target.id}: ${error.message}`);
+            result.failed.push(player);
+        }
+    }
+
+    return result;
+}
+
 /**
  * Get player creation options
  * @param {Object} options - Player options
+ * @param {Object} options.node - Lavalink node to create the player on (defaults to the manager's choice)
  * @param {Object} config - Configuration
+ * @param {Object} [settings] - Guild settings (default volume and announce channel)
  * @returns {Object}
  */
-export function getPlayerOptions(options, config) {
+export function getPlayerOptions(options, config, settings = null) {
     return {
         guildId: options.guildId,
         voiceChannelId: options.voiceChannelId,
-        textChannelId: options.textChannelId,
+        textChannelId: settings?.announceChannelId || options.textChannelId,
         selfDeaf: config.lavalink?.playerDefaults?.selfDeaf ?? true,
-        volume: config.lavalink?.playerDefaults?.volume ?? 80,
+        volume: resolveDefaultVolume(settings, config),
+        ...(options.node ? { node: options.node } : {}),
     };
 }
 
+/**
+ * Create and connect a player on the least loaded node, and claim the guild for the bot
+ * Used by the commands that start music (play, and the buttons of search)
+ * @param {import('../structures/Client.js').BotClient} client
+ * @param {Object} options
+ * @param {string} options.guildId
+ * @param {string} options.voiceChannelId
+ * @param {string} options.textChannelId - Channel the music was started from
+ * @param {Object} [settings] - Guild settings
+ * @returns {Promise<Object>} The connected player
+ */
+export async function createGuildPlayer(client, { guildId, voiceChannelId, textChannelId }, settings = null) {
+    const playerOptions = getPlayerOptions({
+        guildId,
+        voiceChannelId,
+        textChannelId,
+        node: selectNode(client.lavalink),
+    }, client.config, settings);
+
+    const player = await client.lavalink.createPlayer(playerOptions);
+    await player.connect();
+
+    await GuildAssignment.getOrCreateAssignment(guildId, client.botId, client.botConfig.clientId, 'auto');
+
+    const assignment = await GuildAssignment.findById(guildId);
+    if (assignment) {
+        await assignment.activate(voiceChannelId, player.textChannelId);
+    }
+
+    return player;
+}
+
 /**
  * Format track duration to readable string
  * @param {number} ms - Duration in milliseconds
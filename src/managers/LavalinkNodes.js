@@ -0,0 +1,117 @@
+/**
+ * Lavalink Nodes
+ *
+ * Runtime management of the cluster's Lavalink nodes. The node list is
+ * stored in MongoDB (schemas/LavalinkNode.js) and every bot reconciles its
+ * own LavalinkManager with it, so adding, disabling or removing a node
+ * takes effect on all bots without a restart.
+ *
+ * Each step runs on the bot that owns the manager, so the orchestrator can
+ * call these directly (process mode) or over IPC (worker and sharded modes).
+ */
+
+import LavalinkNodeSchema from '../schemas/LavalinkNode.js';
+import { moveNodePlayers } from './LavalinkHandler.js';
+
+/**
+ * Connect to nodes added or re-enabled in the stored list and leave the ones
+ * that were disabled, removed or changed. Players on nodes being left are
+ * moved to the remaining nodes first.
+ * @param {import('../structures/Client.js').BotClient} client
+ * @returns {Promise<{botId: string, added: Array<string>, removed: Array<string>}>}
+ */
+export async function syncNodes(client) {
+    const changes = { botId: client.botId, added: [], removed: [] };
+    if (!client.lavalink) return changes;
+
+    const wanted = new Map((await LavalinkNodeSchema.findEnabled()).map(node => [node._id, node.toNodeOptions()]));
+    const nodeManager = client.lavalink.nodeManager;
+
+    for (const node of [...nodeManager.nodes.values()]) {
+        const options = wanted.get(node.id);
+        if (options && sameConnection(node.options, options)) continue;
+
+        await retireNode(client, node);
+        changes.removed.push(node.id);
+    }
+
+    for (const [nodeId, options] of wanted) {
+        if (nodeManager.nodes.has(nodeId)) continue;
+
+        try {
+            const node = nodeManager.createNode(options);
+            await node.connect();
+            changes.added.push(nodeId);
+        } catch (error) {
+            client.logger.error(`[${client.botName}] Failed to connect to Lavalink node ${nodeId}: ${error.message}`);
+        }
+    }
+
+    if (changes.added.length || changes.removed.length) {
+        client.logger.info(`[${client.botName}] Lavalink nodes synced (added: ${changes.added.join(', ') || 'none'}, removed: ${changes.removed.join(', ') || 'none'})`);
+    }
+
+    return changes;
+}
+
+/**
+ * Describe this bot's view of its Lavalink nodes
+ * Stats are the node's own (server wide), players are this bot's players on it
+ * @param {import('../structures/Client.js').BotClient} client
+ * @returns {{botId: string, nodes: Array<Object>}}
+ */
+export function describeNodes(client) {
+    const players = [...(client.lavalink?.players?.values() || [])];
+    const nodes = [...(client.lavalink?.nodeManager?.nodes?.values() || [])].map(node => ({
+        id: node.id,
+        connected: node.connected,
+        players: players.filter(player => player.node?.id === node.id).length,
+        stats: node.connected && node.stats ? {
+            players: node.stats.players || 0,
+            playingPlayers: node.stats.playingPlayers || 0,
+            uptime: node.stats.uptime || 0,
+            cpu: node.stats.cpu?.lavalinkLoad || 0,
+            systemLoad: node.stats.cpu?.systemLoad || 0,
+            memoryUsed: node.stats.memory?.used || 0,
+        } : null,
+    }));
+
+    return { botId: client.botId, nodes };
+}
+
+/**
+ * Move a node's players elsewhere, then disconnect from it and forget it
+ * @private
+ */
+async function retireNode(client, node) {
+    const { failed } = await moveNodePlayers(client, node);
+    if (failed.length > 0) {
+        client.logger.warn(`[${client.botName}] ${failed.length} player(s) could not leave node ${node.id} and will be stopped`);
+    }
+
+    try {
+        await node.destroy('NodeRemoved', true);
+    } catch (error) {
+        client.logger.error(`[${client.botName}] Failed to remove Lavalink node ${node.id}: ${error.message}`);
+    }
+}
+
+/**
+ * Whether a running node still matches its stored settings
+ * @private
+ */
+function sameConnection(current, wanted) {
+    return current.host === wanted.host
+        && current.port === wanted.port
+        && current.authorization === wanted.authorization
+        && !!current.secure === !!wanted.secure;
+}
+
+/**
+ * IPC handlers for node management, keyed by message type
+ * Handlers receive (client, data)
+ */
+export const nodeHandlers = {
+    'nodes:apply': (client) => syncNodes(client),
+    'nodes:get': (client) => describeNodes(client),
+};
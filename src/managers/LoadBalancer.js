@@ -1,15 +1,25 @@
 /**
  * Load Balancer Manager
  * 
- * Handles bot assignment with priority logic:
+ * Picks bots for failover using a pluggable strategy (see LoadBalancingStrategy.js);
+ * new sessions are placed with the same strategy by the orchestrator (placeSession).
+ * The default "priority" strategy:
  * 1. Main Bot (Bot 1) is always preferred if available
  * 2. Failover to other bots when Main Bot is at capacity or offline
- * 3. Round-robin fallback when all bots are busy
+ * 3. Least loaded bot when all bots are busy
+ * 
+ * Bots that stop sending heartbeats, and bots of this process that lost their
+ * gateway connection, have their active players and assignments picked up by
+ * healthy bots (see _failoverDeadBots).
  */
 
 import { Collection } from 'discord.js';
 import BotStatus from '../schemas/BotStatus.js';
 import GuildAssignment from '../schemas/GuildAssignment.js';
+import PlayerSchema from '../schemas/Player.js';
+import { restorePlayer } from './LavalinkHandler.js';
+import { releasePlayer } from './PlayerMigration.js';
+import { createStrategy } from './LoadBalancingStrategy.js';
 
 export default class LoadBalancer {
     /**
@@ -24,16 +34,52 @@ export default class LoadBalancer {
             heartbeatInterval: options.heartbeatInterval || 30000,
             maxPlayersPerBot: options.maxPlayersPerBot || 100,
             staleThreshold: options.staleThreshold || 60000,
+            weights: options.weights || {},
         };
         
         this.heartbeatTimer = null;
         this.logger = null;
         
+        /**
+         * Last CPU sample for computing usage between heartbeats
+         * @type {{ time: bigint, usage: NodeJS.CpuUsage }|null}
+         */
+        this.lastCpuSample = null;
+        
+        /**
+         * CPU usage from the last sample, in percent of one core
+         * @type {number}
+         */
+        this.cpuUsage = 0;
+        
+        /**
+         * When each bot of this process was last seen without a gateway connection
+         * @type {Map<string, number>}
+         */
+        this.notReadySince = new Map();
+        
         // Get logger from first bot
         const firstBot = botCluster.values().next().value;
         if (firstBot) {
             this.logger = firstBot.logger;
         }
+        
+        // A strategy object can be passed directly instead of a registered name
+        if (typeof this.options.strategy === 'object') {
+            this.strategy = this.options.strategy;
+        } else {
+            try {
+                this.strategy = createStrategy(this.options);
+            } catch (error) {
+                this._log('warn', `${error.message}, falling back to "priority"`);
+                this.strategy = createStrategy({ ...this.options, strategy: 'priority' });
+            }
+        }
+        
+        // CPU and memory are sampled per process, so bots sharing this process report the same numbers
+        if (this.strategy.usesMetrics && botCluster.size > 1) {
+            this._log('warn', `"${this.strategy.name}" can't tell the ${botCluster.size} bots of this process apart, they are compared by player count - run bots as workers to balance on process metrics`);
+        }
     }
     
     /**
@@ -41,14 +87,15 @@ export default class LoadBalancer {
      */
     async initialize() {
         // Update initial status for all bots
+        const cpuUsage = this._sampleCpuUsage();
         for (const [botId, client] of this.botCluster) {
-            await this._updateBotStatus(client);
+            await this._updateBotStatus(client, cpuUsage);
         }
         
         // Clean up stale assignments
         await GuildAssignment.releaseInactiveAssignments(this.options.staleThreshold);
         
-        this._log('info', 'Load Balancer initialized');
+        this._log('info', `Load Balancer initialized (strategy: ${this.strategy.name})`);
     }
     
     /**
@@ -82,155 +129,259 @@ export default class LoadBalancer {
      * @private
      */
     async _heartbeat() {
+        const cpuUsage = this._sampleCpuUsage();
         for (const [botId, client] of this.botCluster) {
-            await this._updateBotStatus(client);
+            await this._updateBotStatus(client, cpuUsage);
         }
         
+        // Move players off bots that stopped sending heartbeats
+        await this._failoverDeadBots();
+        
         // Mark stale bots as offline
         await BotStatus.markStaleBotsOffline(this.options.staleThreshold);
     }
     
     /**
-     * Update bot status in database
+     * Hand the active players and assignments of dead bots to healthy bots
+     * Every claim is atomic, so load balancers in other processes can run this at the same time
      * @private
      */
-    async _updateBotStatus(client) {
+    async _failoverDeadBots() {
         try {
-            const playerCount = client.lavalink?.players?.size || 0;
-            client.playerCount = playerCount;
+            // This process keeps sending heartbeats for its own bots, so those are checked directly
+            const staleBots = await BotStatus.findStaleBots(this.options.staleThreshold);
+            const deadBots = [
+                ...staleBots.filter(bot => !this.botCluster.has(bot._id)),
+                ...this._findDeadLocalBots(),
+            ];
             
-            let status = 'Available';
-            if (!client.isReady()) {
-                status = 'Offline';
-            } else if (playerCount >= this.options.maxPlayersPerBot) {
-                status = 'InUse';
-            } else if (playerCount > 0) {
-                status = 'InUse';
+            for (const deadBot of deadBots) {
+                const savedPlayers = await PlayerSchema.findActiveByBot(deadBot._id);
+                for (const savedPlayer of savedPlayers) {
+                    await this._failoverPlayer(deadBot, savedPlayer);
+                }
+                
+                const assignments = await GuildAssignment.findByBot(deadBot._id, true);
+                for (const assignment of assignments) {
+                    await this._failoverAssignment(deadBot, assignment);
+                }
             }
-            
-            await client.updateStatus(status, {
-                playerCount,
-                guildCount: client.guilds.cache.size,
-                memoryUsage: Math.round(process.memoryUsage().heapUsed / 1024 / 1024),
-                ping: client.ws.ping,
-                uptime: client.uptime || 0,
-                lavalinkConnected: !!client.lavalink?.nodeManager?.nodes?.size,
-            });
         } catch (error) {
-            this._log('error', `Failed to update status for ${client.botName}: ${error.message}`);
+            this._log('error', `Failover check failed: ${error.message}`);
         }
     }
     
     /**
-     * Assign a bot to handle a guild's music
-     * @param {string} guildId - Guild ID
-     * @returns {Promise<{botId: string, client: BotClient, assignment: GuildAssignment}|null>}
+     * Bots of this process that have been without a gateway connection for staleThreshold
+     * @returns {Array<{ _id: string, name: string, client: BotClient }>}
+     * @private
      */
-    async assignBot(guildId) {
-        // Check existing assignment first
-        const existingAssignment = await GuildAssignment.findById(guildId);
+    _findDeadLocalBots(now = Date.now()) {
+        const deadBots = [];
         
-        if (existingAssignment && existingAssignment.isActive) {
-            const existingClient = this.botCluster.get(existingAssignment.assignedBotId);
+        for (const [botId, client] of this.botCluster) {
+            if (client.isReady()) {
+                this.notReadySince.delete(botId);
+                continue;
+            }
             
-            // Verify the bot is still available
-            if (existingClient && existingClient.isReady()) {
-                await existingAssignment.touch();
-                return {
-                    botId: existingAssignment.assignedBotId,
-                    client: existingClient,
-                    assignment: existingAssignment,
-                };
+            if (!this.notReadySince.has(botId)) {
+                this.notReadySince.set(botId, now);
+            }
+            if (now - this.notReadySince.get(botId) >= this.options.staleThreshold) {
+                deadBots.push({ _id: botId, name: client.botName, client });
             }
         }
         
-        // Find available bot based on strategy
-        const selectedBot = await this._selectBot();
+        return deadBots;
+    }
+    
+    /**
+     * Restore a dead bot's player on a healthy bot in the same guild
+     * @private
+     */
+    async _failoverPlayer(deadBot, savedPlayer) {
+        const guildId = savedPlayer._id;
+        
+        const selected = await this._selectBot((botId, client) =>
+            !client.draining &&
+            client.guilds.cache.has(guildId) &&
+            !!client.lavalink &&
+            !client.lavalink.players.has(guildId)
+        );
+        if (!selected) return;
+        
+        const claimed = await PlayerSchema.claimForFailover(guildId, deadBot._id, selected.botId);
+        
+        // Another bot got there first
+        if (!claimed) return;
         
-        if (!selectedBot) {
-            this._log('warn', `No available bots for guild ${guildId}`);
-            return null;
+        const { client } = selected;
+        
+        try {
+            const player = await restorePlayer(client, client.lavalink, claimed);
+            if (!player) {
+                await PlayerSchema.markDestroyed(guildId);
+                return;
+            }
+            
+            const assignment = await GuildAssignment.reassignGuild(
+                guildId,
+                selected.botId,
+                client.botConfig.clientId,
+                'failover'
+            );
+            await assignment.activate(claimed.voiceChannelId, claimed.textChannelId);
+            
+            this._log('warn', `${deadBot.name} is not responding, moved its player in guild ${guildId} to ${client.botName}`);
+            
+            // A bot of this process may still have the player, playing on without its gateway
+            if (deadBot.client) {
+                await releasePlayer(deadBot.client, guildId).catch(error =>
+                    this._log('error', `Failed to release player of ${deadBot.name} in guild ${guildId}: ${error.message}`)
+                );
+            }
+            
+            // Let listeners know why the bot changed
+            try {
+                const textChannel = client.channels.cache.get(claimed.textChannelId);
+                if (textChannel) {
+                    await textChannel.send({
+                        content: `\`🔁\` **${deadBot.name}** went offline, so **${client.botName}** took over playback.`,
+                    });
+                }
+            } catch (error) {
+                // Ignore message errors
+            }
+        } catch (error) {
+            this._log('error', `Failed to move player in guild ${guildId} to ${client.botName}: ${error.message}`);
+            await PlayerSchema.markDestroyed(guildId);
         }
+    }
+    
+    /**
+     * Reassign a dead bot's guild that had no saved player
+     * @private
+     */
+    async _failoverAssignment(deadBot, assignment) {
+        const guildId = assignment._id;
+        
+        const selected = await this._selectBot((botId, client) => !client.draining && client.guilds.cache.has(guildId));
+        if (!selected) return;
         
-        // Create or update assignment
-        const assignment = await GuildAssignment.getOrCreateAssignment(
+        const claimed = await GuildAssignment.claimForFailover(
             guildId,
-            selectedBot.botId,
-            selectedBot.client.botConfig.clientId,
-            existingAssignment ? 'failover' : 'auto'
+            deadBot._id,
+            selected.botId,
+            selected.client.botConfig.clientId
         );
         
-        this._log('info', `Assigned ${selectedBot.client.botName} to guild ${guildId}`);
+        // Already moved along with its player, or by another bot
+        if (!claimed) return;
         
-        return {
-            botId: selectedBot.botId,
-            client: selectedBot.client,
-            assignment,
-        };
+        // Nothing is playing on the new bot yet
+        await claimed.deactivate();
+        
+        this._log('info', `Reassigned guild ${guildId} from ${deadBot.name} to ${selected.client.botName}`);
     }
     
     /**
-     * Select the best available bot based on strategy
+     * CPU usage of this process since the last sample, in percent of one core
      * @private
      */
-    async _selectBot() {
-        if (this.options.strategy === 'priority') {
-            return this._selectByPriority();
-        } else if (this.options.strategy === 'roundRobin') {
-            return this._selectByRoundRobin();
-        }
+    _sampleCpuUsage() {
+        const time = process.hrtime.bigint();
+        const usage = process.cpuUsage(this.lastCpuSample?.usage);
+        
+        // First sample covers the whole process lifetime
+        const elapsed = this.lastCpuSample
+            ? Number(time - this.lastCpuSample.time) / 1000
+            : process.uptime() * 1e6;
+        
+        this.lastCpuSample = { time, usage: process.cpuUsage() };
         
-        return this._selectByPriority();
+        if (elapsed > 0) {
+            this.cpuUsage = Math.round(((usage.user + usage.system) / elapsed) * 1000) / 10;
+        }
+        return this.cpuUsage;
     }
     
     /**
-     * Priority selection - Main Bot first, then failover
+     * Update bot status in database
      * @private
      */
-    async _selectByPriority() {
-        // Sort bots: Main bot first, then by player count
-        const sortedBots = [...this.botCluster.entries()]
-            .filter(([, client]) => client.isReady())
-            .sort((a, b) => {
-                // Main bot has priority
-                if (a[1].isMainBot && !b[1].isMainBot) return -1;
-                if (!a[1].isMainBot && b[1].isMainBot) return 1;
-                
-                // Then by player count (lower is better)
-                return (a[1].playerCount || 0) - (b[1].playerCount || 0);
-            });
-        
-        for (const [botId, client] of sortedBots) {
+    async _updateBotStatus(client, cpuUsage = 0) {
+        try {
             const playerCount = client.lavalink?.players?.size || 0;
+            client.playerCount = playerCount;
             
-            // Check if bot has capacity
-            if (playerCount < this.options.maxPlayersPerBot) {
-                return { botId, client };
+            let status = 'Available';
+            if (!client.isReady()) {
+                status = 'Offline';
+            } else if (playerCount >= this.options.maxPlayersPerBot) {
+                status = 'InUse';
+            } else if (playerCount > 0) {
+                status = 'InUse';
             }
+            
+            await client.updateStatus(status, {
+                playerCount,
+                guildCount: client.guilds.cache.size,
+                memoryUsage: Math.round(process.memoryUsage().heapUsed / 1024 / 1024),
+                cpuUsage,
+                ping: client.ws.ping,
+                uptime: client.uptime || 0,
+                lavalinkConnected: !!client.lavalink?.nodeManager?.nodes?.size,
+            });
+        } catch (error) {
+            this._log('error', `Failed to update status for ${client.botName}: ${error.message}`);
         }
-        
-        // No bot with capacity found - use least loaded
-        if (sortedBots.length > 0) {
-            const [botId, client] = sortedBots[0];
-            return { botId, client };
-        }
-        
-        return null;
     }
     
     /**
-     * Round-robin selection for load distribution
+     * Select the best available bot using the configured strategy
+     * Bots with spare capacity are preferred; if every bot is full, all ready bots are considered
+     * @param {Function} [filter] - Extra (botId, client) => boolean check for candidates
      * @private
      */
-    async _selectByRoundRobin() {
-        const availableBots = [...this.botCluster.entries()]
-            .filter(([, client]) => client.isReady())
-            .sort((a, b) => (a[1].playerCount || 0) - (b[1].playerCount || 0));
+    async _selectBot(filter = () => true) {
+        const candidates = [...this.botCluster.entries()]
+            .filter(([botId, client]) => client.isReady() && filter(botId, client))
+            .map(([botId, client]) => ({
+                botId,
+                client,
+                playerCount: client.lavalink?.players?.size || 0,
+                status: null,
+            }));
+        
+        if (candidates.length === 0) return null;
+        
+        if (this.strategy.usesMetrics) {
+            await this._loadMetrics(candidates);
+        }
         
-        if (availableBots.length === 0) return null;
+        const withCapacity = candidates.filter(candidate => candidate.playerCount < this.options.maxPlayersPerBot);
+        const selected = this.strategy.select(withCapacity.length > 0 ? withCapacity : candidates);
         
-        const [botId, client] = availableBots[0];
-        return { botId, client };
+        if (!selected) return null;
+        
+        return { botId: selected.botId, client: selected.client };
+    }
+    
+    /**
+     * Attach each candidate's BotStatus document for metric-based strategies
+     * @private
+     */
+    async _loadMetrics(candidates) {
+        try {
+            const statuses = await BotStatus.find({ _id: { $in: candidates.map(candidate => candidate.botId) } });
+            
+            for (const candidate of candidates) {
+                candidate.status = statuses.find(status => status._id === candidate.botId) || null;
+            }
+        } catch (error) {
+            this._log('error', `Failed to load bot metrics: ${error.message}`);
+        }
     }
     
     /**
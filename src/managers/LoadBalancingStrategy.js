@@ -0,0 +1,204 @@
+/**
+ * Load Balancing Strategies
+ *
+ * A strategy picks which bot gets a new guild. Every strategy implements:
+ * - select(candidates) → one of the candidates, or null
+ *
+ * Candidates are the ready bots that passed the load balancer's checks:
+ * { botId, client, playerCount, status } where status is the bot's
+ * BotStatus document (only loaded for strategies with usesMetrics = true).
+ *
+ * Strategies:
+ * - priority: Main Bot first, then the least loaded bot
+ * - roundRobin: cycles through the bots in turn
+ * - leastPlayers: fewest active players
+ * - leastCpu / leastMemory: lowest reported CPU / memory usage. Usage is sampled
+ *   per process, so bots running in the same process tie and are compared by
+ *   player count - these strategies only balance bots running as separate workers
+ * - weighted: fewest players relative to the bot's weight
+ */
+
+/**
+ * Registered strategies by name
+ * @type {Map<string, Function>}
+ */
+const strategies = new Map();
+
+/**
+ * Main Bot first, then by player count
+ */
+export class PriorityStrategy {
+    constructor() {
+        this.name = 'priority';
+    }
+
+    select(candidates) {
+        const sorted = [...candidates].sort((a, b) => {
+            // Main bot has priority
+            if (a.client.isMainBot && !b.client.isMainBot) return -1;
+            if (!a.client.isMainBot && b.client.isMainBot) return 1;
+
+            // Then by player count (lower is better)
+            return a.playerCount - b.playerCount;
+        });
+
+        return sorted[0] || null;
+    }
+}
+
+/**
+ * Hands guilds to each bot in turn
+ */
+export class RoundRobinStrategy {
+    constructor() {
+        this.name = 'roundRobin';
+
+        /**
+         * Bot ID that received the last guild
+         * @type {string|null}
+         */
+        this.lastBotId = null;
+    }
+
+    select(candidates) {
+        if (candidates.length === 0) return null;
+
+        // Stable order so the rotation doesn't depend on collection order
+        const sorted = [...candidates].sort((a, b) => a.botId.localeCompare(b.botId));
+        const next = sorted.find(candidate => candidate.botId.localeCompare(this.lastBotId ?? '') > 0) || sorted[0];
+
+        this.lastBotId = next.botId;
+        return next;
+    }
+}
+
+/**
+ * Fewest active players
+ */
+export class LeastPlayersStrategy {
+    constructor() {
+        this.name = 'leastPlayers';
+    }
+
+    select(candidates) {
+        return minBy(candidates, candidate => candidate.playerCount);
+    }
+}
+
+/**
+ * Lowest reported CPU usage, ties broken by player count
+ */
+export class LeastCpuStrategy {
+    constructor() {
+        this.name = 'leastCpu';
+        this.usesMetrics = true;
+    }
+
+    select(candidates) {
+        return minBy(candidates, candidate => candidate.status?.cpuUsage ?? Infinity, candidate => candidate.playerCount);
+    }
+}
+
+/**
+ * Lowest reported memory usage, ties broken by player count
+ */
+export class LeastMemoryStrategy {
+    constructor() {
+        this.name = 'leastMemory';
+        this.usesMetrics = true;
+    }
+
+    select(candidates) {
+        return minBy(candidates, candidate => candidate.status?.memoryUsage ?? Infinity, candidate => candidate.playerCount);
+    }
+}
+
+/**
+ * Fewest players relative to each bot's weight
+ * A bot with weight 3 gets about three times the players of a bot with weight 1
+ */
+export class WeightedStrategy {
+    /**
+     * @param {Object} options
+     * @param {Object<string, number>} options.weights - Weight per bot ID (default 1)
+     */
+    constructor(options = {}) {
+        this.name = 'weighted';
+        this.weights = options.weights || {};
+    }
+
+    select(candidates) {
+        const weighted = candidates.filter(candidate => this._weight(candidate.botId) > 0);
+
+        return minBy(
+            weighted,
+            candidate => (candidate.playerCount + 1) / this._weight(candidate.botId),
+            candidate => -this._weight(candidate.botId)
+        );
+    }
+
+    /**
+     * @private
+     */
+    _weight(botId) {
+        return this.weights[botId] ?? 1;
+    }
+}
+
+/**
+ * Candidate with the lowest score (first tiebreaker wins on equal scores)
+ * @param {Array<Object>} candidates
+ * @param {...Function} scores - Score functions, compared in order
+ * @returns {Object|null}
+ */
+function minBy(candidates, ...scores) {
+    let best = null;
+
+    for (const candidate of candidates) {
+        if (!best) {
+            best = candidate;
+            continue;
+        }
+
+        for (const score of scores) {
+            const difference = score(candidate) - score(best);
+            if (difference < 0) best = candidate;
+            if (difference !== 0) break;
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Register a load balancing strategy under a name
+ * @param {string} name - Strategy name used in config.loadBalancing.strategy
+ * @param {Function} Strategy - Class constructed with the load balancing options
+ */
+export function registerStrategy(name, Strategy) {
+    strategies.set(name, Strategy);
+}
+
+/**
+ * Create the configured strategy
+ * @param {Object} options - config.loadBalancing
+ * @param {string} options.strategy - Strategy name
+ * @returns {{ name: string, usesMetrics?: boolean, select: Function }}
+ */
+export function createStrategy(options = {}) {
+    const name = options.strategy || 'priority';
+    const Strategy = strategies.get(name);
+
+    if (!Strategy) {
+        throw new Error(`Unknown load balancing strategy "${name}"`);
+    }
+
+    return new Strategy(options);
+}
+
+registerStrategy('priority', PriorityStrategy);
+registerStrategy('roundRobin', RoundRobinStrategy);
+registerStrategy('leastPlayers', LeastPlayersStrategy);
+registerStrategy('leastCpu', LeastCpuStrategy);
+registerStrategy('leastMemory', LeastMemoryStrategy);
+registerStrategy('weighted', WeightedStrategy);
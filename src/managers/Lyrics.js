@@ -0,0 +1,203 @@
+/**
+ * Lyrics Manager
+ *
+ * Looks up lyrics for a track or a free-text query:
+ * 1. Cleans up the title ("Song (Official Video)" → "Song") to improve matching
+ * 2. Returns the cached result from MongoDB when there is one
+ * 3. Otherwise asks the configured providers in order (see managers/LyricsProviders.js)
+ *    and caches the first hit - or the miss
+ */
+
+import LyricsCacheSchema from '../schemas/LyricsCache.js';
+import { createLyricsProviders } from './LyricsProviders.js';
+
+/**
+ * Bracketed title parts that never belong to the song name
+ * e.g. "(Official Music Video)", "[Lyric Video]", "【MV】", "(Remastered 2011)"
+ */
+const NOISE_BRACKETS = /\s*[(\[【「][^)\]】」]*\b(official|video|audio|lyrics?|visuali[sz]er|m\/?v|hd|hq|4k|remaster(ed)?|explicit|clean|color coded)\b[^)\]】」]*[)\]】」]/gi;
+
+/**
+ * Unbracketed noise at the end of a title, e.g. "Song - Official Video", "Song | Lyrics"
+ */
+const NOISE_SUFFIX = /\s*(?:[-–|/]\s*(?:official\s+)?(?:music\s+|lyrics?\s+)?(?:video|audio|lyrics?|visuali[sz]er)|(?:official\s+(?:music\s+|lyrics?\s+)?|lyrics?\s+)(?:video|audio))\s*$/i;
+
+/**
+ * Featured artists, e.g. "Song ft. Artist", "Song (feat. Artist)"
+ */
+const FEATURING = /\s*[(\[]?\s*\b(ft|feat|featuring)\b\.?\s+[^)\]\-|]+[)\]]?/gi;
+
+/**
+ * Title parts before the separator that are a label, not an artist, e.g. "Audio - Song", "MV - Song"
+ */
+const NOISE_LABEL = /^(?:official\s+)?(?:music\s+|lyrics?\s+)?(?:video|audio|lyrics?|visuali[sz]er|m\/?v|hd|hq|4k)$/i;
+
+/**
+ * Channel name suffixes that are not part of the artist name
+ */
+const ARTIST_NOISE = /\s*(-\s*topic|vevo|official(\s+channel)?)\s*$/i;
+
+/**
+ * Clean a track title (and uploader name) into a song title and artist
+ * "Artist - Song (Official Video)" by "ArtistVEVO" → { title: "Song", artist: "Artist" }
+ * "Song - Artist" is only read that way when the uploader is the right-hand side,
+ * e.g. "Mundo - IV of Spades" by "IVOFSPADES" → { title: "Mundo", artist: "IV of Spades" }
+ * @param {string} title - Track or query title
+ * @param {string|null} author - Track author / channel name
+ * @returns {{ title: string, artist: string|null }}
+ */
+export function cleanTitle(title, author = null) {
+    let song = (title || '')
+        .replace(NOISE_BRACKETS, '')
+        .replace(FEATURING, '')
+        .split(/\s+\|\s+/)[0]
+        .replace(NOISE_SUFFIX, '')
+        .trim();
+
+    let artist = author ? author.replace(ARTIST_NOISE, '').trim() : null;
+
+    // YouTube uploads are usually "Artist - Song", sometimes "Song - Artist"
+    const separator = song.match(/\s+[-–]\s+/);
+    if (separator) {
+        const left = song.slice(0, separator.index).trim();
+        const right = song.slice(separator.index + separator[0].length).trim();
+        if (NOISE_LABEL.test(left)) {
+            song = right;
+        } else if (left && right) {
+            const swapped = !!artist && compareKey(right) === compareKey(artist);
+            artist = swapped ? right : left;
+            song = swapped ? left : right;
+        }
+    }
+
+    return {
+        title: song || (title || '').trim(),
+        artist: artist || null,
+    };
+}
+
+/**
+ * Split lyrics lines into page texts that fit a text display
+ * @param {Array<{ text: string }>} lines - Lyrics lines
+ * @param {number} maxLength - Max characters per page
+ * @returns {Array<string>}
+ */
+export function paginateLyrics(lines, maxLength = 1500) {
+    const pages = [];
+    let page = '';
+
+    for (const { text } of lines) {
+        const line = text || '';
+        const next = page ? `${page}\n${line}` : line;
+
+        // Start a new page when the line does not fit
+        if (next.length > maxLength && page) {
+            pages.push(page.trim());
+            page = line;
+            continue;
+        }
+
+        page = next;
+    }
+
+    if (page.trim()) {
+        pages.push(page.trim());
+    }
+
+    return pages;
+}
+
+export class LyricsManager {
+    /**
+     * @param {import('../structures/Client.js').BotClient} client
+     * @param {Object} options - config.lyrics
+     */
+    constructor(client, options = {}) {
+        this.client = client;
+        this.options = {
+            cacheTtl: options.cacheTtl || 7 * 24 * 60 * 60 * 1000,
+            missTtl: options.missTtl || 60 * 60 * 1000,
+        };
+
+        this.providers = createLyricsProviders(options);
+    }
+
+    /**
+     * Find lyrics for a track or a query
+     * @param {Object} lookup
+     * @param {Object} [lookup.track] - Lavalink track
+     * @param {Object} [lookup.player] - Player the track is playing on
+     * @param {string} [lookup.query] - Free-text song name, used when there is no track
+     * @returns {Promise<Object|null>} { title, artist, provider, synced, lines }
+     */
+    async get({ track = null, player = null, query = null }) {
+        const { title, artist } = track
+            ? cleanTitle(track.info.title, track.info.author)
+            : cleanTitle(query);
+
+        const request = {
+            title,
+            artist,
+            query: artist ? `${artist} ${title}` : title,
+            track,
+            player,
+            client: this.client,
+        };
+
+        const key = normalizeKey(artist ? `${artist} - ${title}` : title);
+        const useCache = LyricsCacheSchema.db.readyState === 1;
+
+        if (useCache) {
+            try {
+                const cached = await LyricsCacheSchema.findCached(key);
+                if (cached) {
+                    return cached.found ? cached : null;
+                }
+            } catch (error) {
+                this._log('warn', `Failed to read the lyrics cache: ${error.message}`);
+            }
+        }
+
+        let lyrics = null;
+        for (const provider of this.providers) {
+            try {
+                lyrics = await provider.search(request);
+            } catch (error) {
+                this._log('warn', `Provider ${provider.name} failed for "${request.query}": ${error.message}`);
+            }
+            if (lyrics) break;
+        }
+
+        if (useCache) {
+            await LyricsCacheSchema.store(key, lyrics, lyrics ? this.options.cacheTtl : this.options.missTtl).catch((error) => {
+                this._log('warn', `Failed to cache lyrics: ${error.message}`);
+            });
+        }
+
+        return lyrics;
+    }
+
+    /**
+     * Helper logging function
+     * @private
+     */
+    _log(level, message) {
+        this.client.logger[level](`[${this.client.botName}] [Lyrics] ${message}`);
+    }
+}
+
+/**
+ * Cache key of a cleaned up song name
+ * @private
+ */
+function normalizeKey(name) {
+    return name.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * Artist name without case, spaces or punctuation, so "IVOFSPADES" matches "IV of Spades"
+ * @private
+ */
+function compareKey(name) {
+    return name.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+}
@@ -0,0 +1,244 @@
+/**
+ * Lyrics Providers
+ *
+ * A provider looks up the lyrics of one song. Every provider implements:
+ * - search(request) → lyrics, or null when it has none
+ *
+ * request: { title, artist, query, track, player, client } where title/artist
+ * are already cleaned up (see cleanTitle in managers/Lyrics.js), query is the
+ * combined search string and track/player are set for the playing track.
+ *
+ * lyrics: { title, artist, provider, synced, lines } where lines are
+ * { time, text } with time in ms (null for unsynced lyrics).
+ *
+ * Providers:
+ * - lavalink: the LavaLyrics plugin endpoint of a connected node
+ * - lrcDirectory: .lrc / .txt files in a local directory ("Artist - Title.lrc")
+ */
+
+import { readdir, readFile } from 'fs/promises';
+import { resolve, extname, basename, join } from 'path';
+import { selectNode } from './LavalinkHandler.js';
+
+/**
+ * Registered providers by name
+ * @type {Map<string, Function>}
+ */
+const providers = new Map();
+
+/**
+ * Lyrics from the Lavalink node (requires the LavaLyrics plugin)
+ * Searches the query first when there is no track to look up
+ */
+export class LavalinkLyricsProvider {
+    constructor(options = {}) {
+        this.name = 'lavalink';
+        this.skipTrackSource = options.skipTrackSource || false;
+    }
+
+    async search({ client, track, player, query }) {
+        const node = player?.node?.connected ? player.node : selectNode(client.lavalink);
+        if (!node) return null;
+
+        let target = track?.encoded ? track : null;
+        if (!target) {
+            const result = await node.search({ query }, null);
+            target = result?.tracks?.[0];
+            if (!target) return null;
+        }
+
+        const lyrics = await node.lyrics.get(target, this.skipTrackSource);
+        if (!lyrics) return null;
+
+        const lines = lyrics.lines?.length > 0
+            ? lyrics.lines.map(line => ({ time: line.timestamp, text: line.line }))
+            : splitPlainLyrics(lyrics.text);
+        if (lines.length === 0) return null;
+
+        return {
+            title: target.info.title,
+            artist: target.info.author,
+            provider: lyrics.provider || lyrics.sourceName || this.name,
+            synced: lyrics.lines?.length > 0,
+            lines,
+        };
+    }
+}
+
+/**
+ * Lyrics from a local directory of .lrc (synced) and .txt (plain) files
+ * Files are matched by name: "Artist - Title.lrc" or "Title.lrc"
+ */
+export class LrcDirectoryProvider {
+    constructor(options = {}) {
+        this.name = 'lrcDirectory';
+        this.directory = resolve(options.lrcDirectory || './lyrics');
+
+        /**
+         * Normalized file name → file path, rebuilt at most once a minute
+         * @type {Map<string, string>|null}
+         */
+        this.files = null;
+        this.indexedAt = 0;
+    }
+
+    async search({ title, artist, query }) {
+        const files = await this._index();
+        if (files.size === 0) return null;
+
+        const keys = [
+            artist && normalizeName(`${artist} - ${title}`),
+            normalizeName(title),
+            normalizeName(query),
+        ].filter(Boolean);
+
+        let path = keys.map(key => files.get(key)).find(Boolean);
+
+        // Fall back to a file whose name contains both the title and the artist
+        if (!path && artist) {
+            const titleKey = normalizeName(title);
+            const artistKey = normalizeName(artist);
+            path = [...files].find(([name]) => name.includes(titleKey) && name.includes(artistKey))?.[1];
+        }
+
+        if (!path) return null;
+
+        const content = await readFile(path, 'utf8');
+        const synced = extname(path).toLowerCase() === '.lrc';
+        const parsed = synced ? parseLrc(content) : { tags: {}, lines: splitPlainLyrics(content) };
+        if (parsed.lines.length === 0) return null;
+
+        return {
+            title: parsed.tags.ti || title,
+            artist: parsed.tags.ar || artist,
+            provider: 'Local files',
+            synced: parsed.lines.some(line => line.time !== null),
+            lines: parsed.lines,
+        };
+    }
+
+    /**
+     * @private
+     */
+    async _index() {
+        if (this.files && Date.now() - this.indexedAt < 60000) {
+            return this.files;
+        }
+
+        this.files = new Map();
+        this.indexedAt = Date.now();
+
+        let entries = [];
+        try {
+            entries = await readdir(this.directory);
+        } catch (error) {
+            // Directory does not exist - provider has nothing to offer
+            return this.files;
+        }
+
+        for (const entry of entries) {
+            const extension = extname(entry).toLowerCase();
+            if (extension !== '.lrc' && extension !== '.txt') continue;
+
+            const name = normalizeName(basename(entry, extname(entry)));
+            // Prefer .lrc over .txt for the same song
+            if (!this.files.has(name) || extension === '.lrc') {
+                this.files.set(name, join(this.directory, entry));
+            }
+        }
+
+        return this.files;
+    }
+}
+
+/**
+ * Parse an LRC file
+ * Lines may carry several timestamps ("[00:12.00][01:30.50]Chorus"), untimed
+ * lines are kept with time null, and ID tags ([ti:], [ar:], [offset:]) are returned separately
+ * @param {string} content - LRC file content
+ * @returns {{ tags: Object, lines: Array<{ time: number|null, text: string }> }}
+ */
+export function parseLrc(content) {
+    const tags = {};
+    const lines = [];
+    const timestampPattern = /\[(\d{1,3}):(\d{1,2})(?:[.:](\d{1,3}))?\]/g;
+
+    for (const rawLine of content.split(/\r?\n/)) {
+        const tag = rawLine.match(/^\[([a-z]+):(.*)\]$/i);
+        if (tag) {
+            tags[tag[1].toLowerCase()] = tag[2].trim();
+            continue;
+        }
+
+        const times = [...rawLine.matchAll(timestampPattern)].map(([, minutes, seconds, fraction = '0']) =>
+            (parseInt(minutes, 10) * 60 + parseInt(seconds, 10)) * 1000 + Math.round(parseFloat(`0.${fraction}`) * 1000)
+        );
+        const text = rawLine.replace(timestampPattern, '').trim();
+
+        if (times.length === 0) {
+            if (text) lines.push({ time: null, text });
+            continue;
+        }
+
+        for (const time of times) {
+            lines.push({ time, text });
+        }
+    }
+
+    // Positive offsets show lyrics earlier
+    const offset = parseInt(tags.offset || '0', 10) || 0;
+    const timed = lines
+        .filter(line => line.time !== null)
+        .map(line => ({ time: Math.max(line.time - offset, 0), text: line.text }))
+        .sort((a, b) => a.time - b.time);
+
+    return { tags, lines: timed.length > 0 ? timed : lines };
+}
+
+/**
+ * Split plain lyrics text into unsynced lines
+ * @private
+ */
+function splitPlainLyrics(text) {
+    if (!text?.trim()) return [];
+
+    return text.trim().split(/\r?\n/).map(line => ({ time: null, text: line.trim() }));
+}
+
+/**
+ * Normalize a song or file name for matching
+ * @private
+ */
+function normalizeName(name) {
+    return (name || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * Register a lyrics provider under a name
+ * @param {string} name - Provider name used in config.lyrics.providers
+ * @param {Function} Provider - Class constructed with the lyrics options
+ */
+export function registerLyricsProvider(name, Provider) {
+    providers.set(name, Provider);
+}
+
+/**
+ * Create the configured providers, in the order they are tried
+ * @param {Object} options - config.lyrics
+ * @param {Array<string>} options.providers - Provider names
+ * @returns {Array<{ name: string, search: Function }>}
+ */
+export function createLyricsProviders(options = {}) {
+    return (options.providers || ['lavalink']).map((name) => {
+        const Provider = providers.get(name);
+
+        if (!Provider) {
+            throw new Error(`Unknown lyrics provider "${name}"`);
+        }
+
+        return new Provider(options);
+    });
+}
+
+registerLyricsProvider('lavalink', LavalinkLyricsProvider);
+registerLyricsProvider('lrcDirectory', LrcDirectoryProvider);
@@ -0,0 +1,267 @@
+/**
+ * Cluster Metrics
+ *
+ * Collects per-bot metrics (guilds, players, gateway ping, command counts
+ * and latencies, Lavalink node stats) and renders them in the Prometheus
+ * text format for the orchestrator's /metrics endpoint.
+ *
+ * Like PlayerMigration, collection runs on the bot itself, so the
+ * orchestrator can call it directly (process mode) or over IPC.
+ */
+
+import { describeBot } from './ClusterIPC.js';
+import { describeNodes } from './LavalinkNodes.js';
+
+/**
+ * Upper bounds (in seconds) of the command duration histogram buckets
+ */
+export const COMMAND_DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * Command counts and durations of one bot
+ */
+export class CommandMetrics {
+    constructor() {
+        /**
+         * Stats per command name
+         * `buckets` holds the count per histogram bucket (not cumulative)
+         * @type {Map<string, { success: number, error: number, sum: number, buckets: Array<number> }>}
+         */
+        this.commands = new Map();
+    }
+
+    /**
+     * Record a finished command
+     * @param {string} command - Command name
+     * @param {number} duration - Run time in ms
+     * @param {boolean} success - False if the command threw
+     */
+    record(command, duration, success = true) {
+        let stats = this.commands.get(command);
+        if (!stats) {
+            stats = { success: 0, error: 0, sum: 0, buckets: COMMAND_DURATION_BUCKETS.map(() => 0) };
+            this.commands.set(command, stats);
+        }
+
+        const seconds = duration / 1000;
+        stats[success ? 'success' : 'error']++;
+        stats.sum += seconds;
+
+        const bucket = COMMAND_DURATION_BUCKETS.findIndex(bound => seconds <= bound);
+        if (bucket !== -1) {
+            stats.buckets[bucket]++;
+        }
+    }
+
+    toJSON() {
+        return Object.fromEntries(this.commands);
+    }
+}
+
+/**
+ * Serializable metrics snapshot of a bot
+ * @param {import('../structures/Client.js').BotClient} client
+ * @returns {Object}
+ */
+export function collectBotMetrics(client) {
+    return {
+        ...describeBot(client),
+        commands: client.commandMetrics?.toJSON() || {},
+        lavalinkNodes: describeNodes(client).nodes,
+    };
+}
+
+/**
+ * Combine snapshots of the same bot (one per shard in sharded mode),
+ * adding bots that did not report as down
+ * @param {Array<Object>} reports - collectBotMetrics results
+ * @param {Array<Object>} cluster - Status of every bot in the cluster
+ * @returns {Array<Object>}
+ */
+export function mergeBotMetrics(reports, cluster = []) {
+    const bots = new Map();
+
+    for (const report of reports) {
+        const bot = bots.get(report.id);
+        if (!bot) {
+            bots.set(report.id, {
+                ...report,
+                commands: structuredClone(report.commands),
+                lavalinkNodes: [...report.lavalinkNodes],
+                shards: 1,
+            });
+            continue;
+        }
+
+        bot.online = bot.online && report.online;
+        bot.guilds += report.guilds;
+        bot.players += report.players;
+        bot.memoryUsage += report.memoryUsage;
+        bot.ping = Math.round((bot.ping * bot.shards + report.ping) / (bot.shards + 1));
+        bot.lavalinkNodes.push(...report.lavalinkNodes);
+        bot.shards++;
+
+        for (const [command, stats] of Object.entries(report.commands)) {
+            const merged = bot.commands[command];
+            if (!merged) {
+                bot.commands[command] = structuredClone(stats);
+                continue;
+            }
+
+            merged.success += stats.success;
+            merged.error += stats.error;
+            merged.sum += stats.sum;
+            merged.buckets = merged.buckets.map((count, i) => count + stats.buckets[i]);
+        }
+    }
+
+    for (const status of cluster) {
+        if (!bots.has(status.id)) {
+            bots.set(status.id, { ...status, online: false, commands: {}, lavalinkNodes: [] });
+        }
+    }
+
+    return [...bots.values()];
+}
+
+/**
+ * Render cluster metrics in the Prometheus text exposition format
+ * @param {Object} metrics
+ * @param {Array<Object>} metrics.bots - mergeBotMetrics result
+ * @param {boolean} metrics.mongoConnected
+ * @returns {string}
+ */
+export function renderMetrics({ bots, mongoConnected }) {
+    const writer = new MetricWriter();
+
+    writer.metric('musicbot_mongodb_up', 'gauge', 'Whether the orchestrator is connected to MongoDB', [
+        [{}, mongoConnected ? 1 : 0],
+    ]);
+
+    const perBot = (value) => bots.map(bot => [{ bot: bot.id, name: bot.name }, value(bot)]);
+
+    writer.metric('musicbot_up', 'gauge', 'Whether the bot is connected to Discord', perBot(bot => bot.online ? 1 : 0));
+    writer.metric('musicbot_draining', 'gauge', 'Whether the bot is draining', perBot(bot => bot.draining ? 1 : 0));
+    writer.metric('musicbot_guilds', 'gauge', 'Guilds the bot is in', perBot(bot => bot.guilds || 0));
+    writer.metric('musicbot_players', 'gauge', 'Active music players', perBot(bot => bot.players || 0));
+    writer.metric('musicbot_gateway_ping_seconds', 'gauge', 'Discord gateway heartbeat latency', perBot(bot => Math.max(bot.ping || 0, 0) / 1000));
+    writer.metric('musicbot_memory_heap_bytes', 'gauge', 'Heap used by the bot process(es)', perBot(bot => (bot.memoryUsage || 0) * 1024 * 1024));
+    writer.metric('musicbot_uptime_seconds', 'gauge', 'Time since the bot logged in', perBot(bot => (bot.uptime || 0) / 1000));
+
+    // Commands
+    const commandCounts = [];
+    const durations = [];
+    for (const bot of bots) {
+        for (const [command, stats] of Object.entries(bot.commands || {})) {
+            commandCounts.push([{ bot: bot.id, command, status: 'success' }, stats.success]);
+            commandCounts.push([{ bot: bot.id, command, status: 'error' }, stats.error]);
+            durations.push([{ bot: bot.id, command }, stats]);
+        }
+    }
+
+    writer.metric('musicbot_commands_total', 'counter', 'Commands run, by outcome', commandCounts);
+    writer.histogram('musicbot_command_duration_seconds', 'Command run time', durations);
+
+    // Lavalink nodes - stats are server wide, so take them from any bot connected to the node
+    const nodeUp = [];
+    const nodePlayers = [];
+    const nodeStats = new Map();
+    for (const bot of bots) {
+        for (const node of bot.lavalinkNodes || []) {
+            nodeUp.push([{ bot: bot.id, node: node.id }, node.connected ? 1 : 0]);
+            nodePlayers.push([{ bot: bot.id, node: node.id }, node.players]);
+            if (node.stats && !nodeStats.has(node.id)) {
+                nodeStats.set(node.id, node.stats);
+            }
+        }
+    }
+
+    const perNode = (value) => [...nodeStats].map(([node, stats]) => [{ node }, value(stats)]);
+
+    writer.metric('musicbot_lavalink_node_up', 'gauge', 'Whether the bot is connected to the Lavalink node', combineByLabels(nodeUp, (a, b) => Math.min(a, b)));
+    writer.metric('musicbot_lavalink_node_bot_players', 'gauge', 'Players the bot has on the Lavalink node', combineByLabels(nodePlayers));
+    writer.metric('musicbot_lavalink_node_players', 'gauge', 'Players on the Lavalink node (all clients)', perNode(stats => stats.players));
+    writer.metric('musicbot_lavalink_node_playing_players', 'gauge', 'Playing players on the Lavalink node (all clients)', perNode(stats => stats.playingPlayers));
+    writer.metric('musicbot_lavalink_node_cpu_load', 'gauge', 'Lavalink process CPU load (0-1)', perNode(stats => stats.cpu));
+    writer.metric('musicbot_lavalink_node_system_load', 'gauge', 'Lavalink host CPU load (0-1)', perNode(stats => stats.systemLoad));
+    writer.metric('musicbot_lavalink_node_memory_used_bytes', 'gauge', 'Memory used by the Lavalink node', perNode(stats => stats.memoryUsed));
+    writer.metric('musicbot_lavalink_node_uptime_seconds', 'gauge', 'Lavalink node uptime', perNode(stats => stats.uptime / 1000));
+
+    return writer.toString();
+}
+
+/**
+ * Combine samples with the same labels (shards of one bot report the same node)
+ * @private
+ */
+function combineByLabels(samples, combine = (a, b) => a + b) {
+    const merged = new Map();
+    for (const [labels, value] of samples) {
+        const key = JSON.stringify(labels);
+        merged.set(key, merged.has(key) ? [labels, combine(merged.get(key)[1], value)] : [labels, value]);
+    }
+    return [...merged.values()];
+}
+
+/**
+ * Minimal Prometheus text format writer
+ * @private
+ */
+class MetricWriter {
+    constructor() {
+        this.lines = [];
+    }
+
+    metric(name, type, help, samples) {
+        this.lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+        for (const [labels, value] of samples) {
+            this.lines.push(`${name}${formatLabels(labels)} ${formatValue(value)}`);
+        }
+    }
+
+    histogram(name, help, samples) {
+        this.lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} histogram`);
+        for (const [labels, stats] of samples) {
+            let cumulative = 0;
+            COMMAND_DURATION_BUCKETS.forEach((bound, i) => {
+                cumulative += stats.buckets[i];
+                this.lines.push(`${name}_bucket${formatLabels({ ...labels, le: String(bound) })} ${cumulative}`);
+            });
+
+            const count = stats.success + stats.error;
+            this.lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            this.lines.push(`${name}_sum${formatLabels(labels)} ${formatValue(stats.sum)}`);
+            this.lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+        }
+    }
+
+    toString() {
+        return `${this.lines.join('\n')}\n`;
+    }
+}
+
+/**
+ * @private
+ */
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+
+    const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return `{${entries.map(([key, value]) => `${key}="${escape(value)}"`).join(',')}}`;
+}
+
+/**
+ * @private
+ */
+function formatValue(value) {
+    return Number.isFinite(value) ? String(value) : '0';
+}
+
+/**
+ * IPC handlers for metrics collection, keyed by message type
+ * Handlers receive (client, data)
+ */
+export const metricsHandlers = {
+    'metrics:get': (client) => collectBotMetrics(client),
+};
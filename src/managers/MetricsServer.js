@@ -0,0 +1,121 @@
+/**
+ * Metrics Server
+ *
+ * Local HTTP server run by the orchestrator for monitoring:
+ * - GET /healthz: the orchestrator process is alive
+ * - GET /readyz: the cluster finished starting, MongoDB is reachable and the Main Bot is online
+ * - GET /metrics: Prometheus metrics (see managers/Metrics.js)
+ */
+
+import { createServer } from 'http';
+
+export default class MetricsServer {
+    /**
+     * @param {Object} options - config.metrics
+     * @param {Object} logger - Orchestrator logger
+     * @param {Object} sources
+     * @param {Function} sources.collect - Resolves to the Prometheus metrics text
+     * @param {Function} sources.checkReady - Resolves to { ready: boolean, checks: Object }
+     */
+    constructor(options = {}, logger = null, { collect, checkReady }) {
+        this.options = {
+            host: options.host || '127.0.0.1',
+            port: options.port || 9464,
+        };
+
+        this.logger = logger;
+        this.collect = collect;
+        this.checkReady = checkReady;
+
+        /**
+         * @type {import('http').Server|null}
+         */
+        this.server = null;
+    }
+
+    /**
+     * Start listening
+     * Resolves false (and logs) if the port cannot be bound - the cluster runs without it
+     * @returns {Promise<boolean>}
+     */
+    start() {
+        this.server = createServer((req, res) => {
+            this._handle(req, res).catch((error) => {
+                this._log('error', `Failed to answer ${req.url}: ${error.message}`);
+                if (!res.headersSent) {
+                    this._send(res, 500, 'text/plain', 'Internal Server Error\n');
+                }
+            });
+        });
+
+        return new Promise((resolve) => {
+            this.server.once('error', (error) => {
+                this._log('error', `Failed to listen on ${this.options.host}:${this.options.port}: ${error.message}`);
+                this.server = null;
+                resolve(false);
+            });
+
+            this.server.listen(this.options.port, this.options.host, () => {
+                this._log('success', `Serving /healthz, /readyz and /metrics on http://${this.options.host}:${this.options.port}`);
+                resolve(true);
+            });
+        });
+    }
+
+    /**
+     * Stop listening
+     */
+    async stop() {
+        if (!this.server) return;
+
+        await new Promise(resolve => this.server.close(resolve));
+        this.server = null;
+    }
+
+    /**
+     * @private
+     */
+    async _handle(req, res) {
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            return this._send(res, 405, 'text/plain', 'Method Not Allowed\n');
+        }
+
+        const path = new URL(req.url, 'http://localhost').pathname;
+
+        switch (path) {
+            case '/healthz':
+                return this._send(res, 200, 'application/json', JSON.stringify({ status: 'ok' }));
+
+            case '/readyz': {
+                const { ready, checks } = await this.checkReady();
+                return this._send(res, ready ? 200 : 503, 'application/json', JSON.stringify({ status: ready ? 'ready' : 'not ready', checks }));
+            }
+
+            case '/metrics':
+                return this._send(res, 200, 'text/plain; version=0.0.4; charset=utf-8', await this.collect());
+
+            default:
+                return this._send(res, 404, 'text/plain', 'Not Found\n');
+        }
+    }
+
+    /**
+     * @private
+     */
+    _send(res, status, contentType, body) {
+        res.writeHead(status, { 'Content-Type': contentType });
+        res.end(body);
+    }
+
+    /**
+     * Helper logging function
+     * @private
+     */
+    _log(level, message) {
+        if (this.logger) {
+            this.logger[level](`[Metrics] ${message}`);
+        } else {
+            console[level === 'success' ? 'log' : level](`[Metrics] ${message}`);
+        }
+    }
+}
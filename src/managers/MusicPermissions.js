@@ -0,0 +1,123 @@
+/**
+ * Music Permissions
+ *
+ * Decides who may use a music command or now playing button in a guild,
+ * from the guild's settings (schemas/MusicPermissions.js, set with /permissions):
+ * 1. Members with Manage Server can use everything
+ * 2. DJs (the DJ role, or alone with the bot when aloneIsDj is on) can use everything
+ * 3. With requesterCanSkip, members can skip the track they requested
+ * 4. A restricted command or button is limited to its roles
+ * 5. DJ only commands and buttons are limited to DJs once the guild has a DJ role,
+ *    except skip, stop and clear in vote mode - those go to a vote instead (see managers/Votes.js)
+ *
+ * Guilds without a DJ role or restrictions keep every control open to everyone.
+ */
+
+import { PermissionFlagsBits } from 'discord.js';
+import MusicPermissions from '../schemas/MusicPermissions.js';
+
+/**
+ * Now playing buttons that can be restricted, by ID
+ */
+export const PLAYER_BUTTONS = {
+    player_pause: 'Pause / Resume',
+    player_skip: 'Skip',
+    player_stop: 'Stop',
+    player_loop: 'Loop',
+    player_autoplay: 'Autoplay',
+    player_queue: 'Queue',
+    player_lyrics: 'Lyrics',
+    player_shuffle: 'Shuffle',
+    player_volume: 'Volume',
+    player_favorite: 'Favorite',
+};
+
+/**
+ * Buttons that are DJ only, like the commands declaring the djOnly precondition
+ */
+export const DJ_BUTTONS = ['player_skip', 'player_stop', 'player_volume'];
+
+/**
+ * Keys the requester of the current track can use with requesterCanSkip
+ */
+const SKIP_KEYS = ['skip', 'player_skip'];
+
+/**
+ * Command or button → vote action, for the controls that go to a vote in vote mode
+ */
+const VOTE_KEYS = {
+    skip: 'skip',
+    player_skip: 'skip',
+    stop: 'stop',
+    player_stop: 'stop',
+    clear: 'clear',
+};
+
+/**
+ * Whether a member counts as a DJ
+ * @param {import('discord.js').GuildMember} member
+ * @param {Object|null} settings - Guild's music permissions (lean)
+ * @param {Object} [player] - Lavalink player in the guild
+ * @returns {boolean}
+ */
+export function isDj(member, settings, player = null) {
+    if (member.permissions.has(PermissionFlagsBits.ManageGuild)) return true;
+    if (settings?.djRoleId && member.roles.cache.has(settings.djRoleId)) return true;
+
+    // Nobody else is listening
+    if (settings?.aloneIsDj !== false && player?.voiceChannelId && member.voice?.channelId === player.voiceChannelId) {
+        return member.voice.channel.members.filter(listener => !listener.user.bot).size === 1;
+    }
+
+    return false;
+}
+
+/**
+ * Whether a member may use a music command or now playing button
+ * @param {import('discord.js').GuildMember} member
+ * @param {string} key - Command name or button ID
+ * @param {Object} [options]
+ * @param {Object} [options.player] - Lavalink player in the guild
+ * @param {boolean} [options.djOnly] - Whether the command or button is DJ only by default
+ * @returns {Promise<boolean>}
+ */
+export async function hasMusicPermission(member, key, { player = null, djOnly = false } = {}) {
+    // Controls stay open when the settings can't be read
+    const settings = await MusicPermissions.findById(member.guild.id).lean().catch(() => null);
+    if (!settings) return true;
+
+    if (isDj(member, settings, player)) return true;
+
+    if (SKIP_KEYS.includes(key) && settings.requesterCanSkip && player?.queue.current?.requester?.id === member.id) {
+        return true;
+    }
+
+    // Maps are plain objects in lean documents
+    const roles = settings.restrictions?.[key];
+    if (roles?.length) {
+        return roles.some(roleId => member.roles.cache.has(roleId));
+    }
+
+    if (settings.voteMode && VOTE_KEYS[key]) return true;
+
+    return !djOnly || !settings.djRoleId;
+}
+
+/**
+ * Share of the listeners that must vote before a member's skip, stop or clear goes through
+ * @param {import('discord.js').GuildMember} member
+ * @param {string} key - Command name or button ID
+ * @param {Object} player - Lavalink player in the guild
+ * @returns {Promise<number>} 0 when no vote is needed (vote mode off, DJ or requester)
+ */
+export async function getVoteRatio(member, key, player) {
+    if (!VOTE_KEYS[key]) return 0;
+
+    const settings = await MusicPermissions.findById(member.guild.id).lean().catch(() => null);
+    if (!settings?.voteMode) return 0;
+
+    if (isDj(member, settings, player)) return 0;
+    if (player.queue.current?.requester?.id === member.id) return 0;
+
+    return settings.voteRatio || 0.5;
+}
@@ -0,0 +1,203 @@
+/**
+ * Now Playing
+ *
+ * Renders every edit of the now playing message (or request panel): the progress bar,
+ * volume, loop mode, filter and next track, plus what other managers show in it
+ * (synced lyrics, votes). One timer per bot goes over every guild's message, instead
+ * of a timer per guild:
+ * - a message is edited every updateInterval while its track plays (not while paused)
+ * - refresh() edits right away, for changes the message shows (pause, seek, volume,
+ *   loop, filter, lyrics line, votes), at most once per editInterval - changes in
+ *   between are batched
+ * - messages are dropped when the track changes, the player is gone or the message was deleted
+ */
+
+import { MessageFlags } from 'discord.js';
+import { formatDuration, createProgressBar } from './LavalinkHandler.js';
+import emojis from '../emojis.js';
+
+/**
+ * How often the shared timer checks the messages
+ */
+const TICK_INTERVAL = 1000;
+
+/**
+ * Progress bar size in characters
+ */
+const BAR_SIZE = 15;
+
+export class NowPlayingManager {
+    /**
+     * @param {import('../structures/Client.js').BotClient} client
+     * @param {Object} options - config.nowPlaying
+     */
+    constructor(client, options = {}) {
+        this.client = client;
+        this.options = {
+            enabled: options.progress !== false,
+            updateInterval: options.updateInterval || 15000,
+            editInterval: options.editInterval || 2000,
+        };
+
+        /**
+         * Now playing message per guild
+         * @type {Map<string, Object>}
+         */
+        this.sessions = new Map();
+
+        /**
+         * Shared timer, only running while there are messages to update
+         * @type {?NodeJS.Timeout}
+         */
+        this.timer = null;
+    }
+
+    /**
+     * Start updating the now playing message of a track that just started
+     * @param {Object} player - Lavalink player
+     * @param {Object} track - Current track
+     * @param {import('discord.js').Message} message - Now playing message or request panel
+     * @param {Function} render - Builds the message components
+     * @param {Object} [options]
+     * @param {boolean} [options.progress] - Whether the message shows the progress bar (request panels don't)
+     */
+    start(player, track, message, render, { progress = true } = {}) {
+        this.stop(player.guildId);
+
+        this.sessions.set(player.guildId, {
+            player,
+            track,
+            message,
+            render,
+            progress: this.options.enabled && progress,
+            lastEdit: Date.now(),
+            pending: false,
+            editing: false,
+        });
+
+        if (!this.timer) {
+            this.timer = setInterval(() => this._tick(), TICK_INTERVAL);
+            this.timer.unref?.();
+        }
+    }
+
+    /**
+     * Progress and player status to show for a player
+     * @param {Object} player - Lavalink player
+     * @returns {{ progress: string, status: string }|null} Null if disabled or nothing is playing
+     */
+    getDisplay(player) {
+        const track = player.queue.current;
+        if (!this.options.enabled || !track) return null;
+
+        let progress;
+        if (track.info.isStream || !track.info.duration) {
+            progress = `${emojis.player.live} LIVE`;
+        } else {
+            const position = Math.min(player.position || 0, track.info.duration);
+            progress = `\`${formatDuration(position)}\` ${createProgressBar(position, track.info.duration, BAR_SIZE)} \`${formatDuration(track.info.duration)}\``;
+        }
+        if (player.paused) {
+            progress = `${emojis.player.pause} ${progress}`;
+        }
+
+        const status = [`${emojis.player.volume} ${player.volume}%`];
+        if (player.repeatMode && player.repeatMode !== 'off') {
+            status.push(`${player.repeatMode === 'track' ? emojis.player.loopTrack : emojis.player.loop} ${player.repeatMode === 'track' ? 'Track' : 'Queue'}`);
+        }
+        if (player.get('currentFilter')) {
+            status.push(`${emojis.misc.filter} ${player.get('currentFilter')}`);
+        }
+
+        const next = player.queue.tracks[0];
+        if (next) {
+            const title = next.info.title.length > 40 ? next.info.title.substring(0, 40) + '...' : next.info.title;
+            status.push(`Next: ${title}`);
+        }
+
+        return { progress, status: status.join(' · ') };
+    }
+
+    /**
+     * Show a change on the message right away (pause, seek, volume, loop, filter, lyrics line, votes)
+     * @param {Object} player - Lavalink player
+     */
+    refresh(player) {
+        const session = this.sessions.get(player.guildId);
+        if (!session) return;
+
+        session.pending = true;
+        this._check(session, Date.now());
+    }
+
+    /**
+     * Stop updating a guild's now playing message
+     * @param {string} guildId
+     */
+    stop(guildId) {
+        this.sessions.delete(guildId);
+
+        if (this.sessions.size === 0 && this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _tick() {
+        const now = Date.now();
+        for (const session of this.sessions.values()) {
+            this._check(session, now);
+        }
+    }
+
+    /**
+     * Edit the message if a change is waiting or the progress bar is due
+     * @private
+     */
+    _check(session, now) {
+        const { player } = session;
+
+        // Player destroyed or moved on to another track
+        if (this.client.lavalink?.players.get(player.guildId) !== player || player.queue.current !== session.track) {
+            this.stop(player.guildId);
+            return;
+        }
+
+        if (session.editing) return;
+
+        const elapsed = now - session.lastEdit;
+        const due = session.pending
+            ? elapsed >= this.options.editInterval
+            : session.progress && !player.paused && !session.track.info.isStream && elapsed >= this.options.updateInterval;
+
+        if (due) {
+            this._edit(session);
+        }
+    }
+
+    /**
+     * @private
+     */
+    async _edit(session) {
+        session.editing = true;
+        session.pending = false;
+        session.lastEdit = Date.now();
+
+        try {
+            await session.message.edit({
+                components: session.render(),
+                flags: MessageFlags.IsComponentsV2
+            });
+        } catch (error) {
+            // Message deleted - nothing left to update
+            if (this.sessions.get(session.player.guildId) === session) {
+                this.stop(session.player.guildId);
+            }
+        } finally {
+            session.editing = false;
+        }
+    }
+}
@@ -0,0 +1,128 @@
+/**
+ * Player Migration
+ *
+ * Moves a live player from one bot to another without stopping the music
+ * for longer than a reconnect: the source bot hands over a snapshot
+ * (queue, current track, position, volume, loop mode, filters), the target
+ * bot rebuilds it in the same voice channel, and the source bot then leaves.
+ *
+ * Each step runs on the bot that owns the player, so the orchestrator can
+ * call these directly (process mode) or over IPC (worker mode).
+ */
+
+import { serializePlayer, restorePlayer, waitForNode } from './LavalinkHandler.js';
+
+/**
+ * Snapshot a bot's player in a guild and hold playback for the handover
+ * @param {import('../structures/Client.js').BotClient} client - Source bot
+ * @param {string} guildId
+ * @returns {Promise<Object|null>} Snapshot, or null if the bot has no player there
+ */
+export async function snapshotPlayer(client, guildId) {
+    const player = client.lavalink?.players?.get(guildId);
+    if (!player) return null;
+
+    const snapshot = serializePlayer(player);
+
+    // Pause so both bots don't play at once while the target connects
+    if (!player.paused) {
+        await player.pause();
+    }
+
+    return snapshot;
+}
+
+/**
+ * Rebuild a snapshotted player on this bot
+ * @param {import('../structures/Client.js').BotClient} client - Target bot
+ * @param {Object} snapshot - From snapshotPlayer
+ * @returns {Promise<{success: boolean, message: string, tracks?: number, filterLost?: ?string}>}
+ *   filterLost is the name of a filter that couldn't be put back on the player
+ */
+export async function restoreSnapshot(client, snapshot) {
+    if (!client.lavalink) {
+        return { success: false, message: `${client.botName} has no Lavalink connection` };
+    }
+
+    // Right after startup the nodes may still be connecting
+    if (!await waitForNode(client.lavalink)) {
+        return { success: false, message: `${client.botName} has no connected Lavalink node` };
+    }
+
+    if (client.lavalink.players.get(snapshot.guildId)) {
+        return { success: false, message: `${client.botName} already has a player in this guild` };
+    }
+
+    const player = await restorePlayer(client, client.lavalink, snapshot);
+    if (!player) {
+        return { success: false, message: `${client.botName} could not rebuild the player` };
+    }
+
+    const tracks = player.queue.tracks.length + (player.queue.current ? 1 : 0);
+    const filterLost = snapshot.filters?.name && !player.get('filterData') ? snapshot.filters.name : null;
+    return { success: true, message: `Player moved to ${client.botName}`, tracks, filterLost };
+}
+
+/**
+ * Leave the guild after the target bot took the player over
+ * The saved player state is left alone - it now belongs to the target bot
+ * @param {import('../structures/Client.js').BotClient} client - Source bot
+ * @param {string} guildId
+ * @returns {Promise<boolean>}
+ */
+export async function releasePlayer(client, guildId) {
+    const player = client.lavalink?.players?.get(guildId);
+    if (!player) return false;
+
+    player.set('migrating', true);
+
+    for (const key of ['disconnectTimeout', 'queueEndTimeout']) {
+        const timeout = player.get(key);
+        if (timeout) {
+            clearTimeout(timeout);
+            player.set(key, null);
+        }
+    }
+
+    // The target bot posts its own now playing message
+    const messageId = player.get('nowPlayingMessageId');
+    if (messageId) {
+        try {
+            const textChannel = client.channels.cache.get(player.textChannelId);
+            const message = await textChannel?.messages.fetch(messageId);
+            if (message) {
+                await message.delete();
+            }
+        } catch (error) {
+            // Message already deleted or not found
+        }
+    }
+
+    await player.destroy();
+    client.logger.info(`[${client.botName}] Handed over player in guild ${guildId}`);
+    return true;
+}
+
+/**
+ * Undo snapshotPlayer after a failed handover
+ * @param {import('../structures/Client.js').BotClient} client - Source bot
+ * @param {string} guildId
+ * @param {boolean} wasPaused - Pause state before the snapshot
+ */
+export async function abortSnapshot(client, guildId, wasPaused) {
+    const player = client.lavalink?.players?.get(guildId);
+    if (player && !wasPaused && player.paused) {
+        await player.resume();
+    }
+}
+
+/**
+ * IPC handlers for the migration steps, keyed by message type
+ * Handlers receive (client, data)
+ */
+export const migrationHandlers = {
+    'player:snapshot': (client, { guildId }) => snapshotPlayer(client, guildId),
+    'player:restore': (client, { snapshot }) => restoreSnapshot(client, snapshot),
+    'player:release': (client, { guildId }) => releasePlayer(client, guildId),
+    'player:abort': (client, { guildId, wasPaused }) => abortSnapshot(client, guildId, wasPaused),
+};
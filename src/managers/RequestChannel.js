@@ -0,0 +1,321 @@
+/**
+ * Request Channel
+ *
+ * Song request channels set up with /setup. Every message in the channel is played
+ * (see events/Client/MessageCreate.js) and one persistent panel message shows the
+ * current track, the queue and the player controls:
+ * - the panel is edited in place, guilds with a request channel get no now playing messages
+ * - queue changes refresh the panel after a short delay, so adding a playlist edits it once
+ * - a bot starting to play takes the panel over from the bot that posted it (reassignment, failover)
+ * - a deleted panel is posted again, and panels are brought up to date when the bot starts
+ *
+ * Panel buttons are routed like the now playing controls (see structures/ComponentRouter.js),
+ * so they follow the same permissions and keep working after a restart.
+ */
+
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle, ContainerBuilder, TextDisplayBuilder, SeparatorBuilder, MediaGalleryBuilder, MediaGalleryItemBuilder, MessageFlags } from 'discord.js';
+import GuildSettings from '../schemas/GuildSettings.js';
+import { getGuildSettings, updateGuildSettings } from './GuildSettings.js';
+import { formatDuration } from './LavalinkHandler.js';
+import { buildComponentId } from '../structures/ComponentRouter.js';
+import emojis from '../emojis.js';
+
+/**
+ * Delay before a queue change refreshes the panel
+ */
+const REFRESH_DELAY = 1000;
+
+/**
+ * Queued tracks the panel shows
+ */
+const QUEUE_PREVIEW = 5;
+
+export class RequestChannelManager {
+    /**
+     * @param {import('../structures/Client.js').BotClient} client
+     */
+    constructor(client) {
+        this.client = client;
+
+        /**
+         * Panel messages this bot posted, by guild
+         * @type {Map<string, import('discord.js').Message>}
+         */
+        this.panels = new Map();
+
+        /**
+         * Running panel update per guild, so updates don't race each other into two panels
+         * @type {Map<string, Promise>}
+         */
+        this.pending = new Map();
+
+        /**
+         * Scheduled refreshes by guild
+         * @type {Map<string, NodeJS.Timeout>}
+         */
+        this.timers = new Map();
+    }
+
+    /**
+     * Make a channel the guild's request channel and post its panel
+     * @param {import('discord.js').Guild} guild
+     * @param {import('discord.js').TextChannel} channel
+     * @returns {Promise<?import('discord.js').Message>} The panel
+     */
+    async setup(guild, channel) {
+        await this._deletePanel(guild.id);
+        await updateGuildSettings(guild.id, { requestChannelId: channel.id, requestMessageId: null });
+        return this.update(guild.id);
+    }
+
+    /**
+     * Turn the guild's request channel back into a normal channel
+     * @param {string} guildId
+     */
+    async remove(guildId) {
+        await this._deletePanel(guildId);
+        await updateGuildSettings(guildId, { requestChannelId: null, requestMessageId: null });
+    }
+
+    /**
+     * Whether a message is a request channel panel
+     * @param {import('discord.js').Message} message
+     * @returns {Promise<boolean>}
+     */
+    async isPanel(message) {
+        if (!message?.guildId) return false;
+        if (this.panels.get(message.guildId)?.id === message.id) return true;
+
+        const settings = await getGuildSettings(message.guildId);
+        return settings.requestMessageId === message.id;
+    }
+
+    /**
+     * Refresh a guild's panel soon, for changes that come in bursts (queue changes)
+     * @param {string} guildId
+     */
+    refresh(guildId) {
+        if (this.timers.has(guildId)) return;
+
+        this.timers.set(guildId, setTimeout(() => {
+            this.timers.delete(guildId);
+            this.update(guildId);
+        }, REFRESH_DELAY));
+    }
+
+    /**
+     * Show the player on a guild's panel now, posting the panel again if it's gone
+     * @param {string} guildId
+     * @param {?Object} [player] - Lavalink player (null when it was destroyed)
+     * @returns {Promise<?import('discord.js').Message>} The panel, or null if the guild has none
+     */
+    update(guildId, player = this.client.lavalink?.players.get(guildId) ?? null) {
+        const previous = this.pending.get(guildId) || Promise.resolve();
+        const next = previous
+            .then(() => this._update(guildId, player))
+            .catch(error => {
+                this.client.logger.error(`[${this.client.botName}] Failed to update request panel in guild ${guildId}: ${error.message}`);
+                return null;
+            });
+
+        this.pending.set(guildId, next);
+        next.finally(() => {
+            if (this.pending.get(guildId) === next) this.pending.delete(guildId);
+        });
+
+        return next;
+    }
+
+    /**
+     * Bring the panels of the bot's guilds up to date, e.g. after a restart
+     */
+    async restore() {
+        const guildIds = [...this.client.guilds.cache.keys()];
+        const guilds = await GuildSettings.find({ _id: { $in: guildIds }, requestChannelId: { $ne: null } }, '_id').lean();
+
+        for (const { _id: guildId } of guilds) {
+            // Missing idle panels are posted again by the main bot only, not by every bot in the guild
+            if (!this.client.isMainBot && !this.client.lavalink?.players.get(guildId)) continue;
+
+            await this.update(guildId);
+        }
+
+        if (guilds.length > 0) {
+            this.client.logger.info(`[${this.client.botName}] Restored ${guilds.length} request panel(s)`);
+        }
+    }
+
+    /**
+     * Build the panel components
+     * @param {?Object} player - Lavalink player
+     * @param {string} [guildId] - Guild of the panel, for idle panels
+     * @returns {Array<ContainerBuilder>}
+     */
+    build(player, guildId = player?.guildId) {
+        const track = player?.queue.current;
+        const container = new ContainerBuilder();
+
+        if (track) {
+            if (track.info.artworkUrl || track.info.thumbnail) {
+                container.addMediaGalleryComponents(
+                    new MediaGalleryBuilder().addItems(
+                        new MediaGalleryItemBuilder()
+                            .setURL(track.info.artworkUrl || track.info.thumbnail)
+                            .setDescription(`${track.info.title} - ${track.info.author}`)
+                    )
+                );
+            }
+
+            container.addTextDisplayComponents(
+                new TextDisplayBuilder().setContent(
+                    `### ${emojis.player.nowPlaying} Now Playing\n` +
+                    `[${track.info.title}](${track.info.uri}) ${track.info.author}\n` +
+                    `-# ${this._formatLength(track)}${track.requester?.id ? ` · Requested by <@${track.requester.id}>` : ''}`
+                )
+            );
+
+            // Running votes (vote mode)
+            const votes = this.client.votes.getDisplay(player);
+            if (votes.length > 0) {
+                const voteEmojis = { skip: emojis.player.skip, stop: emojis.player.stop, clear: emojis.misc.trash };
+                container.addTextDisplayComponents(
+                    new TextDisplayBuilder().setContent(
+                        votes.map(({ action, count, required }) => `-# ${voteEmojis[action]} Vote to ${action}: **${count}/${required}**`).join('\n')
+                    )
+                );
+            }
+
+            container.addSeparatorComponents(new SeparatorBuilder().setDivider(true));
+            container.addTextDisplayComponents(new TextDisplayBuilder().setContent(this._buildQueuePreview(player)));
+        } else {
+            container.addTextDisplayComponents(
+                new TextDisplayBuilder().setContent(`### ${emojis.player.music} Song Requests\nNothing is playing right now.`)
+            );
+        }
+
+        container.addSeparatorComponents(new SeparatorBuilder().setDivider(true));
+
+        const button = (action, emoji, style = ButtonStyle.Secondary) => new ButtonBuilder()
+            .setCustomId(buildComponentId('player', action, { guildId, botId: this.client.botId }))
+            .setEmoji(emoji)
+            .setStyle(style)
+            .setDisabled(!track);
+
+        container.addActionRowComponents(
+            new ActionRowBuilder().addComponents(
+                button('pause', player?.paused ? emojis.player.play : emojis.player.pause),
+                button('skip', emojis.player.skip),
+                button('stop', emojis.player.stop),
+                button('loop', emojis.player.loop),
+                button('shuffle', emojis.player.shuffle, ButtonStyle.Primary),
+            )
+        );
+        container.addActionRowComponents(
+            new ActionRowBuilder().addComponents(
+                button('autoplay', emojis.player.autoplay),
+                button('queue', emojis.player.queue),
+                button('lyrics', emojis.player.lyrics),
+                button('volume', emojis.player.volume),
+                button('favorite', emojis.player.favorite),
+            )
+        );
+
+        container.addSeparatorComponents(new SeparatorBuilder().setDivider(true));
+        container.addTextDisplayComponents(
+            new TextDisplayBuilder().setContent('-# Send a song name or link in this channel to play it')
+        );
+
+        return [container];
+    }
+
+    /**
+     * Edit the panel, or post it when it's gone or when this bot takes it over
+     * @private
+     */
+    async _update(guildId, player) {
+        // Most guilds have no request channel, the cache is enough to tell
+        if (!(await getGuildSettings(guildId)).requestChannelId) return null;
+
+        // Other bots may have posted the panel since this bot cached the settings
+        const settings = await getGuildSettings(guildId, { fresh: true });
+        if (!settings.requestChannelId) return null;
+
+        const channel = this.client.guilds.cache.get(guildId)?.channels.cache.get(settings.requestChannelId);
+        if (!channel) return null;
+
+        const payload = { components: this.build(player, guildId), flags: MessageFlags.IsComponentsV2 };
+
+        let panel = this.panels.get(guildId);
+        if (panel?.id !== settings.requestMessageId) {
+            panel = settings.requestMessageId
+                ? await channel.messages.fetch(settings.requestMessageId).catch(() => null)
+                : null;
+        }
+
+        if (panel && panel.author.id === this.client.user.id) {
+            try {
+                panel = await panel.edit(payload);
+                this.panels.set(guildId, panel);
+                return panel;
+            } catch (error) {
+                // Deleted in the meantime - post it again
+                panel = null;
+            }
+        }
+
+        // An idle bot leaves the panel of the bot that is playing alone
+        if (panel && !player?.queue.current) return null;
+
+        if (panel) {
+            await panel.delete().catch(() => { });
+        }
+
+        panel = await channel.send(payload);
+        this.panels.set(guildId, panel);
+        await updateGuildSettings(guildId, { requestMessageId: panel.id });
+
+        return panel;
+    }
+
+    /**
+     * Delete the guild's panel, e.g. before moving the request channel
+     * @private
+     */
+    async _deletePanel(guildId) {
+        const settings = await getGuildSettings(guildId, { fresh: true });
+        const channel = this.client.guilds.cache.get(guildId)?.channels.cache.get(settings.requestChannelId);
+
+        if (channel && settings.requestMessageId) {
+            const panel = await channel.messages.fetch(settings.requestMessageId).catch(() => null);
+            await panel?.delete().catch(() => { });
+        }
+
+        this.panels.delete(guildId);
+    }
+
+    /**
+     * Up next list
+     * @private
+     */
+    _buildQueuePreview(player) {
+        const tracks = player.queue.tracks;
+        if (tracks.length === 0) {
+            return `**Up next:** Nothing queued`;
+        }
+
+        const list = tracks.slice(0, QUEUE_PREVIEW).map((track, i) => {
+            const title = track.info.title.length > 50 ? track.info.title.substring(0, 50) + '...' : track.info.title;
+            return `**${i + 1}.** ${title} - ${track.info.author} \`${this._formatLength(track)}\``;
+        }).join('\n');
+
+        const more = tracks.length > QUEUE_PREVIEW ? `\n-# ... and ${tracks.length - QUEUE_PREVIEW} more` : '';
+        return `**Up next** (${tracks.length} track${tracks.length !== 1 ? 's' : ''})\n${list}${more}`;
+    }
+
+    /**
+     * @private
+     */
+    _formatLength(track) {
+        return track.info.isStream ? 'LIVE' : formatDuration(track.info.duration);
+    }
+}
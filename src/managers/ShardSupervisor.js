@@ -0,0 +1,336 @@
+/**
+ * Shard Supervisor
+ *
+ * Sharded cluster mode: every configured bot gets its own discord.js
+ * ShardingManager, and each shard runs src/worker.js in its own process.
+ * Exposes the same interface as WorkerSupervisor, so the orchestrator can
+ * use either one. Requests about a guild go to the shard that owns it.
+ */
+
+import { fileURLToPath } from 'url';
+import { Collection, ShardingManager, ShardClientUtil } from 'discord.js';
+import { IPCChannel } from './ClusterIPC.js';
+
+const WORKER_PATH = fileURLToPath(new URL('../worker.js', import.meta.url));
+
+export default class ShardSupervisor {
+    /**
+     * @param {Object} options - Cluster configuration
+     * @param {Object} logger - Orchestrator logger
+     */
+    constructor(options = {}, logger = null) {
+        this.options = {
+            startTimeout: options.startTimeout || 120000,
+            shutdownTimeout: options.shutdownTimeout || 15000,
+            ipcTimeout: options.ipcTimeout || 5000,
+            totalShards: options.totalShards || 'auto',
+            shardSpawnDelay: options.shardSpawnDelay ?? 5500,
+        };
+
+        this.logger = logger;
+
+        /**
+         * Bots by bot ID, each with its sharding manager and shard processes
+         * `status` is the bot's status aggregated over its shards
+         * @type {Collection<string, { botConfig: Object, manager: ShardingManager|null, shards: Collection<number, { shard: import('discord.js').Shard, ipc: IPCChannel|null, status: Object|null }>, stopping: boolean, draining: boolean, status: Object|null }>}
+         */
+        this.workers = new Collection();
+
+        /**
+         * Handlers for requests coming from shards
+         * @type {Map<string, Function>}
+         */
+        this.handlers = new Map();
+    }
+
+    /**
+     * Register a handler for requests sent by shards
+     * Handlers receive (data, botId)
+     * @param {string} type
+     * @param {Function} handler
+     */
+    handle(type, handler) {
+        this.handlers.set(type, handler);
+        return this;
+    }
+
+    /**
+     * Spawn every shard of a bot
+     * Resolves once all shards are connected, or false if spawning fails
+     * @param {Object} botConfig
+     * @returns {Promise<boolean>}
+     */
+    async start(botConfig) {
+        let worker = this.workers.get(botConfig.id);
+
+        if (!worker) {
+            const supervisor = this;
+            worker = {
+                botConfig,
+                manager: null,
+                shards: new Collection(),
+                stopping: false,
+                draining: false,
+                get status() {
+                    return supervisor._aggregateStatus(this);
+                },
+            };
+            this.workers.set(botConfig.id, worker);
+        } else {
+            // Restarting a stopped bot, possibly with a changed configuration
+            worker.botConfig = botConfig;
+            worker.stopping = false;
+            worker.shards.clear();
+        }
+
+        const manager = new ShardingManager(WORKER_PATH, {
+            token: botConfig.token,
+            totalShards: this._shardCount(botConfig),
+            mode: 'process',
+            respawn: true,
+        });
+        worker.manager = manager;
+
+        manager.on('shardCreate', (shard) => this._attachShard(worker, shard));
+
+        try {
+            await manager.spawn({
+                delay: this.options.shardSpawnDelay,
+                timeout: this.options.startTimeout,
+            });
+            this._log('success', `${botConfig.name} (${botConfig.id}) is running on ${manager.totalShards} shard(s)`);
+            return true;
+        } catch (error) {
+            this._log('error', `Failed to spawn shards for ${botConfig.id}: ${error.message}`);
+            await this.stop(botConfig.id);
+            return false;
+        }
+    }
+
+    /**
+     * Send a request to a bot
+     * Goes to the shard owning data.guildId when given, otherwise to the first shard
+     * @param {string} botId
+     * @param {string} type
+     * @param {*} data
+     * @param {number} timeout - Defaults to the IPC timeout
+     * @returns {Promise<*>}
+     */
+    request(botId, type, data = null, timeout = this.options.ipcTimeout) {
+        const worker = this.workers.get(botId);
+        const entry = worker && (data?.guildId ? this._shardFor(worker, data.guildId) : worker.shards.first());
+
+        if (!entry?.ipc) {
+            return Promise.reject(new Error(`Worker ${botId} is not running`));
+        }
+        return entry.ipc.request(type, data, timeout);
+    }
+
+    /**
+     * Send a request to every bot and collect the replies
+     * With data.guildId only the owning shard of each bot is asked (one reply per bot),
+     * otherwise every shard is asked
+     * @param {string} type
+     * @param {*} data
+     * @param {number} timeout - Defaults to the IPC timeout
+     * @returns {Promise<Array<*>>}
+     */
+    async broadcast(type, data = null, timeout = this.options.ipcTimeout) {
+        const targets = [];
+
+        for (const worker of this.workers.values()) {
+            if (data?.guildId) {
+                targets.push(this._shardFor(worker, data.guildId));
+            } else {
+                targets.push(...worker.shards.values());
+            }
+        }
+
+        const running = targets.filter(entry => entry?.ipc);
+        const results = await Promise.allSettled(running.map(entry => entry.ipc.request(type, data, timeout)));
+
+        return results
+            .filter(r => r.status === 'fulfilled')
+            .map(r => r.value);
+    }
+
+    /**
+     * Start or stop draining a bot on every shard
+     * Remembered across shard respawns
+     * @param {string} botId
+     * @param {boolean} draining
+     */
+    async setDraining(botId, draining) {
+        const worker = this.workers.get(botId);
+        if (!worker) {
+            throw new Error(`Worker ${botId} not found`);
+        }
+
+        worker.draining = draining;
+
+        await Promise.all([...worker.shards.values()].map(async (entry) => {
+            // A respawning shard picks the flag up from its environment
+            entry.shard.env.CLUSTER_BOT_DRAINING = draining ? 'true' : 'false';
+            if (entry.ipc) {
+                await entry.ipc.request('bot:drain', { draining });
+            }
+        }));
+    }
+
+    /**
+     * Gracefully stop every bot
+     */
+    async stopAll() {
+        await Promise.allSettled([...this.workers.keys()].map(botId => this.stop(botId)));
+    }
+
+    /**
+     * Stop a bot and forget it (it is no longer part of the cluster)
+     * @param {string} botId
+     */
+    async remove(botId) {
+        await this.stop(botId);
+        this.workers.delete(botId);
+    }
+
+    /**
+     * Gracefully stop every shard of a bot, killing shards that do not exit in time
+     * @param {string} botId
+     */
+    async stop(botId) {
+        const worker = this.workers.get(botId);
+        if (!worker) return;
+
+        worker.stopping = true;
+        if (worker.manager) {
+            worker.manager.respawn = false;
+        }
+
+        await Promise.allSettled([...worker.shards.values()].map(entry => this._stopShard(botId, entry)));
+    }
+
+    /**
+     * @private
+     */
+    async _stopShard(botId, entry) {
+        const child = entry.shard.process;
+        if (!child || child.exitCode !== null || child.signalCode !== null) return;
+
+        const exited = new Promise(resolve => child.once('exit', resolve));
+
+        entry.ipc?.notify('shutdown');
+
+        const timer = setTimeout(() => {
+            this._log('warn', `Shard ${entry.shard.id} of ${botId} did not exit in time, killing`);
+            entry.shard.kill();
+        }, this.options.shutdownTimeout);
+
+        await exited;
+        clearTimeout(timer);
+    }
+
+    /**
+     * Wire up IPC for a shard every time its process (re)spawns
+     * @private
+     */
+    _attachShard(worker, shard) {
+        const { botConfig } = worker;
+
+        shard.env.CLUSTER_BOT_ID = botConfig.id;
+        shard.env.CLUSTER_BOT_DRAINING = worker.draining ? 'true' : 'false';
+
+        const entry = { shard, ipc: null, status: null };
+        worker.shards.set(shard.id, entry);
+
+        shard.on('spawn', (child) => {
+            entry.ipc?.dispose();
+
+            const ipc = new IPCChannel(child, { timeout: this.options.ipcTimeout });
+
+            for (const [type, handler] of this.handlers) {
+                ipc.handle(type, (data) => handler(data, botConfig.id));
+            }
+
+            ipc.handle('status', (status) => {
+                entry.status = status;
+            });
+
+            ipc.handle('ready', (status) => {
+                entry.status = status;
+                this._log('success', `Shard ${shard.id} of ${botConfig.id} is ready`);
+            });
+
+            entry.ipc = ipc;
+            this._log('info', `Started shard ${shard.id} of ${botConfig.name} (${botConfig.id}, pid ${child.pid})`);
+        });
+
+        shard.on('death', () => {
+            entry.ipc?.dispose();
+            entry.ipc = null;
+            entry.status = null;
+
+            if (!worker.stopping) {
+                this._log('error', `Shard ${shard.id} of ${botConfig.id} died, respawning`);
+            }
+        });
+    }
+
+    /**
+     * Shard entry owning a guild
+     * @private
+     */
+    _shardFor(worker, guildId) {
+        if (!worker.manager || typeof worker.manager.totalShards !== 'number') return null;
+        return worker.shards.get(ShardClientUtil.shardIdForGuildId(guildId, worker.manager.totalShards));
+    }
+
+    /**
+     * Shard count for a bot: its own setting, then the cluster default
+     * @private
+     */
+    _shardCount(botConfig) {
+        const count = botConfig.shards || this.options.totalShards;
+        return count === 'auto' ? 'auto' : parseInt(count, 10);
+    }
+
+    /**
+     * Combine the shards' status snapshots into one per bot
+     * @private
+     */
+    _aggregateStatus(worker) {
+        const statuses = [...worker.shards.values()].map(entry => entry.status).filter(Boolean);
+        if (statuses.length === 0) return null;
+
+        const sum = (key) => statuses.reduce((total, status) => total + (status[key] || 0), 0);
+
+        return {
+            id: worker.botConfig.id,
+            name: worker.botConfig.name,
+            isMain: worker.botConfig.isMain,
+            online: statuses.length === worker.shards.size && statuses.every(status => status.online),
+            guilds: sum('guilds'),
+            players: sum('players'),
+            ping: Math.round(sum('ping') / statuses.length),
+            uptime: Math.min(...statuses.map(status => status.uptime || 0)),
+            lavalink: statuses.every(status => status.lavalink),
+            lavalinkConnected: statuses.every(status => status.lavalinkConnected),
+            draining: worker.draining,
+            memoryUsage: sum('memoryUsage'),
+            cpuUsage: sum('cpuUsage'),
+            shards: worker.shards.size,
+            pid: null,
+        };
+    }
+
+    /**
+     * Helper logging function
+     * @private
+     */
+    _log(level, message) {
+        if (this.logger) {
+            this.logger[level](`[Shards] ${message}`);
+        } else {
+            console[level === 'success' ? 'log' : level](`[Shards] ${message}`);
+        }
+    }
+}
@@ -0,0 +1,147 @@
+/**
+ * Synced Lyrics
+ *
+ * Shows the current and next line of timed (LRC) lyrics in the now playing
+ * message. Each guild has one session that follows the player position:
+ * - a timer fires when the next line is due, and at least every pollInterval
+ *   so seeks, pauses and resumes from anywhere are picked up
+ * - when the line changes the now playing manager is asked to refresh the message,
+ *   which batches edits (lines in between are skipped) to stay clear of Discord's edit rate limits
+ * - resync() re-evaluates right away, for commands that move the position
+ */
+
+export class SyncedLyricsManager {
+    /**
+     * @param {import('../structures/Client.js').BotClient} client
+     * @param {Object} options - config.lyrics.nowPlaying
+     */
+    constructor(client, options = {}) {
+        this.client = client;
+        this.options = {
+            enabled: options.enabled !== false,
+            pollInterval: 1000,
+        };
+
+        /**
+         * Active session per guild
+         * @type {Map<string, Object>}
+         */
+        this.sessions = new Map();
+    }
+
+    /**
+     * Start following the lyrics of a track that just started
+     * @param {Object} player - Lavalink player
+     * @param {Object} track - Current track
+     */
+    async start(player, track) {
+        this.stop(player.guildId);
+        if (!this.options.enabled || track.info.isStream) return;
+
+        const session = {
+            player,
+            track,
+            lines: null,
+            // Differs from any line index, so the first tick shows the lyrics
+            index: -2,
+            timer: null,
+        };
+        this.sessions.set(player.guildId, session);
+
+        let lyrics = null;
+        try {
+            lyrics = await this.client.lyrics.get({ track, player });
+        } catch (error) {
+            this.client.logger.debug(`[${this.client.botName}] [Lyrics] Lookup failed for ${track.info.title}: ${error.message}`);
+        }
+
+        // The track changed while looking up
+        if (this.sessions.get(player.guildId) !== session) return;
+
+        const lines = lyrics?.synced ? lyrics.lines.filter(line => line.time !== null) : [];
+        if (lines.length === 0) {
+            this.sessions.delete(player.guildId);
+            return;
+        }
+
+        session.lines = lines;
+        this._tick(session);
+    }
+
+    /**
+     * Lines to show for a player
+     * @param {Object} player - Lavalink player
+     * @returns {{ current: string, next: string|null }|null} Null if the track has no synced lyrics
+     */
+    getDisplay(player) {
+        const session = this.sessions.get(player.guildId);
+        if (!session?.lines || session.index < -1 || session.track !== player.queue.current) return null;
+
+        // Instrumental parts have empty lines
+        const current = session.lines[session.index];
+        const next = session.lines[session.index + 1];
+
+        return {
+            current: current?.text || '♪',
+            next: next ? next.text || '♪' : null,
+        };
+    }
+
+    /**
+     * Re-evaluate the current line right away (after a seek, pause or resume)
+     * @param {Object} player - Lavalink player
+     */
+    resync(player) {
+        const session = this.sessions.get(player.guildId);
+        if (session?.lines) {
+            this._tick(session);
+        }
+    }
+
+    /**
+     * Stop following the lyrics in a guild
+     * @param {string} guildId
+     */
+    stop(guildId) {
+        const session = this.sessions.get(guildId);
+        if (!session) return;
+
+        clearTimeout(session.timer);
+        this.sessions.delete(guildId);
+    }
+
+    /**
+     * Refresh the message if the line changed, then schedule the next check
+     * @private
+     */
+    _tick(session) {
+        clearTimeout(session.timer);
+
+        const { player } = session;
+        if (this.sessions.get(player.guildId) !== session) return;
+
+        // Player destroyed or moved on to another track
+        if (this.client.lavalink?.players.get(player.guildId) !== player || player.queue.current !== session.track) {
+            this.stop(player.guildId);
+            return;
+        }
+
+        const position = player.position;
+        const index = session.lines.findLastIndex(line => line.time <= position);
+        let delay = this.options.pollInterval;
+
+        if (index !== session.index) {
+            session.index = index;
+            this.client.nowPlaying.refresh(player);
+        }
+        if (!player.paused) {
+            const next = session.lines[index + 1];
+            if (next) {
+                delay = Math.min(delay, Math.max(next.time - position, 100));
+            }
+        }
+
+        session.timer = setTimeout(() => this._tick(session), delay);
+        session.timer.unref?.();
+    }
+}
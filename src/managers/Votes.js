@@ -0,0 +1,108 @@
+/**
+ * Votes
+ *
+ * Vote-skip, vote-stop and vote-clear for guilds in vote mode (see managers/MusicPermissions.js).
+ * Each guild has one session per track:
+ * - a vote passes once enough of the non-bot listeners in the bot's voice channel voted
+ * - votes of members who left the channel no longer count
+ * - the now playing message shows the running votes and is refreshed on every vote
+ * - trackStart starts a new session, so the votes reset when the track changes
+ */
+
+export const VOTE_ACTIONS = ['skip', 'stop', 'clear'];
+
+export class VoteManager {
+    /**
+     * @param {import('../structures/Client.js').BotClient} client
+     */
+    constructor(client) {
+        this.client = client;
+
+        /**
+         * Votes per guild, for the track that is playing
+         * @type {Map<string, Object>}
+         */
+        this.sessions = new Map();
+    }
+
+    /**
+     * Start a fresh session for a track that just started
+     * @param {Object} player - Lavalink player
+     * @param {Object} track - Current track
+     */
+    start(player, track) {
+        this.sessions.set(player.guildId, {
+            track,
+            votes: new Map(VOTE_ACTIONS.map(action => [action, { voters: new Set(), ratio: 0.5 }])),
+        });
+    }
+
+    /**
+     * Stop tracking votes in a guild
+     * @param {string} guildId
+     */
+    stop(guildId) {
+        this.sessions.delete(guildId);
+    }
+
+    /**
+     * Add a member's vote
+     * @param {Object} player - Lavalink player
+     * @param {string} action - skip, stop or clear
+     * @param {import('discord.js').GuildMember} member
+     * @param {number} ratio - Share of the listeners that must vote
+     * @returns {Promise<{ passed: boolean, alreadyVoted: boolean, count: number, required: number }>}
+     */
+    async vote(player, action, member, ratio) {
+        let session = this.sessions.get(player.guildId);
+        if (!session || session.track !== player.queue.current) {
+            this.start(player, player.queue.current);
+            session = this.sessions.get(player.guildId);
+        }
+
+        const vote = session.votes.get(action);
+        const alreadyVoted = vote.voters.has(member.id);
+        vote.voters.add(member.id);
+        vote.ratio = ratio;
+
+        const { count, required } = this._count(player, vote);
+        const passed = count >= required;
+
+        // Start over for the next vote on the same track (e.g. clear twice)
+        if (passed) {
+            vote.voters.clear();
+        }
+
+        this.client.nowPlaying.refresh(player);
+
+        return { passed, alreadyVoted, count, required };
+    }
+
+    /**
+     * Running votes to show for a player
+     * @param {Object} player - Lavalink player
+     * @returns {Array<{ action: string, count: number, required: number }>}
+     */
+    getDisplay(player) {
+        const session = this.sessions.get(player.guildId);
+        if (!session || session.track !== player.queue.current) return [];
+
+        return VOTE_ACTIONS
+            .map(action => ({ action, ...this._count(player, session.votes.get(action)) }))
+            .filter(({ count }) => count > 0);
+    }
+
+    /**
+     * Votes from members still listening, and how many are needed
+     * @private
+     */
+    _count(player, vote) {
+        const channel = this.client.guilds.cache.get(player.guildId)?.channels.cache.get(player.voiceChannelId);
+        const listeners = channel ? channel.members.filter(member => !member.user.bot) : null;
+
+        const count = listeners ? [...vote.voters].filter(id => listeners.has(id)).length : vote.voters.size;
+        const required = Math.max(1, Math.ceil((listeners?.size || 1) * vote.ratio));
+
+        return { count, required };
+    }
+}
@@ -0,0 +1,298 @@
+/**
+ * Worker Supervisor
+ *
+ * Runs each configured bot in its own child process (src/worker.js)
+ * so one stalled or crashed bot cannot take the others down.
+ * Crashed workers are restarted with exponential backoff.
+ */
+
+import { fork } from 'child_process';
+import { fileURLToPath } from 'url';
+import { Collection } from 'discord.js';
+import { IPCChannel } from './ClusterIPC.js';
+
+const WORKER_PATH = fileURLToPath(new URL('../worker.js', import.meta.url));
+
+export default class WorkerSupervisor {
+    /**
+     * @param {Object} options - Cluster configuration
+     * @param {Object} logger - Orchestrator logger
+     */
+    constructor(options = {}, logger = null) {
+        this.options = {
+            restartDelay: options.restartDelay || 1000,
+            maxRestartDelay: options.maxRestartDelay || 60000,
+            stableAfter: options.stableAfter || 60000,
+            startTimeout: options.startTimeout || 120000,
+            shutdownTimeout: options.shutdownTimeout || 15000,
+            ipcTimeout: options.ipcTimeout || 5000,
+        };
+
+        this.logger = logger;
+
+        /**
+         * Workers by bot ID
+         * @type {Collection<string, { botConfig: Object, child: import('child_process').ChildProcess|null, ipc: IPCChannel|null, restarts: number, startedAt: number, status: Object|null, restartTimer: NodeJS.Timeout|null, stopping: boolean, draining: boolean }>}
+         */
+        this.workers = new Collection();
+
+        /**
+         * Handlers for requests coming from workers
+         * @type {Map<string, Function>}
+         */
+        this.handlers = new Map();
+    }
+
+    /**
+     * Register a handler for requests sent by workers
+     * Handlers receive (data, botId)
+     * @param {string} type
+     * @param {Function} handler
+     */
+    handle(type, handler) {
+        this.handlers.set(type, handler);
+        return this;
+    }
+
+    /**
+     * Start a worker for a bot
+     * Resolves once the worker reports ready, or false if it exits or times out first
+     * @param {Object} botConfig
+     * @returns {Promise<boolean>}
+     */
+    start(botConfig) {
+        let worker = this.workers.get(botConfig.id);
+
+        if (!worker) {
+            worker = {
+                botConfig,
+                child: null,
+                ipc: null,
+                restarts: 0,
+                startedAt: 0,
+                status: null,
+                restartTimer: null,
+                stopping: false,
+                draining: false,
+            };
+            this.workers.set(botConfig.id, worker);
+        } else {
+            // Restarting a stopped worker, possibly with a changed configuration
+            worker.botConfig = botConfig;
+            worker.stopping = false;
+        }
+
+        return this._spawn(worker);
+    }
+
+    /**
+     * Send a request to one worker
+     * @param {string} botId
+     * @param {string} type
+     * @param {*} data
+     * @param {number} timeout - Defaults to the IPC timeout
+     * @returns {Promise<*>}
+     */
+    request(botId, type, data = null, timeout = this.options.ipcTimeout) {
+        const worker = this.workers.get(botId);
+        if (!worker?.ipc) {
+            return Promise.reject(new Error(`Worker ${botId} is not running`));
+        }
+        return worker.ipc.request(type, data, timeout);
+    }
+
+    /**
+     * Send a request to every running worker and collect the replies
+     * Workers that fail or time out are left out
+     * @param {string} type
+     * @param {*} data
+     * @param {number} timeout - Defaults to the IPC timeout
+     * @returns {Promise<Array<*>>}
+     */
+    async broadcast(type, data = null, timeout = this.options.ipcTimeout) {
+        const running = [...this.workers.values()].filter(w => w.ipc);
+        const results = await Promise.allSettled(running.map(w => w.ipc.request(type, data, timeout)));
+
+        return results
+            .filter(r => r.status === 'fulfilled')
+            .map(r => r.value);
+    }
+
+    /**
+     * Gracefully stop every worker
+     */
+    async stopAll() {
+        await Promise.allSettled([...this.workers.keys()].map(botId => this.stop(botId)));
+    }
+
+    /**
+     * Stop a worker and forget it (it is no longer part of the cluster)
+     * @param {string} botId
+     */
+    async remove(botId) {
+        await this.stop(botId);
+        this.workers.delete(botId);
+    }
+
+    /**
+     * Start or stop draining a worker's bot
+     * Remembered across restarts of the worker
+     * @param {string} botId
+     * @param {boolean} draining
+     */
+    async setDraining(botId, draining) {
+        const worker = this.workers.get(botId);
+        if (!worker) {
+            throw new Error(`Worker ${botId} not found`);
+        }
+
+        worker.draining = draining;
+
+        // A restarting worker picks the flag up from its environment
+        if (worker.ipc) {
+            await worker.ipc.request('bot:drain', { draining });
+        }
+    }
+
+    /**
+     * Gracefully stop one worker, killing it if it does not exit in time
+     * @param {string} botId
+     */
+    async stop(botId) {
+        const worker = this.workers.get(botId);
+        if (!worker) return;
+
+        worker.stopping = true;
+        if (worker.restartTimer) {
+            clearTimeout(worker.restartTimer);
+            worker.restartTimer = null;
+        }
+
+        const child = worker.child;
+        if (!child || child.exitCode !== null || child.signalCode !== null) return;
+
+        const exited = new Promise(resolve => child.once('exit', resolve));
+
+        worker.ipc?.notify('shutdown');
+
+        const timer = setTimeout(() => {
+            this._log('warn', `Worker ${botId} did not exit in time, killing`);
+            child.kill('SIGKILL');
+        }, this.options.shutdownTimeout);
+
+        await exited;
+        clearTimeout(timer);
+    }
+
+    /**
+     * Fork the worker process
+     * @private
+     */
+    _spawn(worker) {
+        const { botConfig } = worker;
+
+        const child = fork(WORKER_PATH, [], {
+            env: {
+                ...process.env,
+                CLUSTER_BOT_ID: botConfig.id,
+                CLUSTER_BOT_DRAINING: worker.draining ? 'true' : 'false',
+            },
+        });
+
+        const ipc = new IPCChannel(child, { timeout: this.options.ipcTimeout });
+
+        for (const [type, handler] of this.handlers) {
+            ipc.handle(type, (data) => handler(data, botConfig.id));
+        }
+
+        ipc.handle('status', (status) => {
+            worker.status = status;
+        });
+
+        worker.child = child;
+        worker.ipc = ipc;
+        worker.startedAt = Date.now();
+        worker.status = null;
+
+        this._log('info', `Started worker for ${botConfig.name} (${botConfig.id}, pid ${child.pid})`);
+
+        const ready = new Promise((resolve) => {
+            const timer = setTimeout(() => {
+                this._log('warn', `Worker ${botConfig.id} did not report ready within ${this.options.startTimeout}ms`);
+                resolve(false);
+            }, this.options.startTimeout);
+
+            ipc.handle('ready', (status) => {
+                clearTimeout(timer);
+                worker.status = status;
+                this._log('success', `Worker ${botConfig.id} is ready`);
+                resolve(true);
+            });
+
+            child.once('exit', () => {
+                clearTimeout(timer);
+                resolve(false);
+            });
+        });
+
+        child.on('exit', (code, signal) => this._onExit(worker, child, code, signal));
+        child.on('error', (error) => {
+            this._log('error', `Worker ${botConfig.id} error: ${error.message}`);
+        });
+
+        return ready;
+    }
+
+    /**
+     * Restart crashed workers with exponential backoff
+     * @private
+     */
+    _onExit(worker, child, code, signal) {
+        // A newer process already replaced this one
+        if (worker.child !== child) return;
+
+        worker.ipc?.dispose();
+        worker.ipc = null;
+        worker.child = null;
+        worker.status = null;
+
+        const { botConfig } = worker;
+
+        if (worker.stopping || code === 0) {
+            this._log('info', `Worker ${botConfig.id} exited`);
+            return;
+        }
+
+        // Reset backoff if the worker had been running long enough
+        if (Date.now() - worker.startedAt >= this.options.stableAfter) {
+            worker.restarts = 0;
+        }
+
+        const delay = Math.min(
+            this.options.restartDelay * 2 ** worker.restarts,
+            this.options.maxRestartDelay
+        );
+        worker.restarts++;
+
+        this._log('error', `Worker ${botConfig.id} crashed (${signal || `code ${code}`}), restarting in ${delay}ms`);
+
+        worker.restartTimer = setTimeout(() => {
+            worker.restartTimer = null;
+            if (!worker.stopping) {
+                this._spawn(worker);
+            }
+        }, delay);
+    }
+
+    /**
+     * Helper logging function
+     * @private
+     */
+    _log(level, message) {
+        if (this.logger) {
+            this.logger[level](`[Supervisor] ${message}`);
+        } else {
+            console[level === 'success' ? 'log' : level](`[Supervisor] ${message}`);
+        }
+    }
+}
@@ -1,19 +1,38 @@
 /**
  * Orchestrator - Multi-Bot Cluster Manager
  * 
- * This is the main entry point for running multiple bot instances
- * in a single Node.js process. It manages the lifecycle of all bots,
- * initializes shared resources, and coordinates the load balancer.
+ * This is the main entry point for running multiple bot instances.
+ * It manages the lifecycle of all bots, initializes shared resources,
+ * and coordinates the load balancer.
  * 
- * Usage: node src/orchestrator.js
+ * Modes (config.cluster.mode):
+ * - process: every bot runs in this Node.js process
+ * - worker: every bot runs in its own child process (src/worker.js),
+ *   supervised and restarted on crash; cross-bot state goes over IPC
+ * - sharded: like worker mode, but every bot is sharded and each shard
+ *   runs in its own process (also started by sharder.js)
+ * 
+ * Usage: node src/orchestrator.js [--workers | --sharded]
  */
 
 import { Collection } from 'discord.js';
-import { config } from './config.js';
+import { config, reloadBotConfigs } from './config.js';
 import { BotClient } from './structures/Client.js';
 import Logger from './structures/Logger.js';
 import { initializeLavalink } from './managers/LavalinkHandler.js';
 import LoadBalancer from './managers/LoadBalancer.js';
+import { createLockBackend, MemoryLockBackend } from './managers/CommandLock.js';
+import { createStrategy } from './managers/LoadBalancingStrategy.js';
+import WorkerSupervisor from './managers/WorkerSupervisor.js';
+import ShardSupervisor from './managers/ShardSupervisor.js';
+import { describeBot, describeGuildPlayer } from './managers/ClusterIPC.js';
+import { migrationHandlers } from './managers/PlayerMigration.js';
+import { syncNodes, describeNodes } from './managers/LavalinkNodes.js';
+import { collectBotMetrics, mergeBotMetrics, renderMetrics } from './managers/Metrics.js';
+import MetricsServer from './managers/MetricsServer.js';
+import GuildAssignment from './schemas/GuildAssignment.js';
+import BotStatus from './schemas/BotStatus.js';
+import PlayerSchema from './schemas/Player.js';
 
 // Main logger for orchestrator
 const logger = new Logger({
@@ -34,82 +53,634 @@ export const botCluster = new Collection();
  */
 export let loadBalancer = null;
 
+/**
+ * Cluster mode - "process" (all bots in this process), "worker" (one process per bot)
+ * or "sharded" (one process per shard of every bot)
+ * @type {string}
+ */
+const clusterMode = process.argv.includes('--sharded') ? 'sharded'
+    : process.argv.includes('--workers') ? 'worker'
+    : config.cluster.mode;
+
+/**
+ * Worker or Shard Supervisor instance (worker and sharded modes only)
+ * @type {WorkerSupervisor|ShardSupervisor|null}
+ */
+export let supervisor = null;
+
+/**
+ * Timer reporting per-bot status in sharded mode
+ * (shards only see part of a bot, so the orchestrator writes BotStatus for them)
+ * @type {NodeJS.Timeout|null}
+ */
+let statusReportTimer = null;
+
+/**
+ * Health and Prometheus metrics HTTP server (config.metrics)
+ * @type {MetricsServer|null}
+ */
+let metricsServer = null;
+
+/**
+ * Whether startCluster finished (reported by /readyz)
+ * @type {boolean}
+ */
+let clusterStarted = false;
+
 /**
  * Command Locks - Prevents race conditions for guild commands
- * Map<guildId, { botId: string, timestamp: number }>
- * @type {Map<string, { botId: string, timestamp: number }>}
+ * Backend is chosen by config.commandLocks.backend ("memory" or "mongo")
+ * @type {import('./managers/CommandLock.js').MemoryLockBackend|import('./managers/CommandLock.js').MongoLockBackend}
  */
-const commandLocks = new Map();
+const commandLocks = createLockBackend(config.commandLocks);
 
 /**
- * Lock timeout in milliseconds (auto-release if not released)
+ * In-process locks used while the configured backend fails (e.g. MongoDB is down),
+ * so commands keep working on this host - bots on other hosts may answer the same command meanwhile
+ * @type {MemoryLockBackend}
  */
-const LOCK_TIMEOUT = 10000; // 10 seconds
+const fallbackLocks = new MemoryLockBackend(config.commandLocks);
 
 /**
  * Acquire a lock for handling a command in a guild
- * Returns true if lock acquired, false if another bot has the lock
+ * Resolves to a fencing token if acquired, null if another bot has the lock
  * @param {string} guildId 
  * @param {string} botId 
- * @returns {boolean}
- */
-function acquireCommandLock(guildId, botId) {
-    const existing = commandLocks.get(guildId);
-    const now = Date.now();
-    
-    // Check if there's an existing lock
-    if (existing) {
-        // If lock is expired, remove it
-        if (now - existing.timestamp > LOCK_TIMEOUT) {
-            commandLocks.delete(guildId);
-        } else if (existing.botId !== botId) {
-            // Another bot has the lock and it's not expired
-            return false;
-        } else {
-            // This bot already has the lock
-            return true;
-        }
+ * @returns {Promise<number|null>}
+ */
+async function acquireCommandLock(guildId, botId) {
+    try {
+        return await commandLocks.acquire(guildId, botId);
+    } catch (error) {
+        logger.warn(`Failed to acquire command lock for ${guildId}: ${error.message} - using in-process lock`);
+        return fallbackLocks.acquire(guildId, botId);
     }
-    
-    // Acquire the lock
-    commandLocks.set(guildId, { botId, timestamp: now });
-    return true;
 }
 
 /**
  * Release a command lock for a guild
  * @param {string} guildId 
  * @param {string} botId 
+ * @param {number|null} token - Only release if this token still holds the lock
  */
-function releaseCommandLock(guildId, botId) {
-    const existing = commandLocks.get(guildId);
-    if (existing && existing.botId === botId) {
-        commandLocks.delete(guildId);
+async function releaseCommandLock(guildId, botId, token = null) {
+    try {
+        await commandLocks.release(guildId, botId, token);
+    } catch (error) {
+        logger.error(`Failed to release command lock for ${guildId}: ${error.message}`);
     }
+    await fallbackLocks.release(guildId, botId, token);
 }
 
 /**
  * Check if a bot has the lock for a guild
  * @param {string} guildId 
  * @param {string} botId 
- * @returns {boolean}
+ * @returns {Promise<boolean>}
+ */
+async function hasCommandLock(guildId, botId) {
+    try {
+        return await commandLocks.has(guildId, botId);
+    } catch (error) {
+        logger.warn(`Failed to check command lock for ${guildId}: ${error.message} - using in-process lock`);
+        return fallbackLocks.has(guildId, botId);
+    }
+}
+
+/**
+ * Check that a lock token still holds a guild's lock (it didn't expire and go to another bot)
+ * @param {string} guildId 
+ * @param {number} token - From acquireCommandLock
+ * @returns {Promise<boolean>}
+ */
+async function isCommandLockCurrent(guildId, token) {
+    try {
+        return await commandLocks.isCurrent(guildId, token);
+    } catch (error) {
+        logger.warn(`Failed to check command lock for ${guildId}: ${error.message} - using in-process lock`);
+        return fallbackLocks.isCurrent(guildId, token);
+    }
+}
+
+/**
+ * Get every bot's player state in a guild (for command routing)
+ * @param {string} guildId 
+ * @returns {Promise<Array<{ botId: string, isMain: boolean, online: boolean, lavalink: boolean, voiceChannelId: string|null }>>}
  */
-function hasCommandLock(guildId, botId) {
-    const existing = commandLocks.get(guildId);
-    if (!existing) return false;
+async function getGuildPlayers(guildId) {
+    if (supervisor) {
+        return supervisor.broadcast('players:get', { guildId });
+    }
     
-    // Check if expired
-    if (Date.now() - existing.timestamp > LOCK_TIMEOUT) {
-        commandLocks.delete(guildId);
-        return false;
+    return [...botCluster.values()].map(client => describeGuildPlayer(client, guildId));
+}
+
+/**
+ * Get a status snapshot of every bot in the cluster
+ * @returns {Array<Object>}
+ */
+function getClusterStatus() {
+    if (supervisor) {
+        return [...supervisor.workers.values()].map(worker => worker.status || {
+            id: worker.botConfig.id,
+            name: worker.botConfig.name,
+            isMain: worker.botConfig.isMain,
+            online: false,
+            guilds: 0,
+            players: 0,
+            ping: -1,
+            uptime: 0,
+            lavalink: false,
+            lavalinkConnected: false,
+            draining: worker.draining,
+            pid: worker.child?.pid || null,
+        });
     }
     
-    return existing.botId === botId;
+    return [...botCluster.values()].map(client => describeBot(client));
+}
+
+/**
+ * Force assign a guild to a specific bot (admin command)
+ * @param {string} guildId 
+ * @param {string} targetBotId 
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+async function forceAssign(guildId, targetBotId) {
+    if (!supervisor) {
+        if (!loadBalancer) {
+            return { success: false, message: 'Load Balancer is not initialized' };
+        }
+        return loadBalancer.forceAssign(guildId, targetBotId);
+    }
+    
+    const worker = supervisor.workers.get(targetBotId);
+    
+    if (!worker) {
+        return { success: false, message: `Bot ${targetBotId} not found` };
+    }
+    
+    if (!worker.status?.online) {
+        return { success: false, message: `Bot ${targetBotId} is not ready` };
+    }
+    
+    await GuildAssignment.reassignGuild(
+        guildId,
+        targetBotId,
+        worker.botConfig.clientId,
+        'manual'
+    );
+    
+    return { success: true, message: `Guild assigned to ${worker.botConfig.name}` };
+}
+
+/**
+ * Time allowed for the target bot to rebuild a migrated player (in ms)
+ * Tracks without encoded data have to be searched again, which can be slow
+ */
+const MIGRATION_RESTORE_TIMEOUT = 60000;
+
+/**
+ * Run a player migration step on a bot (directly or over IPC)
+ * @param {string} botId 
+ * @param {string} type - Key of migrationHandlers
+ * @param {Object} data 
+ * @param {number} timeout - IPC timeout (worker mode only)
+ * @returns {Promise<*>}
+ */
+async function callMigrationStep(botId, type, data, timeout = config.cluster.ipcTimeout) {
+    if (supervisor) {
+        return supervisor.request(botId, type, data, timeout);
+    }
+    
+    const client = botCluster.get(botId);
+    if (!client) {
+        throw new Error(`Bot ${botId} not found`);
+    }
+    return migrationHandlers[type](client, data);
+}
+
+/**
+ * Move a guild's live player to another bot and assign the guild to it
+ * The target joins the same voice channel with the same queue, track,
+ * position, volume, loop mode and filters, then the source bot leaves
+ * @param {string} guildId 
+ * @param {string} targetBotId 
+ * @returns {Promise<{success: boolean, migrated: boolean, message: string, sourceBotId?: string, tracks?: number, filterLost?: ?string}>}
+ */
+async function migratePlayer(guildId, targetBotId) {
+    const guildPlayers = await getGuildPlayers(guildId);
+    const source = guildPlayers.find(bot => bot.voiceChannelId && bot.botId !== targetBotId);
+    
+    if (!source) {
+        return { success: true, migrated: false, message: 'No active player to move' };
+    }
+    
+    if (guildPlayers.some(bot => bot.botId === targetBotId && bot.voiceChannelId)) {
+        return { success: false, migrated: false, message: `Bot ${targetBotId} already has a player in this guild` };
+    }
+    
+    const snapshot = await callMigrationStep(source.botId, 'player:snapshot', { guildId });
+    if (!snapshot) {
+        return { success: true, migrated: false, message: 'No active player to move' };
+    }
+    
+    let restored;
+    try {
+        restored = await callMigrationStep(targetBotId, 'player:restore', { guildId, snapshot }, MIGRATION_RESTORE_TIMEOUT);
+    } catch (error) {
+        restored = { success: false, message: error.message };
+    }
+    
+    if (!restored.success) {
+        await callMigrationStep(source.botId, 'player:abort', { guildId, wasPaused: snapshot.paused })
+            .catch(error => logger.error(`Failed to resume player on ${source.botId}: ${error.message}`));
+        return { success: false, migrated: false, message: restored.message };
+    }
+    
+    // Assign before the source leaves, so its voice disconnect doesn't deactivate the guild
+    const assigned = await forceAssign(guildId, targetBotId);
+    if (assigned.success) {
+        const assignment = await GuildAssignment.findById(guildId);
+        await assignment?.activate(snapshot.voiceChannelId, snapshot.textChannelId);
+    }
+    
+    await callMigrationStep(source.botId, 'player:release', { guildId })
+        .catch(error => logger.error(`Failed to release player on ${source.botId}: ${error.message}`));
+    
+    logger.info(`Migrated player in ${guildId} from ${source.botId} to ${targetBotId}`);
+    
+    return {
+        success: true,
+        migrated: true,
+        message: restored.message,
+        sourceBotId: source.botId,
+        tracks: restored.tracks,
+        filterLost: restored.filterLost || null,
+    };
+}
+
+/**
+ * Start a bot from config.bots while the cluster is running
+ * .env is re-read first, so a newly added BOT{n}_TOKEN can be started without a restart
+ * @param {string} botId 
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+async function addBot(botId) {
+    const botConfig = reloadBotConfigs().find(bot => bot.id === botId);
+    
+    if (!botConfig) {
+        return { success: false, message: `No configuration found for ${botId} (check BOT{n}_TOKEN and BOT{n}_CLIENT_ID in .env)` };
+    }
+    
+    if (supervisor) {
+        const worker = supervisor.workers.get(botId);
+        if (worker && !worker.stopping) {
+            return { success: false, message: `Bot ${botId} is already running` };
+        }
+        
+        const started = await supervisor.start(botConfig);
+        return started
+            ? { success: true, message: `Started ${botConfig.name} in a new worker` }
+            : { success: false, message: `Worker for ${botConfig.name} failed to start` };
+    }
+    
+    if (botCluster.has(botId)) {
+        return { success: false, message: `Bot ${botId} is already running` };
+    }
+    
+    const client = await initializeBot(botConfig);
+    if (!client) {
+        return { success: false, message: `${botConfig.name} failed to start` };
+    }
+    
+    await initializeLavalinkForBot(client);
+    
+    // The load balancer shares botCluster, so the new bot is balanced from its next heartbeat
+    return { success: true, message: `Started ${botConfig.name}` };
+}
+
+/**
+ * Start or stop draining a bot
+ * A draining bot finishes its current sessions but takes no new guilds
+ * @param {string} botId 
+ * @param {boolean} draining 
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+async function drainBot(botId, draining = true) {
+    const action = draining ? 'draining' : 'no longer draining';
+    
+    if (supervisor) {
+        const worker = supervisor.workers.get(botId);
+        if (!worker) {
+            return { success: false, message: `Bot ${botId} not found` };
+        }
+        
+        await supervisor.setDraining(botId, draining);
+        return { success: true, message: `${worker.botConfig.name} is ${action}` };
+    }
+    
+    const client = botCluster.get(botId);
+    if (!client) {
+        return { success: false, message: `Bot ${botId} not found` };
+    }
+    
+    await client.setDraining(draining);
+    return { success: true, message: `${client.botName} is ${action}` };
+}
+
+/**
+ * Shut a bot down cleanly and remove it from the cluster
+ * Refuses while the bot still has players, unless forced
+ * @param {string} botId 
+ * @param {boolean} force - Stop even if players are active (with resuming enabled
+ *   their sessions move to the other bots, otherwise they are destroyed)
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+async function removeBot(botId, force = false) {
+    const bot = getClusterStatus().find(status => status.id === botId);
+    
+    if (!bot) {
+        return { success: false, message: `Bot ${botId} not found` };
+    }
+    
+    if (bot.isMain) {
+        return { success: false, message: 'The Main Bot handles every non-music command and cannot be removed' };
+    }
+    
+    if (bot.players > 0 && !force) {
+        return { success: false, message: `${bot.name} still has ${bot.players} active player(s). Drain it and wait, or force the removal` };
+    }
+    
+    if (supervisor) {
+        await supervisor.remove(botId);
+    } else {
+        const client = botCluster.get(botId);
+        botCluster.delete(botId);
+        await client.shutdown();
+    }
+    
+    logger.warn(`Removed ${bot.name} (${botId}) from the cluster`);
+    
+    // Sessions the bot saved while shutting down
+    if (bot.players > 0) {
+        await resumeSuspendedSessions();
+    }
+    
+    return { success: true, message: `${bot.name} was shut down and removed from the cluster` };
+}
+
+/**
+ * Strategy for placing sessions when no load balancer runs in this process
+ * (worker and sharded modes)
+ * @type {Object|null}
+ */
+let placementStrategy = null;
+
+/**
+ * How long a placed guild keeps its bot before a command may place it again,
+ * enough for the placed bot to join voice and activate the assignment
+ */
+const PLACEMENT_WINDOW = 15000;
+
+/**
+ * Running placements by guild, so bots asking at the same time get the same answer
+ * @type {Map<string, Promise<string|null>>}
+ */
+const placements = new Map();
+
+/**
+ * Pick the bot a session goes to, using the load balancing strategy
+ * Candidates are online bots in the guild with Lavalink and no player there
+ * @param {string} guildId 
+ * @param {Map<string, number>} [placed] - Sessions already placed per bot that the player counts don't show yet
+ * @param {Array<Object>} [guildPlayers] - From getGuildPlayers, if already looked up
+ * @returns {Promise<string|null>} Bot ID
+ */
+async function selectBot(guildId, placed = new Map(), guildPlayers = null) {
+    const clusterStatus = getClusterStatus();
+    guildPlayers ??= await getGuildPlayers(guildId);
+    
+    const candidates = guildPlayers
+        .filter(bot => bot.online && bot.lavalink && bot.inGuild && !bot.draining && !bot.voiceChannelId)
+        .map(bot => ({
+            botId: bot.botId,
+            // Bots in other processes are only known by their status
+            client: botCluster.get(bot.botId) || { isMainBot: bot.isMain },
+            playerCount: (clusterStatus.find(status => status.id === bot.botId)?.players || 0) + (placed.get(bot.botId) || 0),
+            status: null,
+        }));
+    
+    if (candidates.length === 0) return null;
+    
+    if (!loadBalancer && !placementStrategy) {
+        try {
+            placementStrategy = createStrategy(config.loadBalancing);
+        } catch (error) {
+            logger.warn(`${error.message}, placing sessions with "priority"`);
+            placementStrategy = createStrategy({ ...config.loadBalancing, strategy: 'priority' });
+        }
+    }
+    const strategy = loadBalancer?.strategy || placementStrategy;
+    
+    if (strategy.usesMetrics) {
+        const statuses = await BotStatus.find({ _id: { $in: candidates.map(candidate => candidate.botId) } });
+        for (const candidate of candidates) {
+            candidate.status = statuses.find(status => status._id === candidate.botId) || null;
+        }
+    }
+    
+    const withCapacity = candidates.filter(candidate => candidate.playerCount < config.loadBalancing.maxPlayersPerBot);
+    return strategy.select(withCapacity.length > 0 ? withCapacity : candidates)?.botId || null;
+}
+
+/**
+ * Pick the bot that starts music in a guild no bot is playing in, using the load balancing strategy
+ * The choice is claimed in the guild's assignment, so every bot that sees the command
+ * (and other orchestrators) gets the same answer
+ * @param {string} guildId 
+ * @param {string} voiceChannelId - Voice channel of the member running the command
+ * @returns {Promise<string|null>} Bot ID, or null to leave it to the bots' own routing
+ *   (a bot already plays in the guild, the command comes from another voice channel than
+ *   a fresh placement, or no bot is free)
+ */
+function placeSession(guildId, voiceChannelId) {
+    if (!config.loadBalancing.enabled) return Promise.resolve(null);
+    
+    const key = `${guildId}:${voiceChannelId}`;
+    if (placements.has(key)) return placements.get(key);
+    
+    const placement = (async () => {
+        const guildPlayers = await getGuildPlayers(guildId);
+        if (guildPlayers.some(bot => bot.voiceChannelId)) return null;
+        
+        // Placed by an earlier command whose bot hasn't joined voice yet
+        const placedBefore = new Date(Date.now() - PLACEMENT_WINDOW);
+        const existing = await GuildAssignment.findById(guildId);
+        if (existing && existing.assignedAt > placedBefore) {
+            return existing.voiceChannelId === voiceChannelId ? existing.assignedBotId : null;
+        }
+        
+        const botId = await selectBot(guildId, new Map(), guildPlayers);
+        if (!botId) return null;
+        
+        const botConfig = config.bots.find(bot => bot.id === botId);
+        const claimed = await GuildAssignment.claimPlacement(guildId, botId, botConfig.clientId, voiceChannelId, placedBefore);
+        if (claimed) {
+            logger.info(`Placed guild ${guildId} on ${botId} (strategy: ${(loadBalancer?.strategy || placementStrategy).name})`);
+            return botId;
+        }
+        
+        // Another orchestrator placed the guild first
+        const current = await GuildAssignment.findById(guildId);
+        return current?.voiceChannelId === voiceChannelId ? current.assignedBotId : null;
+    })()
+        .catch(error => {
+            logger.error(`Failed to place guild ${guildId}: ${error.message}`);
+            return null;
+        })
+        .finally(() => placements.delete(key));
+    
+    placements.set(key, placement);
+    return placement;
+}
+
+/**
+ * Resume the sessions bots saved on graceful shutdown
+ * Each session goes to whichever bot the load balancer picks, so sessions of
+ * bots that are no longer configured come back too
+ */
+async function resumeSuspendedSessions() {
+    if (!config.lavalink.resuming?.enabled || BotStatus.db.readyState !== 1) return;
+    
+    let sessions;
+    try {
+        sessions = await PlayerSchema.findSuspended();
+    } catch (error) {
+        logger.error(`Failed to load suspended sessions: ${error.message}`);
+        return;
+    }
+    
+    if (sessions.length === 0) return;
+    logger.info(`Resuming ${sessions.length} session(s) saved on shutdown...`);
+    
+    const resumed = new Map();
+    
+    for (const session of sessions) {
+        const guildId = session._id;
+        
+        try {
+            if (Date.now() - session.lastUpdated.getTime() > config.lavalink.resuming.maxSessionAge) {
+                logger.warn(`Session in guild ${guildId} is too old to resume`);
+                await PlayerSchema.markDestroyed(guildId);
+                continue;
+            }
+            
+            const botId = await selectBot(guildId, resumed);
+            if (!botId) {
+                logger.warn(`No bot can resume the session in guild ${guildId}`);
+                await PlayerSchema.markDestroyed(guildId);
+                continue;
+            }
+            
+            // Another orchestrator may be resuming the same sessions
+            const claimed = await PlayerSchema.claimSuspended(guildId, botId, session.lastUpdated);
+            if (!claimed) continue;
+            
+            const snapshot = { ...claimed.toObject(), guildId };
+            const restored = await callMigrationStep(botId, 'player:restore', { guildId, snapshot }, MIGRATION_RESTORE_TIMEOUT)
+                .catch(error => ({ success: false, message: error.message }));
+            
+            if (!restored.success) {
+                logger.warn(`Could not resume the session in guild ${guildId} on ${botId}: ${restored.message}`);
+                await PlayerSchema.markDestroyed(guildId);
+                continue;
+            }
+            
+            await PlayerSchema.markResumed(guildId);
+            
+            const botConfig = config.bots.find(bot => bot.id === botId);
+            const assignment = await GuildAssignment.reassignGuild(guildId, botId, botConfig.clientId, 'auto');
+            await assignment.activate(claimed.voiceChannelId, claimed.textChannelId);
+            
+            resumed.set(botId, (resumed.get(botId) || 0) + 1);
+            logger.success(`Resumed session in guild ${guildId} on ${botId}${botId !== session.botId ? ` (was on ${session.botId})` : ''}`);
+        } catch (error) {
+            logger.error(`Failed to resume session in guild ${guildId}: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Time allowed for a bot to apply node changes (in ms)
+ * Leaving a node moves its players first
+ */
+const NODE_SYNC_TIMEOUT = 60000;
+
+/**
+ * Make every bot apply the stored Lavalink node list
+ * (connect to added or re-enabled nodes, leave disabled or removed ones)
+ * In sharded mode every shard has its own Lavalink manager and reports separately
+ * @returns {Promise<Array<{botId: string, added: Array<string>, removed: Array<string>}>>}
+ */
+async function syncLavalinkNodes() {
+    if (supervisor) {
+        return supervisor.broadcast('nodes:apply', null, NODE_SYNC_TIMEOUT);
+    }
+    
+    return Promise.all([...botCluster.values()].map(client => syncNodes(client)));
+}
+
+/**
+ * Get every bot's view of its Lavalink nodes (connection, players and node stats)
+ * @returns {Promise<Array<{botId: string, nodes: Array<Object>}>>}
+ */
+async function getLavalinkNodes() {
+    if (supervisor) {
+        return supervisor.broadcast('nodes:get');
+    }
+    
+    return [...botCluster.values()].map(client => describeNodes(client));
+}
+
+/**
+ * Render every bot's metrics for /metrics
+ * @returns {Promise<string>} Prometheus text format
+ */
+async function collectMetrics() {
+    const reports = supervisor
+        ? await supervisor.broadcast('metrics:get')
+        : [...botCluster.values()].map(client => collectBotMetrics(client));
+    
+    return renderMetrics({
+        bots: mergeBotMetrics(reports, getClusterStatus()),
+        mongoConnected: BotStatus.db.readyState === 1,
+    });
+}
+
+/**
+ * Readiness for /readyz: the cluster started, MongoDB is reachable (when configured)
+ * and the Main Bot is online
+ * @returns {Promise<{ready: boolean, checks: Object}>}
+ */
+async function checkReady() {
+    const bots = getClusterStatus();
+    const mainBot = bots.find(bot => bot.isMain);
+    
+    const checks = {
+        started: clusterStarted,
+        mongodb: !config.mongourl || BotStatus.db.readyState === 1,
+        mainBot: !!mainBot?.online,
+        botsOnline: `${bots.filter(bot => bot.online).length}/${bots.length}`,
+    };
+    
+    return { ready: checks.started && checks.mongodb && checks.mainBot, checks };
 }
 
 /**
  * Global orchestrator reference for cross-bot communication
  * Used by event handlers to check other bots' status
+ * (workers install an IPC-backed version with the same API, see src/worker.js)
  */
 global.orchestrator = {
     bots: botCluster,
@@ -117,6 +688,18 @@ global.orchestrator = {
     acquireCommandLock,
     releaseCommandLock,
     hasCommandLock,
+    isCommandLockCurrent,
+    commandLocks,
+    getGuildPlayers,
+    placeSession,
+    getClusterStatus: async () => getClusterStatus(),
+    forceAssign,
+    migratePlayer,
+    addBot,
+    removeBot,
+    drainBot,
+    syncLavalinkNodes,
+    getLavalinkNodes,
 };
 
 /**
@@ -188,16 +771,26 @@ async function initializeLavalinkForCluster() {
     }
     
     for (const [botId, client] of botCluster) {
-        try {
-            await initializeLavalink(client, config);
-            
-            // Load Lavalink events after initialization
-            await client.loadLavalinkEvents();
-            
-            logger.success(`Lavalink initialized for ${client.botName}`);
-        } catch (error) {
-            logger.error(`Failed to initialize Lavalink for ${client.botName}: ${error.message}`);
-        }
+        await initializeLavalinkForBot(client);
+    }
+}
+
+/**
+ * Initialize Lavalink for one bot
+ * @param {BotClient} client 
+ */
+async function initializeLavalinkForBot(client) {
+    if (!config.lavalink.nodes || config.lavalink.nodes.length === 0) return;
+    
+    try {
+        await initializeLavalink(client, config);
+        
+        // Load Lavalink events after initialization
+        await client.loadLavalinkEvents();
+        
+        logger.success(`Lavalink initialized for ${client.botName}`);
+    } catch (error) {
+        logger.error(`Failed to initialize Lavalink for ${client.botName}: ${error.message}`);
     }
 }
 
@@ -232,11 +825,46 @@ async function startCluster() {
         process.exit(1);
     }
     
-    logger.info(`Found ${config.bots.length} bot(s) to initialize`);
+    logger.info(`Found ${config.bots.length} bot(s) to initialize (${clusterMode} mode)`);
     
     // Connect to MongoDB first (shared connection)
     await initializeMongoDB();
     
+    if (commandLocks.name === 'mongo' && !mongoConnected) {
+        logger.warn('Command lock backend is "mongo" but MongoDB is not connected - using in-process locks until it is');
+    }
+    logger.info(`Command lock backend: ${commandLocks.name}`);
+    
+    // Serve /healthz right away; /readyz reports ready once startup finishes
+    if (config.metrics.enabled) {
+        metricsServer = new MetricsServer(config.metrics, logger, { collect: collectMetrics, checkReady });
+        await metricsServer.start();
+    }
+    
+    if (clusterMode === 'worker') {
+        await startWorkers();
+    } else if (clusterMode === 'sharded') {
+        await startSharded();
+    } else {
+        await startInProcess();
+    }
+    
+    // Print cluster status
+    printClusterStatus();
+    clusterStarted = true;
+    
+    logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    logger.ready('Cluster is fully operational!');
+    logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    
+    // Bring back the sessions saved by the last graceful shutdown
+    await resumeSuspendedSessions();
+}
+
+/**
+ * Start every bot in this process
+ */
+async function startInProcess() {
     // Initialize all bots
     const initPromises = config.bots.map(botConfig => initializeBot(botConfig));
     const results = await Promise.allSettled(initPromises);
@@ -256,13 +884,111 @@ async function startCluster() {
     
     // Initialize Load Balancer
     await initializeLoadBalancer();
+}
+
+/**
+ * Start every bot in its own worker process
+ * Each worker runs its own Lavalink manager and heartbeat
+ */
+async function startWorkers() {
+    supervisor = new WorkerSupervisor(config.cluster, logger);
+    registerSupervisorHandlers();
     
-    // Print cluster status
-    printClusterStatus();
+    const successCount = await startSupervisedBots();
+    logger.info(`Successfully started ${successCount}/${config.bots.length} worker(s)`);
+}
+
+/**
+ * Start every bot sharded, one process per shard
+ * Shard counts come from BOT{n}_SHARDS or TOTAL_SHARDS ("auto" asks Discord)
+ */
+async function startSharded() {
+    supervisor = new ShardSupervisor(config.cluster, logger);
+    registerSupervisorHandlers();
     
-    logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-    logger.ready('Cluster is fully operational!');
-    logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    const successCount = await startSupervisedBots();
+    logger.info(`Successfully sharded ${successCount}/${config.bots.length} bot(s)`);
+    
+    statusReportTimer = setInterval(() => reportShardedStatus(), config.loadBalancing.heartbeatInterval);
+    await reportShardedStatus();
+}
+
+/**
+ * Answer requests from workers and shards
+ */
+function registerSupervisorHandlers() {
+    supervisor
+        .handle('lock:acquire', ({ guildId, botId }) => acquireCommandLock(guildId, botId))
+        .handle('lock:release', ({ guildId, botId, token }) => releaseCommandLock(guildId, botId, token))
+        .handle('lock:has', ({ guildId, botId }) => hasCommandLock(guildId, botId))
+        .handle('lock:current', ({ guildId, token }) => isCommandLockCurrent(guildId, token))
+        .handle('players:lookup', ({ guildId }) => getGuildPlayers(guildId))
+        .handle('session:place', ({ guildId, voiceChannelId }) => placeSession(guildId, voiceChannelId))
+        .handle('cluster:status', () => getClusterStatus())
+        .handle('assign:force', ({ guildId, targetBotId }) => forceAssign(guildId, targetBotId))
+        .handle('player:migrate', ({ guildId, targetBotId }) => migratePlayer(guildId, targetBotId))
+        .handle('cluster:add', ({ botId }) => addBot(botId))
+        .handle('cluster:remove', ({ botId, force }) => removeBot(botId, force))
+        .handle('cluster:drain', ({ botId, draining }) => drainBot(botId, draining))
+        .handle('nodes:sync', () => syncLavalinkNodes())
+        .handle('nodes:lookup', () => getLavalinkNodes());
+}
+
+/**
+ * Start every configured bot under the supervisor, exiting if none start
+ * @returns {Promise<number>} Number of bots started
+ */
+async function startSupervisedBots() {
+    const validBots = config.bots.filter(botConfig => {
+        if (!botConfig.token || !botConfig.clientId) {
+            logger.warn(`Skipping bot ${botConfig.id}: Missing token or clientId`);
+            return false;
+        }
+        return true;
+    });
+    
+    const results = await Promise.all(validBots.map(botConfig => supervisor.start(botConfig)));
+    const successCount = results.filter(Boolean).length;
+    
+    if (successCount === 0) {
+        logger.error('No workers were successfully started!');
+        await supervisor.stopAll();
+        process.exit(1);
+    }
+    
+    return successCount;
+}
+
+/**
+ * Write each sharded bot's combined status to BotStatus
+ * @param {boolean} offline - Report every bot offline (shutdown)
+ */
+async function reportShardedStatus(offline = false) {
+    if (!mongoConnected || !(supervisor instanceof ShardSupervisor)) return;
+    
+    for (const worker of supervisor.workers.values()) {
+        const bot = worker.status;
+        const online = !offline && !!bot?.online;
+        
+        try {
+            await BotStatus.updateHeartbeat(worker.botConfig.id, {
+                status: !online ? 'Offline' : bot.players > 0 ? 'InUse' : 'Available',
+                name: worker.botConfig.name,
+                clientId: worker.botConfig.clientId,
+                isMain: worker.botConfig.isMain,
+                playerCount: bot?.players || 0,
+                guildCount: bot?.guilds || 0,
+                memoryUsage: bot?.memoryUsage || 0,
+                cpuUsage: bot?.cpuUsage || 0,
+                uptime: bot?.uptime || 0,
+                ping: bot?.ping || 0,
+                lavalinkConnected: !!bot?.lavalinkConnected,
+                draining: worker.draining,
+            });
+        } catch (error) {
+            logger.error(`Failed to report status for ${worker.botConfig.id}: ${error.message}`);
+        }
+    }
 }
 
 /**
@@ -274,15 +1000,17 @@ function printClusterStatus() {
     logger.info('│              Cluster Status                 │');
     logger.info('├─────────────────────────────────────────────┤');
     
-    for (const [botId, client] of botCluster) {
-        const status = client.isReady() ? '🟢 Online' : '🔴 Offline';
-        const main = client.isMainBot ? ' (Main)' : '';
-        const guilds = client.guilds.cache.size;
-        const lavalink = client.lavalink ? '✓' : '✗';
+    for (const bot of getClusterStatus()) {
+        const status = bot.online ? '🟢 Online' : '🔴 Offline';
+        const main = bot.isMain ? ' (Main)' : '';
+        const lavalink = bot.lavalink ? '✓' : '✗';
+        const pid = bot.shards ? ` | Shards: ${bot.shards}`
+            : supervisor ? ` | PID: ${bot.pid || '-'}`
+            : '';
         
-        logger.info(`│ ${client.botName}${main}`);
+        logger.info(`│ ${bot.name}${main}`);
         logger.info(`│   Status: ${status}`);
-        logger.info(`│   Guilds: ${guilds} | Lavalink: ${lavalink}`);
+        logger.info(`│   Guilds: ${bot.guilds} | Lavalink: ${lavalink}${pid}`);
         logger.info('├─────────────────────────────────────────────┤');
     }
     
@@ -296,18 +1024,32 @@ function printClusterStatus() {
 async function gracefulShutdown(signal) {
     logger.warn(`Received ${signal}, initiating graceful shutdown...`);
     
+    clusterStarted = false;
+    
     // Stop heartbeat
     if (loadBalancer) {
         loadBalancer.stopHeartbeat();
     }
     
     // Shutdown all bots
-    const shutdownPromises = [];
-    for (const [botId, client] of botCluster) {
-        shutdownPromises.push(client.shutdown());
+    if (supervisor) {
+        if (statusReportTimer) {
+            clearInterval(statusReportTimer);
+        }
+        await supervisor.stopAll();
+        await reportShardedStatus(true);
+    } else {
+        const shutdownPromises = [];
+        for (const [botId, client] of botCluster) {
+            shutdownPromises.push(client.shutdown());
+        }
+        
+        await Promise.allSettled(shutdownPromises);
     }
     
-    await Promise.allSettled(shutdownPromises);
+    if (metricsServer) {
+        await metricsServer.stop();
+    }
     
     // Close MongoDB connection
     if (mongoConnected) {
@@ -31,6 +31,12 @@ const BotStatusSchema = new Schema({
         default: 'Offline',
     },
     
+    // Whether the bot is draining (finishes current sessions, takes no new guilds)
+    draining: {
+        type: Boolean,
+        default: false,
+    },
+    
     // Whether this is the main/primary bot
     isMain: {
         type: Boolean,
@@ -146,6 +152,12 @@ BotStatusSchema.statics.markStaleBotsOffline = async function(staleThreshold = 6
     );
 };
 
+// Static method to find bots whose heartbeat is stale (presumed dead)
+BotStatusSchema.statics.findStaleBots = function(staleThreshold = 60000) {
+    const staleTime = new Date(Date.now() - staleThreshold);
+    return this.find({ lastHeartbeat: { $lt: staleTime } }).exec();
+};
+
 // Instance method to update player count
 BotStatusSchema.methods.incrementPlayerCount = async function() {
     this.playerCount += 1;
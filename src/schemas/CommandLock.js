@@ -0,0 +1,98 @@
+import pkg from 'mongoose';
+const { Schema, model, models } = pkg;
+
+/**
+ * Command Lock Schema
+ * Shared guild command locks so bots on different hosts agree on
+ * which one answers a command
+ */
+const CommandLockSchema = new Schema({
+    // Guild ID as the primary key
+    _id: {
+        type: String,
+        required: true,
+    },
+
+    // Bot ID currently holding the lock
+    botId: {
+        type: String,
+        required: true,
+    },
+
+    // Fencing token, incremented every time the lock changes hands
+    token: {
+        type: Number,
+        default: 0,
+    },
+
+    // When the lock expires and may be taken over
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+
+}, {
+    timestamps: true,
+});
+
+// Documents are kept after release so the fencing token keeps increasing
+CommandLockSchema.index({ expiresAt: 1 });
+
+/**
+ * Try to take the lock for a guild
+ * Re-acquiring a held lock extends it without changing the token
+ * @param {string} guildId
+ * @param {string} botId
+ * @param {number} timeout - Lock lifetime in milliseconds
+ * @returns {Promise<number|null>} Fencing token, or null if another bot holds the lock
+ */
+CommandLockSchema.statics.acquire = async function(guildId, botId, timeout) {
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + timeout);
+
+    // Extend our own unexpired lock
+    const extended = await this.findOneAndUpdate(
+        { _id: guildId, botId, expiresAt: { $gt: now } },
+        { $set: { expiresAt } },
+        { new: true }
+    );
+    if (extended) return extended.token;
+
+    // Take over a free or expired lock (or create it)
+    try {
+        const taken = await this.findOneAndUpdate(
+            { _id: guildId, expiresAt: { $lte: now } },
+            { $set: { botId, expiresAt }, $inc: { token: 1 } },
+            { upsert: true, new: true }
+        );
+        return taken.token;
+    } catch (error) {
+        // Duplicate key: the document exists and is held by someone else
+        if (error.code === 11000) return null;
+        throw error;
+    }
+};
+
+/**
+ * Release the lock if it is still held by the given bot (and token)
+ * @param {string} guildId
+ * @param {string} botId
+ * @param {number|null} token
+ */
+CommandLockSchema.statics.release = async function(guildId, botId, token = null) {
+    const query = { _id: guildId, botId };
+    if (token !== null && token !== undefined) {
+        query.token = token;
+    }
+    return this.updateOne(query, { $set: { expiresAt: new Date() } });
+};
+
+/**
+ * Get the unexpired lock for a guild
+ * @param {string} guildId
+ */
+CommandLockSchema.statics.findHeld = function(guildId) {
+    return this.findOne({ _id: guildId, expiresAt: { $gt: new Date() } }).exec();
+};
+
+export default models.CommandLock || model('CommandLock', CommandLockSchema);
@@ -16,6 +16,8 @@ const FavoriteSchema = new Schema({
         uri: { type: String, required: true },
         duration: { type: Number, default: 0 },
         artworkUrl: { type: String },
+        // Encoded Lavalink track, decoded on load instead of searching the URI again
+        encoded: { type: String, default: null },
         addedAt: { type: Date, default: Date.now }
     }],
     
@@ -47,6 +49,7 @@ FavoriteSchema.methods.addTrack = async function(track) {
         uri: track.uri,
         duration: track.duration || 0,
         artworkUrl: track.artworkUrl || null,
+        encoded: track.encoded || null,
         addedAt: new Date()
     });
     
@@ -83,6 +86,21 @@ FavoriteSchema.methods.removeTrackByUri = async function(uri) {
     return { success: true, message: `Removed "${removed.title}" from favorites!`, track: removed };
 };
 
+// Store encoded tracks for entries saved without one (matched by URI)
+FavoriteSchema.methods.backfillEncoded = async function(tracks) {
+    let changed = false;
+    for (const { uri, encoded } of tracks) {
+        const entry = this.tracks.find(t => t.uri === uri);
+        if (entry && encoded && entry.encoded !== encoded) {
+            entry.encoded = encoded;
+            changed = true;
+        }
+    }
+    
+    if (changed) await this.save();
+    return changed;
+};
+
 // Check if a track is in favorites
 FavoriteSchema.methods.hasTrack = function(uri) {
     return this.tracks.some(t => t.uri === uri);
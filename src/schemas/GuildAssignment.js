@@ -128,6 +128,48 @@ GuildAssignmentSchema.statics.reassignGuild = async function(guildId, newBotId,
     });
 };
 
+// Static method to take over a dead bot's assignment (only one bot can win the claim)
+GuildAssignmentSchema.statics.claimForFailover = async function(guildId, fromBotId, toBotId, toClientId) {
+    return this.findOneAndUpdate(
+        { _id: guildId, assignedBotId: fromBotId },
+        {
+            $set: {
+                previousBotId: fromBotId,
+                assignedBotId: toBotId,
+                assignedClientId: toClientId,
+                assignmentReason: 'failover',
+                assignedAt: new Date(),
+            }
+        },
+        { new: true }
+    );
+};
+
+// Static method to place a guild on a bot for a new session (only one placement wins per window)
+GuildAssignmentSchema.statics.claimPlacement = async function(guildId, botId, clientId, voiceChannelId, placedBefore) {
+    try {
+        return await this.findOneAndUpdate(
+            { _id: guildId, assignedAt: { $lt: placedBefore } },
+            {
+                $set: {
+                    assignedBotId: botId,
+                    assignedClientId: clientId,
+                    voiceChannelId,
+                    isActive: false,
+                    assignmentReason: 'auto',
+                    assignedAt: new Date(),
+                    lastActivity: new Date(),
+                }
+            },
+            { new: true, upsert: true }
+        );
+    } catch (error) {
+        // The guild was placed in the meantime, so the upsert ran into its assignment
+        if (error.code === 11000) return null;
+        throw error;
+    }
+};
+
 // Static method to release inactive assignments after timeout
 GuildAssignmentSchema.statics.releaseInactiveAssignments = async function(inactiveThreshold = 300000) {
     const inactiveTime = new Date(Date.now() - inactiveThreshold);
@@ -0,0 +1,46 @@
+/**
+ * Guild Settings Schema
+ * Per-guild player and message settings, edited with the /settings panel
+ * Read through managers/GuildSettings.js, which caches them
+ */
+
+import pkg from 'mongoose';
+const { Schema, model } = pkg;
+
+const GuildSettingsSchema = new Schema({
+    _id: { type: String, required: true }, // guildId
+
+    // Volume new players start at (null = the bot's default volume)
+    defaultVolume: { type: Number, default: null, min: 0, max: 150 },
+
+    // Highest volume members can set
+    maxVolume: { type: Number, default: 150, min: 1, max: 150 },
+
+    // How long the bot waits in an empty queue or an empty channel before leaving, in ms
+    autoLeaveDelay: { type: Number, default: 30000, min: 0, max: 3600000 },
+
+    // Channel for now playing and queue messages (null = the channel music was started from)
+    announceChannelId: { type: String, default: null },
+
+    // Search prefix for plain-text queries, e.g. ytmsearch (null = the bot's default platform)
+    searchSource: { type: String, default: null },
+
+    // full (artwork and every control), compact (no artwork, main controls) or minimal (text only)
+    nowPlayingStyle: { type: String, enum: ['full', 'compact', 'minimal'], default: 'full' },
+
+    // Delete the now playing message when its track ends
+    deleteNowPlaying: { type: Boolean, default: true },
+
+    // Song request channel set with /setup: messages in it are played (null = none)
+    requestChannelId: { type: String, default: null },
+
+    // The request channel's player panel message
+    requestMessageId: { type: String, default: null },
+
+    // Language of the bot's localized messages, e.g. fil (null = each member's Discord language)
+    language: { type: String, default: null },
+}, {
+    timestamps: true, // Adds createdAt and updatedAt
+});
+
+export default model('GuildSettings', GuildSettingsSchema);
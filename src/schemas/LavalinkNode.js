@@ -0,0 +1,157 @@
+import pkg from 'mongoose';
+const { Schema, model, models } = pkg;
+
+/**
+ * Lavalink Node Schema
+ * The cluster's Lavalink node list, shared by every bot and kept across restarts
+ * Nodes from LAVALINK_HOST_{n} are seeded on first start, the rest are added with /node
+ */
+const LavalinkNodeSchema = new Schema({
+    // Node identifier (e.g., "node-1")
+    _id: {
+        type: String,
+        required: true,
+    },
+
+    // Connection settings
+    host: {
+        type: String,
+        required: true,
+    },
+
+    port: {
+        type: Number,
+        default: 2333,
+    },
+
+    authorization: {
+        type: String,
+        default: 'youshallnotpass',
+    },
+
+    secure: {
+        type: Boolean,
+        default: false,
+    },
+
+    retryAmount: {
+        type: Number,
+        default: 5,
+    },
+
+    retryDelay: {
+        type: Number,
+        default: 3000,
+    },
+
+    // Disabled nodes stay in the list but no bot connects to them
+    disabled: {
+        type: Boolean,
+        default: false,
+    },
+
+    // Removed nodes are kept so env nodes are not seeded again on restart
+    removed: {
+        type: Boolean,
+        default: false,
+    },
+
+    // Where the node came from: "env" (LAVALINK_HOST_{n}) or "command" (/node add)
+    source: {
+        type: String,
+        enum: ['env', 'command'],
+        default: 'command',
+    },
+
+    // User ID of whoever last changed the node
+    updatedBy: {
+        type: String,
+        default: null,
+    },
+
+}, {
+    timestamps: true, // Adds createdAt and updatedAt
+});
+
+// Static method to add the configured env nodes that are not stored yet
+LavalinkNodeSchema.statics.seedFromConfig = async function(nodes) {
+    if (!nodes?.length) return;
+
+    await this.bulkWrite(nodes.map(node => ({
+        updateOne: {
+            filter: { _id: node.id },
+            update: {
+                $setOnInsert: {
+                    host: node.host,
+                    port: node.port,
+                    authorization: node.authorization,
+                    secure: node.secure || false,
+                    retryAmount: node.retryAmount || 5,
+                    retryDelay: node.retryDelay || 3000,
+                    source: 'env',
+                },
+            },
+            upsert: true,
+        },
+    })));
+};
+
+// Static method to get every node that has not been removed
+LavalinkNodeSchema.statics.findListed = function() {
+    return this.find({ removed: false }).sort({ _id: 1 }).exec();
+};
+
+// Static method to get the nodes bots should connect to
+LavalinkNodeSchema.statics.findEnabled = function() {
+    return this.find({ removed: false, disabled: false }).sort({ _id: 1 }).exec();
+};
+
+// Static method to add a node, or replace the settings of an existing one
+LavalinkNodeSchema.statics.addNode = async function(nodeId, settings, userId = null) {
+    return this.findByIdAndUpdate(
+        nodeId,
+        {
+            $set: {
+                ...settings,
+                disabled: false,
+                removed: false,
+                updatedBy: userId,
+            },
+            $setOnInsert: { source: 'command' },
+        },
+        { upsert: true, new: true }
+    );
+};
+
+// Static method to remove a node from the list
+LavalinkNodeSchema.statics.removeNode = async function(nodeId, userId = null) {
+    return this.findOneAndUpdate(
+        { _id: nodeId, removed: false },
+        { $set: { removed: true, updatedBy: userId } },
+        { new: true }
+    );
+};
+
+// Static method to disable or re-enable a node
+LavalinkNodeSchema.statics.setDisabled = async function(nodeId, disabled, userId = null) {
+    return this.findOneAndUpdate(
+        { _id: nodeId, removed: false },
+        { $set: { disabled, updatedBy: userId } },
+        { new: true }
+    );
+};
+
+// Instance method to get the node options used by LavalinkManager
+LavalinkNodeSchema.methods.toNodeOptions = function() {
+    return {
+        id: this._id,
+        host: this.host,
+        port: this.port,
+        authorization: this.authorization,
+        secure: this.secure,
+        retryAmount: this.retryAmount,
+        retryDelay: this.retryDelay,
+    };
+};
+
+export default models.LavalinkNode || model('LavalinkNode', LavalinkNodeSchema);
@@ -0,0 +1,85 @@
+import pkg from 'mongoose';
+const { Schema, model, models } = pkg;
+
+/**
+ * Lyrics Cache Schema
+ * Provider results shared by every bot, so a song is only looked up once
+ * Misses are cached too (found: false), for a shorter time
+ */
+const LyricsCacheSchema = new Schema({
+    // Normalized "artist - title" of the cleaned up track title
+    _id: {
+        type: String,
+        required: true,
+    },
+
+    found: {
+        type: Boolean,
+        default: true,
+    },
+
+    title: {
+        type: String,
+        default: null,
+    },
+
+    artist: {
+        type: String,
+        default: null,
+    },
+
+    // Where the lyrics came from (e.g., "Genius", "Local files")
+    provider: {
+        type: String,
+        default: null,
+    },
+
+    // Whether the lines have timestamps
+    synced: {
+        type: Boolean,
+        default: false,
+    },
+
+    // Lyrics lines, time in ms (null for unsynced lyrics)
+    lines: [{
+        _id: false,
+        time: { type: Number, default: null },
+        text: { type: String, default: '' },
+    }],
+
+    // Removed by MongoDB once passed
+    expiresAt: {
+        type: Date,
+        required: true,
+        expires: 0,
+    },
+
+}, {
+    timestamps: true, // Adds createdAt and updatedAt
+});
+
+// Static method to get a cached result that has not expired yet
+LyricsCacheSchema.statics.findCached = function(key) {
+    return this.findOne({ _id: key, expiresAt: { $gt: new Date() } }).lean().exec();
+};
+
+// Static method to cache a provider result (null caches a miss)
+LyricsCacheSchema.statics.store = async function(key, lyrics, ttl) {
+    return this.findByIdAndUpdate(
+        key,
+        {
+            $set: {
+                found: !!lyrics,
+                title: lyrics?.title || null,
+                artist: lyrics?.artist || null,
+                provider: lyrics?.provider || null,
+                synced: lyrics?.synced || false,
+                lines: lyrics?.lines || [],
+                expiresAt: new Date(Date.now() + ttl),
+            },
+        },
+        { upsert: true, new: true }
+    );
+};
+
+export default models.LyricsCache || model('LyricsCache', LyricsCacheSchema);
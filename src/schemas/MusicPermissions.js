@@ -0,0 +1,70 @@
+/**
+ * Music Permissions Schema
+ * Per-guild DJ role and the roles music commands and now playing buttons are restricted to
+ * Configured with /permissions, see managers/MusicPermissions.js for how it applies
+ */
+
+import pkg from 'mongoose';
+const { Schema, model, models } = pkg;
+
+const MusicPermissionsSchema = new Schema({
+    _id: { type: String, required: true }, // guildId
+
+    // Members with this role are DJs (null = DJ only commands are open to everyone)
+    djRoleId: { type: String, default: null },
+
+    // A member alone with the bot in its voice channel counts as a DJ
+    aloneIsDj: { type: Boolean, default: true },
+
+    // Members can skip the tracks they requested themselves
+    requesterCanSkip: { type: Boolean, default: true },
+
+    // Skip, stop and clear need votes from a share of the listeners (DJs skip the vote)
+    voteMode: { type: Boolean, default: false },
+
+    // Share of the non-bot listeners that must vote (0.5 = half)
+    voteRatio: { type: Number, default: 0.5, min: 0.1, max: 1 },
+
+    // Command name or now playing button ID → role IDs that may use it (besides DJs)
+    restrictions: {
+        type: Map,
+        of: [String],
+        default: {},
+    },
+}, {
+    timestamps: true, // Adds createdAt and updatedAt
+});
+
+// Restrict a command or button to a role (adds to the roles already allowed)
+MusicPermissionsSchema.methods.addRestriction = async function(key, roleId) {
+    const roles = this.restrictions.get(key) || [];
+    if (!roles.includes(roleId)) {
+        this.restrictions.set(key, [...roles, roleId]);
+        await this.save();
+    }
+    return this;
+};
+
+// Remove a role from a restriction, or the whole restriction when no role is given
+MusicPermissionsSchema.methods.removeRestriction = async function(key, roleId = null) {
+    const roles = roleId ? (this.restrictions.get(key) || []).filter(id => id !== roleId) : [];
+    if (roles.length > 0) {
+        this.restrictions.set(key, roles);
+    } else {
+        this.restrictions.delete(key);
+    }
+    await this.save();
+    return this;
+};
+
+// Static method to get or create a guild's permissions
+MusicPermissionsSchema.statics.getOrCreate = async function(guildId) {
+    let permissions = await this.findById(guildId);
+    if (!permissions) {
+        permissions = new this({ _id: guildId });
+        await permissions.save();
+    }
+    return permissions;
+};
+
+export default models.MusicPermissions || model('MusicPermissions', MusicPermissionsSchema);
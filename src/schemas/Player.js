@@ -125,6 +125,12 @@ const PlayerSchema = new Schema({
         default: false,
     },
     
+    // Saved on graceful shutdown, waiting to be resumed on whichever bot the load balancer picks
+    suspended: {
+        type: Boolean,
+        default: false,
+    },
+    
     // Last update timestamp
     lastUpdated: {
         type: Date,
@@ -139,6 +145,7 @@ const PlayerSchema = new Schema({
 PlayerSchema.index({ botId: 1, destroyed: 1 });
 PlayerSchema.index({ lastUpdated: 1 });
 PlayerSchema.index({ twentyFourSeven: 1 });
+PlayerSchema.index({ suspended: 1, destroyed: 1 });
 
 // Static method to save player state
 PlayerSchema.statics.saveState = async function(guildId, playerData) {
@@ -162,13 +169,42 @@ PlayerSchema.statics.loadState = async function(guildId) {
 };
 
 // Static method to find all active players for a bot
+// Suspended sessions are left out - they are resumed by the orchestrator
 PlayerSchema.statics.findActiveByBot = function(botId) {
     return this.find({ 
         botId, 
-        destroyed: false 
+        destroyed: false,
+        suspended: { $ne: true },
     }).exec();
 };
 
+// Static method to find sessions saved on graceful shutdown
+PlayerSchema.statics.findSuspended = function() {
+    return this.find({ 
+        suspended: true, 
+        destroyed: false 
+    }).sort({ lastUpdated: 1 }).exec();
+};
+
+// Static method to take a suspended session for a bot (only one bot can win the claim)
+// The session stays suspended until markResumed, so the bot's own startup resume skips it
+PlayerSchema.statics.claimSuspended = async function(guildId, botId, lastUpdated) {
+    return this.findOneAndUpdate(
+        { _id: guildId, suspended: true, destroyed: false, lastUpdated },
+        { $set: { botId, lastUpdated: new Date() } },
+        { new: true }
+    );
+};
+
+// Static method to mark a claimed session as running again
+PlayerSchema.statics.markResumed = async function(guildId) {
+    return this.findByIdAndUpdate(
+        guildId,
+        { $set: { suspended: false, lastUpdated: new Date() } },
+        { new: true }
+    );
+};
+
 // Static method to find all 24/7 players
 PlayerSchema.statics.findTwentyFourSevenPlayers = function() {
     return this.find({ 
@@ -184,6 +220,7 @@ PlayerSchema.statics.markDestroyed = async function(guildId) {
         { 
             $set: { 
                 destroyed: true,
+                suspended: false,
                 currentTrack: null,
                 queue: [],
                 position: 0,
@@ -194,6 +231,15 @@ PlayerSchema.statics.markDestroyed = async function(guildId) {
     );
 };
 
+// Static method to take over a dead bot's player (only one bot can win the claim)
+PlayerSchema.statics.claimForFailover = async function(guildId, fromBotId, toBotId) {
+    return this.findOneAndUpdate(
+        { _id: guildId, botId: fromBotId, destroyed: false, suspended: { $ne: true } },
+        { $set: { botId: toBotId, lastUpdated: new Date() } },
+        { new: true }
+    );
+};
+
 // Static method to clear old destroyed players
 PlayerSchema.statics.cleanupDestroyed = async function(olderThan = 86400000) {
     const cutoffTime = new Date(Date.now() - olderThan);
@@ -25,6 +25,8 @@ const PlaylistSchema = new Schema({
         uri: { type: String, required: true },
         duration: { type: Number, default: 0 },
         artworkUrl: { type: String },
+        // Encoded Lavalink track, decoded on load instead of searching the URI again
+        encoded: { type: String, default: null },
         addedAt: { type: Date, default: Date.now }
     }],
     
@@ -94,6 +96,7 @@ PlaylistSchema.methods.addTrack = async function(track) {
         uri: track.uri,
         duration: track.duration || 0,
         artworkUrl: track.artworkUrl || null,
+        encoded: track.encoded || null,
         addedAt: new Date()
     });
     
@@ -132,6 +135,21 @@ PlaylistSchema.methods.rename = async function(newName) {
     return { success: true, message: `Playlist renamed to "${newName}"!` };
 };
 
+// Store encoded tracks for entries saved without one (matched by URI)
+PlaylistSchema.methods.backfillEncoded = async function(tracks) {
+    let changed = false;
+    for (const { uri, encoded } of tracks) {
+        const entry = this.tracks.find(t => t.uri === uri);
+        if (entry && encoded && entry.encoded !== encoded) {
+            entry.encoded = encoded;
+            changed = true;
+        }
+    }
+    
+    if (changed) await this.save();
+    return changed;
+};
+
 // Get total duration
 PlaylistSchema.methods.getTotalDuration = function() {
     return this.tracks.reduce((acc, t) => acc + (t.duration || 0), 0);
@@ -0,0 +1,34 @@
+/**
+ * Queue Settings Schema
+ * Per-guild fair queue mode and per-user queue limits, set with /fairqueue
+ */
+
+import pkg from 'mongoose';
+const { Schema, model } = pkg;
+
+const QueueSettingsSchema = new Schema({
+    _id: { type: String, required: true }, // guildId
+
+    // Play the tracks of different requesters round-robin instead of in order
+    fairQueue: { type: Boolean, default: false },
+
+    // Max tracks one member can have in the queue (0 = no limit)
+    maxTracksPerUser: { type: Number, default: 0, min: 0 },
+
+    // Max total duration of one member's queued tracks in ms (0 = no limit)
+    maxDurationPerUser: { type: Number, default: 0, min: 0 },
+}, {
+    timestamps: true, // Adds createdAt and updatedAt
+});
+
+// Static method to get or create a guild's queue settings
+QueueSettingsSchema.statics.getOrCreate = async function(guildId) {
+    let settings = await this.findById(guildId);
+    if (!settings) {
+        settings = new this({ _id: guildId });
+        await settings.save();
+    }
+    return settings;
+};
+
+export default model('QueueSettings', QueueSettingsSchema);
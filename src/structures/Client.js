@@ -1,9 +1,15 @@
-import { Client, Routes, REST, PermissionsBitField, ApplicationCommandType, GatewayIntentBits, Partials, Collection, ContainerBuilder, TextDisplayBuilder, SeparatorBuilder, SectionBuilder, ThumbnailBuilder, MessageFlags } from 'discord.js';
+import { Client, Routes, REST, PermissionsBitField, ApplicationCommandType, ApplicationCommandOptionType, GatewayIntentBits, Partials, Collection, ContainerBuilder, TextDisplayBuilder, SeparatorBuilder, SectionBuilder, ThumbnailBuilder, MessageFlags } from 'discord.js';
 import { readdirSync, existsSync } from 'fs';
 import pkg from 'mongoose';
 const { connect, set } = pkg;
 import { config } from '../config.js';
 import Logger from './Logger.js';
+import { CommandMetrics } from '../managers/Metrics.js';
+import { LyricsManager } from '../managers/Lyrics.js';
+import { SyncedLyricsManager } from '../managers/SyncedLyrics.js';
+import { VoteManager } from '../managers/Votes.js';
+import { RequestChannelManager } from '../managers/RequestChannel.js';
+import { NowPlayingManager } from '../managers/NowPlaying.js';
 
 /**
  * Extended Discord.js Client for multi-bot cluster support
@@ -61,6 +67,27 @@ export class BotClient extends Client {
         this.status = 'Starting';
         this.playerCount = 0;
         
+        // Draining bots finish their current sessions but take no new guilds
+        this.draining = false;
+        
+        // Command counts and run times for /metrics
+        this.commandMetrics = new CommandMetrics();
+        
+        // Lyrics lookup (providers + MongoDB cache)
+        this.lyrics = new LyricsManager(this, config.lyrics);
+        
+        // Synced lyrics in the now playing message
+        this.syncedLyrics = new SyncedLyricsManager(this, config.lyrics.nowPlaying);
+        
+        // Vote-skip / vote-stop / vote-clear in vote mode
+        this.votes = new VoteManager(this);
+        
+        // Song request channels and their player panels (/setup)
+        this.requestChannel = new RequestChannelManager(this);
+        
+        // Live progress bar in the now playing message
+        this.nowPlaying = new NowPlayingManager(this, config.nowPlaying);
+        
         // Logger with bot-specific scope
         this.logger = new Logger({
             displayTimestamp: true,
@@ -160,17 +187,25 @@ export class BotClient extends Client {
             try {
                 const Event = (await import(`../events/Lavalink/${eventFile}`)).default;
                 const eventClass = new Event(this, Event);
+                this.events.set(eventClass.name, eventClass);
                 
                 // Determine which emitter to use based on event type
                 // Player events: trackStart, trackEnd, queueEnd, playerCreate, playerDestroy
                 // Node events: nodeConnect, nodeDisconnect, nodeError, nodeReconnect
                 const playerEvents = ['trackStart', 'trackEnd', 'trackStuck', 'trackError', 'queueEnd', 'playerCreate', 'playerDestroy', 'playerMove'];
-                const nodeEvents = ['nodeConnect', 'nodeDisconnect', 'nodeError', 'nodeReconnect', 'nodeResumed'];
+                // The node manager emits them without the "node" prefix
+                const nodeEvents = {
+                    nodeConnect: 'connect',
+                    nodeDisconnect: 'disconnect',
+                    nodeError: 'error',
+                    nodeReconnect: 'reconnecting',
+                    nodeResumed: 'resumed',
+                };
                 
                 if (playerEvents.includes(eventClass.name)) {
                     this.lavalink.on(eventClass.name, (...args) => eventClass.run(...args));
-                } else if (nodeEvents.includes(eventClass.name)) {
-                    this.lavalink.nodeManager.on(eventClass.name, (...args) => eventClass.run(...args));
+                } else if (nodeEvents[eventClass.name]) {
+                    this.lavalink.nodeManager.on(nodeEvents[eventClass.name], (...args) => eventClass.run(...args));
                 } else {
                     // Default to lavalink manager
                     this.lavalink.on(eventClass.name, (...args) => eventClass.run(...args));
@@ -205,27 +240,32 @@ export class BotClient extends Client {
                         this.aliases.set(alias, cmd.name);
                     });
                 }
-                
-                if (cmd.slashCommand) {
-                    const data = {
-                        name: cmd.name,
-                        description: cmd.description.content,
-                        type: ApplicationCommandType.ChatInput,
-                        options: cmd.options ? cmd.options : null,
-                        name_localizations: cmd.nameLocalizations ? cmd.nameLocalizations : null,
-                        description_localizations: cmd.descriptionLocalizations ? cmd.descriptionLocalizations : null,
-                    };
-                    if (cmd.permissions.user.length > 0) {
-                        data.default_member_permissions = cmd.permissions.user 
-                            ? PermissionsBitField.resolve(cmd.permissions.user).toString() 
-                            : 0;
-                    }
-                    cmdData.push(data);
-                    i++;
-                }
             }
         }
         
+        // Commands run through a subcommand (e.g. /playlist load) are registered as part of their parent
+        const subcommandNames = new Set([...this.commands.values()].flatMap(cmd => cmd.getSubcommandNames()));
+        
+        for (const cmd of this.commands.values()) {
+            if (!cmd.slashCommand || subcommandNames.has(cmd.name)) continue;
+            
+            const data = {
+                name: cmd.name,
+                description: cmd.description.content,
+                type: ApplicationCommandType.ChatInput,
+                options: cmd.subcommands ? this._buildSubcommandOptions(cmd) : cmd.options ? cmd.options : null,
+                name_localizations: cmd.nameLocalizations ? cmd.nameLocalizations : null,
+                description_localizations: cmd.descriptionLocalizations ? cmd.descriptionLocalizations : null,
+            };
+            if (cmd.permissions.user.length > 0) {
+                data.default_member_permissions = cmd.permissions.user 
+                    ? PermissionsBitField.resolve(cmd.permissions.user).toString() 
+                    : 0;
+            }
+            cmdData.push(data);
+            i++;
+        }
+        
         // Only register slash commands if this is the main bot OR if explicitly configured
         if (this.isMainBot) {
             await this._registerSlashCommands(cmdData);
@@ -236,6 +276,38 @@ export class BotClient extends Client {
         this.logger.cmd(`[${this.botName}] Successfully loaded ${this.commands.size} commands (${i} slash)`);
     }
     
+    /**
+     * Build the subcommand (and subcommand group) options of a command
+     * from the commands its subcommands run
+     * @private
+     */
+    _buildSubcommandOptions(cmd) {
+        const toSubcommand = ([name, commandName]) => {
+            const target = this.commands.get(commandName);
+            if (!target) {
+                this.logger.error(`[${this.botName}] /${cmd.name} ${name} runs unknown command "${commandName}"`);
+                return null;
+            }
+            
+            return {
+                type: ApplicationCommandOptionType.Subcommand,
+                name,
+                description: target.description.content.substring(0, 100),
+                options: target.options,
+            };
+        };
+        
+        return Object.entries(cmd.subcommands).map(([name, entry]) => typeof entry === 'string'
+            ? toSubcommand([name, entry])
+            : {
+                type: ApplicationCommandOptionType.SubcommandGroup,
+                name,
+                description: entry.description,
+                options: Object.entries(entry.subcommands).map(toSubcommand).filter(Boolean),
+            }
+        ).filter(Boolean);
+    }
+    
     /**
      * Register slash commands with Discord API
      * @private
@@ -278,6 +350,9 @@ export class BotClient extends Client {
     async updateStatus(status, metrics = {}) {
         this.status = status;
         
+        // A shard only sees part of the bot - the orchestrator reports the combined status
+        if (this.shard) return;
+        
         try {
             const BotStatus = (await import('../schemas/BotStatus.js')).default;
             await BotStatus.updateHeartbeat(this.botId, {
@@ -291,6 +366,7 @@ export class BotClient extends Client {
                 uptime: this.uptime || 0,
                 ping: this.ws.ping,
                 lavalinkConnected: !!this.lavalink?.nodeManager?.nodes?.size,
+                draining: this.draining,
                 ...metrics,
             });
         } catch (error) {
@@ -298,6 +374,16 @@ export class BotClient extends Client {
         }
     }
     
+    /**
+     * Start or stop draining this bot
+     * @param {boolean} draining
+     */
+    async setDraining(draining) {
+        this.draining = draining;
+        this.logger.warn(`[${this.botName}] ${draining ? 'Draining - no new guilds will be assigned' : 'No longer draining'}`);
+        await this.updateStatus(this.status);
+    }
+    
     /**
      * Start the bot client
      */
@@ -337,11 +423,21 @@ export class BotClient extends Client {
             // Update status to offline
             await this.updateStatus('Offline');
             
-            // Destroy all players
+            // Save every session so it resumes after the restart, then destroy the players
             if (this.lavalink) {
-                for (const player of this.lavalink.players.values()) {
+                const { suspendPlayer } = await import('../managers/LavalinkHandler.js');
+                let suspended = 0;
+                
+                for (const player of [...this.lavalink.players.values()]) {
+                    if (this.config.lavalink.resuming?.enabled && await suspendPlayer(this, player)) {
+                        suspended++;
+                    }
                     await player.destroy();
                 }
+                
+                if (suspended > 0) {
+                    this.logger.info(`[${this.botName}] Saved ${suspended} session(s) for resuming`);
+                }
             }
             
             // Disconnect from Discord
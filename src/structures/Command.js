@@ -9,6 +9,8 @@
  * @property {?boolean} slashCommand To specify if it's a slash command
  * @property {?import('discord.js').ApplicationCommandOption} options Slash Command options
  * @property {?string} category The category the command belongs to
+ * @property {?Array<string>} preconditions Checks run before the command (see Preconditions.js), e.g. ["inVoice", "sameVoice"]
+ * @property {?Object<string, string | { description: string; subcommands: Object<string, string> }>} subcommands Subcommand name → name of the command that runs it, or a subcommand group
  */
 export default class Command {
   /**
@@ -45,5 +47,39 @@ export default class Command {
     this.slashCommand = options.slashCommand || false;
     this.options = options.options || [];
     this.category = options.category || "general";
+    this.preconditions = options.preconditions || [];
+    this.subcommands = options.subcommands || null;
+  }
+
+  /**
+   * Name of the command that runs a subcommand
+   * @param {?string} group Subcommand group name (e.g. "track" in /playlist track add)
+   * @param {?string} subcommand Subcommand name
+   * @returns {?string}
+   */
+  getSubcommand(group, subcommand) {
+    const subcommands = group ? this.subcommands?.[group]?.subcommands : this.subcommands;
+    const target = subcommands?.[subcommand];
+    return typeof target === "string" ? target : null;
+  }
+
+  /**
+   * Names of every command run through this command's subcommands
+   * @returns {Array<string>}
+   */
+  getSubcommandNames() {
+    return Object.values(this.subcommands || {}).flatMap((entry) =>
+      typeof entry === "string" ? [entry] : Object.values(entry.subcommands)
+    );
+  }
+
+  /**
+   * Answer an autocomplete interaction for an option with `autocomplete: true`
+   * Commands with such options override this, the default suggests nothing
+   * @param {import('discord.js').AutocompleteInteraction} interaction
+   * @returns {Promise<void>}
+   */
+  async autocomplete(interaction) {
+    await interaction.respond([]);
   }
 }
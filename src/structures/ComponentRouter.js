@@ -0,0 +1,119 @@
+/**
+ * Component Router
+ *
+ * Routes button clicks by custom ID from the interaction handler, so controls keep
+ * working after a restart, a failover or however long the message has been up -
+ * unlike message collectors, which live in one process for a limited time.
+ *
+ * Routed IDs are versioned and namespaced, and say which guild and bot they belong to:
+ *   v1:<namespace>:<action>:<guildId>:<botId>
+ * e.g. v1:player:pause:123456789012345678:bot-1
+ *
+ * Every route implements:
+ * - handle(interaction, client, id) → runs the action, id being the parsed custom ID
+ *
+ * The router rejects clicks for another guild or another bot before the route runs.
+ * Components with other IDs (e.g. the collectors of /search and /help) are left alone.
+ *
+ * Routes:
+ * - player: now playing and request panel controls, on the guild's player at click time
+ */
+
+/**
+ * Current custom ID version, bump it when the format changes
+ */
+export const COMPONENT_ID_VERSION = 'v1';
+
+/**
+ * Registered routes by namespace
+ * @type {Map<string, Function>}
+ */
+const routes = new Map();
+
+/**
+ * Register a route
+ * @param {string} namespace - Namespace its custom IDs use
+ * @param {Function} handle - (interaction, client, id) → Promise
+ */
+export function registerComponentRoute(namespace, handle) {
+    routes.set(namespace, handle);
+}
+
+/**
+ * Build a routed custom ID
+ * @param {string} namespace
+ * @param {string} action
+ * @param {Object} target
+ * @param {string} target.guildId - Guild the component acts on
+ * @param {string} target.botId - Bot that posted the component
+ * @returns {string}
+ */
+export function buildComponentId(namespace, action, { guildId, botId }) {
+    return [COMPONENT_ID_VERSION, namespace, action, guildId, botId].join(':');
+}
+
+/**
+ * Parse a routed custom ID
+ * @param {string} customId
+ * @returns {?{ version: string, namespace: string, action: string, guildId: string, botId: string }}
+ */
+export function parseComponentId(customId) {
+    const parts = customId.split(':');
+    if (parts.length !== 5 || parts[0] !== COMPONENT_ID_VERSION) return null;
+
+    const [version, namespace, action, guildId, botId] = parts;
+    return { version, namespace, action, guildId, botId };
+}
+
+/**
+ * Run the route of a component interaction
+ * @param {import('./Client.js').BotClient} client
+ * @param {import('discord.js').MessageComponentInteraction} interaction
+ * @returns {Promise<boolean>} Whether a route took the interaction
+ */
+export async function routeComponent(client, interaction) {
+    const id = parseComponentId(interaction.customId) || parseLegacyId(client, interaction);
+    const handle = id && routes.get(id.namespace);
+    if (!handle) return false;
+
+    if (id.guildId !== interaction.guildId || id.botId !== client.botId) {
+        await interaction.reply({ content: '`❌` These controls are out of date!', ephemeral: true }).catch(() => { });
+        return true;
+    }
+
+    try {
+        await handle(interaction, client, id);
+    } catch (error) {
+        client.logger.error(`[${client.botName}] ${id.namespace} component error: ${error.message}`);
+        if (!interaction.replied && !interaction.deferred) {
+            await interaction.reply({ content: '`❌` An error occurred!', ephemeral: true }).catch(() => { });
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Now playing controls posted before the IDs were versioned (player_pause, ...)
+ * @private
+ */
+function parseLegacyId(client, interaction) {
+    const match = /^player_([a-z]+)$/.exec(interaction.customId);
+    if (!match) return null;
+
+    return { version: null, namespace: 'player', action: match[1], guildId: interaction.guildId, botId: client.botId };
+}
+
+registerComponentRoute('player', async (interaction, client, { action, guildId }) => {
+    const player = client.lavalink?.players.get(guildId);
+    if (!player?.queue.current) {
+        return interaction.reply({ content: '`❌` Nothing is playing right now!', ephemeral: true });
+    }
+
+    // Request panels are rendered by their manager, now playing messages by trackStart
+    const render = await client.requestChannel.isPanel(interaction.message)
+        ? () => client.requestChannel.build(player)
+        : undefined;
+
+    return client.events.get('trackStart').handleControl(interaction, player, action, render);
+});
@@ -0,0 +1,153 @@
+/**
+ * Command Preconditions
+ *
+ * Checks a command declares with the `preconditions` option, e.g.
+ * preconditions: ['inVoice', 'sameVoice', 'queueNotEmpty']
+ *
+ * The message and interaction handlers run them before the command.
+ * Every precondition implements:
+ * - check(ctx, client, command) → true when the command may run
+ *
+ * Preconditions run in the order they are registered (not the order they are
+ * declared in), so the user always gets the most basic error first.
+ *
+ * Preconditions:
+ * - nodeAvailable: a Lavalink node is connected
+ * - inVoice: the user is in a voice channel
+ * - playerRequired: the bot has a player in the guild
+ * - sameVoice: the user is in the bot's voice channel (passes when the bot is not connected)
+ * - queueNotEmpty: a track is playing
+ * - djOnly: the user is a DJ, once the guild set a DJ role (see managers/MusicPermissions.js)
+ *
+ * Music commands also follow the roles a guild restricted them to with /permissions,
+ * whether they declare preconditions or not.
+ */
+
+import { ContainerBuilder, TextDisplayBuilder } from 'discord.js';
+import { selectNode } from '../managers/LavalinkHandler.js';
+import { hasMusicPermission } from '../managers/MusicPermissions.js';
+import { getGuildSettings } from '../managers/GuildSettings.js';
+import emojis from '../emojis.js';
+
+/**
+ * Registered preconditions by name
+ * @type {Map<string, Function>}
+ */
+const preconditions = new Map();
+
+/**
+ * Error messages by locale, then by precondition
+ * Locales missing a message fall back to the language, then to en-US
+ */
+const messages = {
+    'en-US': {
+        nodeAvailable: 'No music server is available right now. Please try again in a moment.',
+        inVoice: 'You need to be in a voice channel!',
+        playerRequired: 'Nothing is playing right now!',
+        sameVoice: 'You need to be in the same voice channel as me!',
+        queueNotEmpty: 'Nothing is playing right now!',
+        djOnly: 'Only DJs can use this command!',
+        restricted: 'You don\'t have a role that can use this command!',
+        assigned: 'Another bot is already playing music in this server!',
+    },
+    fil: {
+        nodeAvailable: 'Walang music server na available ngayon. Subukan ulit mamaya.',
+        inVoice: 'Kailangan mong nasa voice channel!',
+        playerRequired: 'Walang tumutugtog ngayon!',
+        sameVoice: 'Kailangan mong nasa parehong voice channel ko!',
+        queueNotEmpty: 'Walang tumutugtog ngayon!',
+        djOnly: 'Mga DJ lang ang puwedeng gumamit ng command na ito!',
+        restricted: 'Wala kang role na puwedeng gumamit ng command na ito!',
+        assigned: 'May ibang bot nang tumutugtog sa server na ito!',
+    },
+};
+
+/**
+ * Register a precondition
+ * @param {string} name - Name commands declare it by
+ * @param {Function} check - (ctx, client) → boolean or Promise<boolean>
+ */
+export function registerPrecondition(name, check) {
+    preconditions.set(name, check);
+}
+
+/**
+ * Run a command's preconditions
+ * @param {import('./Command.js').default} command
+ * @param {import('./Context.js').default} ctx
+ * @returns {Promise<?string>} The error message of the first failed precondition, or null if all passed
+ */
+export async function runPreconditions(command, ctx) {
+    for (const [name, check] of preconditions) {
+        if (!command.preconditions.includes(name)) continue;
+
+        if (!(await check(ctx, command.client, command))) {
+            return getMessage(name, ctx, (await getGuildSettings(ctx.guild?.id)).language);
+        }
+    }
+
+    // djOnly already checked the guild's restrictions
+    if (command.category === 'music' && ctx.guild && !command.preconditions.includes('djOnly')) {
+        const player = getPlayer(ctx, command.client);
+        if (!(await hasMusicPermission(ctx.member, command.name, { player }))) {
+            return getMessage('restricted', ctx, (await getGuildSettings(ctx.guild.id)).language);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Localized error message of a precondition
+ * Uses the guild's language when it set one in /settings, otherwise
+ * interactions use the user's locale and messages the guild's
+ * @param {string} name - Precondition name
+ * @param {import('./Context.js').default} ctx
+ * @param {?string} [guildLanguage] - Guild's language setting
+ * @returns {string}
+ */
+export function getMessage(name, ctx, guildLanguage = null) {
+    const locale = guildLanguage || ctx.interaction?.locale || ctx.guild?.preferredLocale || 'en-US';
+    const language = locale.split('-')[0];
+    const table = messages[locale]
+        || Object.entries(messages).find(([key]) => key.split('-')[0] === language)?.[1];
+
+    return table?.[name] || messages['en-US'][name];
+}
+
+/**
+ * Error container for a failed precondition, in the style of the commands' own errors
+ * @param {string} message
+ * @returns {ContainerBuilder}
+ */
+export function buildPreconditionError(message) {
+    return new ContainerBuilder().addTextDisplayComponents(
+        new TextDisplayBuilder().setContent(`### ${emojis.status.error} Error\n${message}`)
+    );
+}
+
+/**
+ * The bot's player in the context's guild
+ * @private
+ */
+function getPlayer(ctx, client) {
+    return client.lavalink?.players.get(ctx.guild.id);
+}
+
+registerPrecondition('nodeAvailable', (ctx, client) => !!selectNode(client.lavalink));
+
+registerPrecondition('inVoice', (ctx) => !!ctx.member?.voice?.channelId);
+
+registerPrecondition('playerRequired', (ctx, client) => !!getPlayer(ctx, client));
+
+registerPrecondition('sameVoice', (ctx, client) => {
+    const player = getPlayer(ctx, client);
+    return !player?.voiceChannelId || player.voiceChannelId === ctx.member?.voice?.channelId;
+});
+
+registerPrecondition('queueNotEmpty', (ctx, client) => !!getPlayer(ctx, client)?.queue.current);
+
+registerPrecondition('djOnly', (ctx, client, command) => hasMusicPermission(ctx.member, command.name, {
+    player: getPlayer(ctx, client),
+    djOnly: true,
+}));
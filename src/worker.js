@@ -0,0 +1,221 @@
+/**
+ * Bot Worker
+ *
+ * Runs a single bot from config.bots in its own process.
+ * Started by the orchestrator in worker mode; talks to it over IPC
+ * for command locks, cross-bot player lookups and status reporting.
+ * In sharded mode each process runs one shard of the bot.
+ *
+ * Usage: forked by src/managers/WorkerSupervisor.js or spawned by
+ * src/managers/ShardSupervisor.js (not run directly)
+ */
+
+import { Collection } from 'discord.js';
+import { config } from './config.js';
+import { BotClient } from './structures/Client.js';
+import Logger from './structures/Logger.js';
+import { initializeLavalink } from './managers/LavalinkHandler.js';
+import LoadBalancer from './managers/LoadBalancer.js';
+import { IPCChannel, describeBot, describeGuildPlayer } from './managers/ClusterIPC.js';
+import { migrationHandlers } from './managers/PlayerMigration.js';
+import { nodeHandlers } from './managers/LavalinkNodes.js';
+import { metricsHandlers } from './managers/Metrics.js';
+
+const botId = process.env.CLUSTER_BOT_ID;
+const botConfig = config.bots.find(bot => bot.id === botId);
+
+const logger = new Logger({
+    displayTimestamp: true,
+    displayDate: true,
+});
+logger.scope = `Worker:${botId || 'unknown'}`;
+
+if (!process.send) {
+    logger.error('Worker must be started by the orchestrator (no IPC channel)');
+    process.exit(1);
+}
+
+if (!botConfig) {
+    logger.error(`No bot configuration found for "${botId}"`);
+    process.exit(1);
+}
+
+const ipc = new IPCChannel(process, { timeout: config.cluster.ipcTimeout });
+
+/**
+ * Time allowed for a whole player migration (in ms)
+ */
+const MIGRATION_TIMEOUT = 90000;
+
+/**
+ * This worker's bot (a cluster of one, so shared code can keep iterating it)
+ * @type {Collection<string, BotClient>}
+ */
+const botCluster = new Collection();
+
+/**
+ * @type {BotClient|null}
+ */
+let client = null;
+
+/**
+ * Load Balancer for this worker's heartbeat
+ * @type {LoadBalancer|null}
+ */
+let loadBalancer = null;
+
+let statusTimer = null;
+let shuttingDown = false;
+
+/**
+ * Orchestrator proxy - same API as the in-process orchestrator,
+ * but cross-bot state goes over IPC
+ */
+global.orchestrator = {
+    bots: botCluster,
+    isWorker: true,
+    getLoadBalancer: () => loadBalancer,
+    acquireCommandLock: (guildId, botId) =>
+        ipc.request('lock:acquire', { guildId, botId }).catch(() => null),
+    releaseCommandLock: (guildId, botId, token = null) =>
+        ipc.request('lock:release', { guildId, botId, token }).catch(() => { }),
+    hasCommandLock: (guildId, botId) =>
+        ipc.request('lock:has', { guildId, botId }).catch(() => false),
+    isCommandLockCurrent: (guildId, token) =>
+        ipc.request('lock:current', { guildId, token }).catch(() => false),
+    getGuildPlayers: (guildId) => ipc.request('players:lookup', { guildId }),
+    placeSession: (guildId, voiceChannelId) =>
+        ipc.request('session:place', { guildId, voiceChannelId }).catch(() => null),
+    getClusterStatus: () => ipc.request('cluster:status'),
+    forceAssign: (guildId, targetBotId) => ipc.request('assign:force', { guildId, targetBotId }),
+    // Migration waits on another worker rebuilding the player
+    migratePlayer: (guildId, targetBotId) =>
+        ipc.request('player:migrate', { guildId, targetBotId }, MIGRATION_TIMEOUT),
+    // Starting a bot waits for it to log in and report ready
+    addBot: (botId) => ipc.request('cluster:add', { botId }, config.cluster.startTimeout + config.cluster.ipcTimeout),
+    removeBot: (botId, force = false) =>
+        ipc.request('cluster:remove', { botId, force }, config.cluster.shutdownTimeout + config.cluster.ipcTimeout),
+    drainBot: (botId, draining = true) => ipc.request('cluster:drain', { botId, draining }),
+    // Every bot may move players off the nodes it leaves
+    syncLavalinkNodes: () => ipc.request('nodes:sync', null, MIGRATION_TIMEOUT),
+    getLavalinkNodes: () => ipc.request('nodes:lookup'),
+};
+
+// Requests from the orchestrator
+ipc.handle('players:get', ({ guildId }) => {
+    if (!client) return null;
+    return describeGuildPlayer(client, guildId);
+});
+
+ipc.handle('status:get', () => {
+    if (!client) return null;
+    return describeBot(client);
+});
+
+// Player migration steps, when this bot is the source or target of a move,
+// Lavalink node changes made with /node, and metrics scrapes
+for (const [type, handler] of Object.entries({ ...migrationHandlers, ...nodeHandlers, ...metricsHandlers })) {
+    ipc.handle(type, (data) => {
+        if (!client) throw new Error('Bot is not started');
+        return handler(client, data);
+    });
+}
+
+ipc.handle('bot:drain', async ({ draining }) => {
+    if (!client) throw new Error('Bot is not started');
+    await client.setDraining(draining);
+});
+
+ipc.handle('shutdown', () => {
+    shutdown('orchestrator request');
+});
+
+/**
+ * Start the bot in this process
+ */
+async function startWorker() {
+    logger.info(`Initializing ${botConfig.name} (${botConfig.id}) in pid ${process.pid}...`);
+
+    client = new BotClient(botConfig);
+    client.draining = process.env.CLUSTER_BOT_DRAINING === 'true';
+    await client.start();
+    botCluster.set(botConfig.id, client);
+
+    if (config.lavalink.nodes && config.lavalink.nodes.length > 0) {
+        try {
+            await initializeLavalink(client, config);
+            await client.loadLavalinkEvents();
+            logger.success(`Lavalink initialized for ${client.botName}`);
+        } catch (error) {
+            logger.error(`Failed to initialize Lavalink for ${client.botName}: ${error.message}`);
+        }
+    } else {
+        logger.warn('No Lavalink nodes configured, music features disabled');
+    }
+
+    try {
+        loadBalancer = new LoadBalancer(botCluster, config.loadBalancing);
+        await loadBalancer.initialize();
+        loadBalancer.startHeartbeat();
+    } catch (error) {
+        logger.error(`Failed to initialize Load Balancer: ${error.message}`);
+    }
+
+    // Keep the orchestrator's status snapshot fresh
+    statusTimer = setInterval(() => {
+        ipc.notify('status', { ...describeBot(client), cpuUsage: loadBalancer?.cpuUsage || 0 });
+    }, config.loadBalancing.heartbeatInterval);
+
+    ipc.notify('ready', { ...describeBot(client), cpuUsage: loadBalancer?.cpuUsage || 0 });
+    logger.ready(`${client.botName} is ready!`);
+}
+
+/**
+ * Shut the bot down and exit
+ * @param {string} reason
+ */
+async function shutdown(reason) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+
+    logger.warn(`Shutting down (${reason})...`);
+
+    if (statusTimer) {
+        clearInterval(statusTimer);
+    }
+
+    if (loadBalancer) {
+        loadBalancer.stopHeartbeat();
+    }
+
+    if (client) {
+        await client.shutdown();
+    }
+
+    ipc.dispose();
+    process.exit(0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+// Orchestrator went away - nothing left to supervise us
+process.on('disconnect', () => shutdown('orchestrator disconnected'));
+
+// A crash only takes down this bot; the supervisor restarts it
+process.on('uncaughtException', (error) => {
+    logger.error(`Uncaught Exception: ${error.message}`);
+    logger.error(error.stack);
+    process.exit(1);
+});
+
+process.on('unhandledRejection', (reason, promise) => {
+    logger.error(`Unhandled Rejection at: ${promise}`);
+    logger.error(`Reason: ${reason}`);
+});
+
+startWorker().catch((error) => {
+    logger.error(`Fatal error starting worker: ${error.message}`);
+    logger.error(error.stack);
+    process.exit(1);
+});
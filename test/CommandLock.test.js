@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryLockBackend, createLockBackend } from '../src/managers/CommandLock.js';
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('only one bot holds a guild lock', async () => {
+    const locks = new MemoryLockBackend({ timeout: 1000 });
+
+    const token = await locks.acquire('guild', 'bot-1');
+    assert.equal(typeof token, 'number');
+    assert.equal(await locks.acquire('guild', 'bot-2'), null);
+    assert.equal(await locks.has('guild', 'bot-1'), true);
+    assert.equal(await locks.has('guild', 'bot-2'), false);
+
+    // Other guilds are independent
+    assert.notEqual(await locks.acquire('other', 'bot-2'), null);
+});
+
+test('re-acquiring a held lock keeps its token', async () => {
+    const locks = new MemoryLockBackend({ timeout: 1000 });
+
+    const token = await locks.acquire('guild', 'bot-1');
+    assert.equal(await locks.acquire('guild', 'bot-1'), token);
+    assert.equal(await locks.isCurrent('guild', token), true);
+});
+
+test('an expired lock goes to the next bot with a newer token', async () => {
+    const locks = new MemoryLockBackend({ timeout: 20 });
+
+    const first = await locks.acquire('guild', 'bot-1');
+    await wait(30);
+    const second = await locks.acquire('guild', 'bot-2');
+
+    assert.ok(second > first);
+    assert.equal(await locks.isCurrent('guild', first), false);
+    assert.equal(await locks.isCurrent('guild', second), true);
+    assert.equal(await locks.has('guild', 'bot-1'), false);
+});
+
+test('release with a stale token leaves the new holder alone', async () => {
+    const locks = new MemoryLockBackend({ timeout: 20 });
+
+    const first = await locks.acquire('guild', 'bot-1');
+    await wait(30);
+    const second = await locks.acquire('guild', 'bot-2');
+
+    await locks.release('guild', 'bot-1', first);
+    await locks.release('guild', 'bot-2', first);
+    assert.equal(await locks.isCurrent('guild', second), true);
+
+    await locks.release('guild', 'bot-2', second);
+    assert.equal(await locks.isCurrent('guild', second), false);
+});
+
+test('tokens keep increasing after release', async () => {
+    const locks = new MemoryLockBackend({ timeout: 1000 });
+
+    const first = await locks.acquire('guild', 'bot-1');
+    await locks.release('guild', 'bot-1');
+    const second = await locks.acquire('guild', 'bot-1');
+
+    assert.ok(second > first);
+    assert.equal(await locks.isCurrent('guild', first), false);
+});
+
+test('createLockBackend picks the configured backend', () => {
+    assert.equal(createLockBackend().name, 'memory');
+    assert.equal(createLockBackend({ backend: 'mongo' }).name, 'mongo');
+    assert.throws(() => createLockBackend({ backend: 'redis' }), /Unknown command lock backend "redis"/);
+});
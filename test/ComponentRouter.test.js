@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildComponentId, parseComponentId, registerComponentRoute, routeComponent } from '../src/structures/ComponentRouter.js';
+
+const client = { botId: 'bot-1', botName: 'Bot 1', logger: { error() { } } };
+
+function interaction(customId, guildId = '123') {
+    return {
+        customId,
+        guildId,
+        replies: [],
+        replied: false,
+        deferred: false,
+        async reply(payload) {
+            this.replies.push(payload);
+            this.replied = true;
+        },
+    };
+}
+
+test('component IDs round-trip', () => {
+    const customId = buildComponentId('player', 'pause', { guildId: '123', botId: 'bot-1' });
+
+    assert.equal(customId, 'v1:player:pause:123:bot-1');
+    assert.deepEqual(parseComponentId(customId), { version: 'v1', namespace: 'player', action: 'pause', guildId: '123', botId: 'bot-1' });
+});
+
+test('other custom IDs are not parsed', () => {
+    assert.equal(parseComponentId('v2:player:pause:123:bot-1'), null);
+    assert.equal(parseComponentId('v1:player:pause:123'), null);
+    assert.equal(parseComponentId('search_select'), null);
+});
+
+test('routed clicks run their route', async () => {
+    const calls = [];
+    registerComponentRoute('test', async (_interaction, _client, id) => calls.push(id.action));
+
+    assert.equal(await routeComponent(client, interaction(buildComponentId('test', 'ping', { guildId: '123', botId: 'bot-1' }))), true);
+    assert.deepEqual(calls, ['ping']);
+});
+
+test('clicks for another guild or bot are rejected before the route runs', async () => {
+    const calls = [];
+    registerComponentRoute('test', async () => calls.push('ran'));
+
+    for (const target of [{ guildId: '456', botId: 'bot-1' }, { guildId: '123', botId: 'bot-2' }]) {
+        const click = interaction(buildComponentId('test', 'ping', target));
+        assert.equal(await routeComponent(client, click), true);
+        assert.match(click.replies[0].content, /out of date/);
+    }
+    assert.deepEqual(calls, []);
+});
+
+test('route errors are answered', async () => {
+    registerComponentRoute('test', async () => {
+        throw new Error('boom');
+    });
+
+    const click = interaction(buildComponentId('test', 'ping', { guildId: '123', botId: 'bot-1' }));
+    assert.equal(await routeComponent(client, click), true);
+    assert.match(click.replies[0].content, /error/);
+});
+
+test('unknown namespaces and collector IDs are left alone', async () => {
+    assert.equal(await routeComponent(client, interaction(buildComponentId('missing', 'ping', { guildId: '123', botId: 'bot-1' }))), false);
+    assert.equal(await routeComponent(client, interaction('search_select')), false);
+});
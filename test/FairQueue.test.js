@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getFairIndex, applyLimits, getEstimatedStarts } from '../src/managers/FairQueue.js';
+
+function track(requester, duration = 60000, isStream = false) {
+    return { requester: { id: requester }, info: { title: `${requester} ${duration}`, duration, isStream } };
+}
+
+function player(current, tracks = [], position = 0) {
+    return { guildId: 'guild', position, queue: { current, tracks } };
+}
+
+/**
+ * Add tracks one by one in fair mode, as addTracks does
+ */
+function addFair(target, tracks) {
+    for (const added of tracks) {
+        target.queue.tracks.splice(getFairIndex(target, added.requester.id), 0, added);
+    }
+}
+
+test('fair mode interleaves requesters round-robin', () => {
+    const target = player(track('a'));
+    addFair(target, [track('a'), track('a'), track('a')]);
+    addFair(target, [track('b'), track('b')]);
+    addFair(target, [track('c')]);
+
+    // The playing track is a's first, so b and c get their first turn before a's second
+    assert.deepEqual(target.queue.tracks.map(queued => queued.requester.id), ['b', 'c', 'a', 'b', 'a', 'a']);
+});
+
+test('fair mode keeps the order of tracks already queued', () => {
+    const target = player(null, [track('a'), track('a')]);
+    addFair(target, [track('b')]);
+
+    assert.deepEqual(target.queue.tracks.map(queued => queued.requester.id), ['a', 'b', 'a']);
+    assert.equal(getFairIndex(player(null), 'a'), 0);
+});
+
+test('limits stop at the track count, counting the playing track', () => {
+    const settings = { maxTracksPerUser: 3 };
+    const target = player(track('a'), [track('a'), track('b')]);
+
+    const { allowed, limit } = applyLimits(target, [track('a'), track('a')], 'a', settings);
+    assert.equal(allowed.length, 1);
+    assert.equal(limit, 'tracks');
+
+    // Other members' tracks don't count
+    assert.equal(applyLimits(target, [track('b'), track('b')], 'b', settings).limit, null);
+});
+
+test('limits stop at the total duration, counting what is left of the playing track', () => {
+    const settings = { maxDurationPerUser: 5 * 60000 };
+    const target = player(track('a', 3 * 60000), [], 60000);
+
+    const { allowed, limit } = applyLimits(target, [track('a', 2 * 60000), track('a', 60000)], 'a', settings);
+    assert.equal(allowed.length, 2);
+    assert.equal(limit, null);
+
+    assert.equal(applyLimits(target, [track('a', 4 * 60000)], 'a', settings).limit, 'duration');
+    // Live streams have no duration to count
+    assert.equal(applyLimits(target, [track('a', 0, true)], 'a', settings).allowed.length, 1);
+});
+
+test('no limits without settings', () => {
+    const tracks = [track('a'), track('a')];
+
+    assert.deepEqual(applyLimits(player(null), tracks, 'a', null), { allowed: tracks, limit: null });
+});
+
+test('estimated starts add up the durations ahead', () => {
+    const target = player(track('a', 100000), [track('b', 30000), track('c', 20000), track('d')], 40000);
+
+    assert.deepEqual(getEstimatedStarts(target), [60000, 90000, 110000]);
+});
+
+test('estimated starts are unknown after a live stream', () => {
+    assert.deepEqual(getEstimatedStarts(player(track('a', 0, true), [track('b')])), [null]);
+    assert.deepEqual(getEstimatedStarts(player(null, [track('b', 30000), track('c', 0, true), track('d')])), [null, null, null]);
+    assert.deepEqual(getEstimatedStarts(player(track('a', 10000), [track('b', 0, true), track('c')])), [10000, null]);
+});
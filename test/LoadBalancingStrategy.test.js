@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStrategy, registerStrategy } from '../src/managers/LoadBalancingStrategy.js';
+
+/**
+ * Candidate as the load balancer builds them
+ */
+function candidate(botId, playerCount = 0, { isMainBot = false, status = null } = {}) {
+    return { botId, client: { isMainBot }, playerCount, status };
+}
+
+test('priority prefers the main bot, then the least loaded bot', () => {
+    const strategy = createStrategy({ strategy: 'priority' });
+
+    const main = candidate('bot-1', 50, { isMainBot: true });
+    assert.equal(strategy.select([candidate('bot-2', 0), main]), main);
+    assert.equal(strategy.select([candidate('bot-2', 4), candidate('bot-3', 1)]).botId, 'bot-3');
+    assert.equal(strategy.select([]), null);
+});
+
+test('roundRobin cycles through the bots by ID', () => {
+    const strategy = createStrategy({ strategy: 'roundRobin' });
+    const candidates = [candidate('bot-3'), candidate('bot-1'), candidate('bot-2')];
+
+    const picks = [1, 2, 3, 4].map(() => strategy.select(candidates).botId);
+    assert.deepEqual(picks, ['bot-1', 'bot-2', 'bot-3', 'bot-1']);
+
+    // A bot that left the candidates is skipped
+    assert.equal(strategy.select([candidate('bot-1'), candidate('bot-3')]).botId, 'bot-3');
+});
+
+test('leastPlayers picks the bot with the fewest players', () => {
+    const strategy = createStrategy({ strategy: 'leastPlayers' });
+
+    assert.equal(strategy.select([candidate('bot-1', 3), candidate('bot-2', 1), candidate('bot-3', 2)]).botId, 'bot-2');
+});
+
+test('leastCpu and leastMemory use the reported metrics, then player count', () => {
+    const cpu = createStrategy({ strategy: 'leastCpu' });
+    const memory = createStrategy({ strategy: 'leastMemory' });
+    assert.equal(cpu.usesMetrics, true);
+    assert.equal(memory.usesMetrics, true);
+
+    const candidates = [
+        candidate('bot-1', 1, { status: { cpuUsage: 40, memoryUsage: 100 } }),
+        candidate('bot-2', 5, { status: { cpuUsage: 10, memoryUsage: 300 } }),
+        candidate('bot-3', 0),
+    ];
+    assert.equal(cpu.select(candidates).botId, 'bot-2');
+    assert.equal(memory.select(candidates).botId, 'bot-1');
+
+    // Bots of one process report the same numbers, player count decides
+    const shared = { cpuUsage: 25, memoryUsage: 200 };
+    assert.equal(cpu.select([candidate('bot-1', 4, { status: shared }), candidate('bot-2', 2, { status: shared })]).botId, 'bot-2');
+});
+
+test('weighted balances players by weight and skips bots weighted 0', () => {
+    const strategy = createStrategy({ strategy: 'weighted', weights: { 'bot-1': 3, 'bot-3': 0 } });
+    const counts = { 'bot-1': 0, 'bot-2': 0, 'bot-3': 0 };
+
+    for (let i = 0; i < 8; i++) {
+        const candidates = Object.entries(counts).map(([botId, playerCount]) => candidate(botId, playerCount));
+        counts[strategy.select(candidates).botId]++;
+    }
+
+    assert.deepEqual(counts, { 'bot-1': 6, 'bot-2': 2, 'bot-3': 0 });
+    assert.equal(strategy.select([candidate('bot-3')]), null);
+});
+
+test('custom strategies can be registered', () => {
+    registerStrategy('last', class {
+        constructor() {
+            this.name = 'last';
+        }
+
+        select(candidates) {
+            return candidates.at(-1) || null;
+        }
+    });
+
+    assert.equal(createStrategy({ strategy: 'last' }).select([candidate('bot-1'), candidate('bot-2')]).botId, 'bot-2');
+    assert.throws(() => createStrategy({ strategy: 'random' }), /Unknown load balancing strategy "random"/);
+});
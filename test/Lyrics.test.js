@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { cleanTitle, paginateLyrics } from '../src/managers/Lyrics.js';
+import { parseLrc } from '../src/managers/LyricsProviders.js';
+
+test('parseLrc reads timestamps, tags and repeated lines', () => {
+    const { tags, lines } = parseLrc([
+        '[ti:Mundo]',
+        '[ar:IV of Spades]',
+        '[00:01.50]First',
+        '[00:10.00][01:02.25]Chorus',
+        '[00:05]Second',
+        '',
+    ].join('\r\n'));
+
+    assert.deepEqual(tags, { ti: 'Mundo', ar: 'IV of Spades' });
+    assert.deepEqual(lines, [
+        { time: 1500, text: 'First' },
+        { time: 5000, text: 'Second' },
+        { time: 10000, text: 'Chorus' },
+        { time: 62250, text: 'Chorus' },
+    ]);
+});
+
+test('parseLrc applies the offset tag', () => {
+    const { lines } = parseLrc('[offset:500]\n[00:00.20]Early\n[00:02.00]Later');
+
+    assert.deepEqual(lines, [
+        { time: 0, text: 'Early' },
+        { time: 1500, text: 'Later' },
+    ]);
+});
+
+test('parseLrc keeps untimed lines when nothing is timed', () => {
+    const { lines } = parseLrc('Just\nplain text');
+
+    assert.deepEqual(lines, [
+        { time: null, text: 'Just' },
+        { time: null, text: 'plain text' },
+    ]);
+});
+
+test('cleanTitle reads "Artist - Song" and drops the noise', () => {
+    assert.deepEqual(cleanTitle('Artist - Song (Official Video)', 'ArtistVEVO'), { title: 'Song', artist: 'Artist' });
+    assert.deepEqual(cleanTitle('Artist - Song ft. Someone [Lyric Video]', 'Label'), { title: 'Song', artist: 'Artist' });
+    assert.deepEqual(cleanTitle('Song | Official Audio', 'Artist - Topic'), { title: 'Song', artist: 'Artist' });
+});
+
+test('cleanTitle reads "Song - Artist" only when the uploader is the right-hand side', () => {
+    assert.deepEqual(cleanTitle('Mundo - IV of Spades (Official Video)', 'IVOFSPADES'), { title: 'Mundo', artist: 'IV of Spades' });
+    assert.deepEqual(cleanTitle('Mundo - IV of Spades', 'Some Channel'), { title: 'IV of Spades', artist: 'Mundo' });
+});
+
+test('cleanTitle does not take a label for the artist', () => {
+    assert.deepEqual(cleanTitle('Audio - Something', 'Uploader'), { title: 'Something', artist: 'Uploader' });
+    assert.deepEqual(cleanTitle('Official Video - Something'), { title: 'Something', artist: null });
+});
+
+test('paginateLyrics fills pages up to the limit', () => {
+    const lines = ['aaaa', 'bbbb', 'cccc'].map(text => ({ text }));
+
+    assert.deepEqual(paginateLyrics(lines, 9), ['aaaa\nbbbb', 'cccc']);
+    assert.deepEqual(paginateLyrics([], 9), []);
+});
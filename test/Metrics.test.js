@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CommandMetrics, mergeBotMetrics, renderMetrics } from '../src/managers/Metrics.js';
+
+function report(overrides = {}) {
+    return {
+        id: 'bot-1',
+        name: 'Bot 1',
+        online: true,
+        draining: false,
+        guilds: 10,
+        players: 2,
+        memoryUsage: 100,
+        ping: 40,
+        uptime: 60000,
+        commands: {},
+        lavalinkNodes: [],
+        ...overrides,
+    };
+}
+
+test('command metrics count outcomes and bucket durations', () => {
+    const metrics = new CommandMetrics();
+    metrics.record('play', 40);
+    metrics.record('play', 700, false);
+    metrics.record('play', 60000);
+
+    const { play } = metrics.toJSON();
+    assert.equal(play.success, 2);
+    assert.equal(play.error, 1);
+    assert.equal(play.sum, 60.74);
+    // 40ms in the first bucket, 700ms in the 1s bucket, 60s past the last bucket
+    assert.deepEqual(play.buckets, [1, 0, 0, 0, 1, 0, 0, 0, 0]);
+});
+
+test('shard reports of one bot are merged', () => {
+    const [bot] = mergeBotMetrics([
+        report({ commands: { play: { success: 1, error: 0, sum: 0.5, buckets: [0, 0, 0, 1, 0, 0, 0, 0, 0] } } }),
+        report({ online: false, guilds: 5, players: 1, ping: 60, commands: { play: { success: 2, error: 1, sum: 1, buckets: [1, 0, 0, 0, 2, 0, 0, 0, 0] } } }),
+    ]);
+
+    assert.equal(bot.shards, 2);
+    assert.equal(bot.online, false);
+    assert.equal(bot.guilds, 15);
+    assert.equal(bot.players, 3);
+    assert.equal(bot.memoryUsage, 200);
+    assert.equal(bot.ping, 50);
+    assert.deepEqual(bot.commands.play, { success: 3, error: 1, sum: 1.5, buckets: [1, 0, 0, 1, 2, 0, 0, 0, 0] });
+});
+
+test('merging leaves the reports untouched', () => {
+    const first = report({ commands: { play: { success: 1, error: 0, sum: 0.5, buckets: [1, 0, 0, 0, 0, 0, 0, 0, 0] } } });
+    mergeBotMetrics([first, report({ commands: { play: { success: 1, error: 0, sum: 0.5, buckets: [1, 0, 0, 0, 0, 0, 0, 0, 0] } } })]);
+
+    assert.equal(first.commands.play.success, 1);
+});
+
+test('bots that did not report are down', () => {
+    const bots = mergeBotMetrics([report()], [{ id: 'bot-1', name: 'Bot 1' }, { id: 'bot-2', name: 'Bot 2', guilds: 3 }]);
+
+    assert.equal(bots.length, 2);
+    assert.equal(bots[1].id, 'bot-2');
+    assert.equal(bots[1].online, false);
+    assert.deepEqual(bots[1].commands, {});
+});
+
+test('metrics render in the Prometheus text format', () => {
+    const bots = mergeBotMetrics([
+        report({
+            commands: { play: { success: 2, error: 1, sum: 1.5, buckets: [1, 0, 0, 0, 2, 0, 0, 0, 0] } },
+            lavalinkNodes: [{ id: 'main', connected: true, players: 2, stats: { players: 5, playingPlayers: 4, cpu: 0.25, systemLoad: 0.5, memoryUsed: 1024, uptime: 3000 } }],
+        }),
+    ], [{ id: 'bot-2', name: 'Bot "2"' }]);
+    const lines = renderMetrics({ bots, mongoConnected: true }).split('\n');
+
+    assert.ok(lines.includes('# TYPE musicbot_up gauge'));
+    assert.ok(lines.includes('musicbot_mongodb_up 1'));
+    assert.ok(lines.includes('musicbot_up{bot="bot-1",name="Bot 1"} 1'));
+    assert.ok(lines.includes('musicbot_up{bot="bot-2",name="Bot \\"2\\""} 0'));
+    assert.ok(lines.includes('musicbot_gateway_ping_seconds{bot="bot-1",name="Bot 1"} 0.04'));
+    assert.ok(lines.includes('musicbot_commands_total{bot="bot-1",command="play",status="error"} 1'));
+    assert.ok(lines.includes('musicbot_command_duration_seconds_bucket{bot="bot-1",command="play",le="0.05"} 1'));
+    assert.ok(lines.includes('musicbot_command_duration_seconds_bucket{bot="bot-1",command="play",le="1"} 3'));
+    assert.ok(lines.includes('musicbot_command_duration_seconds_bucket{bot="bot-1",command="play",le="+Inf"} 3'));
+    assert.ok(lines.includes('musicbot_command_duration_seconds_count{bot="bot-1",command="play"} 3'));
+    assert.ok(lines.includes('musicbot_lavalink_node_up{bot="bot-1",node="main"} 1'));
+    assert.ok(lines.includes('musicbot_lavalink_node_players{node="main"} 5'));
+    assert.ok(lines.includes('musicbot_lavalink_node_uptime_seconds{node="main"} 3'));
+});